@@ -196,6 +196,29 @@ const initializationManager = {
         console.warn('[STORAGE] ⚠️ Storage persistence manager not loaded, using fallback');
       }
 
+      // Sessions, cookies and preferences below belong to the active profile
+      await loadActiveProfile();
+
+      // Phase 0.5: Public Suffix List (cookie domain checks)
+      // Must be loaded before any cookie is stored or matched
+      console.log('[INIT] Phase 0.5: Loading public suffix list...');
+
+      if (typeof publicSuffixList !== 'undefined') {
+        const pslInfo = await publicSuffixList.initialize();
+        console.log(`[PSL] ✓ Public suffix list ready (${pslInfo.ruleCount} rules, ${pslInfo.source})`);
+      } else {
+        console.warn('[PSL] ⚠️ Public suffix list not loaded, using default rule only');
+      }
+
+      // Per-site service worker policy (sent to content scripts with the session ID)
+      await loadServiceWorkerPolicy();
+
+      // URL rules that assign new tabs to sessions
+      await loadUrlRules();
+
+      // Cookie change log (before sessions load, so startup removals are recorded)
+      await cookieChangeLog.load();
+
       // Phase 1: License Manager Initialization
       this.setState(this.STATES.LICENSE_INIT);
       console.log('[INIT] Phase 1: Initializing license manager...');
@@ -261,6 +284,9 @@ const initializationManager = {
 
       console.log('[INIT] ✓ Cleanup complete');
 
+      // Right-click menus list the loaded sessions
+      scheduleContextMenuRefresh();
+
       // Phase 5: Ready
       this.setState(this.STATES.READY, { tier, features });
       console.log('[INIT] ========================================');
@@ -562,11 +588,17 @@ function isValidCookieDomain(cookieDomain, tabUrl) {
     // - tab: sub.example.com, cookie: example.com ✓
     // - tab: sub.example.com, cookie: evil.com ✗
     // - tab: example.com, cookie: sub.example.com ✗
+    // - tab: app.github.io, cookie: .github.io ✗ (public suffix)
 
     if (tabHostname === normalizedCookieDomain) {
       return true; // Exact match
     }
 
+    // SECURITY: Never allow a public suffix (e.g. .com, .co.uk, .github.io) as a parent domain
+    if (publicSuffixList.isPublicSuffix(normalizedCookieDomain)) {
+      return false;
+    }
+
     if (tabHostname.endsWith('.' + normalizedCookieDomain)) {
       return true; // Parent domain match
     }
@@ -579,52 +611,21 @@ function isValidCookieDomain(cookieDomain, tabUrl) {
 }
 
 /**
- * Parse cookie string into object
- * @param {string} cookieString
- * @param {string} tabUrl - Optional tab URL for domain validation
+ * Parse a Set-Cookie string into a cookie object (RFC 6265bis, see cookie-jar.js)
+ * Handles '=' inside values, Max-Age/Expires precedence, host-only vs domain
+ * cookies, __Host-/__Secure- prefixes and public suffix Domain attributes.
+ * @param {string} cookieString - Raw Set-Cookie value or document.cookie assignment
+ * @param {string} requestUrl - URL of the response or document setting the cookie
+ * @param {boolean} fromHttp - False for document.cookie (HttpOnly not allowed)
  * @returns {Object|null} Parsed cookie object or null if invalid
  */
-function parseCookie(cookieString, tabUrl = null) {
-  const parts = cookieString.split(';').map(p => p.trim());
-  const [nameValue, ...attributes] = parts;
-  const [name, value] = nameValue.split('=');
-
-  const cookie = {
-    name: name.trim(),
-    value: value || '',
-    domain: '',
-    path: '/',
-    secure: false,
-    httpOnly: false,
-    sameSite: 'no_restriction'
-  };
-
-  attributes.forEach(attr => {
-    const [key, val] = attr.split('=').map(s => s.trim());
-    const lowerKey = key.toLowerCase();
-
-    if (lowerKey === 'domain') {
-      cookie.domain = val;
-    } else if (lowerKey === 'path') {
-      cookie.path = val;
-    } else if (lowerKey === 'secure') {
-      cookie.secure = true;
-    } else if (lowerKey === 'httponly') {
-      cookie.httpOnly = true;
-    } else if (lowerKey === 'samesite') {
-      cookie.sameSite = val.toLowerCase();
-    } else if (lowerKey === 'max-age' || lowerKey === 'expires') {
-      // Store expiration info
-      cookie.expirationDate = val;
-    }
-  });
+function parseCookie(cookieString, requestUrl, fromHttp = true) {
+  const cookie = cookieJar.parseSetCookie(cookieString, requestUrl, { fromHttp: fromHttp });
 
-  // SECURITY: Validate cookie domain if tabUrl provided
-  if (tabUrl && cookie.domain) {
-    if (!isValidCookieDomain(cookie.domain, tabUrl)) {
-      console.error('[SECURITY] Cookie domain validation failed:', cookie.domain, 'for URL:', tabUrl);
-      return null; // Reject invalid cookie
-    }
+  // SECURITY: Defense in depth - the jar already rejects foreign Domain attributes
+  if (cookie && !isValidCookieDomain(cookie.domain, requestUrl)) {
+    console.error('[SECURITY] Cookie domain validation failed:', cookie.domain, 'for URL:', requestUrl);
+    return null;
   }
 
   return cookie;
@@ -632,11 +633,11 @@ function parseCookie(cookieString, tabUrl = null) {
 
 /**
  * Format cookies for Cookie header
- * @param {Array} cookies
+ * @param {Array} cookies - Cookies already sorted by getCookiesForSession
  * @returns {string}
  */
 function formatCookieHeader(cookies) {
-  return cookies.map(c => `${c.name}=${c.value}`).join('; ');
+  return cookieJar.formatCookieHeader(cookies);
 }
 
 /**
@@ -663,6 +664,9 @@ function removeExpiredCookies(sessionId) {
       Object.keys(sessionCookies[domain][path]).forEach(cookieName => {
         const cookie = sessionCookies[domain][path][cookieName];
         if (isExpiredCookie(cookie)) {
+          cookieChangeLog.record(sessionId, {
+            action: 'remove', channel: 'expiry', domain: domain, path: path, name: cookieName, oldValue: cookie.value
+          });
           delete sessionCookies[domain][path][cookieName];
           removedCount++;
           console.log(`[Cookie Expiration] Removed expired cookie: ${cookieName} for ${domain}`);
@@ -688,381 +692,113 @@ function removeExpiredCookies(sessionId) {
 
 /**
  * Store cookie in session store
+ * Applies the RFC 6265bis storage rules (HttpOnly/Secure overwrite protection,
+ * expired-cookie deletion, per-domain and per-session eviction)
  * @param {string} sessionId
- * @param {string} domain
- * @param {Object} cookie
+ * @param {Object} cookie - Cookie from parseCookie() or cookieJar.fromChromeCookie()
+ * @param {Object} options - { fromHttp: boolean, secureOrigin: boolean, source?: { channel, url? } (cookie change log) }
+ * @returns {boolean} True if the cookie was stored
  */
-function storeCookie(sessionId, domain, cookie) {
-  // SECURITY: Don't store already-expired cookies
-  if (isExpiredCookie(cookie)) {
-    console.log(`[Cookie Expiration] Rejecting expired cookie: ${cookie.name} for ${domain}`);
-    return;
-  }
-
+function storeCookie(sessionId, cookie, options = {}) {
   if (!sessionStore.cookieStore[sessionId]) {
     sessionStore.cookieStore[sessionId] = {};
   }
 
-  if (!sessionStore.cookieStore[sessionId][domain]) {
-    sessionStore.cookieStore[sessionId][domain] = {};
+  const jar = sessionStore.cookieStore[sessionId];
+  const previous = jar[cookie.domain] && jar[cookie.domain][cookie.path]
+    ? jar[cookie.domain][cookie.path][cookie.name]
+    : undefined;
+
+  const result = cookieJar.insert(jar, cookie, options);
+
+  if (!result.stored) {
+    console.log(`[Cookie Jar] Not storing cookie ${cookie.name} for ${cookie.domain}: ${result.reason}`);
   }
 
-  if (!sessionStore.cookieStore[sessionId][domain][cookie.path]) {
-    sessionStore.cookieStore[sessionId][domain][cookie.path] = {};
+  // An expired cookie from the server deletes the stored one (typical for logouts)
+  if (result.stored || (result.reason === 'expired' && previous)) {
+    const source = options.source || {};
+    cookieChangeLog.record(sessionId, {
+      action: result.stored ? 'set' : 'remove',
+      channel: source.channel,
+      url: source.url,
+      domain: cookie.domain,
+      path: cookie.path,
+      name: cookie.name,
+      oldValue: previous ? previous.value : null,
+      newValue: cookie.value
+    });
   }
 
-  sessionStore.cookieStore[sessionId][domain][cookie.path][cookie.name] = cookie;
+  // Cookies the new one pushed over the per-domain or per-session limits
+  (result.evictedCookies || []).forEach(evicted => {
+    cookieChangeLog.record(sessionId, {
+      action: 'remove',
+      channel: isExpiredCookie(evicted) ? 'expiry' : 'eviction',
+      url: (options.source || {}).url,
+      domain: evicted.domain,
+      path: evicted.path,
+      name: evicted.name,
+      oldValue: evicted.value
+    });
+  });
 
   // Persist cookies after storing (debounced to avoid excessive writes)
-  persistSessions(false);
-}
-
-/**
- * Checks if a cookie has expired
- * @param {Object} cookie - The cookie object
- * @returns {boolean} True if cookie is expired
- */
-function isExpiredCookie(cookie) {
-  if (!cookie.expirationDate) {
-    return false; // No expiration = session cookie, never expires in our store
-  }
-
-  // Handle numeric timestamp (seconds since epoch)
-  if (typeof cookie.expirationDate === 'number') {
-    return Date.now() / 1000 > cookie.expirationDate;
+  // Expired cookies may have deleted an existing entry, so persist either way
+  if (result.stored || result.evicted > 0) {
+    persistSessions(false);
   }
 
-  // Handle date string
-  try {
-    const expiryTime = new Date(cookie.expirationDate).getTime();
-    return Date.now() > expiryTime;
-  } catch (e) {
-    console.error('[Cookie Expiration] Error parsing expiration date:', cookie.expirationDate, e);
-    return false; // Keep cookie if we can't parse expiration
-  }
+  return result.stored;
 }
 
 /**
- * Checks if a hostname is an IP address (IPv4 or IPv6)
- * @param {string} hostname - The hostname to check
- * @returns {boolean} True if this is an IP address
+ * Remove a cookie from a session jar and record it in the cookie change log
+ * @param {string} sessionId - Session ID
+ * @param {Object} jar - Session jar
+ * @param {string} domainKey - Domain key (host, or ".domain" for domain cookies)
+ * @param {string} path - Cookie path
+ * @param {string} name - Cookie name
+ * @param {string} channel - Change log channel (e.g. 'inspector', 'lifetime')
+ * @returns {boolean} True if the cookie existed
  */
-function isIPAddress(hostname) {
-  // IPv4 pattern: 0.0.0.0 to 255.255.255.255
-  const ipv4Pattern = /^(\d{1,3}\.){3}\d{1,3}$/;
-
-  // IPv6 patterns: handles various formats including ::1, [::1], full addresses
-  const ipv6Pattern = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/;
-  const ipv6WithBracketsPattern = /^\[([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}\]$/;
-
-  // Check IPv4
-  if (ipv4Pattern.test(hostname)) {
-    // Validate each octet is 0-255
-    const octets = hostname.split('.');
-    const isValid = octets.every(octet => {
-      const num = parseInt(octet, 10);
-      return !isNaN(num) && num >= 0 && num <= 255;
-    });
-    return isValid;
-  }
-
-  // Check IPv6 (with or without brackets)
-  if (ipv6Pattern.test(hostname) || ipv6WithBracketsPattern.test(hostname)) {
-    return true;
+function removeSessionCookie(sessionId, jar, domainKey, path, name, channel) {
+  const cookie = jar && jar[domainKey] && jar[domainKey][path] ? jar[domainKey][path][name] : undefined;
+  if (!cookieJar.remove(jar, domainKey, path, name)) {
+    return false;
   }
 
-  return false;
+  cookieChangeLog.record(sessionId, {
+    action: 'remove', channel: channel, domain: domainKey, path: path, name: name, oldValue: cookie.value
+  });
+  return true;
 }
 
 /**
- * Checks if a domain part is a valid hostname for cookie matching
- * SECURITY: Prevents matching across TLDs (e.g., .com, .co.uk)
- * COMPATIBILITY: Allows localhost, IP addresses, and single-word hostnames
- * @param {string} domainPart - The domain part to check
- * @returns {boolean} True if this is a valid hostname for cookie matching
+ * Checks if a cookie has expired
+ * Session cookies never expire here; see applyCookieLifetimePolicy for when they are dropped.
+ * @param {Object} cookie - The cookie object
+ * @returns {boolean} True if cookie is expired
  */
-function isValidSLDPlusTLD(domainPart) {
-  // Handle localhost (common in development)
-  if (domainPart === 'localhost') {
-    return true;
-  }
-
-  // Handle IP addresses (IPv4 and IPv6)
-  // IMPORTANT: Check for IP address pattern FIRST, before splitting into parts
-  // This prevents invalid IPs like "256.1.1.1" from being treated as domains
-  const looksLikeIPv4 = /^(\d{1,3}\.){3}\d{1,3}$/.test(domainPart);
-  const looksLikeIPv6 = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/.test(domainPart) ||
-                        /^\[([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}\]$/.test(domainPart);
-
-  if (looksLikeIPv4 || looksLikeIPv6) {
-    // If it looks like an IP, validate it properly
-    // This rejects invalid IPs like "256.1.1.1"
-    return isIPAddress(domainPart);
-  }
-
-  // Comprehensive list of TLDs (Top-Level Domains)
-  // SECURITY: This list prevents cookie leakage across bare TLDs (e.g., .com, .co.uk)
-  // while allowing valid domain names (e.g., google.com, google.co.uk)
-  const commonTLDs = [
-    // ===== Generic TLDs (gTLD) =====
-    'com', 'org', 'net', 'info', 'biz', 'name', 'pro', 'tel', 'mobi',
-
-    // ===== Sponsored TLDs (sTLD) =====
-    'edu', 'gov', 'mil', 'int', 'aero', 'asia', 'cat', 'coop', 'jobs',
-    'museum', 'post', 'travel', 'xxx',
-
-    // ===== New Generic TLDs (ngTLD) - Popular & Tech-focused =====
-    'app', 'dev', 'io', 'ai', 'cloud', 'tech', 'digital', 'online', 'site',
-    'website', 'space', 'host', 'store', 'shop', 'blog', 'news', 'media',
-    'email', 'link', 'live', 'social', 'network', 'web', 'services',
-    'solutions', 'systems', 'technology', 'software', 'codes', 'computer',
-    'domains', 'download', 'academy', 'agency', 'center', 'consulting',
-    'expert', 'management', 'marketing', 'support', 'wiki', 'design',
-    'studio', 'graphics', 'photos', 'video', 'works', 'zone', 'xyz',
-    'top', 'win', 'click', 'fun', 'cool', 'lol', 'game', 'games',
-    'play', 'rocks', 'world', 'city', 'today', 'life', 'style',
-    'art', 'club', 'plus', 'red', 'blue', 'pink', 'black', 'green',
-
-    // ===== Country Code TLDs (ccTLD) - Alphabetical =====
-    // A
-    'ac', 'ad', 'ae', 'af', 'ag', 'ai', 'al', 'am', 'ao', 'aq', 'ar', 'as', 'at', 'au', 'aw', 'ax', 'az',
-    // B
-    'ba', 'bb', 'bd', 'be', 'bf', 'bg', 'bh', 'bi', 'bj', 'bm', 'bn', 'bo', 'br', 'bs', 'bt', 'bw', 'by', 'bz',
-    // C
-    'ca', 'cc', 'cd', 'cf', 'cg', 'ch', 'ci', 'ck', 'cl', 'cm', 'cn', 'co', 'cr', 'cu', 'cv', 'cw', 'cx', 'cy', 'cz',
-    // D
-    'de', 'dj', 'dk', 'dm', 'do', 'dz',
-    // E
-    'ec', 'ee', 'eg', 'er', 'es', 'et', 'eu',
-    // F
-    'fi', 'fj', 'fk', 'fm', 'fo', 'fr',
-    // G
-    'ga', 'gd', 'ge', 'gf', 'gg', 'gh', 'gi', 'gl', 'gm', 'gn', 'gp', 'gq', 'gr', 'gs', 'gt', 'gu', 'gw', 'gy',
-    // H
-    'hk', 'hm', 'hn', 'hr', 'ht', 'hu',
-    // I
-    'id', 'ie', 'il', 'im', 'in', 'io', 'iq', 'ir', 'is', 'it',
-    // J
-    'je', 'jm', 'jo', 'jp',
-    // K
-    'ke', 'kg', 'kh', 'ki', 'km', 'kn', 'kp', 'kr', 'kw', 'ky', 'kz',
-    // L
-    'la', 'lb', 'lc', 'li', 'lk', 'lr', 'ls', 'lt', 'lu', 'lv', 'ly',
-    // M
-    'ma', 'mc', 'md', 'me', 'mg', 'mh', 'mk', 'ml', 'mm', 'mn', 'mo', 'mp', 'mq', 'mr', 'ms', 'mt', 'mu', 'mv', 'mw', 'mx', 'my', 'mz',
-    // N
-    'na', 'nc', 'ne', 'nf', 'ng', 'ni', 'nl', 'no', 'np', 'nr', 'nu', 'nz',
-    // O
-    'om',
-    // P
-    'pa', 'pe', 'pf', 'pg', 'ph', 'pk', 'pl', 'pm', 'pn', 'pr', 'ps', 'pt', 'pw', 'py',
-    // Q
-    'qa',
-    // R
-    're', 'ro', 'rs', 'ru', 'rw',
-    // S
-    'sa', 'sb', 'sc', 'sd', 'se', 'sg', 'sh', 'si', 'sk', 'sl', 'sm', 'sn', 'so', 'sr', 'ss', 'st', 'su', 'sv', 'sx', 'sy', 'sz',
-    // T
-    'tc', 'td', 'tf', 'tg', 'th', 'tj', 'tk', 'tl', 'tm', 'tn', 'to', 'tr', 'tt', 'tv', 'tw', 'tz',
-    // U
-    'ua', 'ug', 'uk', 'us', 'uy', 'uz',
-    // V
-    'va', 'vc', 've', 'vg', 'vi', 'vn', 'vu',
-    // W
-    'wf', 'ws',
-    // Y
-    'ye', 'yt',
-    // Z
-    'za', 'zm', 'zw',
-
-    // ===== Multi-part TLDs (Second-Level Domains) =====
-    // United Kingdom
-    'co.uk', 'ac.uk', 'gov.uk', 'org.uk', 'net.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'sch.uk',
-    // Japan
-    'co.jp', 'ac.jp', 'go.jp', 'or.jp', 'ne.jp', 'gr.jp', 'ed.jp', 'lg.jp',
-    // Australia
-    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
-    // New Zealand
-    'co.nz', 'ac.nz', 'govt.nz', 'geek.nz', 'gen.nz', 'kiwi.nz', 'maori.nz', 'net.nz', 'org.nz', 'school.nz',
-    // Brazil
-    'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br', 'mil.br', 'art.br', 'blog.br',
-    // India
-    'co.in', 'net.in', 'org.in', 'gen.in', 'firm.in', 'ind.in',
-    // South Africa
-    'co.za', 'net.za', 'org.za', 'web.za', 'gov.za', 'ac.za',
-    // Canada
-    'co.ca', 'ab.ca', 'bc.ca', 'mb.ca', 'nb.ca', 'nf.ca', 'nl.ca', 'ns.ca', 'nt.ca', 'nu.ca', 'on.ca', 'pe.ca', 'qc.ca', 'sk.ca', 'yk.ca',
-    // Mexico
-    'com.mx', 'net.mx', 'org.mx', 'edu.mx', 'gob.mx',
-    // Singapore
-    'com.sg', 'net.sg', 'org.sg', 'gov.sg', 'edu.sg', 'per.sg',
-    // Hong Kong
-    'com.hk', 'net.hk', 'org.hk', 'edu.hk', 'gov.hk',
-    // China
-    'com.cn', 'net.cn', 'org.cn', 'edu.cn', 'gov.cn', 'ac.cn',
-    // Taiwan
-    'com.tw', 'net.tw', 'org.tw', 'edu.tw', 'gov.tw', 'idv.tw',
-    // South Korea
-    'co.kr', 'ne.kr', 'or.kr', 're.kr', 'pe.kr', 'go.kr', 'mil.kr', 'ac.kr', 'hs.kr', 'ms.kr', 'es.kr', 'sc.kr', 'kg.kr',
-    // Russia
-    'com.ru', 'net.ru', 'org.ru', 'pp.ru', 'msk.ru', 'spb.ru',
-    // Germany
-    'com.de', 'net.de', 'org.de',
-    // France
-    'com.fr', 'asso.fr', 'nom.fr', 'presse.fr', 'tm.fr', 'gouv.fr',
-    // Italy
-    'com.it', 'net.it', 'org.it', 'edu.it', 'gov.it',
-    // Spain
-    'com.es', 'nom.es', 'org.es', 'gob.es', 'edu.es',
-    // Netherlands
-    'co.nl', 'net.nl', 'org.nl',
-    // Argentina
-    'com.ar', 'net.ar', 'org.ar', 'gov.ar', 'edu.ar',
-    // Chile
-    'co.cl', 'gob.cl', 'gov.cl', 'mil.cl',
-    // Colombia
-    'com.co', 'net.co', 'nom.co', 'edu.co', 'org.co', 'gov.co', 'mil.co',
-    // Venezuela
-    'co.ve', 'net.ve', 'org.ve', 'edu.ve', 'gov.ve', 'mil.ve',
-    // Peru
-    'com.pe', 'net.pe', 'org.pe', 'edu.pe', 'gob.pe', 'mil.pe', 'nom.pe',
-    // UAE
-    'co.ae', 'net.ae', 'org.ae', 'sch.ae', 'ac.ae', 'gov.ae', 'mil.ae',
-    // Saudi Arabia
-    'com.sa', 'net.sa', 'org.sa', 'gov.sa', 'edu.sa', 'sch.sa', 'med.sa', 'pub.sa',
-    // Israel
-    'co.il', 'net.il', 'org.il', 'ac.il', 'gov.il', 'idf.il', 'muni.il',
-    // Turkey
-    'com.tr', 'net.tr', 'org.tr', 'edu.tr', 'gov.tr', 'mil.tr', 'bel.tr', 'pol.tr',
-    // Thailand
-    'co.th', 'ac.th', 'go.th', 'in.th', 'mi.th', 'net.th', 'or.th',
-    // Malaysia
-    'com.my', 'net.my', 'org.my', 'edu.my', 'gov.my', 'mil.my', 'name.my',
-    // Indonesia
-    'co.id', 'ac.id', 'or.id', 'go.id', 'mil.id', 'net.id', 'web.id', 'sch.id',
-    // Philippines
-    'com.ph', 'net.ph', 'org.ph', 'edu.ph', 'gov.ph', 'mil.ph', 'ngo.ph',
-    // Vietnam
-    'com.vn', 'net.vn', 'org.vn', 'edu.vn', 'gov.vn', 'int.vn', 'ac.vn', 'biz.vn', 'info.vn', 'name.vn', 'pro.vn', 'health.vn',
-    // Pakistan
-    'com.pk', 'net.pk', 'org.pk', 'edu.pk', 'gov.pk', 'gob.pk', 'gok.pk', 'gop.pk', 'gos.pk', 'info.pk', 'web.pk',
-    // Bangladesh
-    'com.bd', 'net.bd', 'org.bd', 'edu.bd', 'gov.bd', 'mil.bd', 'ac.bd',
-    // Nigeria
-    'com.ng', 'net.ng', 'org.ng', 'edu.ng', 'gov.ng', 'mil.ng', 'mobi.ng', 'name.ng', 'sch.ng',
-    // Kenya
-    'co.ke', 'ac.ke', 'or.ke', 'go.ke', 'ne.ke', 'sc.ke', 'me.ke', 'mobi.ke', 'info.ke',
-    // Egypt
-    'com.eg', 'net.eg', 'org.eg', 'edu.eg', 'gov.eg', 'mil.eg', 'sci.eg',
-    // Poland
-    'com.pl', 'net.pl', 'org.pl', 'edu.pl', 'gov.pl', 'mil.pl', 'biz.pl', 'info.pl',
-    // Czech Republic
-    'co.cz',
-    // Greece
-    'com.gr', 'net.gr', 'org.gr', 'edu.gr', 'gov.gr',
-    // Portugal
-    'com.pt', 'edu.pt', 'gov.pt', 'int.pt', 'net.pt', 'nome.pt', 'org.pt', 'publ.pt',
-    // Sweden
-    'com.se', 'org.se',
-    // Norway
-    'com.no', 'net.no', 'org.no',
-    // Denmark
-    'co.dk',
-    // Finland
-    'com.fi',
-    // Ireland
-    'ie',
-    // Belgium
-    'co.be',
-    // Switzerland
-    'com.ch',
-    // Austria
-    'co.at', 'or.at', 'gv.at', 'ac.at',
-    // Ukraine
-    'com.ua', 'net.ua', 'org.ua', 'edu.ua', 'gov.ua',
-    // Belarus
-    'com.by', 'net.by', 'org.by',
-    // Kazakhstan
-    'com.kz', 'net.kz', 'org.kz', 'edu.kz', 'gov.kz', 'mil.kz'
-  ];
-
-  const parts = domainPart.split('.');
-
-  // SECURITY: Reject bare TLDs (.com, .org, etc.)
-  // But allow single-word hostnames (intranet, server01, etc.)
-  if (parts.length === 1) {
-    // Single word: allow it unless it's a bare TLD
-    return !commonTLDs.includes(parts[0]);
-  }
-
-  // Check against known multi-part TLDs (e.g., co.uk)
-  const lastTwoParts = parts.slice(-2).join('.');
-  if (commonTLDs.includes(lastTwoParts)) {
-    return true; // e.g., co.uk
-  }
-
-  // Check against known single-part TLDs (e.g., google.com)
-  const lastPart = parts[parts.length - 1];
-  if (commonTLDs.includes(lastPart) && parts.length === 2) {
-    return true; // e.g., google.com
-  }
-
-  // If not in list but has 2+ parts, assume valid (conservative approach)
-  return parts.length >= 2;
+function isExpiredCookie(cookie) {
+  return cookieJar.isExpired(cookie);
 }
 
+// Cookie jar uses the Public Suffix List to reject Domain attributes set on
+// public suffixes (com, co.uk, github.io, ...) and to stop parent-domain matching
+cookieJar.setPublicSuffixResolver(domain => publicSuffixList.isPublicSuffix(domain));
+
 /**
- * Get cookies for session and domain
+ * Get cookies for a request in a session
+ * Enforces domain/path matching, host-only cookies, Secure, HttpOnly and SameSite,
+ * and returns cookies in Cookie header order (longest path first, then oldest)
  * @param {string} sessionId
- * @param {string} domain
- * @param {string} path
+ * @param {string} requestUrl - Full request URL
+ * @param {Object} context - { fromHttp, initiator, topLevelUrl, type, method }
  * @returns {Array}
  */
-function getCookiesForSession(sessionId, domain, path) {
-  const cookies = [];
-  const sessionCookies = sessionStore.cookieStore[sessionId];
-
-  if (!sessionCookies) {
-    return cookies;
-  }
-
-  // Match domain and parent domains
-  const domainParts = domain.split('.');
-  const domainsToCheck = [];
-
-  // Add current domain and parent domains
-  // SECURITY FIX: Stop at valid SLD+TLD to prevent TLD-level matching
-  for (let i = 0; i < domainParts.length; i++) {
-    const domainToCheck = domainParts.slice(i).join('.');
-
-    // SECURITY: Only add domain if it's a valid SLD+TLD or more specific
-    // Prevents matching against bare TLDs like ".com"
-    if (isValidSLDPlusTLD(domainToCheck)) {
-      domainsToCheck.push(domainToCheck);
-      domainsToCheck.push('.' + domainToCheck);
-    } else {
-      // Stop iteration once we hit invalid domains (bare TLDs)
-      break;
-    }
-  }
-
-  domainsToCheck.forEach(d => {
-    if (sessionCookies[d]) {
-      Object.keys(sessionCookies[d]).forEach(p => {
-        // Check if path matches
-        if (path.startsWith(p)) {
-          Object.values(sessionCookies[d][p]).forEach(cookie => {
-            // SECURITY: Check expiration before adding
-            if (!cookie.expirationDate || !isExpiredCookie(cookie)) {
-              cookies.push(cookie);
-            }
-          });
-        }
-      });
-    }
-  });
-
-  return cookies;
+function getCookiesForSession(sessionId, requestUrl, context = {}) {
+  return cookieJar.getCookiesForRequest(sessionStore.cookieStore[sessionId], requestUrl, context);
 }
 
 // ============= Persistence Functions =============
@@ -1123,10 +859,14 @@ async function collectTabMetadata() {
 
 /**
  * Save sessions and cookies to persistent storage (debounced)
- * Uses multi-layer storage persistence (chrome.storage.local + IndexedDB + sync)
+ * Uses multi-layer storage persistence (chrome.storage.local + IndexedDB + sync).
+ * Only sessions and cookie domains that changed since the last save are written.
  * @param {boolean} immediate - If true, persist immediately without debouncing
  */
 function persistSessions(immediate = false) {
+  // Session list changes (create, rename, delete, last tab closed) all persist
+  scheduleContextMenuRefresh();
+
   if (immediate) {
     // Clear any pending timer
     if (persistTimer) {
@@ -1147,7 +887,7 @@ function persistSessions(immediate = false) {
       // Use storage persistence manager if initialized
       if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.isInitialized) {
         try {
-          await storagePersistenceManager.saveData(data);
+          await storagePersistenceManager.saveChanges(data);
 
           // CRITICAL FIX: Add flush delay to ensure IndexedDB commits to disk
           // This is especially important for Edge when browser closes immediately
@@ -1191,7 +931,7 @@ function persistSessions(immediate = false) {
 
         // Use storage persistence manager if initialized
         if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.isInitialized) {
-          storagePersistenceManager.saveData(data).catch(error => {
+          storagePersistenceManager.saveChanges(data).catch(error => {
             console.error('[Persist] Multi-layer save error:', error);
             // Fallback to basic chrome.storage.local
             fallbackPersist(data, 'debounced');
@@ -1217,22 +957,53 @@ function persistSessions(immediate = false) {
   }
 }
 
+/**
+ * Get the chrome.storage.local key of the active profile's data
+ * The default profile uses the plain key names ('sessions.<sessionId>', 'cookieStore.<sessionId>.<domain>', ...)
+ * @param {string} name - Data key name
+ * @returns {string} Storage key
+ */
+function profileStorageKey(name) {
+  if (typeof storagePersistenceManager === 'undefined') {
+    return name;
+  }
+  return storagePersistenceManager.getLocalKey(name);
+}
+
 /**
  * Fallback persistence using only chrome.storage.local
  * @param {Object} data - Data to persist
  * @param {string} mode - 'immediate' or 'debounced'
  */
 function fallbackPersist(data, mode) {
-  chrome.storage.local.set({
-    sessions: data.sessions || {},
-    cookieStore: data.cookieStore || {},
-    tabToSession: data.tabToSession || {},
-    tabMetadata: data.tabMetadata || {},  // NEW: Include tab metadata
-    _lastSaved: Date.now()
-  }, () => {
+  const key = profileStorageKey;
+  const sessions = data.sessions || {};
+  const items = {
+    [key('sessionIndex')]: Object.keys(sessions),
+    [key('tabToSession')]: data.tabToSession || {},
+    [key('tabMetadata')]: data.tabMetadata || {},  // NEW: Include tab metadata
+    [key('_lastSaved')]: Date.now()
+  };
+
+  // One key per session and per session cookie domain, plus each session's domain
+  // list (same layout as storagePersistenceManager)
+  Object.keys(sessions).forEach(sessionId => {
+    items[key('sessions.' + sessionId)] = sessions[sessionId];
+  });
+  const cookieStore = data.cookieStore || {};
+  Object.keys(cookieStore).forEach(sessionId => {
+    const jar = cookieStore[sessionId] || {};
+    items[key('cookieStore.' + sessionId)] = Object.keys(jar);
+    Object.keys(jar).forEach(domain => {
+      items[key('cookieStore.' + sessionId + '.' + domain)] = jar[domain];
+    });
+  });
+
+  chrome.storage.local.set(items, () => {
     if (chrome.runtime.lastError) {
       console.error('[Persist] Failed to persist sessions:', chrome.runtime.lastError);
     } else {
+      chrome.storage.local.remove([key('cookieStore'), key('sessions')]); // Earlier single-key layouts
       console.log(`[Persist] Sessions persisted to storage (${mode}) [FALLBACK]`);
     }
   });
@@ -1353,22 +1124,63 @@ async function loadPersistedSessions() {
   // Fallback to basic chrome.storage.local
   if (!data || data.source === 'none') {
     console.log('[Session Restore] Using fallback chrome.storage.local...');
+    const key = profileStorageKey;
     data = await new Promise((resolve) => {
-      chrome.storage.local.get(['sessions', 'cookieStore', 'tabToSession', 'tabMetadata'], (result) => {
+      chrome.storage.local.get([key('sessionIndex'), key('sessions'), key('cookieStore'), key('tabToSession'), key('tabMetadata')], (result) => {
         if (chrome.runtime.lastError) {
           console.error('[Session Restore] Failed to load sessions:', chrome.runtime.lastError);
           resolve({ sessions: {}, cookieStore: {}, tabToSession: {}, tabMetadata: {}, source: 'none' });
         } else {
           resolve({
-            sessions: result.sessions || {},
-            cookieStore: result.cookieStore || {},
-            tabToSession: result.tabToSession || {},
-            tabMetadata: result.tabMetadata || {},  // NEW: Include tab metadata
+            sessionIndex: result[key('sessionIndex')],
+            sessions: result[key('sessions')] || {},  // Earlier single-key layout
+            cookieStore: result[key('cookieStore')] || {},  // Pre-v3 single cookie key
+            tabToSession: result[key('tabToSession')] || {},
+            tabMetadata: result[key('tabMetadata')] || {},  // NEW: Include tab metadata
             source: 'local-fallback'
           });
         }
       });
     });
+
+    // Sessions have one key each once the index exists
+    if (Array.isArray(data.sessionIndex)) {
+      const sessionKeys = data.sessionIndex.map(sessionId => key('sessions.' + sessionId));
+      const records = sessionKeys.length > 0 ?
+        await new Promise(resolve => chrome.storage.local.get(sessionKeys, result => resolve(result || {}))) : {};
+      data.sessions = {};
+      data.sessionIndex.forEach((sessionId, i) => {
+        if (records[sessionKeys[i]] !== undefined) {
+          data.sessions[sessionId] = records[sessionKeys[i]];
+        }
+      });
+    }
+    delete data.sessionIndex;
+
+    // Session cookie domains have one key each, listed per session (a whole jar is the earlier layout)
+    const cookieKeys = Object.keys(data.sessions).map(sessionId => key('cookieStore.' + sessionId));
+    if (cookieKeys.length > 0) {
+      const lists = await new Promise(resolve => chrome.storage.local.get(cookieKeys, result => resolve(result || {})));
+      const domainKeys = [];
+      Object.keys(data.sessions).forEach((sessionId, i) => {
+        const stored = lists[cookieKeys[i]];
+        if (Array.isArray(stored)) {
+          data.cookieStore[sessionId] = {};
+          stored.forEach(domain => domainKeys.push([sessionId, domain, key('cookieStore.' + sessionId + '.' + domain)]));
+        } else if (stored !== undefined) {
+          data.cookieStore[sessionId] = stored;
+        }
+      });
+      if (domainKeys.length > 0) {
+        const domains = await new Promise(resolve =>
+          chrome.storage.local.get(domainKeys.map(entry => entry[2]), result => resolve(result || {})));
+        domainKeys.forEach(([sessionId, domain, domainKey]) => {
+          if (domains[domainKey] !== undefined) {
+            data.cookieStore[sessionId][domain] = domains[domainKey];
+          }
+        });
+      }
+    }
   }
 
   // Initialize with empty objects if no data
@@ -1403,6 +1215,12 @@ async function loadPersistedSessions() {
     }
   });
 
+  // Drop session cookies that should not outlive the browser session (cookie lifetime policy)
+  let lifetimeRemoved = 0;
+  Object.keys(loadedSessions).forEach(sessionId => {
+    lifetimeRemoved += applyCookieLifetimePolicy(loadedSessions[sessionId], loadedCookieStore[sessionId], 'restart');
+  });
+
   // ========== STEP 4: TIER-BASED SESSION RESTORATION ==========
 
   if (!shouldAutoRestore) {
@@ -1426,6 +1244,11 @@ async function loadPersistedSessions() {
       }
     });
 
+    if (lifetimeRemoved > 0) {
+      console.log('[Session Restore] Persisting after removing', lifetimeRemoved, 'session cookies...');
+      persistSessions(true);
+    }
+
     // Count sessions for reporting AND detect empty persistedTabs
     const totalSessions = Object.keys(sessionStore.sessions).length;
     const dormantSessions = Object.values(sessionStore.sessions).filter(s =>
@@ -1698,7 +1521,7 @@ async function loadPersistedSessions() {
     sessionStore.cookieStore = loadedCookieStore;
 
     // Step 5: Persist cleaned-up state immediately if we made changes
-    const madeChanges = staleTabCount > 0 || sessionsToDelete.length > 0;
+    const madeChanges = staleTabCount > 0 || sessionsToDelete.length > 0 || lifetimeRemoved > 0;
     if (madeChanges) {
       console.log('[Session Restore] Persisting cleaned-up state...');
       persistSessions(true);
@@ -1878,6 +1701,10 @@ async function cleanupExpiredSessions() {
       // Remove session data from in-memory store
       delete sessionStore.sessions[sessionId];
       delete sessionStore.cookieStore[sessionId];
+      cookieChangeLog.removeSession(sessionId);
+
+      // Remove the session's IndexedDB databases and caches from website origins
+      await schedulePageStorageCleanup(sessionId);
 
       // Remove tab mappings
       Object.keys(sessionStore.tabToSession).forEach(tabId => {
@@ -2226,6 +2053,25 @@ const SESSION_LIMITS = {
   enterprise: Infinity
 };
 
+/**
+ * Check if a tier-gated feature is available for the current tier
+ * @param {string} featureName - Feature key in licenseManager.TIER_FEATURES (e.g. 'sessionTemplates')
+ * @returns {{allowed: boolean, tier: string}}
+ */
+function getFeatureAccess(featureName) {
+  let tier = 'free';
+  let allowed = false;
+  try {
+    if (typeof licenseManager !== 'undefined' && licenseManager.isInitialized) {
+      tier = licenseManager.getTier();
+      allowed = licenseManager.hasFeature(featureName);
+    }
+  } catch (error) {
+    console.error(`[Feature Access] Error getting tier for ${featureName}:`, error);
+  }
+  return { allowed: allowed, tier: tier };
+}
+
 /**
  * Get count of sessions that have active tabs
  * @returns {number} Count of active sessions
@@ -2639,6 +2485,7 @@ function getAllSessions(callback) {
             customColor: session?.customColor || null,
             createdAt: session?.createdAt || null,
             lastAccessed: session?.lastAccessed || null,
+            group: session?.group || null,
             tabs: []
           };
         }
@@ -2666,6 +2513,9 @@ function getAllSessions(callback) {
           customColor: session?.customColor || null,
           createdAt: session?.createdAt || null,
           lastAccessed: session?.lastAccessed || null,
+          group: session?.group || null,
+          persistedTabs: session?.persistedTabs || [],
+          restoreMode: getSessionRestoreMode(session),
           isDormant: true
         });
       }
@@ -2682,14 +2532,15 @@ function getAllSessions(callback) {
 }
 
 /**
- * Open a dormant session by creating a new tab for it
+ * Open a dormant session
+ * Without a URL the saved tabs are restored with their layout (see restoreTabLayout).
  * @param {string} sessionId - Session ID to open
- * @param {string} url - URL to open (defaults to 'about:blank')
+ * @param {string} url - URL to open in a single tab (defaults to the saved tabs, then 'about:blank')
  * @param {Function} callback - Callback with result
  */
 function openDormantSession(sessionId, url, callback) {
   console.log('[openDormantSession] url parameter:', url, 'type:', typeof url);
-  console.log(`[openDormantSession] Opening dormant session ${sessionId} with URL: ${url || 'about:blank'}`);
+  console.log(`[openDormantSession] Opening dormant session ${sessionId} with URL: ${url || 'saved tabs'}`);
 
   // Validate session exists
   if (!sessionStore.sessions[sessionId]) {
@@ -2698,21 +2549,40 @@ function openDormantSession(sessionId, url, callback) {
     return;
   }
 
-  // Determine URL to open: explicit URL > persistedTabs URL > about:blank
+  // Determine what to open: explicit URL > persistedTabs layout > about:blank
   let targetUrl = url || 'about:blank';
   const session = sessionStore.sessions[sessionId];
 
   console.log(`[openDormantSession] Session persistedTabs:`, session.persistedTabs);
-  console.log('[openDormantSession] !url evaluates to:', !url);
-  console.log('[openDormantSession] Condition check: !url=', !url, 'persistedTabs=', session.persistedTabs, 'length=', session.persistedTabs?.length);
 
-  if (!url && session.persistedTabs && session.persistedTabs.length > 0) {
-    const firstPersistedTab = session.persistedTabs[0];
-    console.log(`[openDormantSession] First persisted tab:`, firstPersistedTab);
-    if (firstPersistedTab && firstPersistedTab.url) {
-      targetUrl = firstPersistedTab.url;
-      console.log(`[openDormantSession] Using persisted URL: ${targetUrl}`);
-    }
+  // Session cookies idle longer than the policy allows are not sent again
+  applyCookieLifetimePolicy(session, sessionStore.cookieStore[sessionId], 'reopen');
+
+  if (!url && getPersistedTabWindows(session).length > 0) {
+    restoreTabLayout(sessionId).then(result => {
+      if (!result.success) {
+        callback(result);
+        return;
+      }
+
+      session.lastAccessed = Date.now();
+      persistSessions(true);
+
+      console.log(`[openDormantSession] Successfully restored session ${sessionId} (${result.tabIds.length} tabs)`);
+      callback({
+        success: true,
+        sessionId: sessionId,
+        tabId: result.tabIds[0],
+        tabIds: result.tabIds,
+        windowIds: result.windowIds,
+        restoreMode: result.restoreMode,
+        color: session.customColor || session.color || sessionColor(sessionId)
+      });
+    }).catch(error => {
+      console.error('[openDormantSession] Restore error:', error);
+      callback({ success: false, error: error.message });
+    });
+    return;
   }
 
   console.log(`[openDormantSession] Final target URL: ${targetUrl}`);
@@ -2761,6 +2631,50 @@ function openDormantSession(sessionId, url, callback) {
   });
 }
 
+/**
+ * Open an extra tab in an existing session
+ * Maps the tab to the session and sets its badge; caller persists
+ * @param {string} sessionId - Session ID
+ * @param {string} url - URL to open
+ * @param {boolean} active - Focus the new tab
+ * @param {Object} properties - Extra chrome.tabs.create properties (e.g. windowId, pinned)
+ * @returns {Promise<Object|null>} Created tab, or null if the tab could not be created
+ */
+function openTabInSession(sessionId, url, active = false, properties = {}) {
+  return new Promise(resolve => {
+    chrome.tabs.create(Object.assign({}, properties, { url: url, active: active }), (tab) => {
+      if (chrome.runtime.lastError || !tab) {
+        console.error('[openTabInSession] tabs.create error:', chrome.runtime.lastError);
+        resolve(null);
+        return;
+      }
+
+      const session = sessionStore.sessions[sessionId];
+      if (!session) {
+        resolve(tab);
+        return;
+      }
+
+      // onCreated may already have given the tab to another session (domain heuristic)
+      const previous = sessionStore.sessions[sessionStore.tabToSession[tab.id]];
+      if (previous && previous !== session) {
+        previous.tabs = (previous.tabs || []).filter(t => t !== tab.id);
+      }
+
+      sessionStore.tabToSession[tab.id] = sessionId;
+      if (!session.tabs) {
+        session.tabs = [];
+      }
+      if (!session.tabs.includes(tab.id)) {
+        session.tabs.push(tab.id);
+      }
+      setSessionBadge(tab.id, session.color);
+
+      resolve(tab);
+    });
+  });
+}
+
 /**
  * Extract domain from URL
  * @param {string} url
@@ -2775,6 +2689,20 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Reload every open tab of a session (after a setting that pages read at load time changed)
+ * @param {Object} session - Session object
+ */
+function reloadSessionTabs(session) {
+  (session.tabs || []).forEach(tabId => {
+    chrome.tabs.reload(tabId, () => {
+      if (chrome.runtime.lastError) {
+        // Tab already closed
+      }
+    });
+  });
+}
+
 /**
  * Cleanup session when all tabs are closed
  * CRITICAL: For Free/Premium tiers, convert to DORMANT instead of deleting
@@ -2834,43 +2762,31 @@ async function cleanupSession(sessionId, tabsSnapshot = null) {
 
         const session = sessionStore.sessions[sessionId];
 
-        // Use existing persistedTabs if available (from previous conversions)
+        // Keep existing persistedTabs when no tab can be saved (from previous conversions)
         if (!session.persistedTabs) {
           session.persistedTabs = [];
         }
 
+        // Tabs that closed with their window are saved too (full layout)
+        const layoutTabIds = getClosingSessionTabIds(sessionId, tabs);
+        const closedTabs = [];
+
         // CRITICAL: Use in-memory cache first (immediate, no race conditions)
         // By the time cleanupSession() is called, tab is already removed from Chrome
         // The cache is updated immediately on every tab change (no debouncing)
         let cacheHits = 0;
         let cacheMisses = 0;
 
-        for (const tabId of tabs) {
+        for (const tabId of layoutTabIds) {
           // Try cache first (O(1) lookup, synchronous)
           const cachedMetadata = tabMetadataCache.get(tabId);
 
-          if (cachedMetadata && cachedMetadata.url && cachedMetadata.url !== 'about:blank' && cachedMetadata.url !== 'chrome://newtab/') {
-            try {
-              const urlObj = new URL(cachedMetadata.url);
-
-              // Check if this URL is already in persistedTabs (avoid duplicates)
-              const exists = session.persistedTabs.some(pt => pt.url === cachedMetadata.url);
-              if (!exists) {
-                session.persistedTabs.push({
-                  url: cachedMetadata.url,
-                  title: cachedMetadata.title || 'Untitled',
-                  domain: urlObj.hostname,
-                  path: urlObj.pathname
-                });
-                console.log(`[cleanupSession] ✓ Saved tab metadata (cache): ${cachedMetadata.url}`);
-                cacheHits++;
-              }
+          if (cachedMetadata && isRestorableTabUrl(cachedMetadata.url)) {
+            closedTabs.push(cachedMetadata);
+            console.log(`[cleanupSession] ✓ Saved tab metadata (cache): ${cachedMetadata.url}`);
+            cacheHits++;
 
-              // DEFER: Cache cleanup happens AFTER persistence confirms (see bottom of function)
-              // tabMetadataCache.delete(tabId); // Moved to after persistSessions() completes
-            } catch (urlError) {
-              console.error(`[cleanupSession] Invalid URL for tab ${tabId}:`, urlError);
-            }
+            // DEFER: Cache cleanup happens AFTER persistence confirms (see bottom of function)
           } else {
             cacheMisses++;
           }
@@ -2883,13 +2799,14 @@ async function cleanupSession(sessionId, tabsSnapshot = null) {
         if (cacheMisses > 0) {
           console.log(`[cleanupSession] Falling back to storage for ${cacheMisses} tabs`);
           try {
+            const tabMetadataKey = profileStorageKey('tabMetadata');
             const tabMetadata = await new Promise((resolve) => {
-              chrome.storage.local.get(['tabMetadata'], (result) => {
+              chrome.storage.local.get([tabMetadataKey], (result) => {
                 if (chrome.runtime.lastError) {
                   console.error('[cleanupSession] Failed to get tabMetadata:', chrome.runtime.lastError);
                   resolve({});
                 } else {
-                  resolve(result.tabMetadata || {});
+                  resolve(result[tabMetadataKey] || {});
                 }
               });
             });
@@ -2897,31 +2814,16 @@ async function cleanupSession(sessionId, tabsSnapshot = null) {
             console.log(`[cleanupSession] Loaded storage tabMetadata for ${Object.keys(tabMetadata).length} tabs`);
 
             // Process only tabs that had cache misses
-            for (const tabId of tabs) {
+            for (const tabId of layoutTabIds) {
               // Skip if already processed from cache
               if (tabMetadataCache.has(tabId)) {
                 continue;
               }
 
               const metadata = tabMetadata[tabId];
-              if (metadata && metadata.url && metadata.url !== 'about:blank' && metadata.url !== 'chrome://newtab/') {
-                try {
-                  const urlObj = new URL(metadata.url);
-
-                  // Check if this URL is already in persistedTabs (avoid duplicates)
-                  const exists = session.persistedTabs.some(pt => pt.url === metadata.url);
-                  if (!exists) {
-                    session.persistedTabs.push({
-                      url: metadata.url,
-                      title: metadata.title || 'Untitled',
-                      domain: urlObj.hostname,
-                      path: urlObj.pathname
-                    });
-                    console.log(`[cleanupSession] ✓ Saved tab metadata (storage fallback): ${metadata.url}`);
-                  }
-                } catch (urlError) {
-                  console.error(`[cleanupSession] Invalid URL for tab ${tabId}:`, urlError);
-                }
+              if (metadata && isRestorableTabUrl(metadata.url)) {
+                closedTabs.push(metadata);
+                console.log(`[cleanupSession] ✓ Saved tab metadata (storage fallback): ${metadata.url}`);
               }
             }
           } catch (error) {
@@ -2929,16 +2831,25 @@ async function cleanupSession(sessionId, tabsSnapshot = null) {
           }
         }
 
+        // Saved tabs replace the previous layout (window, position, pinned, group, history)
+        const persistedTabs = buildPersistedTabs(closedTabs);
+        if (persistedTabs.length > 0) {
+          session.persistedTabs = persistedTabs;
+        }
+
         // Clear tabs array (session is now dormant)
         session.tabs = [];
         console.log(`[cleanupSession] ✓ Session converted to DORMANT (${session.persistedTabs.length} persisted tabs)`);
 
+        // Session cookies end with the session unless its cookie lifetime policy keeps them
+        applyCookieLifetimePolicy(session, sessionStore.cookieStore[sessionId], 'dormant');
+
         // Persist the dormant session (AWAIT to ensure completion)
         await persistSessions(true);
         console.log(`[cleanupSession] ✓ Dormant session persisted`);
 
         // CLEANUP: Now that persistence is complete, clean up tab metadata cache
-        for (const tabId of tabs) {
+        for (const tabId of layoutTabIds) {
           if (tabMetadataCache.has(tabId)) {
             tabMetadataCache.delete(tabId);
             console.log(`[cleanupSession] ✓ Cleaned up cache for tab ${tabId}`);
@@ -2955,8 +2866,12 @@ async function cleanupSession(sessionId, tabsSnapshot = null) {
       console.log(`[cleanupSession] Deleting from in-memory store...`);
       delete sessionStore.sessions[sessionId];
       delete sessionStore.cookieStore[sessionId];
+      cookieChangeLog.removeSession(sessionId);
       console.log(`[cleanupSession] ✓ Deleted from in-memory store`);
 
+      // Remove the session's IndexedDB databases and caches from website origins
+      await schedulePageStorageCleanup(sessionId);
+
       // Delete from persistent storage (IndexedDB + chrome.storage.local)
       // CRITICAL: Wait for deleteSession to complete before persisting
       console.log(`[cleanupSession] Checking storagePersistenceManager...`);
@@ -3038,8 +2953,12 @@ async function deleteDormantSession(sessionId) {
     console.log(`[deleteDormantSession] Step 1: Deleting from in-memory store...`);
     delete sessionStore.sessions[sessionId];
     delete sessionStore.cookieStore[sessionId];
+    cookieChangeLog.removeSession(sessionId);
     console.log(`[deleteDormantSession] ✓ Deleted from in-memory store`);
 
+    // Remove the session's IndexedDB databases and caches from website origins
+    await schedulePageStorageCleanup(sessionId);
+
     // Remove from tabMetadataCache (defense against stale cache entries)
     console.log(`[deleteDormantSession] Checking tabMetadataCache...`);
     if (typeof tabMetadataCache !== 'undefined' && tabMetadataCache.size > 0) {
@@ -3115,7 +3034,68 @@ async function deleteDormantSession(sessionId) {
 }
 
 /**
- * Delete ALL dormant sessions (sessions without active tabs)
+ * Delete a session whether or not it has open tabs
+ * Deletes from the persistence layer first, then closes the session's tabs
+ * and removes it from memory
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} { success, message?, sessionId, results?, error? }
+ */
+async function deleteSessionById(sessionId) {
+  if (typeof storagePersistenceManager === 'undefined' || !storagePersistenceManager.isInitialized) {
+    console.error('[deleteSessionById] Storage persistence manager not initialized');
+    return { success: false, error: 'Storage persistence manager not initialized' };
+  }
+
+  // Delete from persistence layer first (critical)
+  const results = await storagePersistenceManager.deleteSession(sessionId);
+  console.log('[deleteSessionById] Persistence layer deletion results:', results);
+
+  if (!sessionStore.sessions[sessionId]) {
+    console.log('[deleteSessionById] Session not found in memory:', sessionId);
+    return {
+      success: true,
+      message: 'Session not found in memory (may have already been deleted)',
+      sessionId: sessionId,
+      results: results
+    };
+  }
+
+  const tabIds = sessionStore.sessions[sessionId].tabs || [];
+
+  // Close tabs associated with this session
+  if (tabIds.length > 0) {
+    console.log('[deleteSessionById] Closing', tabIds.length, 'tabs for session:', sessionId);
+    chrome.tabs.remove(tabIds, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[deleteSessionById] Error closing tabs:', chrome.runtime.lastError);
+      }
+    });
+  }
+
+  // Remove from in-memory structures
+  delete sessionStore.sessions[sessionId];
+  delete sessionStore.cookieStore[sessionId];
+  cookieChangeLog.removeSession(sessionId);
+
+  // Remove the session's IndexedDB databases and caches from website origins
+  schedulePageStorageCleanup(sessionId);
+
+  // Remove tab mappings
+  tabIds.forEach(tabId => {
+    delete sessionStore.tabToSession[tabId];
+  });
+
+  console.log('[deleteSessionById] ✓ Session deleted from all layers:', sessionId);
+  return {
+    success: true,
+    message: 'Session deleted successfully',
+    sessionId: sessionId,
+    results: results
+  };
+}
+
+/**
+ * Delete ALL ungrouped dormant sessions (sessions without active tabs)
  * Comprehensive multi-layer deletion across all storage systems
  * @returns {Promise<Object>} Result with success status and deleted count
  */
@@ -3130,7 +3110,8 @@ async function deleteAllDormantSessions() {
       const session = sessionStore.sessions[sessionId];
 
       // Check if session is dormant (no active tabs or empty tabs array)
-      if (!session.tabs || session.tabs.length === 0) {
+      // Grouped sessions are deleted with their group (deleteSessionGroup)
+      if ((!session.tabs || session.tabs.length === 0) && !session.group) {
         dormantSessionIds.push(sessionId);
       }
     }
@@ -3159,6 +3140,7 @@ async function deleteAllDormantSessions() {
         console.log(`[deleteAllDormantSessions] - Deleting ${sessionId} from in-memory store...`);
         delete sessionStore.sessions[sessionId];
         delete sessionStore.cookieStore[sessionId];
+        cookieChangeLog.removeSession(sessionId);
 
         // Step 2b: Remove from tabMetadataCache (defense against stale cache entries)
         if (typeof tabMetadataCache !== 'undefined' && tabMetadataCache.size > 0) {
@@ -3174,6 +3156,9 @@ async function deleteAllDormantSessions() {
           }
         }
 
+        // Step 2c: Remove the session's IndexedDB databases from website origins
+        await schedulePageStorageCleanup(sessionId);
+
         console.log(`[deleteAllDormantSessions] ✓ Successfully deleted ${sessionId} from memory`);
         successCount++;
 
@@ -3248,48 +3233,263 @@ async function deleteAllDormantSessions() {
   }
 }
 
-// ============= Session Naming (Premium/Enterprise Feature) =============
+// ============= Page Storage Cleanup =============
 
 /**
- * Session name validation rules and error messages
+ * Page storage cleanup configuration
+ * IndexedDB databases and Cache Storage caches created in session tabs live in
+ * the website's origin (named __SID_<sessionId>__<name>), so the background page
+ * cannot delete them directly. Deleted session IDs are remembered here and content
+ * scripts delete matching databases and caches when they next run on an origin.
  */
-const SESSION_NAME_RULES = {
-  MIN_LENGTH: 1,              // After trimming
-  MAX_LENGTH: 50,             // Characters (including emojis)
-  ALLOW_EMOJIS: true,         // ✅ "🎨 Work Gmail"
-  ALLOW_SPACES: true,         // ✅ "Work Gmail"
-  ALLOW_NUMBERS: true,        // ✅ "Client 1"
-  ALLOW_PUNCTUATION: true,    // ✅ "Client A - Facebook"
-  BLOCK_HTML: true,           // ❌ "<script>alert(1)</script>"
-  BLOCK_DANGEROUS_CHARS: ['<', '>', '"', "'", '`'],
-  TRIM_WHITESPACE: true,      // "  Work  " → "Work"
-  COLLAPSE_SPACES: true,      // "Work    Gmail" → "Work Gmail"
-  ALLOW_DUPLICATES: false,    // ❌ Case-insensitive unique names
-  CASE_SENSITIVE_CHECK: false // "Work Gmail" = "work gmail"
-};
-
-const SESSION_NAME_ERRORS = {
-  EMPTY: 'Session name cannot be empty',
-  TOO_LONG: 'Session name must be 50 characters or less',
-  INVALID_CHARS: 'Session name contains invalid characters (< > " \' `)',
-  DUPLICATE: 'Session name already exists. Please choose a different name.',
-  NOT_STRING: 'Session name must be text',
-  SESSION_NOT_FOUND: 'Session not found',
-  TIER_RESTRICTED: 'Session naming is a Premium feature'
+const PAGE_STORAGE_CLEANUP = {
+  STORAGE_KEY: 'pendingPageStorageCleanup',
+  RETENTION_MS: 30 * 24 * 60 * 60 * 1000 // Forget deleted sessions after 30 days
 };
 
 /**
- * Sanitize session name for safe display
- * Removes dangerous characters and normalizes whitespace
- * @param {string} name - Session name to sanitize
- * @returns {string} Sanitized name
+ * Get session IDs whose page storage (IndexedDB, Cache Storage) still needs to be removed
+ * Prunes entries older than the retention period
+ * @returns {Promise<Array<string>>} Deleted session IDs
  */
-function sanitizeSessionName(name) {
-  if (typeof name !== 'string') {
-    return '';
+async function getPendingPageStorageCleanup() {
+  const data = await storageGet([PAGE_STORAGE_CLEANUP.STORAGE_KEY]);
+  const pending = data[PAGE_STORAGE_CLEANUP.STORAGE_KEY] || {};
+  const now = Date.now();
+  let pruned = false;
+
+  Object.keys(pending).forEach(sessionId => {
+    // Session came back (e.g. re-imported) or entry is too old
+    if (sessionStore.sessions[sessionId] || now - pending[sessionId] > PAGE_STORAGE_CLEANUP.RETENTION_MS) {
+      delete pending[sessionId];
+      pruned = true;
+    }
+  });
+
+  if (pruned) {
+    await storageSet({ [PAGE_STORAGE_CLEANUP.STORAGE_KEY]: pending });
   }
 
-  let sanitized = name;
+  return Object.keys(pending);
+}
+
+/**
+ * Schedule removal of a deleted session's page storage (IndexedDB, Cache Storage) in every origin
+ * Open tabs are told immediately; other origins clean up on their next visit
+ * @param {string} sessionId - Deleted session ID
+ * @returns {Promise<void>}
+ */
+async function schedulePageStorageCleanup(sessionId) {
+  try {
+    const data = await storageGet([PAGE_STORAGE_CLEANUP.STORAGE_KEY]);
+    const pending = data[PAGE_STORAGE_CLEANUP.STORAGE_KEY] || {};
+    pending[sessionId] = Date.now();
+    await storageSet({ [PAGE_STORAGE_CLEANUP.STORAGE_KEY]: pending });
+
+    // Imported storage snapshots that were never restored
+    await updatePendingStorageSnapshots(snapshots => {
+      delete snapshots[sessionId];
+    });
+
+    console.log(`[Page Storage Cleanup] Scheduled page storage cleanup for session ${sessionId}`);
+
+    chrome.tabs.query({}, (tabs) => {
+      if (chrome.runtime.lastError || !tabs) {
+        return;
+      }
+
+      tabs.forEach(tab => {
+        if (!tab.url || !/^https?:/.test(tab.url)) {
+          return;
+        }
+
+        chrome.tabs.sendMessage(tab.id, {
+          action: 'cleanupSessionStorage',
+          sessionIds: [sessionId]
+        }, () => {
+          // Ignore errors (tab may not have content scripts)
+          if (chrome.runtime.lastError) {
+            // Silent ignore
+          }
+        });
+      });
+    });
+  } catch (error) {
+    console.error('[Page Storage Cleanup] Failed to schedule cleanup:', error);
+  }
+}
+
+// ============= Service Worker Policy =============
+
+/**
+ * Service worker policy configuration
+ * Service workers and their caches are shared by every tab on an origin, so they
+ * cannot be isolated per session. Session tabs apply one of these modes per site
+ * (registrable domain):
+ * - block: session tabs cannot register workers or see existing registrations.
+ *   Workers registered outside the session are left alone (a page they already
+ *   control stays controlled).
+ * - cachebust: same-origin GET requests get a per-session query parameter
+ *   (an opaque token, not the session ID), so worker caches miss
+ * - allow: no isolation (workers shared with other sessions)
+ * Tabs outside sessions are never affected.
+ */
+const SERVICE_WORKER_POLICY = {
+  STORAGE_KEY: 'serviceWorkerPolicy',
+  MODES: ['block', 'cachebust', 'allow'],
+  DEFAULT_MODE: 'block',
+  CACHE_BUST_TOKEN_BYTES: 12
+};
+
+/**
+ * Per-site service worker modes, loaded during initialization
+ * @type {Object<string, string>} site -> mode
+ */
+let serviceWorkerPolicySites = {};
+
+/**
+ * Load the per-site service worker policy from storage
+ * @returns {Promise<void>}
+ */
+async function loadServiceWorkerPolicy() {
+  try {
+    const data = await storageGet([SERVICE_WORKER_POLICY.STORAGE_KEY]);
+    const policy = data[SERVICE_WORKER_POLICY.STORAGE_KEY];
+    const sites = (policy && policy.sites) || {};
+    // Modes that no longer exist (e.g. 'header') fall back to the default
+    serviceWorkerPolicySites = {};
+    Object.keys(sites).forEach(site => {
+      if (SERVICE_WORKER_POLICY.MODES.indexOf(sites[site]) !== -1 && sites[site] !== SERVICE_WORKER_POLICY.DEFAULT_MODE) {
+        serviceWorkerPolicySites[site] = sites[site];
+      }
+    });
+    console.log(`[SW Policy] ✓ Loaded ${Object.keys(serviceWorkerPolicySites).length} site policies`);
+  } catch (error) {
+    console.error('[SW Policy] ✗ Failed to load policy:', error);
+    serviceWorkerPolicySites = {};
+  }
+}
+
+/**
+ * Get the policy key for a URL (registrable domain, or hostname for IPs/localhost)
+ * @param {string} url - Page or request URL
+ * @returns {string|null} Site key, or null for non-HTTP URLs
+ */
+function getServiceWorkerPolicySite(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    const hostname = parsed.hostname.toLowerCase();
+    if (cookieJar.isIPAddress(hostname)) {
+      return hostname;
+    }
+    return publicSuffixList.getRegistrableDomain(hostname) || hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the service worker mode that applies to a URL in session tabs
+ * @param {string} url - Page or request URL
+ * @returns {string} One of SERVICE_WORKER_POLICY.MODES
+ */
+function getServiceWorkerMode(url) {
+  const site = getServiceWorkerPolicySite(url);
+  return (site && serviceWorkerPolicySites[site]) || SERVICE_WORKER_POLICY.DEFAULT_MODE;
+}
+
+/**
+ * Get a session's cache-busting token (created on first use, saved with the session)
+ * Random, so URLs seen by the site and its service worker do not reveal the session ID
+ * @param {string} sessionId - Session ID
+ * @returns {string|null} Hex token, or null if the session does not exist
+ */
+function getCacheBustToken(sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return null;
+  }
+  if (!session.cacheBustToken) {
+    const bytes = crypto.getRandomValues(new Uint8Array(SERVICE_WORKER_POLICY.CACHE_BUST_TOKEN_BYTES));
+    session.cacheBustToken = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    persistSessions();
+  }
+  return session.cacheBustToken;
+}
+
+/**
+ * Set the service worker mode for a site
+ * Tabs pick up the new mode on their next page load
+ * @param {string} url - Any URL on the site
+ * @param {string} mode - One of SERVICE_WORKER_POLICY.MODES
+ * @returns {Promise<Object>} { success, site?, mode?, error? }
+ */
+async function setServiceWorkerMode(url, mode) {
+  const site = getServiceWorkerPolicySite(url);
+  if (!site) {
+    return { success: false, error: 'Service worker policy only applies to http(s) sites' };
+  }
+  if (SERVICE_WORKER_POLICY.MODES.indexOf(mode) === -1) {
+    return { success: false, error: `Invalid mode: ${mode}` };
+  }
+
+  if (mode === SERVICE_WORKER_POLICY.DEFAULT_MODE) {
+    delete serviceWorkerPolicySites[site];
+  } else {
+    serviceWorkerPolicySites[site] = mode;
+  }
+
+  await storageSet({ [SERVICE_WORKER_POLICY.STORAGE_KEY]: { sites: serviceWorkerPolicySites } });
+  console.log(`[SW Policy] ✓ ${site} set to ${mode}`);
+
+  return { success: true, site: site, mode: mode };
+}
+
+// ============= Session Naming (Premium/Enterprise Feature) =============
+
+/**
+ * Session name validation rules and error messages
+ */
+const SESSION_NAME_RULES = {
+  MIN_LENGTH: 1,              // After trimming
+  MAX_LENGTH: 50,             // Characters (including emojis)
+  ALLOW_EMOJIS: true,         // ✅ "🎨 Work Gmail"
+  ALLOW_SPACES: true,         // ✅ "Work Gmail"
+  ALLOW_NUMBERS: true,        // ✅ "Client 1"
+  ALLOW_PUNCTUATION: true,    // ✅ "Client A - Facebook"
+  BLOCK_HTML: true,           // ❌ "<script>alert(1)</script>"
+  BLOCK_DANGEROUS_CHARS: ['<', '>', '"', "'", '`'],
+  TRIM_WHITESPACE: true,      // "  Work  " → "Work"
+  COLLAPSE_SPACES: true,      // "Work    Gmail" → "Work Gmail"
+  ALLOW_DUPLICATES: false,    // ❌ Case-insensitive unique names
+  CASE_SENSITIVE_CHECK: false // "Work Gmail" = "work gmail"
+};
+
+const SESSION_NAME_ERRORS = {
+  EMPTY: 'Session name cannot be empty',
+  TOO_LONG: 'Session name must be 50 characters or less',
+  INVALID_CHARS: 'Session name contains invalid characters (< > " \' `)',
+  DUPLICATE: 'Session name already exists. Please choose a different name.',
+  NOT_STRING: 'Session name must be text',
+  SESSION_NOT_FOUND: 'Session not found',
+  TIER_RESTRICTED: 'Session naming is a Premium feature'
+};
+
+/**
+ * Sanitize session name for safe display
+ * Removes dangerous characters and normalizes whitespace
+ * @param {string} name - Session name to sanitize
+ * @returns {string} Sanitized name
+ */
+function sanitizeSessionName(name) {
+  if (typeof name !== 'string') {
+    return '';
+  }
+
+  let sanitized = name;
 
   // Trim whitespace
   if (SESSION_NAME_RULES.TRIM_WHITESPACE) {
@@ -3546,15 +3746,174 @@ const COMPRESSION_THRESHOLD = 100 * 1024; // 100KB
 
 /**
  * Export schema version
+ * 1.1: optional per-origin storage snapshots (session.storage)
+ */
+const EXPORT_SCHEMA_VERSION = '1.1';
+
+/**
+ * Storage snapshot configuration
+ * Snapshots of a session's prefixed localStorage/sessionStorage/IndexedDB are
+ * collected from open tabs on export. Imported snapshots wait in storage until a
+ * tab of the new session first visits the origin.
+ */
+const STORAGE_SNAPSHOT = {
+  PENDING_KEY: 'pendingStorageSnapshots',
+  COLLECT_TIMEOUT_MS: 5000
+};
+
+/**
+ * Serializes read-modify-write access to pending snapshots
+ * @type {Promise}
+ */
+let storageSnapshotQueue = Promise.resolve();
+
+/**
+ * Run an update of the pending snapshot map (one at a time)
+ * @param {Function} update - Receives the pending map, returns a result (may modify the map)
+ * @returns {Promise<*>} Result of update
+ */
+function updatePendingStorageSnapshots(update) {
+  const run = storageSnapshotQueue.then(async () => {
+    const data = await storageGet([STORAGE_SNAPSHOT.PENDING_KEY]);
+    const pending = data[STORAGE_SNAPSHOT.PENDING_KEY] || {};
+    const before = JSON.stringify(pending);
+    const result = update(pending);
+    if (JSON.stringify(pending) !== before) {
+      await storageSet({ [STORAGE_SNAPSHOT.PENDING_KEY]: pending });
+    }
+    return result;
+  });
+  storageSnapshotQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Validate imported storage snapshots (drops anything malformed)
+ * @param {Object} storage - origin -> { localStorage, sessionStorage, indexedDB }
+ * @returns {Object} Sanitized snapshots
+ */
+function sanitizeStorageSnapshots(storage) {
+  const sanitized = {};
+  if (!storage || typeof storage !== 'object') {
+    return sanitized;
+  }
+
+  const stringMap = (items) => {
+    const result = {};
+    if (items && typeof items === 'object') {
+      Object.keys(items).forEach(key => {
+        if (typeof items[key] === 'string') {
+          result[key] = items[key];
+        }
+      });
+    }
+    return result;
+  };
+
+  Object.keys(storage).forEach(origin => {
+    try {
+      const parsed = new URL(origin);
+      if ((parsed.protocol !== 'http:' && parsed.protocol !== 'https:') || parsed.origin !== origin) {
+        return;
+      }
+    } catch (e) {
+      return;
+    }
+
+    const snapshot = storage[origin] || {};
+    sanitized[origin] = {
+      localStorage: stringMap(snapshot.localStorage),
+      sessionStorage: stringMap(snapshot.sessionStorage),
+      indexedDB: Array.isArray(snapshot.indexedDB)
+        ? snapshot.indexedDB.filter(db => db && typeof db.name === 'string' && Array.isArray(db.stores))
+        : []
+    };
+  });
+
+  return sanitized;
+}
+
+/**
+ * Collect storage snapshots from a session's open tabs (top frames only)
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} tabs - Chrome tabs in the session
+ * @returns {Promise<Object>} origin -> snapshot
+ */
+async function collectStorageSnapshots(sessionId, tabs) {
+  const snapshots = {};
+
+  for (const tab of tabs) {
+    if (!tab.url || !/^https?:/.test(tab.url)) {
+      continue;
+    }
+
+    const response = await new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), STORAGE_SNAPSHOT.COLLECT_TIMEOUT_MS);
+      chrome.tabs.sendMessage(tab.id, { action: 'collectStorageSnapshot', sessionId: sessionId }, { frameId: 0 }, (result) => {
+        clearTimeout(timer);
+        // Tab may not have content scripts (e.g. still loading)
+        resolve(chrome.runtime.lastError ? null : result);
+      });
+    });
+
+    if (response && response.success && response.snapshot && !snapshots[response.origin]) {
+      snapshots[response.origin] = response.snapshot;
+    }
+  }
+
+  return snapshots;
+}
+
+/**
+ * Remember imported snapshots until the new session visits each origin
+ * @param {string} sessionId - New session ID
+ * @param {Object} snapshots - Sanitized origin -> snapshot map
+ * @returns {Promise<void>}
+ */
+async function savePendingStorageSnapshots(sessionId, snapshots) {
+  if (Object.keys(snapshots).length === 0) {
+    return;
+  }
+
+  await updatePendingStorageSnapshots(pending => {
+    pending[sessionId] = snapshots;
+  });
+  console.log(`[Storage Snapshot] Saved ${Object.keys(snapshots).length} origin snapshots for session ${sessionId}`);
+}
+
+/**
+ * Take the pending snapshot for a session and origin (returned only once)
+ * @param {string} sessionId - Session ID
+ * @param {string} origin - Page origin
+ * @returns {Promise<Object|null>} Snapshot or null
  */
-const EXPORT_SCHEMA_VERSION = '1.0';
+async function claimPendingStorageSnapshot(sessionId, origin) {
+  return updatePendingStorageSnapshots(pending => {
+    const sessionSnapshots = pending[sessionId];
+    if (!sessionSnapshots || !sessionSnapshots[origin]) {
+      return null;
+    }
+
+    const snapshot = sessionSnapshots[origin];
+    delete sessionSnapshots[origin];
+    if (Object.keys(sessionSnapshots).length === 0) {
+      delete pending[sessionId];
+    }
+    return snapshot;
+  });
+}
 
 /**
  * Sanitize session data for export (remove sensitive/temporary fields)
+ * Header rule values (often API keys or bearer tokens) are kept, so the rules work
+ * after import. With omitHeaderRuleValues each value is emptied and the rule marked
+ * valueRemoved.
  * @param {Object} session - Session object
+ * @param {Object} cookieStore - Cookie store to read from (defaults to the loaded profile's)
+ * @param {Object} options - { omitHeaderRuleValues?: boolean }
  * @returns {Promise<Object>} Sanitized session data
  */
-async function sanitizeExportData(session) {
+async function sanitizeExportData(session, cookieStore = sessionStore.cookieStore, options = {}) {
   const sanitized = {
     id: session.id,
     name: session.name || null,
@@ -3566,8 +3925,31 @@ async function sanitizeExportData(session) {
     persistedTabs: []
   };
 
-  // Copy cookies (if exist in sessionStore.cookieStore)
-  const sessionCookies = sessionStore.cookieStore[session.id] || {};
+  if (Array.isArray(session.headerRules) && session.headerRules.length > 0) {
+    sanitized.headerRules = session.headerRules.map(rule => {
+      const copy = Object.assign({}, rule);
+      if (options.omitHeaderRuleValues && copy.value) {
+        copy.value = '';
+        copy.valueRemoved = true;
+      }
+      return copy;
+    });
+  }
+
+  if (session.group) {
+    sanitized.group = session.group;
+  }
+
+  if (session.restoreMode) {
+    sanitized.restoreMode = session.restoreMode;
+  }
+
+  if (session.cookieLifetime) {
+    sanitized.cookieLifetime = JSON.parse(JSON.stringify(session.cookieLifetime));
+  }
+
+  // Copy cookies (if exist in the cookie store)
+  const sessionCookies = cookieStore[session.id] || {};
   sanitized.cookies = JSON.parse(JSON.stringify(sessionCookies)); // Deep clone
 
   // Query tabs directly from Chrome Tabs API
@@ -3581,29 +3963,38 @@ async function sanitizeExportData(session) {
         });
       });
 
-      // Extract tab metadata for persistence
-      tabs.forEach(tab => {
-        if (tab.url && tab.url !== 'about:blank' && tab.url !== 'chrome://newtab/') {
-          try {
-            const urlObj = new URL(tab.url);
-            sanitized.persistedTabs.push({
-              url: tab.url,
-              title: tab.title || 'Untitled',
-              domain: urlObj.hostname,
-              path: urlObj.pathname
-            });
-          } catch (error) {
-            console.warn(`[sanitizeExportData] Invalid URL for tab ${tab.id}:`, tab.url);
-          }
-        }
-      });
+      // Extract tab metadata and layout for persistence
+      sanitized.persistedTabs = buildPersistedTabs(tabs.map(getOpenTabLayout));
 
       console.log(`[sanitizeExportData] Collected ${sanitized.persistedTabs.length} persisted tabs for session ${session.id}`);
+
+      // Client-side storage (localStorage, sessionStorage, IndexedDB) per origin
+      const snapshots = await collectStorageSnapshots(session.id, tabs);
+      if (Object.keys(snapshots).length > 0) {
+        sanitized.storage = snapshots;
+      }
+      console.log(`[sanitizeExportData] Collected storage snapshots for ${Object.keys(snapshots).length} origins`);
     } catch (error) {
       console.error(`[sanitizeExportData] Failed to query tabs:`, error);
     }
   }
 
+  // Dormant sessions keep the URLs saved when their last tab closed
+  if (sanitized.persistedTabs.length === 0 && Array.isArray(session.persistedTabs)) {
+    sanitized.persistedTabs = JSON.parse(JSON.stringify(session.persistedTabs));
+  }
+
+  // Imported snapshots not yet restored travel with the session
+  try {
+    const data = await storageGet([STORAGE_SNAPSHOT.PENDING_KEY]);
+    const pendingSnapshots = (data[STORAGE_SNAPSHOT.PENDING_KEY] || {})[session.id];
+    if (pendingSnapshots) {
+      sanitized.storage = Object.assign({}, pendingSnapshots, sanitized.storage || {});
+    }
+  } catch (error) {
+    console.error(`[sanitizeExportData] Failed to read pending storage snapshots:`, error);
+  }
+
   return sanitized;
 }
 
@@ -3697,12 +4088,32 @@ function decompressData(compressedData) {
   }
 }
 
+/**
+ * Count the header rule values an export holds and the ones left out
+ * @param {Array<Object>} sessions - Sanitized sessions
+ * @returns {{included: number, removed: number}} Numbers of rules
+ */
+function countHeaderRuleValues(sessions) {
+  const counts = { included: 0, removed: 0 };
+  sessions.forEach(session => {
+    (session.headerRules || []).forEach(rule => {
+      if (rule.valueRemoved) {
+        counts.removed++;
+      } else if (rule.value) {
+        counts.included++;
+      }
+    });
+  });
+  return counts;
+}
+
 /**
  * Export a single session to JSON
  * @param {string} sessionId - Session ID to export
  * @param {Object} options - Export options
  * @param {boolean} options.encrypt - Encrypt export (Enterprise only)
  * @param {string} options.password - Encryption password (if encrypt=true)
+ * @param {boolean} options.omitHeaderRuleValues - Leave header rule values out
  * @returns {Promise<Object>} Export result
  */
 async function exportSession(sessionId, options = {}) {
@@ -3752,8 +4163,13 @@ async function exportSession(sessionId, options = {}) {
       };
     }
 
-    // Sanitize session data
-    const exportData = await sanitizeExportData(session);
+    // Sanitize session data (header rule values are kept unless the caller opts out)
+    const encrypt = !!(options.encrypt && options.password);
+    const exportData = await sanitizeExportData(session, sessionStore.cookieStore, { omitHeaderRuleValues: options.omitHeaderRuleValues === true });
+    const headerRuleValues = countHeaderRuleValues([exportData]);
+    if (headerRuleValues.included > 0 && !encrypt) {
+      console.warn(`[exportSession] Export holds ${headerRuleValues.included} header rule values in plain text`);
+    }
 
     // Build export file structure
     const exportFile = {
@@ -3847,6 +4263,8 @@ async function exportSession(sessionId, options = {}) {
       originalSize: originalSize,
       compressed: compressed,
       encrypted: options.encrypt || false,
+      headerRuleValuesRemoved: headerRuleValues.removed,
+      headerRuleValuesUnencrypted: encrypt ? 0 : headerRuleValues.included,
       tier: tier
     };
   } catch (error) {
@@ -3862,10 +4280,12 @@ async function exportSession(sessionId, options = {}) {
 }
 
 /**
- * Export all active sessions (Enterprise only)
+ * Export all active sessions, or every session of a group (Enterprise only)
  * @param {Object} options - Export options
  * @param {boolean} options.encrypt - Encrypt export
  * @param {string} options.password - Encryption password (if encrypt=true)
+ * @param {string} options.group - Export this group's sessions (active and dormant) instead
+ * @param {boolean} options.omitHeaderRuleValues - Leave header rule values out
  * @returns {Promise<Object>} Export result
  */
 async function exportAllSessions(options = {}) {
@@ -3894,27 +4314,32 @@ async function exportAllSessions(options = {}) {
       };
     }
 
-    // Get all active sessions
+    // Get all active sessions (or the group's sessions)
     const sessions = Object.values(sessionStore.sessions).filter(session =>
-      session.tabs && session.tabs.length > 0
+      options.group ? session.group === options.group : session.tabs && session.tabs.length > 0
     );
 
     if (sessions.length === 0) {
       console.warn('[exportAllSessions] No active sessions to export');
       return {
         success: false,
-        message: 'No active sessions available for export'
+        message: options.group ? 'No sessions in this group' : 'No active sessions available for export'
       };
     }
 
     console.log('[exportAllSessions] Exporting', sessions.length, 'sessions');
 
-    // Sanitize all session data
+    // Sanitize all session data (header rule values are kept unless the caller opts out)
+    const encrypt = !!(options.encrypt && options.password);
     const exportSessions = [];
     for (const session of sessions) {
-      const sanitized = await sanitizeExportData(session);
+      const sanitized = await sanitizeExportData(session, sessionStore.cookieStore, { omitHeaderRuleValues: options.omitHeaderRuleValues === true });
       exportSessions.push(sanitized);
     }
+    const headerRuleValues = countHeaderRuleValues(exportSessions);
+    if (headerRuleValues.included > 0 && !encrypt) {
+      console.warn(`[exportAllSessions] Export holds ${headerRuleValues.included} header rule values in plain text`);
+    }
 
     // Build export file structure
     const exportFile = {
@@ -3980,7 +4405,10 @@ async function exportAllSessions(options = {}) {
 
     // Generate filename
     const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `sessner_ALL-SESSIONS_${timestamp}_${sessions.length}sessions.json`;
+    const label = options.group
+      ? 'GROUP-' + (options.group.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed')
+      : 'ALL-SESSIONS';
+    const filename = `sessner_${label}_${timestamp}_${sessions.length}sessions.json`;
 
     console.log('[exportAllSessions] ✓ Bulk export successful');
     console.log('[exportAllSessions] Filename:', filename);
@@ -3998,6 +4426,8 @@ async function exportAllSessions(options = {}) {
       originalSize: originalSize,
       compressed: compressed,
       encrypted: options.encrypt || false,
+      headerRuleValuesRemoved: headerRuleValues.removed,
+      headerRuleValuesUnencrypted: encrypt ? 0 : headerRuleValues.included,
       tier: tier
     };
   } catch (error) {
@@ -4159,6 +4589,34 @@ async function validateImportFile(fileData, password = null) {
   }
 }
 
+/**
+ * Decode a validated export file (decrypt and decompress)
+ * Call validateImportFile() first; this does not re-check the schema
+ * @param {string} fileData - File content (JSON string)
+ * @param {string} password - Password for decryption (if encrypted)
+ * @returns {Promise<Object>} Export file object with plaintext sessions
+ */
+async function decodeImportFile(fileData, password = null) {
+  let importFile = JSON.parse(fileData);
+
+  if (importFile.encrypted && importFile.encryptedData) {
+    const decryptedData = await cryptoUtils.decryptData(importFile.encryptedData, password);
+    if (importFile.compressed) {
+      const decompressed = decompressData(decryptedData);
+      importFile = JSON.parse(decompressed);
+    } else {
+      importFile = JSON.parse(decryptedData);
+    }
+  } else if (importFile.compressed) {
+    const decompressed = decompressData(importFile.sessions || fileData);
+    if (decompressed !== (importFile.sessions || fileData)) {
+      importFile.sessions = JSON.parse(decompressed);
+    }
+  }
+
+  return importFile;
+}
+
 /**
  * Import sessions from file
  * @param {string} fileData - File content (JSON string)
@@ -4199,22 +4657,7 @@ async function importSessions(fileData, options = {}) {
     }
 
     // Parse file (re-parse after validation/decryption)
-    let importFile = JSON.parse(fileData);
-
-    if (importFile.encrypted && importFile.encryptedData) {
-      const decryptedData = await cryptoUtils.decryptData(importFile.encryptedData, options.password);
-      if (importFile.compressed) {
-        const decompressed = decompressData(decryptedData);
-        importFile = JSON.parse(decompressed);
-      } else {
-        importFile = JSON.parse(decryptedData);
-      }
-    } else if (importFile.compressed) {
-      const decompressed = decompressData(importFile.sessions || fileData);
-      if (decompressed !== (importFile.sessions || fileData)) {
-        importFile.sessions = JSON.parse(decompressed);
-      }
-    }
+    const importFile = await decodeImportFile(fileData, options.password);
 
     const sessionsToImport = importFile.sessions;
     console.log('[importSessions] Importing', sessionsToImport.length, 'sessions');
@@ -4249,7 +4692,11 @@ async function importSessions(fileData, options = {}) {
         createdAt: Date.now(), // Use current timestamp
         lastAccessed: Date.now(),
         tabs: [], // No tabs initially (sessions are imported without active tabs)
-        persistedTabs: sessionData.persistedTabs || [] // Import persisted tab metadata
+        persistedTabs: sessionData.persistedTabs || [], // Import persisted tab metadata
+        headerRules: sanitizeImportedHeaderRules(sessionData.headerRules),
+        group: sanitizeSessionGroupName(sessionData.group),
+        restoreMode: sanitizeRestoreMode(sessionData.restoreMode),
+        cookieLifetime: sanitizeCookieLifetimePolicy(sessionData.cookieLifetime)
       };
 
       console.log('[importSessions] Session persistedTabs:', sessionStore.sessions[newSessionId].persistedTabs);
@@ -4261,6 +4708,11 @@ async function importSessions(fileData, options = {}) {
         sessionStore.cookieStore[newSessionId] = {};
       }
 
+      // Storage snapshots are restored when a tab of the new session visits each origin
+      if (sessionData.storage) {
+        await savePendingStorageSnapshots(newSessionId, sanitizeStorageSnapshots(sessionData.storage));
+      }
+
       imported.push({
         sessionId: newSessionId,
         name: sessionName,
@@ -4298,1272 +4750,5741 @@ async function importSessions(fileData, options = {}) {
   }
 }
 
-// ============= WebRequest Interception =============
+// ============= Session Templates (Premium/Enterprise Feature) =============
 
 /**
- * Intercept outgoing requests and inject session cookies
+ * Session template configuration
+ * A template is a blueprint for new sessions:
+ * {
+ *   id, name,
+ *   namePattern,   // e.g. "QA {n}" - {n} next free number, {date} YYYY-MM-DD, {template} template name
+ *   color,         // Custom hex color (applied on Enterprise tier only)
+ *   startUrls,     // First URL opens in the session's first tab, the rest in background tabs
+ *   seedCookies,   // Cookie jar records copied into every new session
+ *   seedStorage,   // origin -> storage snapshot (same format as session export)
+ *   inheritance,   // { openedTabs, noopenerLinks, domains } - see canInheritSession()
+ *   createdAt, updatedAt, sourceSessionId
+ * }
  */
-chrome.webRequest.onBeforeSendHeaders.addListener(
-  function(details) {
-    // CRITICAL FIX: Wait for initialization before processing requests
-    // This prevents tab requests during browser startup from executing before
-    // session restoration completes (fixes tab restoration race condition)
-    if (initializationManager.currentState !== initializationManager.STATES.READY) {
-      console.log(`[onBeforeSendHeaders] ⏳ Waiting for initialization (state: ${initializationManager.currentState})`);
-      console.log(`[onBeforeSendHeaders] Tab ${details.tabId} requesting ${details.url}`);
-      console.log(`[onBeforeSendHeaders] Request proceeding WITHOUT session cookies (will reload after initialization)`);
-      // Allow request to proceed without session cookies
-      // Tab will reload after session restoration completes
-      return { requestHeaders: details.requestHeaders };
-    }
-
-    // Log every request for debugging
-    console.log(`[onBeforeSendHeaders] Tab ${details.tabId} requesting ${details.url}`);
-
-    const sessionId = getSessionForTab(details.tabId);
-
-    if (!sessionId) {
-      console.log(`[onBeforeSendHeaders] No session for tab ${details.tabId}`);
-      return { requestHeaders: details.requestHeaders };
-    }
-
-    console.log(`[onBeforeSendHeaders] Tab ${details.tabId} has session ${sessionId}`);
+const SESSION_TEMPLATES = {
+  STORAGE_KEY: 'sessionTemplates',
+  MAX_TEMPLATES: 50,
+  MAX_START_URLS: 20,
+  MAX_NAME_LENGTH: 50
+};
 
-    try {
-      const url = new URL(details.url);
-      const domain = url.hostname;
-      const path = url.pathname;
+/**
+ * Default tab-inheritance rules (same behavior as sessions without a template)
+ */
+const DEFAULT_TEMPLATE_INHERITANCE = {
+  openedTabs: true,    // Tabs/popups opened from a session tab join the session
+  noopenerLinks: true, // rel="noopener" links join via recent domain activity
+  domains: []          // If set, inherited tabs must be on one of these domains
+};
 
-      // SECURITY: Track domain activity for session inheritance (noopener links)
-      // This helps match new tabs to recent session activity on the same domain
-      if (!sessionStore.domainToSessionActivity[domain]) {
-        sessionStore.domainToSessionActivity[domain] = {};
-      }
-      sessionStore.domainToSessionActivity[domain][sessionId] = Date.now();
+/**
+ * Load all templates
+ * @returns {Promise<Object>} templateId -> template
+ */
+async function loadSessionTemplates() {
+  const data = await storageGet([SESSION_TEMPLATES.STORAGE_KEY]);
+  return data[SESSION_TEMPLATES.STORAGE_KEY] || {};
+}
 
-      // Get cookies for this session and domain
-      const cookies = getCookiesForSession(sessionId, domain, path);
+/**
+ * Normalize tab-inheritance rules
+ * @param {Object} inheritance - Rules from a template
+ * @returns {Object} { openedTabs, noopenerLinks, domains }
+ */
+function normalizeTemplateInheritance(inheritance) {
+  const rules = inheritance || {};
+  return {
+    openedTabs: rules.openedTabs !== false,
+    noopenerLinks: rules.noopenerLinks !== false,
+    domains: Array.isArray(rules.domains)
+      ? rules.domains
+        .filter(domain => typeof domain === 'string' && domain.trim())
+        .map(domain => domain.trim().toLowerCase().replace(/^\.+/, ''))
+      : []
+  };
+}
 
-      console.log(`[${sessionId}] Found ${cookies.length} cookies for ${domain}`);
+/**
+ * Validate and normalize a template (hand-written or captured)
+ * @param {Object} input - Template fields
+ * @returns {{valid: boolean, template?: Object, error?: string}}
+ */
+function validateTemplate(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'No template data provided' };
+  }
 
-      if (cookies.length > 0) {
-        // Remove existing Cookie header
-        const headers = details.requestHeaders.filter(h =>
-          h.name.toLowerCase() !== 'cookie'
-        );
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    return { valid: false, error: 'Template name is required' };
+  }
+  if (name.length > SESSION_TEMPLATES.MAX_NAME_LENGTH) {
+    return { valid: false, error: `Template name must be ${SESSION_TEMPLATES.MAX_NAME_LENGTH} characters or less` };
+  }
 
-        // Add session-specific cookies
-        const cookieHeader = formatCookieHeader(cookies);
-        headers.push({
-          name: 'Cookie',
-          value: cookieHeader
-        });
+  const namePattern = typeof input.namePattern === 'string' && input.namePattern.trim()
+    ? input.namePattern.trim()
+    : '{template} {n}';
 
-        console.log(`[${sessionId}] Injecting ${cookies.length} cookies for ${domain}`);
+  let color = null;
+  if (input.color) {
+    if (!isValidHexColor(input.color)) {
+      return { valid: false, error: 'Invalid color format. Use hex format like #FF6B6B' };
+    }
+    color = normalizeHexColor(input.color);
+  }
 
-        return { requestHeaders: headers };
-      } else {
-        console.log(`[${sessionId}] No cookies to inject for ${domain}`);
+  const startUrls = [];
+  for (const url of (Array.isArray(input.startUrls) ? input.startUrls : [])) {
+    try {
+      const parsed = new URL(String(url).trim());
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return { valid: false, error: `Start URLs must be http(s): ${url}` };
       }
+      startUrls.push(parsed.href);
     } catch (e) {
-      console.error('Error in onBeforeSendHeaders:', e);
+      return { valid: false, error: `Invalid start URL: ${url}` };
     }
+  }
+  if (startUrls.length > SESSION_TEMPLATES.MAX_START_URLS) {
+    return { valid: false, error: `Templates can have at most ${SESSION_TEMPLATES.MAX_START_URLS} start URLs` };
+  }
 
-    return { requestHeaders: details.requestHeaders };
-  },
-  {
-    urls: ['http://*/*', 'https://*/*']  // Only HTTP/HTTPS requests
-  },
-  ['blocking', 'requestHeaders', 'extraHeaders']  // Added 'extraHeaders'
-);
+  // Accepts jar records or chrome.cookies-style objects
+  const seedCookies = (Array.isArray(input.seedCookies) ? input.seedCookies : [])
+    .filter(cookie => cookie && typeof cookie.name === 'string' && typeof cookie.domain === 'string' && cookie.domain)
+    .map(cookie => {
+      const record = cookieJar.fromChromeCookie(Object.assign({}, cookie, { value: String(cookie.value || '') }));
+      delete record.creationTime;
+      delete record.lastAccessTime;
+      return record;
+    });
 
-/**
- * Intercept responses and capture Set-Cookie headers
- */
-chrome.webRequest.onHeadersReceived.addListener(
-  function(details) {
-    // CRITICAL FIX: Wait for initialization before processing responses
-    // This prevents cookie capture during browser startup before session restoration
-    if (initializationManager.currentState !== initializationManager.STATES.READY) {
-      console.log(`[onHeadersReceived] ⏳ Waiting for initialization (state: ${initializationManager.currentState})`);
-      console.log(`[onHeadersReceived] Tab ${details.tabId} received response from ${details.url}`);
-      console.log(`[onHeadersReceived] Response proceeding WITHOUT cookie capture`);
-      // Allow response to proceed without capturing cookies
-      return { responseHeaders: details.responseHeaders };
+  return {
+    valid: true,
+    template: {
+      id: input.id || null,
+      name: name,
+      namePattern: namePattern,
+      color: color,
+      startUrls: startUrls,
+      seedCookies: seedCookies,
+      seedStorage: sanitizeStorageSnapshots(input.seedStorage),
+      inheritance: normalizeTemplateInheritance(input.inheritance),
+      sourceSessionId: input.sourceSessionId || null
     }
+  };
+}
 
-    // Log every response for debugging
-    console.log(`[onHeadersReceived] Tab ${details.tabId} received response from ${details.url}`);
+/**
+ * Build template fields from an existing session
+ * Start URLs come from open tabs (or persisted tabs for dormant sessions)
+ * @param {string} sessionId - Source session ID
+ * @param {Object} options - { includeCookies, includeStorage }
+ * @returns {Promise<Object|null>} Template fields or null if the session does not exist
+ */
+async function captureTemplateFromSession(sessionId, options = {}) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return null;
+  }
 
-    const sessionId = getSessionForTab(details.tabId);
+  const exported = await sanitizeExportData(session);
+  const tabUrls = exported.persistedTabs.length > 0 ? exported.persistedTabs : (session.persistedTabs || []);
 
-    if (!sessionId) {
-      console.log(`[onHeadersReceived] No session for tab ${details.tabId}`);
-      return { responseHeaders: details.responseHeaders };
+  const startUrls = [];
+  tabUrls.forEach(tab => {
+    if (tab.url && /^https?:/.test(tab.url) && !startUrls.includes(tab.url)) {
+      startUrls.push(tab.url);
     }
+  });
 
-    console.log(`[onHeadersReceived] Tab ${details.tabId} has session ${sessionId}`);
+  return {
+    namePattern: session.name ? `${session.name} {n}` : undefined,
+    color: session.customColor || null,
+    startUrls: startUrls.slice(0, SESSION_TEMPLATES.MAX_START_URLS),
+    seedCookies: options.includeCookies
+      ? cookieJar.getAllCookies(sessionStore.cookieStore[sessionId] || {}).filter(cookie => !cookieJar.isExpired(cookie))
+      : [],
+    seedStorage: options.includeStorage ? (exported.storage || {}) : {},
+    sourceSessionId: sessionId
+  };
+}
 
-    // Check if responseHeaders exist
-    if (!details.responseHeaders) {
-      console.warn(`[onHeadersReceived] No responseHeaders for tab ${details.tabId}`);
-      return { responseHeaders: details.responseHeaders };
+/**
+ * Create a template from fields or from an existing session
+ * @param {Object} templateData - Template fields (name required)
+ * @param {Object} options - { fromSessionId, includeCookies, includeStorage }
+ * @returns {Promise<Object>} { success, template?, error?, requiresUpgrade? }
+ */
+async function createTemplate(templateData, options = {}) {
+  const access = getFeatureAccess('sessionTemplates');
+  if (!access.allowed) {
+    return {
+      success: false,
+      requiresUpgrade: true,
+      tier: access.tier,
+      error: 'Session templates require Premium or Enterprise tier. Upgrade to unlock this feature.'
+    };
+  }
+
+  let fields = Object.assign({}, templateData);
+  if (options.fromSessionId) {
+    const captured = await captureTemplateFromSession(options.fromSessionId, options);
+    if (!captured) {
+      return { success: false, error: 'Session not found: ' + options.fromSessionId };
     }
+    // Explicit fields win over captured ones
+    fields = Object.assign(captured, ...Object.keys(fields)
+      .filter(key => fields[key] !== undefined)
+      .map(key => ({ [key]: fields[key] })));
+  }
 
-    console.log(`[onHeadersReceived] Response has ${details.responseHeaders.length} headers`);
+  const validation = validateTemplate(fields);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
 
-    try {
-      const url = new URL(details.url);
-      const domain = url.hostname;
+  const templates = await loadSessionTemplates();
+  const template = validation.template;
+  const isUpdate = template.id && templates[template.id];
 
-      let cookieCount = 0;
+  if (!isUpdate && Object.keys(templates).length >= SESSION_TEMPLATES.MAX_TEMPLATES) {
+    return { success: false, error: `You can save at most ${SESSION_TEMPLATES.MAX_TEMPLATES} templates` };
+  }
 
-      // Look for Set-Cookie headers (case insensitive)
-      details.responseHeaders.forEach(header => {
-        const headerName = header.name.toLowerCase();
+  const now = Date.now();
+  if (!isUpdate) {
+    template.id = 'template_' + now + '_' + Math.random().toString(36).substr(2, 9);
+  }
+  template.createdAt = isUpdate ? templates[template.id].createdAt : now;
+  template.updatedAt = now;
 
-        // Log all header names for debugging
-        if (headerName === 'set-cookie') {
-          console.log(`[onHeadersReceived] Found Set-Cookie header: ${header.value}`);
+  templates[template.id] = template;
+  await storageSet({ [SESSION_TEMPLATES.STORAGE_KEY]: templates });
 
-          const cookie = parseCookie(header.value);
+  console.log(`[Templates] ✓ ${isUpdate ? 'Updated' : 'Created'} template "${template.name}" (${template.id})`);
+  return { success: true, template: template };
+}
 
-          // Set domain if not specified
-          if (!cookie.domain) {
-            cookie.domain = domain;
-          }
+/**
+ * Delete a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function deleteTemplate(templateId) {
+  const templates = await loadSessionTemplates();
+  if (!templates[templateId]) {
+    return { success: false, error: 'Template not found' };
+  }
 
-          // Store cookie in session store
-          storeCookie(sessionId, cookie.domain, cookie);
+  delete templates[templateId];
+  await storageSet({ [SESSION_TEMPLATES.STORAGE_KEY]: templates });
+  console.log(`[Templates] ✓ Deleted template ${templateId}`);
+  return { success: true };
+}
 
-          console.log(`[${sessionId}] Stored cookie ${cookie.name} for ${cookie.domain}`);
-          cookieCount++;
-        }
-      });
+/**
+ * Expand a template name pattern into a unique session name
+ * @param {Object} template - Template
+ * @returns {string|null} Session name, or null if the pattern does not produce a valid name
+ */
+function expandTemplateName(template) {
+  const now = new Date();
+  const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const base = template.namePattern
+    .replace(/\{template\}/g, template.name)
+    .replace(/\{date\}/g, date);
+
+  let name;
+  if (base.includes('{n}')) {
+    let n = 1;
+    do {
+      name = base.replace(/\{n\}/g, String(n));
+      n++;
+    } while (isSessionNameDuplicate(name, null));
+  } else {
+    name = generateUniqueSessionName(base, null);
+  }
 
-      if (cookieCount > 0) {
-        console.log(`[${sessionId}] Stored ${cookieCount} cookies from ${domain}`);
-      } else {
-        console.log(`[${sessionId}] No Set-Cookie headers found in response from ${domain}`);
-      }
+  const validation = validateSessionName(name, null);
+  return validation.valid ? validation.sanitized : null;
+}
 
-      // Remove Set-Cookie headers to prevent browser from storing them
-      const filteredHeaders = details.responseHeaders.filter(h =>
-        h.name.toLowerCase() !== 'set-cookie'
-      );
+/**
+ * Check if a new tab may join a session through inheritance
+ * Sessions created from templates carry the template's rules; other sessions allow everything
+ * @param {string} sessionId - Session the tab would inherit
+ * @param {string} url - URL of the new tab (may be empty or about:blank)
+ * @param {string} source - 'opener' (opened from a session tab) or 'noopener' (domain heuristic)
+ * @returns {boolean} True if the tab may join the session
+ */
+function canInheritSession(sessionId, url, source) {
+  const session = sessionStore.sessions[sessionId];
+  const rules = session && session.inheritance;
+  if (!rules) {
+    return true;
+  }
 
-      return { responseHeaders: filteredHeaders };
+  if (source === 'opener' && rules.openedTabs === false) {
+    return false;
+  }
+  if (source === 'noopener' && rules.noopenerLinks === false) {
+    return false;
+  }
+
+  if (rules.domains && rules.domains.length > 0) {
+    // Popups often start blank before navigating (e.g. OAuth windows)
+    if (!url || url === 'about:blank') {
+      return true;
+    }
+    try {
+      const hostname = new URL(url).hostname.toLowerCase();
+      return rules.domains.some(domain => hostname === domain || hostname.endsWith('.' + domain));
     } catch (e) {
-      console.error('Error in onHeadersReceived:', e);
+      return false;
     }
+  }
 
-    return { responseHeaders: details.responseHeaders };
-  },
-  {
-    urls: ['http://*/*', 'https://*/*']  // Only HTTP/HTTPS requests
-  },
-  ['blocking', 'responseHeaders', 'extraHeaders']  // Added 'extraHeaders'
-);
-
-// ============= Chrome Cookies API Monitoring =============
+  return true;
+}
 
 /**
- * Monitor cookies set via chrome.cookies API or JavaScript
- * This captures cookies set by document.cookie or chrome.cookies.set()
+ * Create a new session from a template
+ * The first tab starts blank and navigates after cookies and storage are seeded
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} { success, sessionId?, tabIds?, name?, error?, blocked?, requiresUpgrade? }
  */
-chrome.cookies.onChanged.addListener((changeInfo) => {
-  // Only process cookies that are being added or updated
-  if (changeInfo.removed) {
-    return;
+async function createSessionFromTemplate(templateId) {
+  const access = getFeatureAccess('sessionTemplates');
+  if (!access.allowed) {
+    return {
+      success: false,
+      requiresUpgrade: true,
+      tier: access.tier,
+      error: 'Session templates require Premium or Enterprise tier. Upgrade to unlock this feature.'
+    };
   }
 
-  const cookie = changeInfo.cookie;
+  const templates = await loadSessionTemplates();
+  const template = templates[templateId];
+  if (!template) {
+    return { success: false, error: 'Template not found' };
+  }
 
-  console.log('[chrome.cookies.onChanged] Cookie changed:', cookie.name, 'for domain:', cookie.domain);
+  // Custom colors are Enterprise-only; other tiers get the automatic palette color
+  const customColor = access.tier === 'enterprise' ? template.color : null;
 
-  // Find which tab triggered this cookie change
-  // We need to check all tabs and see which one matches the domain
-  chrome.tabs.query({}, (tabs) => {
-    if (!tabs || tabs.length === 0) {
-      console.log('[chrome.cookies.onChanged] No tabs found');
-      return;
+  const result = await new Promise(resolve => {
+    createNewSession('about:blank', resolve, customColor);
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const sessionId = result.sessionId;
+  const session = sessionStore.sessions[sessionId];
+
+  session.name = expandTemplateName(template);
+  session.templateId = template.id;
+  session.inheritance = normalizeTemplateInheritance(template.inheritance);
+
+  // Seed cookies (stored as if set by the server)
+  let seeded = 0;
+  const now = Date.now();
+  (template.seedCookies || []).forEach(cookie => {
+    const record = Object.assign({}, cookie, { creationTime: now, lastAccessTime: now });
+    if (storeCookie(sessionId, record, { fromHttp: true, secureOrigin: true, source: { channel: 'template' } })) {
+      seeded++;
     }
+  });
 
-    // Check each tab to see if it has a session and matches the domain
-    tabs.forEach(tab => {
-      const sessionId = sessionStore.tabToSession[tab.id];
+  // Seed storage (restored by content scripts on first visit to each origin)
+  await savePendingStorageSnapshots(sessionId, sanitizeStorageSnapshots(template.seedStorage));
 
-      if (!sessionId || !tab.url) {
-        return;
-      }
+  persistSessions(true);
 
-      try {
-        const tabUrl = new URL(tab.url);
-        const tabDomain = tabUrl.hostname;
+  const tabIds = [result.tabId];
+  const [firstUrl, ...otherUrls] = template.startUrls || [];
 
-        // Check if cookie domain matches tab domain
-        const cookieDomain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
-        const isMatch = tabDomain === cookieDomain || tabDomain.endsWith('.' + cookieDomain);
+  if (firstUrl) {
+    chrome.tabs.update(result.tabId, { url: firstUrl });
+  }
 
-        if (isMatch) {
-          console.log(`[chrome.cookies.onChanged] Storing cookie ${cookie.name} for session ${sessionId}`);
+  for (const url of otherUrls) {
+    const tab = await openTabInSession(sessionId, url, false);
+    if (tab) {
+      tabIds.push(tab.id);
+    }
+  }
 
-          // Store the cookie in our session store
-          if (!sessionStore.cookieStore[sessionId]) {
-            sessionStore.cookieStore[sessionId] = {};
-          }
-          if (!sessionStore.cookieStore[sessionId][cookie.domain]) {
-            sessionStore.cookieStore[sessionId][cookie.domain] = {};
-          }
-          if (!sessionStore.cookieStore[sessionId][cookie.domain][cookie.path || '/']) {
-            sessionStore.cookieStore[sessionId][cookie.domain][cookie.path || '/'] = {};
-          }
+  persistSessions(true);
 
-          sessionStore.cookieStore[sessionId][cookie.domain][cookie.path || '/'][cookie.name] = {
-            name: cookie.name,
-            value: cookie.value,
-            domain: cookie.domain,
-            path: cookie.path || '/',
-            secure: cookie.secure,
-            httpOnly: cookie.httpOnly,
-            sameSite: cookie.sameSite || 'no_restriction',
-            expirationDate: cookie.expirationDate
-          };
+  console.log(`[Templates] ✓ Session ${sessionId} created from template "${template.name}" (${tabIds.length} tabs, ${seeded} cookies)`);
 
-          console.log(`[${sessionId}] Captured cookie ${cookie.name} via chrome.cookies API`);
+  return {
+    success: true,
+    sessionId: sessionId,
+    name: session.name,
+    color: session.color,
+    tabIds: tabIds,
+    tier: access.tier
+  };
+}
 
-          // Persist the change
-          persistSessions(false); // debounced
+// ============= Session Cloning =============
 
-          // SECURITY FIX: Immediately and aggressively remove cookie from browser's native store
-          // Use immediate callback-free removal for faster execution
-          const cookieUrl = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path || '/'}`;
+/**
+ * Per-session settings copied to a clone (deep-copied as-is)
+ * fingerprintProfile is rebuilt separately so the clone gets its own noise seed
+ */
+const CLONED_SESSION_SETTINGS = ['userAgentOverride', 'headerRules', 'inheritance', 'templateId', 'group', 'restoreMode', 'cookieLifetime'];
 
-          // Attempt 1: Immediate removal (fastest)
-          chrome.cookies.remove({
-            url: cookieUrl,
-            name: cookie.name,
-            storeId: cookie.storeId
-          }, (removedCookie) => {
-            if (chrome.runtime.lastError) {
-              console.error('[chrome.cookies.onChanged] Failed to remove browser cookie:', chrome.runtime.lastError);
+/**
+ * Duplicate a session into a new session ID
+ * Copies cookies, storage snapshots (restored on first visit to each origin),
+ * the name (made unique) and per-session settings. Subject to session limits.
+ * @param {string} sourceSessionId - Session to clone
+ * @param {Object} options - { openTabs?: boolean } reopen the source's tab URLs in the clone
+ * @returns {Promise<Object>} { success, sessionId?, name?, color?, tabIds?, error?, blocked? }
+ */
+async function cloneSession(sourceSessionId, options = {}) {
+  const source = sessionStore.sessions[sourceSessionId];
+  if (!source) {
+    return { success: false, error: 'Session not found' };
+  }
 
-              // SECURITY: Retry removal on failure
-              setTimeout(() => {
-                chrome.cookies.remove({
-                  url: cookieUrl,
-                  name: cookie.name,
-                  storeId: cookie.storeId
-                }, (retryRemoved) => {
-                  if (retryRemoved) {
-                    console.log(`[${sessionId}] Removed browser cookie on retry: ${cookie.name}`);
-                  }
-                });
-              }, 100);
-            } else if (removedCookie) {
-              console.log(`[${sessionId}] Removed browser cookie: ${cookie.name} (keeping only in session store)`);
-            }
-          });
-        }
-      } catch (e) {
-        // Invalid URL or other error
-        console.error('[chrome.cookies.onChanged] Error processing tab:', e);
-      }
-    });
-  });
-});
+  const canCreate = await canCreateNewSession();
+  if (!canCreate.allowed) {
+    return {
+      success: false,
+      error: canCreate.reason,
+      blocked: true,
+      tier: canCreate.tier,
+      current: canCreate.current,
+      limit: canCreate.limit
+    };
+  }
 
-// ============= Browser Cookie Clearing =============
+  // Tab URLs and storage from the source's open tabs (or its saved tabs when dormant)
+  const exported = await sanitizeExportData(source);
+  const urls = exported.persistedTabs
+    .map(tab => tab.url)
+    .filter(url => /^https?:/i.test(url || ''));
 
-/**
- * Clear all browser-native cookies for a session tab
- * This forces cookies to only exist in our sessionStore
- * @param {number} tabId
- */
-async function clearBrowserCookiesForTab(tabId) {
-  const sessionId = sessionStore.tabToSession[tabId];
+  // Custom colors are Enterprise-only; other tiers get the automatic palette color
+  const customColor = canCreate.tier === 'enterprise' ? source.customColor || null : null;
 
-  if (!sessionId) {
-    return;
+  let sessionId;
+  let firstTabId = null;
+  if (options.openTabs && urls.length > 0) {
+    const result = await new Promise(resolve => {
+      createNewSession('about:blank', resolve, customColor);
+    });
+    if (!result.success) {
+      return result;
+    }
+    sessionId = result.sessionId;
+    firstTabId = result.tabId;
+  } else {
+    // Dormant clone: no tabs, the saved URLs reopen when the session is opened
+    sessionId = generateSessionId();
+    const now = Date.now();
+    sessionStore.sessions[sessionId] = {
+      id: sessionId,
+      name: null,
+      color: sessionColor(sessionId, canCreate.tier, customColor),
+      customColor: customColor,
+      createdAt: now,
+      lastAccessed: now,
+      tabs: [],
+      persistedTabs: JSON.parse(JSON.stringify(exported.persistedTabs))
+    };
   }
 
-  chrome.tabs.get(tabId, (tab) => {
-    if (chrome.runtime.lastError || !tab || !tab.url) {
-      return;
+  const session = sessionStore.sessions[sessionId];
+  session.name = source.name ? generateUniqueSessionName(source.name, sessionId) : null;
+
+  CLONED_SESSION_SETTINGS.forEach(key => {
+    if (source[key] !== undefined && source[key] !== null) {
+      session[key] = JSON.parse(JSON.stringify(source[key]));
     }
+  });
 
-    try {
-      const url = new URL(tab.url);
-      const domain = url.hostname;
+  if (source.fingerprintProfile) {
+    const validation = validateFingerprintProfile(source.fingerprintProfile, createFingerprintSeed());
+    if (validation.valid) {
+      session.fingerprintProfile = validation.profile;
+    }
+  }
 
-      // Get all cookies for this domain from browser's native store
-      chrome.cookies.getAll({ domain: domain }, (cookies) => {
-        if (!cookies || cookies.length === 0) {
-          return;
-        }
+  // Cookies are copied before any tab of the clone navigates
+  sessionStore.cookieStore[sessionId] = JSON.parse(JSON.stringify(exported.cookies));
 
-        console.log(`[${sessionId}] Clearing ${cookies.length} browser cookies for ${domain}`);
+  if (exported.storage) {
+    await savePendingStorageSnapshots(sessionId, sanitizeStorageSnapshots(exported.storage));
+  }
 
-        // Remove each cookie from browser's native store
-        cookies.forEach(cookie => {
-          const cookieUrl = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`;
-          chrome.cookies.remove({
-            url: cookieUrl,
-            name: cookie.name,
-            storeId: cookie.storeId
-          }, (removedCookie) => {
-            if (chrome.runtime.lastError) {
-              // Ignore errors - cookie may have already been removed
-            } else if (removedCookie) {
-              console.log(`[${sessionId}] Removed browser cookie: ${cookie.name}`);
-            }
-          });
-        });
-      });
-    } catch (e) {
-      console.error('[clearBrowserCookiesForTab] Error:', e);
+  persistSessions(true);
+
+  const tabIds = [];
+  if (firstTabId !== null) {
+    tabIds.push(firstTabId);
+    const [firstUrl, ...otherUrls] = urls;
+    chrome.tabs.update(firstTabId, { url: firstUrl });
+
+    for (const url of otherUrls) {
+      const tab = await openTabInSession(sessionId, url, false);
+      if (tab) {
+        tabIds.push(tab.id);
+      }
     }
-  });
+
+    persistSessions(true);
+  }
+
+  console.log(`[Clone] ✓ Session ${sourceSessionId} cloned to ${sessionId} (${tabIds.length} tabs opened, ${urls.length} URLs)`);
+
+  return {
+    success: true,
+    sessionId: sessionId,
+    name: session.name,
+    color: session.color,
+    tabIds: tabIds
+  };
 }
 
+// ============= Profiles (Enterprise Feature) =============
+
 /**
- * Clear browser cookies for all session tabs periodically
- * This ensures cookies stay isolated even if they leak into browser store
+ * Profile configuration
+ * A profile is a separate set of sessions (cookies, names, colors) plus its own
+ * preferences. Only one profile is loaded at a time; its data lives under
+ * profile-scoped keys in StoragePersistenceManager. Registry format:
+ * {
+ *   activeProfileId,
+ *   profiles: { profileId: { id, name, color, createdAt, preferences } }
+ * }
+ * The default profile always exists and owns the unprefixed storage keys.
+ * Preferences of the active profile live in their usual storage keys and are
+ * swapped into the registry on switch.
  */
-setInterval(() => {
-  const tabIds = Object.keys(sessionStore.tabToSession);
+const PROFILES = {
+  STORAGE_KEY: 'profiles',
+  DEFAULT_ID: 'default',
+  DEFAULT_NAME: 'Default',
+  MAX_PROFILES: 20,
+  MAX_NAME_LENGTH: 50,
+  PREFERENCE_KEYS: ['autoRestorePreference', SERVICE_WORKER_POLICY.STORAGE_KEY, urlRules.CONFIG.STORAGE_KEY]
+};
 
-  if (tabIds.length > 0) {
-    console.log(`[Cookie Cleaner] Checking ${tabIds.length} session tabs for browser cookies`);
+/**
+ * True while switchProfile() is swapping data
+ */
+let profileSwitchInProgress = false;
 
-    tabIds.forEach(tabIdStr => {
-      const tabId = parseInt(tabIdStr);
-      clearBrowserCookiesForTab(tabId);
-    });
+/**
+ * Load the profile registry
+ * @returns {Promise<Object>} { activeProfileId, profiles }
+ */
+async function loadProfiles() {
+  const data = await storageGet([PROFILES.STORAGE_KEY]);
+  const registry = data[PROFILES.STORAGE_KEY] || {};
+  return {
+    activeProfileId: registry.activeProfileId || PROFILES.DEFAULT_ID,
+    profiles: registry.profiles || {}
+  };
+}
+
+/**
+ * Get a profile record (the default profile has an implicit record)
+ * @param {Object} registry - Profile registry
+ * @param {string} profileId - Profile ID
+ * @returns {Object|null} { id, name, color, createdAt, preferences }
+ */
+function getProfileRecord(registry, profileId) {
+  if (profileId === PROFILES.DEFAULT_ID) {
+    return Object.assign({
+      id: PROFILES.DEFAULT_ID,
+      name: PROFILES.DEFAULT_NAME,
+      color: null,
+      createdAt: null,
+      preferences: {}
+    }, registry.profiles[PROFILES.DEFAULT_ID] || {});
   }
-}, 2000); // Check every 2 seconds
+  return registry.profiles[profileId] || null;
+}
 
 /**
- * SECURITY: Periodically remove expired cookies from all sessions
- * This prevents expired cookies from accumulating in storage
+ * Validate a profile name
+ * @param {Object} registry - Profile registry
+ * @param {string} name - Proposed name
+ * @param {string} excludeProfileId - Profile being renamed
+ * @returns {{valid: boolean, name?: string, error?: string}}
  */
-setInterval(() => {
-  const sessionIds = Object.keys(sessionStore.sessions);
+function validateProfileName(registry, name, excludeProfileId = null) {
+  const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!trimmed) {
+    return { valid: false, error: 'Profile name cannot be empty' };
+  }
+  if (trimmed.length > PROFILES.MAX_NAME_LENGTH) {
+    return { valid: false, error: `Profile name must be ${PROFILES.MAX_NAME_LENGTH} characters or less` };
+  }
 
-  if (sessionIds.length > 0) {
-    console.log(`[Cookie Expiration] Checking ${sessionIds.length} sessions for expired cookies`);
+  const ids = [PROFILES.DEFAULT_ID].concat(Object.keys(registry.profiles).filter(id => id !== PROFILES.DEFAULT_ID));
+  const duplicate = ids.some(id => id !== excludeProfileId &&
+    getProfileRecord(registry, id).name.toLowerCase() === trimmed.toLowerCase());
+  if (duplicate) {
+    return { valid: false, error: `A profile named "${trimmed}" already exists` };
+  }
 
-    sessionIds.forEach(sessionId => {
-      removeExpiredCookies(sessionId);
-    });
+  return { valid: true, name: trimmed };
+}
+
+/**
+ * Generate a unique profile name ("Name", "Name (2)", ...)
+ * @param {Object} registry - Profile registry
+ * @param {string} baseName - Preferred name
+ * @returns {string} Unused profile name
+ */
+function generateUniqueProfileName(registry, baseName) {
+  const base = String(baseName || 'Imported profile').trim().substring(0, PROFILES.MAX_NAME_LENGTH - 5) || 'Imported profile';
+  let name = base;
+  let counter = 2;
+  while (!validateProfileName(registry, name).valid) {
+    name = `${base} (${counter})`;
+    counter++;
   }
-}, 60000); // Check every 60 seconds
+  return name;
+}
 
-// ============= Message Handler =============
+/**
+ * Summarize the registry for the popup
+ * @param {Object} registry - Profile registry
+ * @returns {Array<Object>} [{ id, name, color, createdAt, active }]
+ */
+function listProfileSummaries(registry) {
+  const ids = [PROFILES.DEFAULT_ID].concat(Object.keys(registry.profiles)
+    .filter(id => id !== PROFILES.DEFAULT_ID)
+    .sort((a, b) => registry.profiles[a].createdAt - registry.profiles[b].createdAt));
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  return ids.map(id => {
+    const profile = getProfileRecord(registry, id);
+    return {
+      id: id,
+      name: profile.name,
+      color: profile.color || null,
+      createdAt: profile.createdAt || null,
+      active: id === registry.activeProfileId
+    };
+  });
+}
+
+/**
+ * Select the active profile in the storage layer (called before sessions load)
+ * @returns {Promise<string>} Active profile ID
+ */
+async function loadActiveProfile() {
+  let profileId = PROFILES.DEFAULT_ID;
   try {
-    if (message.action === 'createNewSession') {
-      // Create new session with optional URL, custom color, and callback
-      const url = message.url || 'about:blank';
-      const customColor = message.customColor || null;
-      createNewSession(url, (result) => {
-        if (result.success) {
-          sendResponse({ success: true, data: result });
-        } else {
-          sendResponse({ success: false, error: result.error, blocked: result.blocked, tier: result.tier });
-        }
-      }, customColor);
-      return true; // Keep channel open for async response
+    const registry = await loadProfiles();
+    if (getProfileRecord(registry, registry.activeProfileId)) {
+      profileId = registry.activeProfileId;
+    } else {
+      console.warn('[Profiles] ⚠️ Active profile missing, using default:', registry.activeProfileId);
+    }
+  } catch (error) {
+    console.error('[Profiles] ✗ Failed to load profiles:', error);
+  }
 
-    } else if (message.action === 'getActiveSessions') {
-      // Get active sessions with callback
-      getActiveSessions((result) => {
-        if (result.success) {
-          sendResponse({ success: true, sessions: result.sessions });
-        } else {
-          sendResponse({ success: false, error: result.error });
-        }
-      });
-      return true; // Keep channel open for async response
+  if (typeof storagePersistenceManager !== 'undefined') {
+    storagePersistenceManager.setProfile(profileId);
+  }
+  console.log('[Profiles] ✓ Active profile:', profileId);
+  return profileId;
+}
 
-    } else if (message.action === 'getAllSessions') {
-      // Get all sessions (active + dormant) with callback
-      getAllSessions((result) => {
-        if (result.success) {
-          sendResponse({
-            success: true,
-            activeSessions: result.activeSessions,
-            dormantSessions: result.dormantSessions
-          });
-        } else {
-          sendResponse({ success: false, error: result.error });
-        }
-      });
-      return true; // Keep channel open for async response
+/**
+ * Create a new (empty) profile
+ * @param {string} name - Profile name
+ * @param {string} color - Optional hex color
+ * @returns {Promise<Object>} { success, profile?, error? }
+ */
+async function createProfile(name, color = null) {
+  const access = getFeatureAccess('multiProfile');
+  if (!access.allowed) {
+    return {
+      success: false,
+      requiresUpgrade: true,
+      tier: access.tier,
+      error: 'Profiles require Enterprise tier. Upgrade to unlock this feature.'
+    };
+  }
 
-    } else if (message.action === 'openDormantSession') {
-      // Open a dormant session by creating a new tab
-      const sessionId = message.sessionId;
-      const url = message.url; // DO NOT set default - let openDormantSession extract from persistedTabs
+  const registry = await loadProfiles();
+  if (Object.keys(registry.profiles).filter(id => id !== PROFILES.DEFAULT_ID).length + 1 >= PROFILES.MAX_PROFILES) {
+    return { success: false, error: `You can have at most ${PROFILES.MAX_PROFILES} profiles` };
+  }
 
-      if (!sessionId) {
-        sendResponse({ success: false, error: 'No session ID provided' });
-        return false;
-      }
+  const validation = validateProfileName(registry, name);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (color && !isValidHexColor(color)) {
+    return { success: false, error: 'Invalid color format. Use hex format like #FF6B6B' };
+  }
 
-      console.log('[Message Handler] openDormantSession - sessionId:', sessionId, 'url:', url, 'url type:', typeof url);
+  const now = Date.now();
+  const profile = {
+    id: 'profile_' + now + '_' + Math.random().toString(36).substr(2, 9),
+    name: validation.name,
+    color: normalizeHexColor(color),
+    createdAt: now,
+    preferences: {}
+  };
 
-      openDormantSession(sessionId, url, (result) => {
-        if (result.success) {
-          sendResponse({
-            success: true,
-            sessionId: result.sessionId,
-            tabId: result.tabId,
-            color: result.color
-          });
-        } else {
-          sendResponse({ success: false, error: result.error });
-        }
-      });
-      return true; // Keep channel open for async response
+  registry.profiles[profile.id] = profile;
+  await storageSet({ [PROFILES.STORAGE_KEY]: registry });
 
-    } else if (message.action === 'getSessionId') {
-      // Called from content script to get session ID for current tab
-      const tabId = sender.tab ? sender.tab.id : null;
+  console.log(`[Profiles] ✓ Created profile "${profile.name}" (${profile.id})`);
+  return { success: true, profile: profile };
+}
 
-      console.log('[getSessionId] Request from tab:', tabId);
-      console.log('[getSessionId] Current tabToSession map:', JSON.stringify(sessionStore.tabToSession));
+/**
+ * Rename a profile
+ * @param {string} profileId - Profile ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} { success, profile?, error? }
+ */
+async function renameProfile(profileId, name) {
+  const registry = await loadProfiles();
+  const profile = getProfileRecord(registry, profileId);
+  if (!profile) {
+    return { success: false, error: 'Profile not found' };
+  }
 
-      const sessionId = tabId ? getSessionForTab(tabId) : null;
+  const validation = validateProfileName(registry, name, profileId);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
 
-      console.log('[getSessionId] Found session ID:', sessionId);
+  profile.name = validation.name;
+  registry.profiles[profileId] = profile;
+  await storageSet({ [PROFILES.STORAGE_KEY]: registry });
 
-      if (!sessionId) {
-        console.warn('[getSessionId] No session for tab', tabId);
-        sendResponse({ success: false, sessionId: null, error: 'No session assigned' });
-      } else {
-        console.log('[getSessionId] Returning session:', sessionId);
-        sendResponse({ success: true, sessionId: sessionId });
-      }
-      return false; // Synchronous response
+  console.log(`[Profiles] ✓ Renamed profile ${profileId} to "${profile.name}"`);
+  return { success: true, profile: profile };
+}
 
-    } else if (message.action === 'getCookies') {
-      // Get cookies for content script
-      const tabId = sender.tab ? sender.tab.id : null;
-      const sessionId = tabId ? getSessionForTab(tabId) : null;
+/**
+ * Delete a profile and all of its sessions
+ * The default profile and the active profile cannot be deleted
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object>} { success, deletedSessions?, error? }
+ */
+async function deleteProfile(profileId) {
+  const registry = await loadProfiles();
+  if (profileId === PROFILES.DEFAULT_ID) {
+    return { success: false, error: 'The default profile cannot be deleted' };
+  }
+  if (!registry.profiles[profileId]) {
+    return { success: false, error: 'Profile not found' };
+  }
+  if (profileId === registry.activeProfileId) {
+    return { success: false, error: 'Switch to another profile before deleting this one' };
+  }
 
-      if (!sessionId) {
-        console.warn('getCookies: No session for tab', tabId);
-        sendResponse({ success: false, cookies: '' });
-        return false;
-      }
+  // Website storage (IndexedDB, caches) of the profile's sessions is removed lazily
+  const sessionIds = Object.keys(await storagePersistenceManager.getLocalSessions(profileId));
+  for (const sessionId of sessionIds) {
+    await schedulePageStorageCleanup(sessionId);
+  }
 
-      const session = sessionStore.sessions[sessionId];
-      if (!session) {
-        console.warn('getCookies: Session not found', sessionId);
-        sendResponse({ success: false, cookies: '' });
-        return false;
-      }
+  const results = await storagePersistenceManager.deleteProfileData(profileId);
+  if (results.errors.length > 0) {
+    console.error('[Profiles] ⚠️ Profile data deletion had errors:', results.errors);
+  }
 
-      // Parse URL from message
-      try {
-        const url = new URL(message.url);
-        const domain = url.hostname;
-        const path = url.pathname || '/';
+  delete registry.profiles[profileId];
+  await storageSet({ [PROFILES.STORAGE_KEY]: registry });
 
-        const cookies = getCookiesForSession(sessionId, domain, path);
-        const cookieString = formatCookieHeader(cookies);
-        sendResponse({ success: true, cookies: cookieString });
-      } catch (error) {
-        console.error('getCookies: Invalid URL', message.url, error);
-        sendResponse({ success: false, cookies: '' });
-      }
-      return false; // Synchronous response
+  console.log(`[Profiles] ✓ Deleted profile ${profileId} (${sessionIds.length} sessions)`);
+  return { success: true, deletedSessions: sessionIds.length };
+}
 
-    } else if (message.action === 'setCookie') {
-      // Set cookie from content script
-      const tabId = sender.tab ? sender.tab.id : null;
-      const sessionId = tabId ? getSessionForTab(tabId) : null;
+/**
+ * Switch to another profile
+ * Open session tabs of the current profile are closed and their sessions saved
+ * as dormant (URLs kept in persistedTabs). The other profile's sessions are
+ * loaded dormant and can be reopened from the popup.
+ * Switching back to the default profile is always allowed (e.g. after a downgrade)
+ * @param {string} profileId - Profile to switch to
+ * @returns {Promise<Object>} { success, profileId?, sessionCount?, closedTabs?, error? }
+ */
+async function switchProfile(profileId) {
+  const registry = await loadProfiles();
+  const target = getProfileRecord(registry, profileId);
+  if (!target) {
+    return { success: false, error: 'Profile not found' };
+  }
+  if (profileId === registry.activeProfileId) {
+    return { success: true, profileId: profileId, sessionCount: Object.keys(sessionStore.sessions).length, closedTabs: 0 };
+  }
 
-      if (!sessionId) {
-        console.warn('setCookie: No session for tab', tabId);
-        sendResponse({ success: false, error: 'No session assigned' });
-        return false;
-      }
+  const access = getFeatureAccess('multiProfile');
+  if (profileId !== PROFILES.DEFAULT_ID && !access.allowed) {
+    return {
+      success: false,
+      requiresUpgrade: true,
+      tier: access.tier,
+      error: 'Profiles require Enterprise tier. Upgrade to unlock this feature.'
+    };
+  }
+  if (typeof storagePersistenceManager === 'undefined' || !storagePersistenceManager.isInitialized) {
+    return { success: false, error: 'Storage is not ready, try again in a moment' };
+  }
+  if (profileSwitchInProgress) {
+    return { success: false, error: 'A profile switch is already in progress' };
+  }
+
+  profileSwitchInProgress = true;
+  const fromProfileId = registry.activeProfileId;
+  console.log(`[Profiles] Switching profile: ${fromProfileId} → ${profileId}`);
+
+  try {
+    // STEP 1: Put the current profile's sessions to sleep
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+
+    const allTabs = await new Promise(resolve => {
+      chrome.tabs.query({}, tabs => resolve(chrome.runtime.lastError ? [] : (tabs || [])));
+    });
+    const sessionTabs = allTabs.filter(tab => sessionStore.tabToSession[tab.id]);
 
+    Object.keys(sessionStore.sessions).forEach(sessionId => {
       const session = sessionStore.sessions[sessionId];
-      if (!session) {
-        console.warn('setCookie: Session not found', sessionId);
-        sendResponse({ success: false, error: 'Session not found' });
-        return false;
-      }
+      const persistedTabs = buildPersistedTabs(sessionTabs
+        .filter(tab => sessionStore.tabToSession[tab.id] === sessionId)
+        .map(getOpenTabLayout));
 
-      if (!message.cookie) {
-        sendResponse({ success: false, error: 'No cookie data provided' });
-        return false;
+      if (persistedTabs.length > 0) {
+        session.persistedTabs = persistedTabs;
       }
+      session.tabs = [];
+      delete session._isCreating;
+    });
 
-      if (!message.url) {
-        console.error('[SECURITY] setCookie: No URL provided for domain validation');
-        sendResponse({ success: false, error: 'No URL provided' });
-        return false;
-      }
+    // Detach tabs first so onRemoved does not treat them as closed session tabs
+    sessionTabs.forEach(tab => tabMetadataCache.delete(tab.id));
+    sessionStore.tabToSession = {};
+    sessionStore.domainToSessionActivity = {};
 
-      try {
-        // SECURITY: Parse cookie with domain validation
-        const cookie = parseCookie(message.cookie, message.url);
+    await storagePersistenceManager.saveData({
+      sessions: sessionStore.sessions,
+      cookieStore: sessionStore.cookieStore,
+      tabToSession: {},
+      tabMetadata: {}
+    });
+    console.log(`[Profiles] ✓ Saved ${Object.keys(sessionStore.sessions).length} sessions of profile ${fromProfileId}`);
 
-        if (!cookie) {
-          console.error('[SECURITY] setCookie: Cookie validation failed');
-          sendResponse({ success: false, error: 'Invalid cookie domain' });
-          return false;
-        }
+    // STEP 2: Read the other profile's sessions (all dormant)
+    const data = await storagePersistenceManager.loadData(profileId);
 
-        // Extract domain from URL if not specified in cookie
-        if (!cookie.domain && message.url) {
-          const url = new URL(message.url);
-          cookie.domain = url.hostname;
-        }
+    // STEP 3: Swap preferences and make the other profile active
+    const currentPreferences = await storageGet(PROFILES.PREFERENCE_KEYS);
+    const fromProfile = getProfileRecord(registry, fromProfileId) || getProfileRecord(registry, PROFILES.DEFAULT_ID);
+    fromProfile.preferences = currentPreferences;
+    registry.profiles[fromProfile.id] = fromProfile;
 
-        if (!cookie.domain) {
-          console.error('setCookie: No domain specified');
-          sendResponse({ success: false, error: 'No domain specified' });
-          return false;
-        }
+    const targetPreferences = target.preferences || {};
+    const presentPreferences = {};
+    PROFILES.PREFERENCE_KEYS.filter(key => targetPreferences[key] !== undefined).forEach(key => {
+      presentPreferences[key] = targetPreferences[key];
+    });
+    await storageRemove(PROFILES.PREFERENCE_KEYS.filter(key => targetPreferences[key] === undefined));
+    await storageSet(presentPreferences);
 
-        // SECURITY: Final domain validation check
-        if (!isValidCookieDomain(cookie.domain, message.url)) {
-          console.error('[SECURITY] setCookie: Domain validation failed:', cookie.domain, 'for URL:', message.url);
-          sendResponse({ success: false, error: 'Invalid cookie domain' });
-          return false;
-        }
+    registry.activeProfileId = profileId;
+    await storageSet({ [PROFILES.STORAGE_KEY]: registry });
 
-        storeCookie(sessionId, cookie.domain, cookie);
-        console.log(`[${sessionId}] Cookie set: ${cookie.name} for ${cookie.domain}`);
-        sendResponse({ success: true });
-      } catch (error) {
-        console.error('setCookie: Error parsing cookie', error);
-        sendResponse({ success: false, error: error.message });
+    // No await between these so a pending persist cannot mix profiles
+    storagePersistenceManager.setProfile(profileId);
+    sessionStore.sessions = data.sessions || {};
+    sessionStore.cookieStore = data.cookieStore || {};
+    sessionStore.tabToSession = {};
+    Object.values(sessionStore.sessions).forEach(session => {
+      session.tabs = [];
+      delete session._isCreating;
+    });
+
+    await loadServiceWorkerPolicy();
+    await loadUrlRules();
+
+    // STEP 4: Close the old profile's tabs, keeping every window open
+    const sessionTabIds = new Set(sessionTabs.map(tab => tab.id));
+    const windowIds = new Set(sessionTabs.map(tab => tab.windowId));
+    for (const windowId of windowIds) {
+      const keepsTabs = allTabs.some(tab => tab.windowId === windowId && !sessionTabIds.has(tab.id));
+      if (!keepsTabs) {
+        await new Promise(resolve => {
+          chrome.tabs.create({ windowId: windowId, active: true }, () => {
+            if (chrome.runtime.lastError) {
+              console.warn('[Profiles] Could not open placeholder tab:', chrome.runtime.lastError.message);
+            }
+            resolve();
+          });
+        });
       }
-      return false; // Synchronous response
+    }
 
-    } else if (message.action === 'getSessionColor') {
-      // Get color for a specific session
-      const sessionId = message.sessionId;
+    if (sessionTabIds.size > 0) {
+      await new Promise(resolve => {
+        chrome.tabs.remove(Array.from(sessionTabIds), () => {
+          if (chrome.runtime.lastError) {
+            console.warn('[Profiles] Some tabs could not be closed:', chrome.runtime.lastError.message);
+          }
+          resolve();
+        });
+      });
+    }
 
-      if (!sessionId) {
-        sendResponse({ success: false, error: 'No session ID provided' });
-        return false;
-      }
+    console.log(`[Profiles] ✓ Switched to profile ${profileId} (${Object.keys(sessionStore.sessions).length} sessions, ${sessionTabIds.size} tabs closed)`);
+    return {
+      success: true,
+      profileId: profileId,
+      sessionCount: Object.keys(sessionStore.sessions).length,
+      closedTabs: sessionTabIds.size
+    };
+  } catch (error) {
+    console.error('[Profiles] ✗ Profile switch failed:', error);
+    return { success: false, error: 'Profile switch failed: ' + error.message };
+  } finally {
+    profileSwitchInProgress = false;
+  }
+}
 
-      const session = sessionStore.sessions[sessionId];
+/**
+ * Export a profile (all of its sessions, name, color and preferences)
+ * @param {string} profileId - Profile ID
+ * @param {Object} options - Export options
+ * @param {boolean} options.encrypt - Encrypt export
+ * @param {string} options.password - Encryption password (if encrypt=true)
+ * @param {boolean} options.omitHeaderRuleValues - Leave header rule values out
+ * @returns {Promise<Object>} Export result (same shape as exportAllSessions)
+ */
+async function exportProfile(profileId, options = {}) {
+  console.log('[exportProfile] Export request for profile:', profileId);
 
-      if (!session) {
-        console.warn('getSessionColor: Session not found', sessionId);
-        sendResponse({ success: false, error: 'Session not found' });
-        return false;
-      }
+  try {
+    const access = getFeatureAccess('multiProfile');
+    if (!access.allowed) {
+      return {
+        success: false,
+        requiresUpgrade: true,
+        tier: access.tier,
+        message: 'Profile export requires Enterprise tier. Upgrade to unlock this feature.'
+      };
+    }
 
-      const color = session.color || sessionColor(sessionId);
-      sendResponse({ success: true, color: color });
-      return false; // Synchronous response
+    const registry = await loadProfiles();
+    const profile = getProfileRecord(registry, profileId);
+    if (!profile) {
+      return { success: false, message: 'Profile not found' };
+    }
 
-    } else if (message.action === 'switchToTab') {
-      // Switch to a specific tab
-      if (!message.tabId) {
-        sendResponse({ success: false, error: 'No tab ID provided' });
-        return false;
-      }
+    // The active profile is in memory (with live tabs); others come from storage
+    let sessions;
+    let cookieStore;
+    let preferences;
+    if (profileId === registry.activeProfileId) {
+      sessions = Object.values(sessionStore.sessions);
+      cookieStore = sessionStore.cookieStore;
+      preferences = await storageGet(PROFILES.PREFERENCE_KEYS);
+    } else {
+      const data = await storagePersistenceManager.loadData(profileId);
+      sessions = Object.values(data.sessions || {}).map(session => Object.assign({}, session, { tabs: [] }));
+      cookieStore = data.cookieStore || {};
+      preferences = profile.preferences || {};
+    }
 
-      chrome.tabs.update(message.tabId, { active: true }, (tab) => {
-        if (chrome.runtime.lastError) {
-          console.error('tabs.update error:', chrome.runtime.lastError);
-          sendResponse({ success: false, error: chrome.runtime.lastError.message });
-        } else {
-          sendResponse({ success: true });
-        }
-      });
-      return true; // Keep channel open for async response
+    if (sessions.length === 0) {
+      return { success: false, message: 'Profile has no sessions to export' };
+    }
 
-    } else if (message.action === 'canCreateSession') {
-      // Check if session creation is allowed
-      canCreateNewSession().then(result => {
-        sendResponse({ success: true, ...result });
-      }).catch(error => {
-        console.error('[canCreateSession] Error:', error);
-        sendResponse({ success: false, error: error.message });
-      });
-      return true; // Keep channel open for async response
+    // Header rule values are kept unless the caller opts out
+    const encrypt = !!(options.encrypt && options.password);
+    const exportSessions = [];
+    for (const session of sessions) {
+      exportSessions.push(await sanitizeExportData(session, cookieStore, { omitHeaderRuleValues: options.omitHeaderRuleValues === true }));
+    }
+    const headerRuleValues = countHeaderRuleValues(exportSessions);
 
-    } else if (message.action === 'getSessionStatus') {
-      // Get session status for UI
-      getSessionStatus().then(status => {
-        sendResponse({ success: true, ...status });
-      }).catch(error => {
-        console.error('[getSessionStatus] Error:', error);
-        sendResponse({ success: false, error: error.message });
-      });
-      return true; // Keep channel open for async response
+    const exportFile = {
+      version: chrome.runtime.getManifest().version,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportType: 'profile',
+      exportedAt: new Date().toISOString(),
+      encrypted: options.encrypt || false,
+      sessionCount: exportSessions.length,
+      profile: {
+        name: profile.name,
+        color: profile.color || null,
+        preferences: preferences
+      },
+      sessions: exportSessions
+    };
 
-    } else if (message.action === 'getSessionMetadata') {
-      // Get full session metadata for UI (includes lastAccessed timestamps)
-      const sessionId = message.sessionId;
+    let jsonData = JSON.stringify(exportFile, null, 2);
+    const originalSize = jsonData.length;
 
-      if (!sessionId) {
-        // Return all sessions metadata
-        sendResponse({ success: true, sessions: sessionStore.sessions });
-      } else {
-        // Return specific session metadata
-        const session = sessionStore.sessions[sessionId];
-        if (session) {
-          sendResponse({ success: true, session: session });
-        } else {
-          sendResponse({ success: false, error: 'Session not found' });
-        }
+    // Compress if needed (>100KB)
+    let compressed = false;
+    if (originalSize > COMPRESSION_THRESHOLD) {
+      const compressedData = compressData(jsonData);
+      if (compressedData !== jsonData) {
+        jsonData = compressedData;
+        compressed = true;
       }
-      return false; // Synchronous response
-
-    } else if (message.action === 'getStorageStats') {
-      // Get storage statistics for debugging (Edge storage issue)
-      getStorageStatsHelper()
-        .then(stats => {
-          sendResponse({ success: true, stats });
-        })
-        .catch(error => {
-          console.error('[getStorageStats] Error:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep channel open for async response
+    }
 
-    } else if (message.action === 'getOrphanCount') {
-      // Get orphan session count (IndexedDB sessions not in memory)
-      if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.isInitialized) {
-        storagePersistenceManager.getOrphanSessionCount()
-          .then(count => {
-            console.log('[getOrphanCount] Found ' + count + ' orphan sessions in IndexedDB');
-            sendResponse({ success: true, orphanCount: count });
-          })
-          .catch(error => {
-            console.error('[getOrphanCount] Error:', error);
-            sendResponse({ success: false, error: error.message });
-          });
-      } else {
-        console.warn('[getOrphanCount] Storage persistence manager not initialized');
-        sendResponse({ success: false, error: 'Storage persistence manager not initialized' });
+    if (options.encrypt && options.password) {
+      if (typeof cryptoUtils === 'undefined') {
+        return { success: false, message: 'Encryption utilities not available' };
+      }
+      const passwordValidation = cryptoUtils.validatePassword(options.password);
+      if (!passwordValidation.valid) {
+        return { success: false, message: passwordValidation.error };
       }
-      return true; // Keep channel open for async response
 
-    } else if (message.action === 'cleanupOrphans') {
-      // Clean up orphan sessions (IndexedDB sessions not in memory)
-      console.log('[cleanupOrphans] Starting orphan cleanup...');
-      if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.isInitialized) {
-        storagePersistenceManager.cleanupOrphanSessions()
-          .then(result => {
-            console.log('[cleanupOrphans] Cleanup complete:', result);
-            sendResponse({ success: true, ...result });
-          })
-          .catch(error => {
-            console.error('[cleanupOrphans] Error:', error);
-            sendResponse({ success: false, error: error.message });
-          });
-      } else {
-        console.warn('[cleanupOrphans] Storage persistence manager not initialized');
-        sendResponse({ success: false, error: 'Storage persistence manager not initialized' });
-      }
-      return true; // Keep channel open for async response
+      exportFile.encryptedData = await cryptoUtils.encryptData(jsonData, options.password);
+      exportFile.encrypted = true;
+      exportFile.compressed = compressed;
+      delete exportFile.sessions;
+      delete exportFile.profile;
+      jsonData = JSON.stringify(exportFile, null, 2);
+    } else if (compressed) {
+      exportFile.compressed = true;
+      jsonData = JSON.stringify(exportFile, null, 2);
+    }
 
-    } else if (message.action === 'getAvailableColors') {
-      // Get available colors for current tier
-      let tier = 'free';
-      try {
-        if (typeof licenseManager !== 'undefined' && licenseManager.isInitialized) {
-          tier = licenseManager.getTier();
-        }
-      } catch (error) {
-        console.error('[getAvailableColors] Error getting tier:', error);
-      }
+    const safeName = profile.name.replace(/[^a-zA-Z0-9_-]/g, '_');
+    const timestamp = new Date().toISOString().split('T')[0];
+    const filename = `sessner_PROFILE_${safeName}_${timestamp}.json`;
 
-      const colors = getColorPaletteForTier(tier);
-      const allowCustom = tier === 'enterprise';
+    console.log(`[exportProfile] ✓ Exported ${exportSessions.length} sessions (${jsonData.length} bytes, compressed: ${compressed}, encrypted: ${exportFile.encrypted})`);
+    return {
+      success: true,
+      profileId: profileId,
+      sessionCount: exportSessions.length,
+      filename: filename,
+      data: jsonData,
+      size: jsonData.length,
+      originalSize: originalSize,
+      compressed: compressed,
+      encrypted: exportFile.encrypted,
+      headerRuleValuesRemoved: headerRuleValues.removed,
+      headerRuleValuesUnencrypted: encrypt ? 0 : headerRuleValues.included,
+      tier: access.tier
+    };
+  } catch (error) {
+    console.error('[exportProfile] Export error:', error);
+    return { success: false, message: 'Export failed: ' + error.message };
+  }
+}
 
-      sendResponse({
-        success: true,
-        tier: tier,
-        colors: colors,
-        allowCustom: allowCustom
-      });
-      return false; // Synchronous response
+/**
+ * Import a profile export as a new profile (the active profile is not changed)
+ * Session export files are accepted too and become a profile of their own
+ * @param {string} fileData - File content (JSON string)
+ * @param {Object} options - Import options
+ * @param {string} options.password - Password for decryption (if encrypted)
+ * @param {string} options.name - Profile name (defaults to the exported name)
+ * @returns {Promise<Object>} { success, profile?, importedCount?, message? }
+ */
+async function importProfile(fileData, options = {}) {
+  console.log('[importProfile] Import request, file size:', fileData.length, 'bytes');
 
-    } else if (message.action === 'setSessionColor') {
-      // Set custom color for session (enterprise only)
-      const sessionId = message.sessionId;
-      const newColor = message.color;
+  try {
+    const access = getFeatureAccess('multiProfile');
+    if (!access.allowed) {
+      return {
+        success: false,
+        requiresUpgrade: true,
+        tier: access.tier,
+        message: 'Profile import requires Enterprise tier. Upgrade to unlock this feature.'
+      };
+    }
+    if (typeof storagePersistenceManager === 'undefined' || !storagePersistenceManager.isInitialized) {
+      return { success: false, message: 'Storage is not ready, try again in a moment' };
+    }
 
-      if (!sessionId) {
-        sendResponse({ success: false, error: 'No session ID provided' });
-        return false;
-      }
+    const validation = await validateImportFile(fileData, options.password);
+    if (!validation.success) {
+      return validation;
+    }
 
-      if (!newColor) {
-        sendResponse({ success: false, error: 'No color provided' });
-        return false;
-      }
+    const importFile = await decodeImportFile(fileData, options.password);
+    const exportedProfile = importFile.profile || {};
 
-      // Check tier
-      let tier = 'free';
-      try {
-        if (typeof licenseManager !== 'undefined' && licenseManager.isInitialized) {
-          tier = licenseManager.getTier();
-        }
-      } catch (error) {
-        console.error('[setSessionColor] Error getting tier:', error);
-      }
+    const registry = await loadProfiles();
+    if (Object.keys(registry.profiles).filter(id => id !== PROFILES.DEFAULT_ID).length + 1 >= PROFILES.MAX_PROFILES) {
+      return { success: false, message: `You can have at most ${PROFILES.MAX_PROFILES} profiles` };
+    }
 
-      if (tier !== 'enterprise') {
-        sendResponse({
-          success: false,
-          error: 'Custom colors are only available in Enterprise tier',
-          tier: tier
-        });
-        return false;
+    let name;
+    if (options.name) {
+      const nameValidation = validateProfileName(registry, options.name);
+      if (!nameValidation.valid) {
+        return { success: false, message: nameValidation.error };
       }
+      name = nameValidation.name;
+    } else {
+      name = generateUniqueProfileName(registry, exportedProfile.name);
+    }
 
-      // Validate color
-      if (!isValidHexColor(newColor)) {
-        sendResponse({
-          success: false,
-          error: 'Invalid color format. Use hex format like #FF6B6B'
-        });
-        return false;
+    // Only known preference keys are restored
+    const preferences = {};
+    const exportedPreferences = exportedProfile.preferences || {};
+    PROFILES.PREFERENCE_KEYS.forEach(key => {
+      if (exportedPreferences[key] && typeof exportedPreferences[key] === 'object') {
+        preferences[key] = exportedPreferences[key];
       }
+    });
 
-      const normalizedColor = normalizeHexColor(newColor);
+    const now = Date.now();
+    const profile = {
+      id: 'profile_' + now + '_' + Math.random().toString(36).substr(2, 9),
+      name: name,
+      color: isValidHexColor(exportedProfile.color) ? normalizeHexColor(exportedProfile.color) : null,
+      createdAt: now,
+      preferences: preferences
+    };
 
-      // Check contrast
-      if (!hasGoodContrast(normalizedColor)) {
-        console.warn('[setSessionColor] Poor contrast for color:', normalizedColor);
-        // Don't block, just warn
-      }
+    // Build the profile's sessions with new IDs (never reuse imported IDs)
+    const sessions = {};
+    const cookieStore = {};
+    const sessionIdMap = {};
+    for (const sessionData of importFile.sessions) {
+      const newSessionId = generateSessionId();
+      sessionIdMap[sessionData.id] = newSessionId;
+      sessions[newSessionId] = {
+        id: newSessionId,
+        name: sessionData.name || null,
+        color: sessionData.color || sessionColor(newSessionId),
+        customColor: sessionData.customColor || null,
+        createdAt: now,
+        lastAccessed: now,
+        tabs: [],
+        persistedTabs: sessionData.persistedTabs || [],
+        headerRules: sanitizeImportedHeaderRules(sessionData.headerRules),
+        group: sanitizeSessionGroupName(sessionData.group),
+        restoreMode: sanitizeRestoreMode(sessionData.restoreMode),
+        cookieLifetime: sanitizeCookieLifetimePolicy(sessionData.cookieLifetime)
+      };
+      cookieStore[newSessionId] = sessionData.cookies ? JSON.parse(JSON.stringify(sessionData.cookies)) : {};
 
-      // Check if session exists
-      const session = sessionStore.sessions[sessionId];
-      if (!session) {
-        sendResponse({ success: false, error: 'Session not found' });
-        return false;
+      if (sessionData.storage) {
+        await savePendingStorageSnapshots(newSessionId, sanitizeStorageSnapshots(sessionData.storage));
       }
+    }
 
-      // Update session color
-      session.color = normalizedColor;
-      session.customColor = normalizedColor;
+    // URL rules point to sessions by ID
+    const importedRules = preferences[urlRules.CONFIG.STORAGE_KEY];
+    if (importedRules) {
+      preferences[urlRules.CONFIG.STORAGE_KEY] = (Array.isArray(importedRules) ? importedRules : [])
+        .filter(rule => urlRules.validateRule(rule).valid)
+        .map(rule => Object.assign({}, rule, { sessionId: rule.sessionId ? (sessionIdMap[rule.sessionId] || null) : null }))
+        .filter(rule => rule.action !== 'session' || rule.sessionId);
+    }
 
-      // Update badge for all tabs in this session
-      if (session.tabs && session.tabs.length > 0) {
-        session.tabs.forEach(tabId => {
-          setSessionBadge(tabId, normalizedColor);
-          console.log(`[setSessionColor] Updated badge for tab ${tabId} to ${normalizedColor}`);
+    await storagePersistenceManager.saveData({
+      sessions: sessions,
+      cookieStore: cookieStore,
+      tabToSession: {},
+      tabMetadata: {}
+    }, profile.id);
 
-          // Also update favicon badge
-          chrome.tabs.sendMessage(tabId, {
-            action: 'sessionColorChanged',
-            color: normalizedColor
-          }, (response) => {
-            if (chrome.runtime.lastError) {
-              // Tab might not have content script loaded yet, that's OK
-              console.log(`[setSessionColor] Could not update favicon for tab ${tabId}:`, chrome.runtime.lastError.message);
-            } else {
-              console.log(`[setSessionColor] Updated favicon for tab ${tabId}`);
-            }
-          });
-        });
-      }
+    registry.profiles[profile.id] = profile;
+    await storageSet({ [PROFILES.STORAGE_KEY]: registry });
 
-      // Persist changes
+    console.log(`[importProfile] ✓ Imported profile "${profile.name}" (${profile.id}) with ${Object.keys(sessions).length} sessions`);
+    return {
+      success: true,
+      profile: { id: profile.id, name: profile.name, color: profile.color, createdAt: profile.createdAt },
+      importedCount: Object.keys(sessions).length,
+      tier: access.tier
+    };
+  } catch (error) {
+    console.error('[importProfile] Import error:', error);
+    return { success: false, message: 'Import failed: ' + error.message };
+  }
+}
+
+// ============= URL Rules =============
+
+/**
+ * URL rule configuration
+ * Rules (see url-rules.js) are stored in priority order under urlRules.CONFIG.STORAGE_KEY
+ * and belong to the active profile. They are checked when a tab is created or an
+ * unassigned tab starts a top-level navigation, before opener inheritance and
+ * the noopener domain heuristic.
+ */
+const URL_RULE_PROMPT = {
+  PAGE: 'html/session-picker.html'
+};
+
+/**
+ * Rules of the active profile, loaded during initialization
+ * @type {Array<Object>}
+ */
+let urlRuleList = [];
+
+/**
+ * Tabs currently showing the session picker (tabId -> target URL)
+ */
+const urlRulePromptTabs = new Map();
+
+/**
+ * "Ask" rules the user already answered with "No session", per tab (tabId -> Set of rule IDs)
+ */
+const urlRuleDismissed = new Map();
+
+/**
+ * Load URL rules from storage
+ * @returns {Promise<void>}
+ */
+async function loadUrlRules() {
+  try {
+    const data = await storageGet([urlRules.CONFIG.STORAGE_KEY]);
+    const rules = data[urlRules.CONFIG.STORAGE_KEY];
+    urlRuleList = Array.isArray(rules) ? rules : [];
+    console.log(`[URL Rules] ✓ Loaded ${urlRuleList.length} rules`);
+  } catch (error) {
+    console.error('[URL Rules] ✗ Failed to load rules:', error);
+    urlRuleList = [];
+  }
+}
+
+/**
+ * Save URL rules (in priority order)
+ * @param {Array<Object>} rules - Rules
+ * @returns {Promise<void>}
+ */
+async function saveUrlRules(rules) {
+  urlRuleList = rules;
+  await storageSet({ [urlRules.CONFIG.STORAGE_KEY]: rules });
+}
+
+/**
+ * Create or update a URL rule
+ * New rules are added with the lowest priority
+ * @param {Object} input - { id?, pattern, action, sessionId?, enabled? }
+ * @returns {Promise<Object>} { success, rule?, error? }
+ */
+async function saveUrlRule(input) {
+  const validation = urlRules.validateRule(input);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const rule = validation.rule;
+  if (rule.action === 'session') {
+    const session = sessionStore.sessions[rule.sessionId];
+    if (!session) {
+      return { success: false, error: 'Session not found: ' + rule.sessionId };
+    }
+    rule.sessionName = session.name || null;
+  }
+
+  const rules = urlRuleList.slice();
+  const index = rule.id ? rules.findIndex(r => r.id === rule.id) : -1;
+
+  if (index === -1) {
+    if (rules.length >= urlRules.CONFIG.MAX_RULES) {
+      return { success: false, error: `You can have at most ${urlRules.CONFIG.MAX_RULES} URL rules` };
+    }
+    rule.id = 'rule_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    rule.createdAt = Date.now();
+    rules.push(rule);
+  } else {
+    rule.createdAt = rules[index].createdAt;
+    rules[index] = rule;
+  }
+
+  await saveUrlRules(rules);
+  console.log(`[URL Rules] ✓ ${index === -1 ? 'Added' : 'Updated'} rule ${rule.id}: ${rule.pattern} → ${rule.action}`);
+  return { success: true, rule: rule };
+}
+
+/**
+ * Delete a URL rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function deleteUrlRule(ruleId) {
+  const rules = urlRuleList.filter(rule => rule.id !== ruleId);
+  if (rules.length === urlRuleList.length) {
+    return { success: false, error: 'Rule not found' };
+  }
+
+  await saveUrlRules(rules);
+  console.log(`[URL Rules] ✓ Deleted rule ${ruleId}`);
+  return { success: true };
+}
+
+/**
+ * Move a URL rule up or down in priority
+ * @param {string} ruleId - Rule ID
+ * @param {number} offset - -1 to move up (higher priority), 1 to move down
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function moveUrlRule(ruleId, offset) {
+  const rules = urlRuleList.slice();
+  const index = rules.findIndex(rule => rule.id === ruleId);
+  if (index === -1) {
+    return { success: false, error: 'Rule not found' };
+  }
+
+  const target = index + (offset < 0 ? -1 : 1);
+  if (target < 0 || target >= rules.length) {
+    return { success: true };
+  }
+
+  const [rule] = rules.splice(index, 1);
+  rules.splice(target, 0, rule);
+  await saveUrlRules(rules);
+  return { success: true };
+}
+
+/**
+ * Map a tab to a session (tab joins the session from its next request on)
+ * @param {number} tabId - Tab ID
+ * @param {string} sessionId - Session ID
+ */
+function attachTabToSession(tabId, sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  sessionStore.tabToSession[tabId] = sessionId;
+  if (!session.tabs) {
+    session.tabs = [];
+  }
+  if (!session.tabs.includes(tabId)) {
+    session.tabs.push(tabId);
+  }
+  session.lastAccessed = Date.now();
+  setSessionBadge(tabId, session.color || sessionColor(sessionId));
+}
+
+/**
+ * Apply the first matching URL rule to a tab
+ * @param {number} tabId - Tab ID
+ * @param {string} url - URL the tab is opening
+ * @param {string} source - 'created', 'opener' or 'navigate' (for logging)
+ * @returns {string|null} 'assigned', 'asked', 'excluded', or null if no rule applies
+ */
+function applyUrlRules(tabId, url, source) {
+  if (urlRulePromptTabs.has(tabId)) {
+    return 'asked';
+  }
+
+  const dismissed = urlRuleDismissed.get(tabId);
+  const rules = dismissed ? urlRuleList.filter(rule => !dismissed.has(rule.id)) : urlRuleList;
+  const rule = urlRules.findMatch(rules, url);
+  if (!rule) {
+    return dismissed && urlRules.findMatch(urlRuleList, url) ? 'excluded' : null;
+  }
+
+  if (rule.action === 'none') {
+    console.log(`[URL Rules] Tab ${tabId} (${source}): ${url} kept out of sessions by rule ${rule.pattern}`);
+    return 'excluded';
+  }
+
+  if (rule.action === 'session') {
+    if (!sessionStore.sessions[rule.sessionId]) {
+      console.warn(`[URL Rules] ⚠️ Rule ${rule.pattern} points to a missing session ${rule.sessionId}, skipping`);
+      return null;
+    }
+    if (sessionStore.tabToSession[tabId] !== rule.sessionId) {
+      attachTabToSession(tabId, rule.sessionId);
       persistSessions(true);
+      console.log(`[URL Rules] ✓ Tab ${tabId} (${source}): ${url} → session ${rule.sessionId} (rule ${rule.pattern})`);
+    }
+    return 'assigned';
+  }
 
-      console.log(`[setSessionColor] Session ${sessionId} color changed to ${normalizedColor}`);
-      sendResponse({ success: true, color: normalizedColor });
-      return false; // Synchronous response
+  // Ask: show the session picker in the tab instead of loading the page
+  urlRulePromptTabs.set(tabId, url);
+  const pickerUrl = chrome.runtime.getURL(URL_RULE_PROMPT.PAGE) +
+    '?url=' + encodeURIComponent(url) + '&rule=' + encodeURIComponent(rule.id);
+  chrome.tabs.update(tabId, { url: pickerUrl }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('[URL Rules] Failed to show session picker:', chrome.runtime.lastError.message);
+      urlRulePromptTabs.delete(tabId);
+    }
+  });
+  console.log(`[URL Rules] Tab ${tabId} (${source}): asking which session to use for ${url}`);
+  return 'asked';
+}
 
-    } else if (message.action === 'getAutoRestorePreference') {
-      // Get auto-restore preference (Enterprise only)
-      (async () => {
-        try {
-          const result = await new Promise((resolve) => {
-            chrome.storage.local.get(['autoRestorePreference'], (data) => {
-              resolve(data);
-            });
-          });
+/**
+ * Handle the user's choice in the session picker
+ * @param {number} tabId - Picker tab
+ * @param {Object} choice - { mode: 'session'|'new'|'none', sessionId?, url }
+ * @returns {Promise<Object>} { success, sessionId?, error? }
+ */
+async function resolveUrlRulePrompt(tabId, choice) {
+  const url = urlRulePromptTabs.get(tabId) || choice.url;
+  if (!url || !/^https?:/i.test(url)) {
+    return { success: false, error: 'Invalid URL' };
+  }
+
+  if (choice.mode === 'session') {
+    if (!sessionStore.sessions[choice.sessionId]) {
+      return { success: false, error: 'Session not found' };
+    }
+    urlRulePromptTabs.delete(tabId);
+    attachTabToSession(tabId, choice.sessionId);
+    persistSessions(true);
+    chrome.tabs.update(tabId, { url: url });
+    return { success: true, sessionId: choice.sessionId };
+  }
+
+  if (choice.mode === 'new') {
+    const result = await new Promise(resolve => createNewSession(url, resolve));
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to create session' };
+    }
+    urlRulePromptTabs.delete(tabId);
+    chrome.tabs.remove(tabId, () => {
+      if (chrome.runtime.lastError) {
+        // Picker tab already closed
+      }
+    });
+    return { success: true, sessionId: result.sessionId };
+  }
+
+  // No session: do not ask again in this tab for this rule
+  urlRulePromptTabs.delete(tabId);
+  if (choice.ruleId) {
+    if (!urlRuleDismissed.has(tabId)) {
+      urlRuleDismissed.set(tabId, new Set());
+    }
+    urlRuleDismissed.get(tabId).add(choice.ruleId);
+  }
+  chrome.tabs.update(tabId, { url: url });
+  return { success: true, sessionId: null };
+}
+
+/**
+ * Unassigned tabs that navigate to a URL with a rule (typed URL, bookmark, redirect)
+ * Evaluated in the blocking main_frame request rather than webNavigation.onBeforeNavigate:
+ * that event is not ordered with the request, so the document could be requested
+ * (and its response cookies stored) before the tab joined its session. A request
+ * for an 'ask' rule is cancelled while the session picker replaces it.
+ */
+chrome.webRequest.onBeforeRequest.addListener(
+  function(details) {
+    if (details.tabId < 0 || sessionStore.tabToSession[details.tabId] || urlRuleList.length === 0) {
+      return {};
+    }
+    urlRulePromptTabs.delete(details.tabId); // Navigating away from a session picker
+    if (applyUrlRules(details.tabId, details.url, 'navigate') === 'asked') {
+      return { cancel: true };
+    }
+    return {};
+  },
+  {
+    urls: ['http://*/*', 'https://*/*'],
+    types: ['main_frame']
+  },
+  ['blocking']
+);
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  urlRulePromptTabs.delete(tabId);
+  urlRuleDismissed.delete(tabId);
+});
+
+// ============= User-Agent Overrides =============
+
+/**
+ * User-Agent override configuration
+ * A session can present itself as another browser or device (session.userAgentOverride,
+ * saved with the session). Request headers (User-Agent, Accept-Language, Sec-CH-UA*)
+ * are rewritten in onBeforeSendHeaders; the page script in content-script-storage.js
+ * makes navigator.userAgent, navigator.language(s), navigator.platform and
+ * navigator.userAgentData match.
+ */
+const USER_AGENT_OVERRIDE = {
+  PLATFORMS: ['Windows', 'macOS', 'Linux', 'Chrome OS', 'Android', 'iOS'],
+  NAVIGATOR_PLATFORMS: {
+    'Windows': 'Win32',
+    'macOS': 'MacIntel',
+    'Linux': 'Linux x86_64',
+    'Chrome OS': 'Linux x86_64',
+    'Android': 'Linux armv81',
+    'iOS': 'iPhone'
+  },
+  MAX_USER_AGENT_LENGTH: 500,
+  MAX_FIELD_LENGTH: 100,
+  PRESETS: {
+    'windows-chrome': {
+      label: 'Windows - Chrome',
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+      platform: 'Windows',
+      mobile: false,
+      platformVersion: '15.0.0',
+      model: ''
+    },
+    'mac-chrome': {
+      label: 'macOS - Chrome',
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+      platform: 'macOS',
+      mobile: false,
+      platformVersion: '14.4.1',
+      model: ''
+    },
+    'android-chrome': {
+      label: 'Android phone - Chrome',
+      userAgent: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36',
+      platform: 'Android',
+      mobile: true,
+      platformVersion: '14.0.0',
+      model: 'Pixel 8'
+    },
+    'iphone-safari': {
+      label: 'iPhone - Safari',
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+      platform: 'iOS',
+      mobile: true,
+      platformVersion: '17.4',
+      model: ''
+    }
+  }
+};
+
+/**
+ * Derived navigator/header values per config (config JSON -> override)
+ */
+const navigatorOverrideCache = {};
+
+/**
+ * Validate and normalize a User-Agent override config
+ * Fields left out are taken from the preset, if one is given
+ * @param {Object} input - { preset?, userAgent?, acceptLanguage?, platform?, mobile?, platformVersion?, model? }
+ * @returns {{valid: boolean, config?: Object, error?: string}}
+ */
+function validateUserAgentOverride(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Invalid User-Agent override' };
+  }
+
+  const preset = input.preset && input.preset !== 'custom' ? USER_AGENT_OVERRIDE.PRESETS[input.preset] : null;
+  if (input.preset && input.preset !== 'custom' && !preset) {
+    return { valid: false, error: `Unknown preset: ${input.preset}` };
+  }
+  const base = preset || {};
+  const pick = (field, fallback) => (input[field] !== undefined ? input[field] : (base[field] !== undefined ? base[field] : fallback));
+
+  const userAgent = String(pick('userAgent', '')).trim();
+  if (!userAgent || userAgent.length > USER_AGENT_OVERRIDE.MAX_USER_AGENT_LENGTH || /[\r\n]/.test(userAgent)) {
+    return { valid: false, error: 'User-Agent must be 1-500 characters on one line' };
+  }
+
+  const platform = String(pick('platform', ''));
+  if (USER_AGENT_OVERRIDE.PLATFORMS.indexOf(platform) === -1) {
+    return { valid: false, error: 'Platform must be one of: ' + USER_AGENT_OVERRIDE.PLATFORMS.join(', ') };
+  }
+
+  const acceptLanguage = String(input.acceptLanguage || '').trim();
+  if (acceptLanguage && !/^[A-Za-z0-9\-,;=.* ]{1,100}$/.test(acceptLanguage)) {
+    return { valid: false, error: 'Accept-Language must look like "en-US,en;q=0.9"' };
+  }
+
+  const platformVersion = String(pick('platformVersion', '')).trim();
+  const model = String(pick('model', '')).trim();
+  if (platformVersion.length > USER_AGENT_OVERRIDE.MAX_FIELD_LENGTH || model.length > USER_AGENT_OVERRIDE.MAX_FIELD_LENGTH ||
+      /["\\\r\n]/.test(platformVersion + model)) {
+    return { valid: false, error: 'Invalid platform version or model' };
+  }
+
+  return {
+    valid: true,
+    config: {
+      preset: preset ? input.preset : 'custom',
+      userAgent: userAgent,
+      acceptLanguage: acceptLanguage || null,
+      platform: platform,
+      mobile: !!pick('mobile', false),
+      platformVersion: platformVersion,
+      model: model
+    }
+  };
+}
+
+/**
+ * Derive navigator values and client hints from an override config
+ * Client hints are only produced for Chromium User-Agents (Safari and Firefox do not send them)
+ * @param {Object} config - session.userAgentOverride
+ * @returns {Object} { userAgent, appVersion, platform, languages, acceptLanguage, clientHints }
+ */
+function buildNavigatorOverride(config) {
+  const cacheKey = JSON.stringify(config);
+  if (navigatorOverrideCache[cacheKey]) {
+    return navigatorOverrideCache[cacheKey];
+  }
+
+  const languages = config.acceptLanguage
+    ? config.acceptLanguage.split(',').map(part => part.split(';')[0].trim()).filter(lang => lang && lang !== '*')
+    : null;
+
+  let clientHints = null;
+  const chromeMatch = config.platform !== 'iOS' && config.userAgent.match(/Chrome\/(\d+)((?:\.\d+)*)/);
+  if (chromeMatch) {
+    const major = chromeMatch[1];
+    const fullVersion = major + (chromeMatch[2] || '.0.0.0');
+    const edgeMatch = config.userAgent.match(/Edg\/(\d+)((?:\.\d+)*)/);
+    const brandName = edgeMatch ? 'Microsoft Edge' : 'Google Chrome';
+    const brandFull = edgeMatch ? edgeMatch[1] + (edgeMatch[2] || '.0.0.0') : fullVersion;
+
+    clientHints = {
+      brands: [
+        { brand: 'Chromium', version: major },
+        { brand: brandName, version: edgeMatch ? edgeMatch[1] : major },
+        { brand: 'Not-A.Brand', version: '99' }
+      ],
+      fullVersionList: [
+        { brand: 'Chromium', version: fullVersion },
+        { brand: brandName, version: brandFull },
+        { brand: 'Not-A.Brand', version: '99.0.0.0' }
+      ],
+      uaFullVersion: brandFull,
+      mobile: config.mobile,
+      platform: config.platform,
+      platformVersion: config.platformVersion || '',
+      model: config.model || '',
+      architecture: config.mobile ? '' : 'x86',
+      bitness: config.mobile ? '' : '64',
+      wow64: false
+    };
+  }
+
+  const override = {
+    userAgent: config.userAgent,
+    appVersion: config.userAgent.replace(/^Mozilla\//, ''),
+    platform: USER_AGENT_OVERRIDE.NAVIGATOR_PLATFORMS[config.platform],
+    languages: languages && languages.length > 0 ? languages : null,
+    acceptLanguage: config.acceptLanguage,
+    clientHints: clientHints
+  };
+
+  navigatorOverrideCache[cacheKey] = override;
+  return override;
+}
+
+/**
+ * Get the navigator override for a session (sent to the page script)
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Override, or null if the session has none
+ */
+function getNavigatorOverride(sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  return session && session.userAgentOverride ? buildNavigatorOverride(session.userAgentOverride) : null;
+}
+
+/**
+ * Format a brand list as a structured header value
+ * @param {Array<{brand: string, version: string}>} brands - Brands
+ * @returns {string} e.g. "Chromium";v="124", "Google Chrome";v="124"
+ */
+function formatBrandHeader(brands) {
+  return brands.map(item => `"${item.brand}";v="${item.version}"`).join(', ');
+}
+
+/**
+ * Rewrite User-Agent, Accept-Language and Sec-CH-UA* request headers for a session
+ * Client hints are only replaced where the browser sent them (it decides which
+ * hints a site gets); unknown Sec-CH-UA* hints and all hints for non-Chromium
+ * User-Agents are removed
+ * @param {Array<Object>} headers - Request headers
+ * @param {string} sessionId - Session ID
+ * @returns {Array<Object>} Headers
+ */
+function applyUserAgentHeaders(headers, sessionId) {
+  const override = getNavigatorOverride(sessionId);
+  if (!override) {
+    return headers;
+  }
+
+  const hints = override.clientHints;
+  const hintValues = hints ? {
+    'sec-ch-ua': formatBrandHeader(hints.brands),
+    'sec-ch-ua-mobile': hints.mobile ? '?1' : '?0',
+    'sec-ch-ua-platform': `"${hints.platform}"`,
+    'sec-ch-ua-platform-version': `"${hints.platformVersion}"`,
+    'sec-ch-ua-model': `"${hints.model}"`,
+    'sec-ch-ua-arch': `"${hints.architecture}"`,
+    'sec-ch-ua-bitness': `"${hints.bitness}"`,
+    'sec-ch-ua-wow64': '?0',
+    'sec-ch-ua-full-version': `"${hints.uaFullVersion}"`,
+    'sec-ch-ua-full-version-list': formatBrandHeader(hints.fullVersionList)
+  } : {};
+
+  const result = [];
+  headers.forEach(header => {
+    const name = header.name.toLowerCase();
+    if (name === 'user-agent') {
+      result.push({ name: header.name, value: override.userAgent });
+    } else if (name === 'accept-language' && override.acceptLanguage) {
+      result.push({ name: header.name, value: override.acceptLanguage });
+    } else if (name.startsWith('sec-ch-ua')) {
+      if (hintValues[name] !== undefined) {
+        result.push({ name: header.name, value: hintValues[name] });
+      }
+    } else {
+      result.push(header);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Get a session's User-Agent override for the settings UI
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { success, override, presets, platforms, error? }
+ */
+function getSessionUserAgent(sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  return {
+    success: true,
+    override: session.userAgentOverride || null,
+    presets: USER_AGENT_OVERRIDE.PRESETS,
+    platforms: USER_AGENT_OVERRIDE.PLATFORMS
+  };
+}
+
+/**
+ * Set or clear a session's User-Agent override
+ * The session's tabs are reloaded so pages see the new values
+ * @param {string} sessionId - Session ID
+ * @param {Object|null} input - Override config, or null to use the browser's own values
+ * @returns {Promise<Object>} { success, override?, error? }
+ */
+async function setSessionUserAgent(sessionId, input) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  let config = null;
+  if (input) {
+    const validation = validateUserAgentOverride(input);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+    config = validation.config;
+  }
+
+  const changed = JSON.stringify(session.userAgentOverride || null) !== JSON.stringify(config);
+  session.userAgentOverride = config;
+  persistSessions(true);
+
+  if (changed) {
+    reloadSessionTabs(session);
+  }
+
+  console.log(`[UA Override] ✓ Session ${sessionId}: ${config ? config.preset + ' (' + config.platform + ')' : 'browser default'}`);
+  return { success: true, override: config };
+}
+
+// ============= Header Rules =============
+
+/**
+ * Header rule configuration
+ * A session can hold rules that add, replace or remove request headers on matching
+ * URLs (session.headerRules, saved and exported with the session). URL patterns
+ * use the URL rule syntax (see url-rules.js). Rules run in order in
+ * onBeforeSendHeaders, after the User-Agent override and before cookie injection.
+ */
+const HEADER_RULES = {
+  OPERATIONS: ['add', 'replace', 'remove'],
+  MAX_RULES: 50,
+  MAX_NAME_LENGTH: 100,
+  MAX_VALUE_LENGTH: 4096,
+  // Managed by the session cookie jar or by the browser
+  PROTECTED_HEADERS: ['cookie', 'host', 'content-length', 'connection', 'transfer-encoding', 'upgrade']
+};
+
+/**
+ * Validate and normalize one header rule
+ * @param {Object} input - { id?, pattern, name, value?, operation, enabled? }
+ * @returns {{valid: boolean, rule?: Object, error?: string}}
+ */
+function validateHeaderRule(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Invalid header rule' };
+  }
+
+  const pattern = typeof input.pattern === 'string' ? input.pattern.trim() : '';
+  if (!urlRules.compilePattern(pattern)) {
+    return { valid: false, error: `Invalid URL pattern: ${pattern || '(empty)'}` };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name) || name.length > HEADER_RULES.MAX_NAME_LENGTH) {
+    return { valid: false, error: `Invalid header name: ${name || '(empty)'}` };
+  }
+  if (HEADER_RULES.PROTECTED_HEADERS.indexOf(name.toLowerCase()) !== -1) {
+    return { valid: false, error: `${name} cannot be changed by header rules` };
+  }
+
+  if (HEADER_RULES.OPERATIONS.indexOf(input.operation) === -1) {
+    return { valid: false, error: 'Operation must be one of: ' + HEADER_RULES.OPERATIONS.join(', ') };
+  }
+
+  const value = input.operation === 'remove' ? '' : String(input.value === undefined ? '' : input.value);
+  if (value.length > HEADER_RULES.MAX_VALUE_LENGTH || /[\r\n\0]/.test(value)) {
+    return { valid: false, error: `Invalid value for ${name}` };
+  }
+
+  return {
+    valid: true,
+    rule: {
+      id: typeof input.id === 'string' && input.id ? input.id : 'hdr_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      pattern: pattern,
+      name: name,
+      value: value,
+      operation: input.operation,
+      enabled: input.enabled !== false
+    }
+  };
+}
+
+/**
+ * Keep the valid rules of an imported list (invalid ones are dropped)
+ * Rules exported without their value (unencrypted exports) are imported disabled.
+ * @param {Array<Object>} rules - Rules from an export file
+ * @returns {Array<Object>} Normalized rules
+ */
+function sanitizeImportedHeaderRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+  return rules.slice(0, HEADER_RULES.MAX_RULES)
+    .map(rule => validateHeaderRule(Object.assign({}, rule, {
+      id: null,
+      enabled: rule && rule.valueRemoved === true ? false : rule && rule.enabled
+    })))
+    .filter(result => result.valid)
+    .map(result => result.rule);
+}
+
+/**
+ * Apply a session's header rules to a request
+ * @param {Array<Object>} headers - Request headers
+ * @param {string} sessionId - Session ID
+ * @param {string} url - Request URL
+ * @returns {Array<Object>} Headers
+ */
+function applyHeaderRules(headers, sessionId, url) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session || !Array.isArray(session.headerRules) || session.headerRules.length === 0) {
+    return headers;
+  }
+
+  let result = headers;
+  session.headerRules.forEach(rule => {
+    if (rule.enabled === false || !urlRules.matches(rule.pattern, url)) {
+      return;
+    }
+
+    const lowerName = rule.name.toLowerCase();
+    if (rule.operation !== 'add') {
+      result = result.filter(header => header.name.toLowerCase() !== lowerName);
+    }
+    if (rule.operation !== 'remove') {
+      result.push({ name: rule.name, value: rule.value });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Names of the headers a session's rules set on a request (for HAR redaction)
+ * @param {string} sessionId - Session ID
+ * @param {string} url - Request URL
+ * @returns {Array<string>} Header names
+ */
+function getHeaderRuleNames(sessionId, url) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session || !Array.isArray(session.headerRules)) {
+    return [];
+  }
+  return session.headerRules
+    .filter(rule => rule.enabled !== false && rule.operation !== 'remove' && urlRules.matches(rule.pattern, url))
+    .map(rule => rule.name);
+}
+
+/**
+ * Get a session's header rules for the settings UI
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { success, rules, error? }
+ */
+function getSessionHeaderRules(sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  return {
+    success: true,
+    rules: session.headerRules || []
+  };
+}
+
+/**
+ * Replace a session's header rules
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} rules - Rules in the order they are applied
+ * @returns {Object} { success, rules?, error? }
+ */
+function setSessionHeaderRules(sessionId, rules) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+  if (!Array.isArray(rules)) {
+    return { success: false, error: 'Rules must be a list' };
+  }
+  if (rules.length > HEADER_RULES.MAX_RULES) {
+    return { success: false, error: `A session can have at most ${HEADER_RULES.MAX_RULES} header rules` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < rules.length; i++) {
+    const validation = validateHeaderRule(rules[i]);
+    if (!validation.valid) {
+      return { success: false, error: `Rule ${i + 1}: ${validation.error}` };
+    }
+    normalized.push(validation.rule);
+  }
+
+  session.headerRules = normalized;
+  persistSessions(true);
+
+  console.log(`[Header Rules] ✓ Session ${sessionId}: ${normalized.length} rules`);
+  return { success: true, rules: normalized };
+}
+
+// ============= Fingerprint Profiles =============
+
+/**
+ * Fingerprint profile configuration
+ * An opt-in profile (session.fingerprintProfile, saved with the session) that the
+ * page script in content-script-cookie.js applies: timezone, hardwareConcurrency,
+ * screen size, and canvas/WebGL/audio noise. The noise seed is random
+ * (crypto.getRandomValues) and kept with the profile, so a session keeps the same
+ * fingerprint across restarts while two sessions on the same site look like
+ * different machines.
+ */
+const FINGERPRINT_PROFILE = {
+  HARDWARE_CONCURRENCY: [2, 4, 6, 8, 12, 16],
+  SCREENS: [
+    { width: 1920, height: 1080 },
+    { width: 1366, height: 768 },
+    { width: 1536, height: 864 },
+    { width: 1440, height: 900 },
+    { width: 1680, height: 1050 },
+    { width: 2560, height: 1440 },
+    { width: 1280, height: 800 }
+  ],
+  MIN_SCREEN_SIZE: 320,
+  MAX_SCREEN_SIZE: 7680,
+  MAX_HARDWARE_CONCURRENCY: 64
+};
+
+/**
+ * Create a random noise seed (kept with the profile while protection stays on)
+ * @returns {number} Unsigned 32-bit seed
+ */
+function createFingerprintSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+/**
+ * Get the seed a session's profile keeps (a new one if the session has no profile)
+ * @param {Object} session - Session object
+ * @returns {number} Unsigned 32-bit seed
+ */
+function getFingerprintSeed(session) {
+  return session.fingerprintProfile ? session.fingerprintProfile.seed : createFingerprintSeed();
+}
+
+/**
+ * Build a suggested profile (values picked by the seed)
+ * Timezone is left as the browser's own until the user chooses one
+ * @param {number} seed - Noise seed
+ * @returns {Object} { seed, timezone, hardwareConcurrency, screen, noise }
+ */
+function createFingerprintProfile(seed) {
+  const cores = FINGERPRINT_PROFILE.HARDWARE_CONCURRENCY;
+  const screens = FINGERPRINT_PROFILE.SCREENS;
+  return {
+    seed: seed,
+    timezone: null,
+    hardwareConcurrency: cores[seed % cores.length],
+    screen: Object.assign({}, screens[(seed >>> 8) % screens.length]),
+    noise: true
+  };
+}
+
+/**
+ * Validate and normalize a fingerprint profile
+ * @param {Object} input - { timezone?, hardwareConcurrency, screen: { width, height }, noise? }
+ * @param {number} seed - Noise seed (input.seed is ignored)
+ * @returns {{valid: boolean, profile?: Object, error?: string}}
+ */
+function validateFingerprintProfile(input, seed) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Invalid fingerprint profile' };
+  }
+
+  let timezone = typeof input.timezone === 'string' ? input.timezone.trim() : '';
+  if (timezone) {
+    try {
+      timezone = new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+    } catch (e) {
+      return { valid: false, error: `Unknown timezone: ${timezone}` };
+    }
+  }
+
+  const cores = Number(input.hardwareConcurrency);
+  if (!Number.isInteger(cores) || cores < 1 || cores > FINGERPRINT_PROFILE.MAX_HARDWARE_CONCURRENCY) {
+    return { valid: false, error: `CPU cores must be between 1 and ${FINGERPRINT_PROFILE.MAX_HARDWARE_CONCURRENCY}` };
+  }
+
+  const screen = input.screen || {};
+  const width = Number(screen.width);
+  const height = Number(screen.height);
+  const inRange = value => Number.isInteger(value) &&
+    value >= FINGERPRINT_PROFILE.MIN_SCREEN_SIZE && value <= FINGERPRINT_PROFILE.MAX_SCREEN_SIZE;
+  if (!inRange(width) || !inRange(height)) {
+    return { valid: false, error: `Screen size must be between ${FINGERPRINT_PROFILE.MIN_SCREEN_SIZE} and ${FINGERPRINT_PROFILE.MAX_SCREEN_SIZE} pixels` };
+  }
+
+  return {
+    valid: true,
+    profile: {
+      seed: seed,
+      timezone: timezone || null,
+      hardwareConcurrency: cores,
+      screen: { width: width, height: height },
+      noise: input.noise !== false
+    }
+  };
+}
+
+/**
+ * Get the fingerprint profile the page script should apply for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Profile, or null if the session has none
+ */
+function getPageFingerprint(sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  return session && session.fingerprintProfile ? session.fingerprintProfile : null;
+}
+
+/**
+ * Get a session's fingerprint profile for the settings UI
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { success, profile, suggested, screens, hardwareConcurrency, error? }
+ */
+function getSessionFingerprint(sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  return {
+    success: true,
+    profile: session.fingerprintProfile || null,
+    suggested: createFingerprintProfile(getFingerprintSeed(session)),
+    screens: FINGERPRINT_PROFILE.SCREENS,
+    hardwareConcurrency: FINGERPRINT_PROFILE.HARDWARE_CONCURRENCY
+  };
+}
+
+/**
+ * Set or clear a session's fingerprint profile
+ * The session's tabs are reloaded so pages see the new values
+ * @param {string} sessionId - Session ID
+ * @param {Object|null} input - Profile, or null to turn fingerprint protection off
+ * @returns {Object} { success, profile?, error? }
+ */
+function setSessionFingerprint(sessionId, input) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  let profile = null;
+  if (input) {
+    const validation = validateFingerprintProfile(input, getFingerprintSeed(session));
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+    profile = validation.profile;
+  }
+
+  const changed = JSON.stringify(session.fingerprintProfile || null) !== JSON.stringify(profile);
+  session.fingerprintProfile = profile;
+  persistSessions(true);
+
+  if (changed) {
+    reloadSessionTabs(session);
+  }
+
+  console.log(`[Fingerprint] ✓ Session ${sessionId}: ${profile ? 'profile ' + profile.seed.toString(16) : 'off'}`);
+  return { success: true, profile: profile };
+}
+
+// ============= Early Page Config =============
+
+/**
+ * Page config delivered with the document
+ * getSessionId answers only after page scripts may have run, so navigation
+ * responses of session tabs carry a handle to the values pages must see from the
+ * start. The config itself (User-Agent override, fingerprint profile and seed) is
+ * a blob owned by the extension; the response only gets its random ID in a
+ * Server-Timing entry. Content scripts read the entry from the navigation timing
+ * entry at document_start and load the blob with a synchronous XHR. Pages (and
+ * their child realms) can read the ID but cannot load another origin's blob.
+ * Browsers expose Server-Timing in secure contexts only, so http pages (and
+ * frames without their own response, like about:blank) fall back to getSessionId.
+ */
+const PAGE_CONFIG_TIMING = {
+  NAME: 'sessner-page-config',
+  FRAME_TYPES: ['main_frame', 'sub_frame'],
+  BLOB_TTL_MS: 30000 // Content scripts read the blob right after the response commits
+};
+
+/**
+ * Build the Server-Timing header that points to a session's page config
+ * The config blob is revoked after PAGE_CONFIG_TIMING.BLOB_TTL_MS
+ * @param {string} sessionId - Session ID
+ * @returns {{name: string, value: string}|null} Header, or null if the session has nothing to apply
+ */
+function buildPageConfigHeader(sessionId) {
+  const config = {};
+  const navigatorOverride = getNavigatorOverride(sessionId);
+  if (navigatorOverride) {
+    config.navigatorOverride = navigatorOverride;
+  }
+  const fingerprint = getPageFingerprint(sessionId);
+  if (fingerprint) {
+    config.fingerprint = fingerprint;
+  }
+  if (Object.keys(config).length === 0) {
+    return null;
+  }
+
+  const blobUrl = URL.createObjectURL(new Blob([JSON.stringify(config)], { type: 'application/json' }));
+  setTimeout(() => URL.revokeObjectURL(blobUrl), PAGE_CONFIG_TIMING.BLOB_TTL_MS);
+
+  // blob:chrome-extension://<extension ID>/<UUID> - content scripts rebuild it from the UUID
+  const blobId = blobUrl.substring(blobUrl.lastIndexOf('/') + 1);
+  return { name: 'Server-Timing', value: `${PAGE_CONFIG_TIMING.NAME};desc="${blobId}"` };
+}
+
+// ============= Cookie Inspector =============
+
+/**
+ * Cookie inspector configuration
+ * Backs html/cookie-inspector.html: list, edit, add and delete the cookies in a
+ * session's jar (sessionStore.cookieStore[sessionId]). Edited cookies follow the
+ * same domain rules as cookies set by pages (isValidCookieDomain, no public
+ * suffix domains, __Host-/__Secure- prefixes, SameSite=None needs Secure).
+ */
+const COOKIE_INSPECTOR = {
+  SAME_SITE_VALUES: ['unspecified', 'no_restriction', 'lax', 'strict'],
+  MAX_PATH_LENGTH: 1024,
+  MAX_DELETE_PER_CALL: 5000
+};
+
+/**
+ * Describe a jar cookie for the inspector
+ * @param {Object} cookie - Jar cookie
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Cookie fields plus size and expired
+ */
+function describeInspectorCookie(cookie, now) {
+  return Object.assign({}, cookie, {
+    size: cookie.name.length + String(cookie.value).length,
+    expired: cookieJar.isExpired(cookie, now)
+  });
+}
+
+/**
+ * List a session's cookies sorted by domain, path and name
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { search?: string (matches name, value or domain) }
+ * @returns {Object} { success, sessionId, cookies, total, totalSize, error? }
+ */
+function listSessionCookies(sessionId, options = {}) {
+  if (!sessionStore.sessions[sessionId]) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  const now = Date.now();
+  const all = cookieJar.getAllCookies(sessionStore.cookieStore[sessionId]);
+  const search = typeof options.search === 'string' ? options.search.trim().toLowerCase() : '';
+
+  const cookies = all
+    .filter(cookie => !search ||
+      cookie.name.toLowerCase().includes(search) ||
+      String(cookie.value).toLowerCase().includes(search) ||
+      cookie.domain.toLowerCase().includes(search))
+    .map(cookie => describeInspectorCookie(cookie, now))
+    .sort((a, b) =>
+      cookieJar.canonicalizeHost(a.domain).localeCompare(cookieJar.canonicalizeHost(b.domain)) ||
+      a.domain.localeCompare(b.domain) ||
+      a.path.localeCompare(b.path) ||
+      a.name.localeCompare(b.name));
+
+  return {
+    success: true,
+    sessionId: sessionId,
+    cookies: cookies,
+    total: all.length,
+    totalSize: all.reduce((sum, cookie) => sum + cookie.name.length + String(cookie.value).length, 0)
+  };
+}
+
+/**
+ * Validate a cookie from the inspector and convert it to a jar cookie
+ * @param {Object} input - { name, value, domain, hostOnly?, path?, secure?, httpOnly?, sameSite?, expirationDate? (seconds, omit for a session cookie) }
+ * @returns {{valid: boolean, cookie?: Object, error?: string}}
+ */
+function validateInspectorCookie(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Invalid cookie' };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const value = input.value === undefined || input.value === null ? '' : String(input.value);
+  if (!name) {
+    return { valid: false, error: 'Cookie name is required' };
+  }
+  if (/[\x00-\x1F\x7F=;]/.test(name)) {
+    return { valid: false, error: 'Cookie name cannot contain "=", ";" or control characters' };
+  }
+  if (/[\x00-\x08\x0A-\x1F\x7F;]/.test(value)) {
+    return { valid: false, error: 'Cookie value cannot contain ";" or control characters' };
+  }
+  if (name.length + value.length > cookieJar.CONFIG.MAX_NAME_VALUE_BYTES) {
+    return { valid: false, error: `Name and value must be at most ${cookieJar.CONFIG.MAX_NAME_VALUE_BYTES} characters` };
+  }
+
+  const host = cookieJar.canonicalizeHost(input.domain);
+  const hostOnly = input.hostOnly !== false;
+  const domainKey = hostOnly ? host : '.' + host;
+  const path = typeof input.path === 'string' && input.path.trim() ? input.path.trim() : '/';
+  const secure = !!input.secure;
+  if (!path.startsWith('/') || path.length > COOKIE_INSPECTOR.MAX_PATH_LENGTH || /[\x00-\x1F\x7F;]/.test(path)) {
+    return { valid: false, error: `Invalid path: ${path}` };
+  }
+
+  // SECURITY: Same domain checks as cookies set by pages
+  if (!host || !isValidCookieDomain(domainKey, (secure ? 'https://' : 'http://') + host + '/')) {
+    return { valid: false, error: `Invalid domain: ${input.domain || '(empty)'}` };
+  }
+  if (!hostOnly && (publicSuffixList.isPublicSuffix(host) || cookieJar.isIPAddress(host))) {
+    return { valid: false, error: `${host} cannot have domain cookies (public suffix or IP address)` };
+  }
+
+  const sameSite = input.sameSite || 'unspecified';
+  if (COOKIE_INSPECTOR.SAME_SITE_VALUES.indexOf(sameSite) === -1) {
+    return { valid: false, error: `Invalid SameSite value: ${sameSite}` };
+  }
+  if (sameSite === 'no_restriction' && !secure) {
+    return { valid: false, error: 'SameSite=None requires Secure' };
+  }
+
+  const lowerName = name.toLowerCase();
+  if (lowerName.startsWith('__secure-') && !secure) {
+    return { valid: false, error: '__Secure- cookies must be Secure' };
+  }
+  if (lowerName.startsWith('__host-') && (!secure || !hostOnly || path !== '/')) {
+    return { valid: false, error: '__Host- cookies must be Secure, host-only and use path /' };
+  }
+
+  let expirationDate = null;
+  if (input.expirationDate !== undefined && input.expirationDate !== null && input.expirationDate !== '') {
+    expirationDate = Number(input.expirationDate);
+    const nowSeconds = Date.now() / 1000;
+    if (!isFinite(expirationDate) || expirationDate <= nowSeconds) {
+      return { valid: false, error: 'Expiry must be in the future (leave it empty for a session cookie)' };
+    }
+    expirationDate = Math.min(expirationDate, nowSeconds + cookieJar.CONFIG.MAX_AGE_CAP_SECONDS);
+  }
+
+  const chromeCookie = {
+    name: name,
+    value: value,
+    domain: domainKey,
+    hostOnly: hostOnly,
+    path: path,
+    secure: secure,
+    httpOnly: !!input.httpOnly,
+    sameSite: sameSite,
+    session: expirationDate === null
+  };
+  if (expirationDate !== null) {
+    chromeCookie.expirationDate = expirationDate;
+  }
+
+  return { valid: true, cookie: cookieJar.fromChromeCookie(chromeCookie) };
+}
+
+/**
+ * Add or edit a cookie in a session's jar
+ * When `original` names a different cookie (renamed, moved to another domain or
+ * path), the original is deleted once the new cookie is stored.
+ * @param {string} sessionId - Session ID
+ * @param {Object} input - Cookie fields (see validateInspectorCookie)
+ * @param {Object|null} original - { domain, path, name } of the edited cookie
+ * @returns {Object} { success, cookie?, error? }
+ */
+function upsertSessionCookie(sessionId, input, original = null) {
+  if (!sessionStore.sessions[sessionId]) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  const validation = validateInspectorCookie(input);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  const cookie = validation.cookie;
+
+  // Written as if set by the server so HttpOnly and Secure cookies can be edited
+  if (!storeCookie(sessionId, cookie, { fromHttp: true, secureOrigin: true, source: { channel: 'inspector' } })) {
+    return { success: false, error: 'Cookie was not stored (rejected by cookie rules)' };
+  }
+
+  if (original && typeof original === 'object' &&
+      (original.domain !== cookie.domain || original.path !== cookie.path || original.name !== cookie.name)) {
+    removeSessionCookie(sessionId, sessionStore.cookieStore[sessionId], original.domain, original.path, original.name, 'inspector');
+  }
+
+  persistSessions(true);
+
+  console.log(`[Cookie Inspector] ✓ Session ${sessionId}: saved ${cookie.name} for ${cookie.domain}${cookie.path}`);
+  return { success: true, cookie: describeInspectorCookie(cookie, Date.now()) };
+}
+
+/**
+ * Delete cookies from a session's jar
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} keys - [{ domain, path, name }] (domain is the jar key, e.g. ".example.com")
+ * @returns {Object} { success, deleted?, error? }
+ */
+function deleteSessionCookie(sessionId, keys) {
+  if (!sessionStore.sessions[sessionId]) {
+    return { success: false, error: 'Session not found' };
+  }
+  if (!Array.isArray(keys) || keys.length === 0) {
+    return { success: false, error: 'No cookies given' };
+  }
+  if (keys.length > COOKIE_INSPECTOR.MAX_DELETE_PER_CALL) {
+    return { success: false, error: `At most ${COOKIE_INSPECTOR.MAX_DELETE_PER_CALL} cookies per call` };
+  }
+
+  const jar = sessionStore.cookieStore[sessionId];
+  let deleted = 0;
+  keys.forEach(key => {
+    if (key && typeof key.domain === 'string' && typeof key.path === 'string' && typeof key.name === 'string' &&
+        removeSessionCookie(sessionId, jar, key.domain, key.path, key.name, 'inspector')) {
+      deleted++;
+    }
+  });
+
+  if (deleted > 0) {
+    persistSessions(true);
+  }
+
+  console.log(`[Cookie Inspector] ✓ Session ${sessionId}: deleted ${deleted} cookies`);
+  return { success: true, deleted: deleted };
+}
+
+// ============= Tab Moving =============
+
+/**
+ * Move a tab to another session, or out of sessions (targetSessionId null)
+ * The tab reloads so its requests and page scripts use the new cookie jar and
+ * storage prefix. A session that loses its last tab is cleaned up; the moved
+ * tab is not saved in its layout.
+ * @param {number} tabId - Tab ID
+ * @param {string|null} targetSessionId - Session to move to, or null to detach
+ * @returns {Promise<Object>} { success, tabId?, sessionId?, previousSessionId?, error?, blocked? }
+ */
+async function moveTabToSession(tabId, targetSessionId) {
+  const tab = await new Promise(resolve => {
+    chrome.tabs.get(tabId, (result) => {
+      resolve(chrome.runtime.lastError ? null : result);
+    });
+  });
+  if (!tab) {
+    return { success: false, error: 'Tab not found' };
+  }
+
+  const target = targetSessionId ? sessionStore.sessions[targetSessionId] : null;
+  if (targetSessionId && !target) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  const previousSessionId = sessionStore.tabToSession[tabId] || null;
+  if (previousSessionId === (targetSessionId || null)) {
+    return {
+      success: false,
+      error: targetSessionId ? 'Tab is already in this session' : 'Tab is not in a session'
+    };
+  }
+
+  const previous = previousSessionId ? sessionStore.sessions[previousSessionId] : null;
+  const previousTabs = previous && Array.isArray(previous.tabs) ? previous.tabs : [];
+
+  // Moving into a dormant session makes it active unless the tab's own session empties
+  const targetIsDormant = target && (!target.tabs || target.tabs.length === 0);
+  const previousEmpties = previousTabs.length === 1 && previousTabs[0] === tabId;
+  if (targetIsDormant && !previousEmpties) {
+    const canCreate = await canCreateNewSession();
+    if (!canCreate.allowed) {
+      return {
+        success: false,
+        error: canCreate.reason,
+        blocked: true,
+        tier: canCreate.tier,
+        current: canCreate.current,
+        limit: canCreate.limit
+      };
+    }
+  }
+
+  // Leave the previous session (the tab stays open, so it is not part of that session's saved layout)
+  delete sessionStore.tabToSession[tabId];
+  if (previous) {
+    previous.tabs = previousTabs.filter(t => t !== tabId);
+  }
+
+  if (target) {
+    attachTabToSession(tabId, targetSessionId);
+    const cached = tabMetadataCache.get(tabId);
+    if (cached) {
+      cached.sessionId = targetSessionId;
+    }
+    chrome.tabs.sendMessage(tabId, { action: 'sessionColorChanged', color: target.color || sessionColor(targetSessionId) }, () => {
+      if (chrome.runtime.lastError) {
+        // No favicon content script (e.g. non-http page)
+      }
+    });
+  } else {
+    clearBadge(tabId);
+    tabMetadataCache.delete(tabId);
+    chrome.tabs.sendMessage(tabId, { action: 'clearSessionFavicon' }, () => {
+      if (chrome.runtime.lastError) {
+        // No favicon content script (e.g. non-http page)
+      }
+    });
+  }
+
+  // Content scripts drop their cached session ID before the page unloads
+  chrome.tabs.sendMessage(tabId, { action: 'refreshSessionId' }, () => {
+    if (chrome.runtime.lastError) {
+      // No content scripts in this tab
+    }
+  });
+
+  // Only the session's remaining tabs: the moved tab's cache entry must survive the cleanup
+  if (previousSessionId) {
+    cleanupSession(previousSessionId, previous ? previous.tabs : []);
+  }
+  persistSessions(true);
+
+  chrome.tabs.reload(tabId, () => {
+    if (chrome.runtime.lastError) {
+      // Tab already closed
+    }
+  });
+
+  console.log(`[Tab Move] ✓ Tab ${tabId}: ${previousSessionId || 'no session'} → ${targetSessionId || 'no session'}`);
+
+  return {
+    success: true,
+    tabId: tabId,
+    sessionId: targetSessionId || null,
+    previousSessionId: previousSessionId
+  };
+}
+
+// ============= Context Menus =============
+
+/**
+ * Context menu configuration
+ * Menus list every session (active first, then dormant) and are rebuilt when the
+ * set of sessions, their names or their active state changes (checked on persist).
+ */
+const CONTEXT_MENU = {
+  NEW_SESSION: 'sessner_open_link_new_session',
+  OPEN_IN: 'sessner_open_link_in_session',
+  OUTSIDE: 'sessner_open_link_outside',
+  MOVE_TAB: 'sessner_move_tab',
+  DETACH_TAB: 'sessner_detach_tab',
+  ITEM_SEPARATOR: ':',
+  LINK_PATTERNS: ['http://*/*', 'https://*/*'],
+  MAX_SESSIONS: 30,
+  REBUILD_DELAY_MS: 250
+};
+
+/**
+ * Context menu state
+ * - signature: sessions the current menus were built from
+ */
+const contextMenuState = {
+  signature: null,
+  timer: null
+};
+
+/**
+ * Describe the sessions the menus depend on
+ * @returns {string} Signature (changes when a menu would change)
+ */
+function getContextMenuSignature() {
+  return JSON.stringify(Object.keys(sessionStore.sessions).map(sessionId => {
+    const session = sessionStore.sessions[sessionId];
+    return [sessionId, session.name || null, Boolean(session.tabs && session.tabs.length > 0)];
+  }));
+}
+
+/**
+ * Rebuild the menus soon if sessions changed (called from persistSessions)
+ */
+function scheduleContextMenuRefresh() {
+  if (!chrome.contextMenus || contextMenuState.timer) {
+    return;
+  }
+  contextMenuState.timer = setTimeout(() => {
+    contextMenuState.timer = null;
+    const signature = getContextMenuSignature();
+    if (signature !== contextMenuState.signature) {
+      contextMenuState.signature = signature;
+      rebuildContextMenus();
+    }
+  }, CONTEXT_MENU.REBUILD_DELAY_MS);
+}
+
+/**
+ * Create a context menu item, ignoring errors (e.g. duplicate IDs during a rebuild race)
+ * @param {Object} properties - chrome.contextMenus.create properties
+ */
+function createContextMenuItem(properties) {
+  chrome.contextMenus.create(properties, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('[Context Menus] Could not create item:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Remove all menus and create them again from getAllSessions
+ */
+function rebuildContextMenus() {
+  getAllSessions(result => {
+    if (!result.success) {
+      console.error('[Context Menus] Failed to list sessions:', result.error);
+      return;
+    }
+
+    const sessions = [...result.activeSessions, ...result.dormantSessions].slice(0, CONTEXT_MENU.MAX_SESSIONS);
+    const activeIds = new Set(result.activeSessions.map(session => session.sessionId));
+    const label = session => (session.name || session.sessionId) + (activeIds.has(session.sessionId) ? '' : ' (dormant)');
+
+    chrome.contextMenus.removeAll(() => {
+      createContextMenuItem({
+        id: CONTEXT_MENU.NEW_SESSION,
+        title: 'Open link in new session',
+        contexts: ['link'],
+        targetUrlPatterns: CONTEXT_MENU.LINK_PATTERNS
+      });
+
+      if (sessions.length > 0) {
+        createContextMenuItem({
+          id: CONTEXT_MENU.OPEN_IN,
+          title: 'Open link in session',
+          contexts: ['link'],
+          targetUrlPatterns: CONTEXT_MENU.LINK_PATTERNS
+        });
+        sessions.forEach(session => {
+          createContextMenuItem({
+            id: CONTEXT_MENU.OPEN_IN + CONTEXT_MENU.ITEM_SEPARATOR + session.sessionId,
+            parentId: CONTEXT_MENU.OPEN_IN,
+            title: label(session),
+            contexts: ['link'],
+            targetUrlPatterns: CONTEXT_MENU.LINK_PATTERNS
+          });
+        });
+      }
+
+      createContextMenuItem({
+        id: CONTEXT_MENU.OUTSIDE,
+        title: 'Open link outside session',
+        contexts: ['link'],
+        targetUrlPatterns: CONTEXT_MENU.LINK_PATTERNS
+      });
+
+      createContextMenuItem({
+        id: CONTEXT_MENU.MOVE_TAB,
+        title: 'Move this tab to session',
+        contexts: ['page']
+      });
+      sessions.forEach(session => {
+        createContextMenuItem({
+          id: CONTEXT_MENU.MOVE_TAB + CONTEXT_MENU.ITEM_SEPARATOR + session.sessionId,
+          parentId: CONTEXT_MENU.MOVE_TAB,
+          title: label(session),
+          contexts: ['page']
+        });
+      });
+      if (sessions.length > 0) {
+        createContextMenuItem({
+          id: CONTEXT_MENU.MOVE_TAB + '_separator',
+          parentId: CONTEXT_MENU.MOVE_TAB,
+          type: 'separator',
+          contexts: ['page']
+        });
+      }
+      createContextMenuItem({
+        id: CONTEXT_MENU.DETACH_TAB,
+        parentId: CONTEXT_MENU.MOVE_TAB,
+        title: 'Detach from session',
+        contexts: ['page']
+      });
+
+      console.log(`[Context Menus] ✓ Menus rebuilt (${sessions.length} sessions)`);
+    });
+  });
+}
+
+/**
+ * Tell the user why a menu or keyboard action did nothing
+ * @param {string} message - Reason
+ */
+function notifySessionActionError(message) {
+  chrome.notifications.create('session_action_error', {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Sessner',
+    message: message
+  }, () => {
+    if (chrome.runtime.lastError) {
+      // Notifications unavailable
+    }
+  });
+}
+
+/**
+ * Open a link in a tab that stays out of sessions
+ * The tab starts blank (no inheritance) and every URL rule counts as dismissed for it,
+ * the same as choosing "No session" in the rule picker.
+ * @param {string} url - Link URL
+ * @param {Object} sourceTab - Tab the link was clicked in
+ */
+function openLinkOutsideSession(url, sourceTab) {
+  const properties = { url: 'about:blank', active: false };
+  if (sourceTab && sourceTab.index >= 0) {
+    properties.index = sourceTab.index + 1;
+    properties.windowId = sourceTab.windowId;
+  }
+
+  chrome.tabs.create(properties, (tab) => {
+    if (chrome.runtime.lastError || !tab) {
+      console.error('[Context Menus] tabs.create error:', chrome.runtime.lastError);
+      return;
+    }
+    urlRuleDismissed.set(tab.id, new Set(urlRuleList.map(rule => rule.id)));
+    chrome.tabs.update(tab.id, { url: url });
+  });
+}
+
+/**
+ * Handle context menu clicks
+ */
+if (chrome.contextMenus) {
+  chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const [menuId, sessionId] = String(info.menuItemId).split(CONTEXT_MENU.ITEM_SEPARATOR);
+
+    try {
+      if (menuId === CONTEXT_MENU.NEW_SESSION) {
+        const result = await new Promise(resolve => createNewSession(info.linkUrl, resolve));
+        if (!result.success) {
+          notifySessionActionError(result.error || 'Failed to create session');
+        }
+      } else if (menuId === CONTEXT_MENU.OPEN_IN) {
+        const session = sessionStore.sessions[sessionId];
+        if (!session) {
+          notifySessionActionError('Session not found');
+          return;
+        }
+        // Opening a tab in a dormant session makes it active again
+        if (!session.tabs || session.tabs.length === 0) {
+          const canCreate = await canCreateNewSession();
+          if (!canCreate.allowed) {
+            notifySessionActionError(canCreate.reason);
+            return;
+          }
+        }
+        await openTabInSession(sessionId, info.linkUrl, false);
+        persistSessions(true);
+      } else if (menuId === CONTEXT_MENU.OUTSIDE) {
+        openLinkOutsideSession(info.linkUrl, tab);
+      } else if (menuId === CONTEXT_MENU.MOVE_TAB || menuId === CONTEXT_MENU.DETACH_TAB) {
+        if (!tab || tab.id < 0) {
+          return;
+        }
+        const result = await moveTabToSession(tab.id, menuId === CONTEXT_MENU.MOVE_TAB ? sessionId : null);
+        if (!result.success) {
+          notifySessionActionError(result.error);
+        }
+      }
+    } catch (error) {
+      console.error('[Context Menus] Error handling click:', error);
+    }
+  });
+}
+
+// ============= Keyboard Shortcuts (Premium/Enterprise Feature) =============
+
+/**
+ * Keyboard command names (manifest "commands", bindable in chrome://extensions/shortcuts)
+ */
+const KEYBOARD_COMMANDS = {
+  NEW_SESSION: 'new-session',
+  NEW_TAB_IN_SESSION: 'new-tab-in-session',
+  NEXT_SESSION: 'next-session',
+  RENAME_SESSION: 'rename-session',
+  SEARCH_SESSIONS: 'search-sessions',
+  SEARCH_PAGE: 'html/popup.html?search=1',
+  SEARCH_WINDOW_WIDTH: 420,
+  SEARCH_WINDOW_HEIGHT: 600
+};
+
+/**
+ * Get the active tab of the last focused window
+ * @returns {Promise<Object|null>} Tab
+ */
+function getFocusedTab() {
+  return new Promise(resolve => {
+    chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+      resolve(chrome.runtime.lastError || !tabs || tabs.length === 0 ? null : tabs[0]);
+    });
+  });
+}
+
+/**
+ * Focus a tab and its window
+ * @param {number} tabId - Tab ID
+ */
+function focusTab(tabId) {
+  chrome.tabs.update(tabId, { active: true }, (tab) => {
+    if (chrome.runtime.lastError || !tab) {
+      return;
+    }
+    chrome.windows.update(tab.windowId, { focused: true }, () => {
+      if (chrome.runtime.lastError) {
+        // Window already closed
+      }
+    });
+  });
+}
+
+/**
+ * Switch to a tab of the session after the current tab's session (wraps around)
+ * @param {Object|null} tab - Current tab
+ * @returns {Promise<Object>} { success, sessionId?, tabId?, error? }
+ */
+async function switchToNextSession(tab) {
+  const result = await new Promise(resolve => getActiveSessions(resolve));
+  if (!result.success) {
+    return result;
+  }
+  if (result.sessions.length === 0) {
+    return { success: false, error: 'No active sessions' };
+  }
+
+  const currentSessionId = tab ? sessionStore.tabToSession[tab.id] : null;
+  const index = result.sessions.findIndex(session => session.sessionId === currentSessionId);
+  const next = result.sessions[(index + 1) % result.sessions.length];
+
+  focusTab(next.tabs[0].tabId);
+  return { success: true, sessionId: next.sessionId, tabId: next.tabs[0].tabId };
+}
+
+/**
+ * Ask for a new name in the page and rename the tab's session
+ * @param {Object} tab - Current tab (must be in a session)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} setSessionName result, or { success: false, error }
+ */
+async function renameSessionFromPage(tab, sessionId) {
+  const current = sessionStore.sessions[sessionId].name || '';
+  const code = `prompt(${JSON.stringify('Session name:')}, ${JSON.stringify(current)})`;
+
+  const name = await new Promise(resolve => {
+    chrome.tabs.executeScript(tab.id, { code: code }, (results) => {
+      if (chrome.runtime.lastError) {
+        resolve(undefined);
+      } else {
+        resolve(results ? results[0] : null);
+      }
+    });
+  });
+
+  if (name === undefined) {
+    return { success: false, error: 'Cannot ask for a name on this page. Rename the session in the popup.' };
+  }
+  if (name === null || name.trim() === current) {
+    return { success: true, unchanged: true };
+  }
+
+  const result = await setSessionName(sessionId, name);
+  return result.success ? result : { success: false, error: result.message };
+}
+
+/**
+ * Run a keyboard command
+ * @param {string} command - Command name
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function runKeyboardCommand(command) {
+  const access = getFeatureAccess('keyboardShortcuts');
+  if (!access.allowed) {
+    return { success: false, requiresUpgrade: true, error: 'Keyboard shortcuts require Premium or Enterprise tier.' };
+  }
+
+  const tab = await getFocusedTab();
+  const sessionId = tab ? sessionStore.tabToSession[tab.id] : null;
+
+  switch (command) {
+    case KEYBOARD_COMMANDS.NEW_SESSION:
+      return new Promise(resolve => createNewSession('', resolve));
+
+    case KEYBOARD_COMMANDS.NEW_TAB_IN_SESSION: {
+      if (!sessionId) {
+        return { success: false, error: 'This tab is not in a session' };
+      }
+      // No URL opens the browser's new tab page
+      const newTab = await openTabInSession(sessionId, undefined, true);
+      persistSessions(true);
+      return newTab ? { success: true, tabId: newTab.id } : { success: false, error: 'Failed to open tab' };
+    }
+
+    case KEYBOARD_COMMANDS.NEXT_SESSION:
+      return switchToNextSession(tab);
+
+    case KEYBOARD_COMMANDS.RENAME_SESSION:
+      if (!sessionId) {
+        return { success: false, error: 'This tab is not in a session' };
+      }
+      if (!licenseManager.hasFeature('sessionNaming')) {
+        return { success: false, requiresUpgrade: true, error: 'Session naming requires Premium or Enterprise tier.' };
+      }
+      return renameSessionFromPage(tab, sessionId);
+
+    case KEYBOARD_COMMANDS.SEARCH_SESSIONS:
+      // Extensions cannot open the toolbar popup, so the popup page opens in its own window
+      chrome.windows.create({
+        url: chrome.runtime.getURL(KEYBOARD_COMMANDS.SEARCH_PAGE),
+        type: 'popup',
+        width: KEYBOARD_COMMANDS.SEARCH_WINDOW_WIDTH,
+        height: KEYBOARD_COMMANDS.SEARCH_WINDOW_HEIGHT
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('[Shortcuts] Failed to open session search:', chrome.runtime.lastError.message);
+        }
+      });
+      return { success: true };
+
+    default:
+      return { success: false, error: `Unknown command: ${command}` };
+  }
+}
+
+if (chrome.commands) {
+  chrome.commands.onCommand.addListener(async (command) => {
+    try {
+      const result = await runKeyboardCommand(command);
+      if (!result.success) {
+        console.warn(`[Shortcuts] ${command}:`, result.error);
+        notifySessionActionError(result.error || 'Command failed');
+      }
+    } catch (error) {
+      console.error(`[Shortcuts] Error running ${command}:`, error);
+    }
+  });
+}
+
+// ============= Session Groups =============
+
+/**
+ * Session group configuration
+ * A group is a name stored on each member session (session.group, saved with the
+ * session and carried through export/import). A group exists while it has members.
+ */
+const SESSION_GROUPS = {
+  MAX_NAME_LENGTH: 40
+};
+
+/**
+ * Normalize a group name
+ * @param {*} name - Group name from the popup or an import file
+ * @returns {string|null} Trimmed name with collapsed whitespace, or null for "no group"
+ */
+function sanitizeSessionGroupName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const trimmed = name.replace(/[\u0000-\u001F\u007F<>]/g, '').replace(/\s+/g, ' ').trim();
+  return trimmed ? trimmed.substring(0, SESSION_GROUPS.MAX_NAME_LENGTH) : null;
+}
+
+/**
+ * Get the IDs of a group's sessions
+ * @param {string} group - Group name
+ * @returns {Array<string>} Session IDs
+ */
+function getSessionGroupMembers(group) {
+  return Object.keys(sessionStore.sessions).filter(sessionId => sessionStore.sessions[sessionId].group === group);
+}
+
+/**
+ * Put sessions in a group, or take them out of their group
+ * @param {Array<string>} sessionIds - Session IDs
+ * @param {string|null} group - Group name, or null/empty to ungroup
+ * @returns {Object} { success, group?, updated?, error? }
+ */
+function setSessionGroup(sessionIds, group) {
+  const name = sanitizeSessionGroupName(group);
+  if (group && !name) {
+    return { success: false, error: 'Invalid group name' };
+  }
+
+  const sessions = sessionIds.map(sessionId => sessionStore.sessions[sessionId]);
+  if (sessions.length === 0 || sessions.some(session => !session)) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  let updated = 0;
+  sessions.forEach(session => {
+    if ((session.group || null) !== name) {
+      if (name) {
+        session.group = name;
+      } else {
+        delete session.group;
+      }
+      updated++;
+    }
+  });
+
+  if (updated > 0) {
+    persistSessions(true);
+    console.log(`[Groups] ✓ ${updated} session(s) moved to ${name ? `group "${name}"` : 'no group'}`);
+  }
+
+  return { success: true, group: name, updated: updated };
+}
+
+/**
+ * Rename a group (merges into an existing group with the new name)
+ * @param {string} group - Current group name
+ * @param {string} newName - New group name
+ * @returns {Object} { success, group?, updated?, error? }
+ */
+function renameSessionGroup(group, newName) {
+  const members = getSessionGroupMembers(group);
+  if (members.length === 0) {
+    return { success: false, error: 'Group not found' };
+  }
+  if (!sanitizeSessionGroupName(newName)) {
+    return { success: false, error: 'Group name cannot be empty' };
+  }
+  return setSessionGroup(members, newName);
+}
+
+/**
+ * Open every dormant session of a group (stops at the session limit)
+ * @param {string} group - Group name
+ * @returns {Promise<Object>} { success, opened, remaining, error?, blocked? }
+ */
+async function openSessionGroup(group) {
+  const members = getSessionGroupMembers(group);
+  if (members.length === 0) {
+    return { success: false, error: 'Group not found' };
+  }
+
+  const dormant = members.filter(sessionId => {
+    const tabs = sessionStore.sessions[sessionId].tabs;
+    return !tabs || tabs.length === 0;
+  });
+
+  let opened = 0;
+  for (const sessionId of dormant) {
+    const canCreate = await canCreateNewSession();
+    if (!canCreate.allowed) {
+      return {
+        success: opened > 0,
+        opened: opened,
+        remaining: dormant.length - opened,
+        error: canCreate.reason,
+        blocked: true,
+        tier: canCreate.tier,
+        current: canCreate.current,
+        limit: canCreate.limit
+      };
+    }
+
+    const result = await new Promise(resolve => openDormantSession(sessionId, undefined, resolve));
+    if (result.success) {
+      opened++;
+    } else {
+      console.warn(`[Groups] Could not open session ${sessionId}:`, result.error);
+    }
+  }
+
+  console.log(`[Groups] ✓ Opened ${opened} session(s) of group "${group}"`);
+  return { success: true, opened: opened, remaining: dormant.length - opened };
+}
+
+/**
+ * Delete every session of a group (closes their tabs)
+ * @param {string} group - Group name
+ * @returns {Promise<Object>} { success, deleted, error? }
+ */
+async function deleteSessionGroup(group) {
+  const members = getSessionGroupMembers(group);
+  if (members.length === 0) {
+    return { success: false, error: 'Group not found' };
+  }
+
+  let deleted = 0;
+  for (const sessionId of members) {
+    const result = await deleteSessionById(sessionId);
+    if (result.success) {
+      deleted++;
+    } else {
+      console.warn(`[Groups] Could not delete session ${sessionId}:`, result.error);
+    }
+  }
+
+  persistSessions(true);
+  console.log(`[Groups] ✓ Deleted ${deleted} session(s) of group "${group}"`);
+  return { success: deleted === members.length, deleted: deleted, error: deleted === members.length ? undefined : 'Some sessions could not be deleted' };
+}
+
+// ============= Tab Layout =============
+
+/**
+ * Tab layout configuration
+ * When a session goes dormant its tabs are saved with their layout (session.persistedTabs):
+ * window, position, pinned state, tab group and the pages the tab went through.
+ * Reopening the session restores every tab, either into the current window or into
+ * new windows like the original ones (session.restoreMode). The page history is
+ * shown in the popup only; restored tabs open their saved URL and never load it.
+ */
+const TAB_LAYOUT = {
+  RESTORE_MODES: ['current', 'window'],
+  DEFAULT_RESTORE_MODE: 'current',
+  MAX_HISTORY: 5,
+  // Tabs closed with their window this long before the session's last tab are saved with it
+  WINDOW_CLOSE_GRACE_MS: 3000,
+  // Not kept in the history (sign-out pages say nothing about where the user was)
+  HISTORY_SKIP_PATTERN: /log-?out|sign-?out|log-?off/i
+};
+
+/**
+ * Check if a tab URL is worth saving (skips blank and new tab pages)
+ * @param {string} url - Tab URL
+ * @returns {boolean} True if the tab should be saved
+ */
+function isRestorableTabUrl(url) {
+  return Boolean(url) && url !== 'about:blank' && url !== 'chrome://newtab/';
+}
+
+/**
+ * Get the history entry of a page: origin and path only
+ * Query strings and fragments can hold tokens (OAuth codes, signed links), so they are not kept.
+ * @param {string} url - Page URL
+ * @returns {string|null} Entry, or null for non-http(s) and sign-out pages
+ */
+function getTabHistoryEntry(url) {
+  if (!/^https?:/i.test(url || '')) {
+    return null;
+  }
+  try {
+    const urlObj = new URL(url);
+    const entry = urlObj.origin + urlObj.pathname;
+    return TAB_LAYOUT.HISTORY_SKIP_PATTERN.test(entry) ? null : entry;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Update a session tab's cache entry (URL, title, layout and page history)
+ * @param {Object} tab - chrome.tabs.Tab
+ * @param {string} sessionId - Session the tab belongs to
+ */
+function updateTabMetadataCache(tab, sessionId) {
+  const previous = tabMetadataCache.get(tab.id) || {};
+  const history = (previous.history || []).slice();
+  const entry = getTabHistoryEntry(tab.url);
+  if (entry && history[history.length - 1] !== entry) {
+    history.push(entry);
+  }
+
+  tabMetadataCache.set(tab.id, {
+    url: tab.url,
+    title: tab.title || 'Untitled',
+    sessionId: sessionId,
+    timestamp: Date.now(),
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: tab.pinned || false,
+    groupId: typeof tab.groupId === 'number' ? tab.groupId : -1,
+    history: history.slice(-TAB_LAYOUT.MAX_HISTORY)
+  });
+}
+
+/**
+ * Refresh the cached layout of a window's session tabs
+ * Positions shift when tabs are moved, attached or detached.
+ * @param {number} windowId - Window ID
+ */
+function refreshTabLayoutCache(windowId) {
+  chrome.tabs.query({ windowId: windowId }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs) {
+      return;
+    }
+    tabs.forEach(tab => {
+      const sessionId = sessionStore.tabToSession[tab.id];
+      if (sessionId) {
+        updateTabMetadataCache(tab, sessionId);
+      }
+    });
+  });
+}
+
+/**
+ * Get the layout entry of an open tab (page history comes from the cache)
+ * @param {Object} tab - chrome.tabs.Tab
+ * @returns {Object} { url, title, windowId, index, pinned, groupId, history }
+ */
+function getOpenTabLayout(tab) {
+  const cached = tabMetadataCache.get(tab.id);
+  return {
+    url: tab.url,
+    title: tab.title || 'Untitled',
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: tab.pinned || false,
+    groupId: typeof tab.groupId === 'number' ? tab.groupId : -1,
+    history: cached && cached.history ? cached.history : []
+  };
+}
+
+/**
+ * Build the saved layout of a session's tabs (persistedTabs entries)
+ * Tabs are ordered by window, then position. Windows and tab groups are numbered
+ * from 0 in that order, since their IDs do not survive a restart.
+ * @param {Array<Object>} tabs - Layout entries { url, title, windowId, index, pinned, groupId, history }
+ * @returns {Array<Object>} [{ url, title, domain, path, window, index, pinned, group, history }]
+ */
+function buildPersistedTabs(tabs) {
+  const windows = new Map(); // windowId -> { number, tabs }
+  const groups = new Map();  // groupId -> number
+  const persisted = [];
+
+  tabs
+    .filter(tab => tab && isRestorableTabUrl(tab.url))
+    .sort((a, b) => ((a.windowId || 0) - (b.windowId || 0)) || ((a.index || 0) - (b.index || 0)))
+    .forEach(tab => {
+      let urlObj;
+      try {
+        urlObj = new URL(tab.url);
+      } catch (error) {
+        console.warn('[Tab Layout] Invalid URL:', tab.url);
+        return;
+      }
+
+      const windowKey = tab.windowId || 0;
+      if (!windows.has(windowKey)) {
+        windows.set(windowKey, { number: windows.size, tabs: 0 });
+      }
+      const window = windows.get(windowKey);
+
+      let group = null;
+      if (typeof tab.groupId === 'number' && tab.groupId !== -1) {
+        if (!groups.has(tab.groupId)) {
+          groups.set(tab.groupId, groups.size);
+        }
+        group = groups.get(tab.groupId);
+      }
+
+      // History holds the pages visited before the current one
+      const history = (tab.history || []).map(getTabHistoryEntry).filter(Boolean);
+      if (history[history.length - 1] === getTabHistoryEntry(tab.url)) {
+        history.pop();
+      }
+
+      persisted.push({
+        url: tab.url,
+        title: tab.title || 'Untitled',
+        domain: urlObj.hostname,
+        path: urlObj.pathname,
+        window: window.number,
+        index: window.tabs++,
+        pinned: tab.pinned === true,
+        group: group,
+        history: history
+      });
+    });
+
+  return persisted;
+}
+
+/**
+ * Get the IDs of tabs to save when a session's last tab closes
+ * Adds the session's tabs that closed with their window just before.
+ * @param {string} sessionId - Session ID
+ * @param {Array<number>} tabs - Tab IDs known to cleanupSession
+ * @returns {Array<number>} Tab IDs
+ */
+function getClosingSessionTabIds(sessionId, tabs) {
+  const tabIds = new Set(tabs);
+  const since = Date.now() - TAB_LAYOUT.WINDOW_CLOSE_GRACE_MS;
+  for (const [tabId, metadata] of tabMetadataCache.entries()) {
+    if (metadata.sessionId === sessionId && metadata.closedAt && metadata.closedAt >= since) {
+      tabIds.add(tabId);
+    }
+  }
+  return Array.from(tabIds);
+}
+
+/**
+ * Get a session's restore mode
+ * @param {Object} session - Session
+ * @returns {string} 'current' (tabs open in the current window) or 'window' (new windows)
+ */
+function getSessionRestoreMode(session) {
+  return session && TAB_LAYOUT.RESTORE_MODES.indexOf(session.restoreMode) !== -1
+    ? session.restoreMode
+    : TAB_LAYOUT.DEFAULT_RESTORE_MODE;
+}
+
+/**
+ * Validate an imported or cloned restore mode
+ * @param {*} mode - Restore mode
+ * @returns {string|null} 'window', or null for the default
+ */
+function sanitizeRestoreMode(mode) {
+  return mode === 'window' ? 'window' : null;
+}
+
+/**
+ * Set how a dormant session reopens
+ * @param {string} sessionId - Session ID
+ * @param {string} mode - 'current' or 'window'
+ * @returns {Object} { success, sessionId, restoreMode, error? }
+ */
+function setSessionRestoreMode(sessionId, mode) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+  if (TAB_LAYOUT.RESTORE_MODES.indexOf(mode) === -1) {
+    return { success: false, error: 'Restore mode must be one of: ' + TAB_LAYOUT.RESTORE_MODES.join(', ') };
+  }
+
+  if (mode === TAB_LAYOUT.DEFAULT_RESTORE_MODE) {
+    delete session.restoreMode;
+  } else {
+    session.restoreMode = mode;
+  }
+  persistSessions(true);
+
+  console.log(`[Tab Layout] Session ${sessionId} restore mode: ${mode}`);
+  return { success: true, sessionId: sessionId, restoreMode: mode };
+}
+
+/**
+ * Group a dormant session's saved tabs by window
+ * Tabs saved before layouts were recorded all go into the first window, in saved order.
+ * @param {Object} session - Session
+ * @returns {Array<Array<Object>>} Windows in order, each with its tabs in order
+ */
+function getPersistedTabWindows(session) {
+  const windows = [];
+  (session.persistedTabs || []).forEach(tab => {
+    if (!tab || !isRestorableTabUrl(tab.url)) {
+      return;
+    }
+    const number = Number.isInteger(tab.window) && tab.window >= 0 ? tab.window : 0;
+    if (!windows[number]) {
+      windows[number] = [];
+    }
+    windows[number].push(tab);
+  });
+
+  return windows
+    .filter(Boolean)
+    .map(tabs => tabs.slice().sort((a, b) => (a.index || 0) - (b.index || 0)));
+}
+
+/**
+ * Get the window restored tabs go into in "current" mode
+ * @returns {Promise<number|null>} Last focused normal window ID, or null if there is none
+ */
+function getLastFocusedWindowId() {
+  return new Promise(resolve => {
+    chrome.windows.getLastFocused({ windowTypes: ['normal'] }, (window) => {
+      resolve(chrome.runtime.lastError || !window ? null : window.id);
+    });
+  });
+}
+
+/**
+ * Open a window for restored tabs
+ * @param {string} url - URL of the window's first tab
+ * @param {boolean} focused - Focus the window
+ * @returns {Promise<Object|null>} Created window (with its tab), or null on error
+ */
+function createRestoreWindow(url, focused) {
+  return new Promise(resolve => {
+    chrome.windows.create({ url: url, focused: focused }, (window) => {
+      if (chrome.runtime.lastError || !window || !window.tabs || window.tabs.length === 0) {
+        console.error('[Tab Layout] windows.create error:', chrome.runtime.lastError);
+        resolve(null);
+        return;
+      }
+      resolve(window);
+    });
+  });
+}
+
+/**
+ * Put restored tabs back into their tab groups (group names and colors are not saved)
+ * @param {Array<Object>} opened - [{ tabId, saved }] of one window
+ * @param {number} windowId - Window ID
+ */
+function restoreTabGroups(opened, windowId) {
+  if (typeof chrome.tabs.group !== 'function') {
+    return;
+  }
+
+  const groups = new Map();
+  opened.forEach(({ tabId, saved }) => {
+    if (Number.isInteger(saved.group)) {
+      if (!groups.has(saved.group)) {
+        groups.set(saved.group, []);
+      }
+      groups.get(saved.group).push(tabId);
+    }
+  });
+
+  groups.forEach(tabIds => {
+    chrome.tabs.group({ tabIds: tabIds, createProperties: { windowId: windowId } }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('[Tab Layout] Could not restore tab group:', chrome.runtime.lastError.message);
+      }
+    });
+  });
+}
+
+/**
+ * Reopen a dormant session's saved tabs with their layout
+ * "current" mode opens every tab in the last focused window; "window" mode opens
+ * one new window per saved window. Order, pinned state and tab groups are restored.
+ * Maps the tabs to the session; caller persists.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} { success, tabIds, windowIds, restoreMode, error? }
+ */
+async function restoreTabLayout(sessionId) {
+  const session = sessionStore.sessions[sessionId];
+  const mode = getSessionRestoreMode(session);
+  const windows = getPersistedTabWindows(session);
+  const tabIds = [];
+  const windowIds = [];
+
+  let currentWindowId = mode === 'current' ? await getLastFocusedWindowId() : null;
+
+  for (const windowTabs of windows) {
+    const opened = [];
+    let windowId = currentWindowId;
+    let remaining = windowTabs;
+
+    if (windowId === null) {
+      const first = windowTabs[0];
+      const window = await createRestoreWindow(first.url, windowIds.length === 0);
+      if (!window) {
+        continue;
+      }
+      windowId = window.id;
+      const firstTabId = window.tabs[0].id;
+
+      // onCreated may already have given the tab to another session (domain heuristic)
+      const previous = sessionStore.sessions[sessionStore.tabToSession[firstTabId]];
+      if (previous && previous !== session) {
+        previous.tabs = (previous.tabs || []).filter(t => t !== firstTabId);
+      }
+      attachTabToSession(firstTabId, sessionId);
+      if (first.pinned) {
+        chrome.tabs.update(firstTabId, { pinned: true });
+      }
+      opened.push({ tabId: firstTabId, saved: first });
+      remaining = windowTabs.slice(1);
+
+      // No browser window was open: the other saved windows join this one
+      if (mode === 'current') {
+        currentWindowId = windowId;
+      }
+    }
+
+    for (const saved of remaining) {
+      const active = mode === 'current' && tabIds.length === 0 && opened.length === 0;
+      const tab = await openTabInSession(sessionId, saved.url, active, {
+        windowId: windowId,
+        pinned: saved.pinned === true
+      });
+      if (tab) {
+        opened.push({ tabId: tab.id, saved: saved });
+      }
+    }
+
+    restoreTabGroups(opened, windowId);
+    opened.forEach(({ tabId }) => tabIds.push(tabId));
+    if (windowIds.indexOf(windowId) === -1) {
+      windowIds.push(windowId);
+    }
+  }
+
+  console.log(`[Tab Layout] ✓ Restored ${tabIds.length} tab(s) of session ${sessionId} in ${windowIds.length} window(s) (${mode})`);
+
+  if (tabIds.length === 0) {
+    return { success: false, error: 'Could not open the session\'s tabs' };
+  }
+  return { success: true, tabIds: tabIds, windowIds: windowIds, restoreMode: mode };
+}
+
+// Keep cached positions current so the saved layout matches what the user sees
+chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
+  if (sessionStore.tabToSession[tabId]) {
+    refreshTabLayoutCache(moveInfo.windowId);
+  }
+});
+
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+  if (sessionStore.tabToSession[tabId]) {
+    refreshTabLayoutCache(attachInfo.newWindowId);
+  }
+});
+
+// Pinning moves the tab, so the whole window is refreshed
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (sessionStore.tabToSession[tabId] && (changeInfo.pinned !== undefined || changeInfo.groupId !== undefined)) {
+    refreshTabLayoutCache(tab.windowId);
+  }
+});
+
+// ============= Session Cookie Lifetime =============
+
+/**
+ * Session cookie lifetime configuration
+ * Session cookies (no Expires/Max-Age) are never expired by the cookie jar. A session's
+ * lifetime policy (session.cookieLifetime) decides how long they survive:
+ * - keep:  kept across dormancy and restarts (default, previous behaviour)
+ * - clear: dropped when the session goes dormant and when Sessner starts
+ * - hours: dropped once they have not been sent for N hours
+ * Domain rules override the session mode for a domain and its subdomains.
+ */
+const COOKIE_LIFETIME = {
+  MODES: ['keep', 'clear', 'hours'],
+  DEFAULT_MODE: 'keep',
+  MIN_HOURS: 1,
+  MAX_HOURS: 720,
+  MAX_DOMAIN_RULES: 50,
+  // When each mode is enforced: 'dormant' (cleanupSession), 'restart' (loadPersistedSessions)
+  // and 'reopen' (openDormantSession)
+  TRIGGERS: {
+    clear: ['dormant', 'restart'],
+    hours: ['dormant', 'restart', 'reopen']
+  }
+};
+
+/**
+ * Validate one mode/hours pair of a lifetime policy
+ * @param {Object} input - { mode, hours? }
+ * @param {string} label - Prefix for error messages
+ * @returns {Object} { valid, rule?: { mode, hours? }, error? }
+ */
+function validateCookieLifetimeRule(input, label) {
+  if (COOKIE_LIFETIME.MODES.indexOf(input.mode) === -1) {
+    return { valid: false, error: `${label}: mode must be one of ${COOKIE_LIFETIME.MODES.join(', ')}` };
+  }
+  if (input.mode !== 'hours') {
+    return { valid: true, rule: { mode: input.mode } };
+  }
+
+  const hours = Number(input.hours);
+  if (!Number.isInteger(hours) || hours < COOKIE_LIFETIME.MIN_HOURS || hours > COOKIE_LIFETIME.MAX_HOURS) {
+    return { valid: false, error: `${label}: hours must be a whole number from ${COOKIE_LIFETIME.MIN_HOURS} to ${COOKIE_LIFETIME.MAX_HOURS}` };
+  }
+  return { valid: true, rule: { mode: 'hours', hours: hours } };
+}
+
+/**
+ * Validate and normalize a session cookie lifetime policy
+ * @param {Object|null} input - { mode, hours?, domains?: [{ domain, mode, hours? }] }, or null for the default
+ * @returns {Object} { valid, policy: Object|null (null = default), error? }
+ */
+function validateCookieLifetimePolicy(input) {
+  if (input === null || input === undefined) {
+    return { valid: true, policy: null };
+  }
+  if (typeof input !== 'object') {
+    return { valid: false, error: 'Invalid cookie lifetime policy' };
+  }
+
+  const base = validateCookieLifetimeRule(input, 'Session');
+  if (!base.valid) {
+    return base;
+  }
+
+  const domainInputs = input.domains === undefined ? [] : input.domains;
+  if (!Array.isArray(domainInputs)) {
+    return { valid: false, error: 'Domain rules must be a list' };
+  }
+  if (domainInputs.length > COOKIE_LIFETIME.MAX_DOMAIN_RULES) {
+    return { valid: false, error: `At most ${COOKIE_LIFETIME.MAX_DOMAIN_RULES} domain rules` };
+  }
+
+  const domains = [];
+  for (const domainInput of domainInputs) {
+    if (!domainInput || typeof domainInput !== 'object' || typeof domainInput.domain !== 'string') {
+      return { valid: false, error: 'Invalid domain rule' };
+    }
+    // "*.example.com" and ".example.com" mean the same as "example.com"
+    const domain = domainInput.domain.trim().toLowerCase().replace(/^\*?\./, '');
+    if (!domain || !/^[a-z0-9.-]+$/.test(domain) || domain.indexOf('..') !== -1) {
+      return { valid: false, error: `Invalid domain: ${domainInput.domain}` };
+    }
+    if (domains.some(rule => rule.domain === domain)) {
+      return { valid: false, error: `Duplicate domain rule: ${domain}` };
+    }
+
+    const rule = validateCookieLifetimeRule(domainInput, domain);
+    if (!rule.valid) {
+      return rule;
+    }
+    domains.push(Object.assign({ domain: domain }, rule.rule));
+  }
+
+  if (base.rule.mode === COOKIE_LIFETIME.DEFAULT_MODE && domains.length === 0) {
+    return { valid: true, policy: null };
+  }
+  return { valid: true, policy: Object.assign({}, base.rule, { domains: domains }) };
+}
+
+/**
+ * Validate an imported or cloned lifetime policy
+ * @param {*} policy - Lifetime policy
+ * @returns {Object|null} Normalized policy, or null for the default (also when invalid)
+ */
+function sanitizeCookieLifetimePolicy(policy) {
+  const result = validateCookieLifetimePolicy(policy);
+  return result.valid ? result.policy : null;
+}
+
+/**
+ * Get the lifetime rule for a cookie domain (most specific domain rule, else the session mode)
+ * @param {Object|null} policy - Session lifetime policy
+ * @param {string} cookieDomain - Cookie domain (".example.com" for domain cookies)
+ * @returns {Object} { mode, hours? }
+ */
+function getCookieLifetimeRule(policy, cookieDomain) {
+  if (!policy) {
+    return { mode: COOKIE_LIFETIME.DEFAULT_MODE };
+  }
+
+  const host = String(cookieDomain || '').replace(/^\./, '').toLowerCase();
+  let match = null;
+  (policy.domains || []).forEach(rule => {
+    if (cookieJar.domainMatch(host, rule.domain) && (!match || rule.domain.length > match.domain.length)) {
+      match = rule;
+    }
+  });
+  return match || policy;
+}
+
+/**
+ * Drop a session's session cookies according to its lifetime policy
+ * Works on the passed jar so it can run before sessionStore is filled at startup.
+ * @param {Object} session - Session (reads session.cookieLifetime)
+ * @param {Object} jar - Session cookie jar
+ * @param {string} trigger - 'dormant', 'restart' or 'reopen'
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Number of cookies removed
+ */
+function applyCookieLifetimePolicy(session, jar, trigger, now = Date.now()) {
+  const policy = session ? session.cookieLifetime : null;
+  if (!policy || !jar) {
+    return 0;
+  }
+
+  let removed = 0;
+  cookieJar.getAllCookies(jar).forEach(cookie => {
+    if (!cookieJar.isSessionCookie(cookie)) {
+      return;
+    }
+
+    const rule = getCookieLifetimeRule(policy, cookie.domain);
+    if ((COOKIE_LIFETIME.TRIGGERS[rule.mode] || []).indexOf(trigger) === -1) {
+      return;
+    }
+    if (rule.mode === 'hours') {
+      const lastUsed = cookie.lastAccessTime || cookie.creationTime || 0;
+      if (now - lastUsed <= rule.hours * 3600000) {
+        return;
+      }
+    }
+
+    if (removeSessionCookie(session.id, jar, cookie.domain, cookie.path, cookie.name, 'lifetime')) {
+      removed++;
+    }
+  });
+
+  if (removed > 0) {
+    console.log(`[Cookie Lifetime] Session ${session.id}: removed ${removed} session cookie(s) (${trigger})`);
+  }
+  return removed;
+}
+
+/**
+ * Set a session's cookie lifetime policy
+ * A dormant session is checked right away, as if it had just gone dormant.
+ * @param {string} sessionId - Session ID
+ * @param {Object|null} policy - Lifetime policy, or null for the default
+ * @returns {Object} { success, sessionId, policy, removed, error? }
+ */
+function setSessionCookieLifetime(sessionId, policy) {
+  const session = sessionStore.sessions[sessionId];
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  const result = validateCookieLifetimePolicy(policy);
+  if (!result.valid) {
+    return { success: false, error: result.error };
+  }
+
+  if (result.policy) {
+    session.cookieLifetime = result.policy;
+  } else {
+    delete session.cookieLifetime;
+  }
+
+  let removed = 0;
+  if (!session.tabs || session.tabs.length === 0) {
+    removed = applyCookieLifetimePolicy(session, sessionStore.cookieStore[sessionId], 'dormant');
+  }
+  persistSessions(true);
+
+  console.log(`[Cookie Lifetime] Session ${sessionId} policy:`, result.policy || COOKIE_LIFETIME.DEFAULT_MODE);
+  return { success: true, sessionId: sessionId, policy: result.policy, removed: removed };
+}
+
+// ============= WebRequest Interception =============
+
+/**
+ * Intercept outgoing requests and inject session cookies
+ */
+chrome.webRequest.onBeforeSendHeaders.addListener(
+  function(details) {
+    // CRITICAL FIX: Wait for initialization before processing requests
+    // This prevents tab requests during browser startup from executing before
+    // session restoration completes (fixes tab restoration race condition)
+    if (initializationManager.currentState !== initializationManager.STATES.READY) {
+      console.log(`[onBeforeSendHeaders] ⏳ Waiting for initialization (state: ${initializationManager.currentState})`);
+      console.log(`[onBeforeSendHeaders] Tab ${details.tabId} requesting ${details.url}`);
+      console.log(`[onBeforeSendHeaders] Request proceeding WITHOUT session cookies (will reload after initialization)`);
+      // Allow request to proceed without session cookies
+      // Tab will reload after session restoration completes
+      return { requestHeaders: details.requestHeaders };
+    }
+
+    // Log every request for debugging
+    console.log(`[onBeforeSendHeaders] Tab ${details.tabId} requesting ${details.url}`);
+
+    const sessionId = getSessionForTab(details.tabId);
+
+    if (!sessionId) {
+      console.log(`[onBeforeSendHeaders] No session for tab ${details.tabId}`);
+      return { requestHeaders: details.requestHeaders };
+    }
+
+    console.log(`[onBeforeSendHeaders] Tab ${details.tabId} has session ${sessionId}`);
+
+    try {
+      const url = new URL(details.url);
+      const domain = url.hostname;
+
+      // SECURITY: Track domain activity for session inheritance (noopener links)
+      // This helps match new tabs to recent session activity on the same domain
+      if (!sessionStore.domainToSessionActivity[domain]) {
+        sessionStore.domainToSessionActivity[domain] = {};
+      }
+      sessionStore.domainToSessionActivity[domain][sessionId] = Date.now();
+
+      // Get cookies for this session and request (SameSite uses the request initiator)
+      const cookies = getCookiesForSession(sessionId, details.url, {
+        fromHttp: true,
+        initiator: details.initiator,
+        type: details.type,
+        method: details.method
+      });
+
+      console.log(`[${sessionId}] Found ${cookies.length} cookies for ${domain}`);
+
+      // Per-session User-Agent, Accept-Language and client hints
+      let headers = applyUserAgentHeaders(details.requestHeaders, sessionId);
+
+      // Per-session header rules (e.g. X-Tenant-Id for staging accounts)
+      headers = applyHeaderRules(headers, sessionId, details.url);
+
+      if (cookies.length > 0) {
+        // Remove existing Cookie header
+        headers = headers.filter(h =>
+          h.name.toLowerCase() !== 'cookie'
+        );
+
+        // Add session-specific cookies
+        const cookieHeader = formatCookieHeader(cookies);
+        headers.push({
+          name: 'Cookie',
+          value: cookieHeader
+        });
+
+        console.log(`[${sessionId}] Injecting ${cookies.length} cookies for ${domain}`);
+      } else {
+        console.log(`[${sessionId}] No cookies to inject for ${domain}`);
+      }
+
+      // Network capture (HAR) records the headers as sent
+      if (harCapture.isCapturing(sessionId)) {
+        harCapture.recordRequest(sessionId, details, headers, cookies.length, getHeaderRuleNames(sessionId, details.url));
+      }
+
+      return { requestHeaders: headers };
+    } catch (e) {
+      console.error('Error in onBeforeSendHeaders:', e);
+    }
+
+    return { requestHeaders: details.requestHeaders };
+  },
+  {
+    urls: ['http://*/*', 'https://*/*']  // Only HTTP/HTTPS requests
+  },
+  ['blocking', 'requestHeaders', 'extraHeaders']  // Added 'extraHeaders'
+);
+
+/**
+ * Intercept responses and capture Set-Cookie headers
+ */
+chrome.webRequest.onHeadersReceived.addListener(
+  function(details) {
+    // CRITICAL FIX: Wait for initialization before processing responses
+    // This prevents cookie capture during browser startup before session restoration
+    if (initializationManager.currentState !== initializationManager.STATES.READY) {
+      console.log(`[onHeadersReceived] ⏳ Waiting for initialization (state: ${initializationManager.currentState})`);
+      console.log(`[onHeadersReceived] Tab ${details.tabId} received response from ${details.url}`);
+      console.log(`[onHeadersReceived] Response proceeding WITHOUT cookie capture`);
+      // Allow response to proceed without capturing cookies
+      return { responseHeaders: details.responseHeaders };
+    }
+
+    // Log every response for debugging
+    console.log(`[onHeadersReceived] Tab ${details.tabId} received response from ${details.url}`);
+
+    const sessionId = getSessionForTab(details.tabId);
+
+    if (!sessionId) {
+      console.log(`[onHeadersReceived] No session for tab ${details.tabId}`);
+      return { responseHeaders: details.responseHeaders };
+    }
+
+    console.log(`[onHeadersReceived] Tab ${details.tabId} has session ${sessionId}`);
+
+    // Check if responseHeaders exist
+    if (!details.responseHeaders) {
+      console.warn(`[onHeadersReceived] No responseHeaders for tab ${details.tabId}`);
+      return { responseHeaders: details.responseHeaders };
+    }
+
+    console.log(`[onHeadersReceived] Response has ${details.responseHeaders.length} headers`);
+
+    try {
+      const url = new URL(details.url);
+      const domain = url.hostname;
+      const secureOrigin = cookieJar.isSecureUrl(url);
+
+      let cookieCount = 0;
+
+      // Look for Set-Cookie headers (case insensitive)
+      details.responseHeaders.forEach(header => {
+        const headerName = header.name.toLowerCase();
+
+        // Log all header names for debugging
+        if (headerName === 'set-cookie') {
+          console.log(`[onHeadersReceived] Found Set-Cookie header: ${header.value}`);
+
+          // Some responses fold multiple Set-Cookie headers into one newline-separated value
+          header.value.split('\n').forEach(setCookieValue => {
+            const cookie = parseCookie(setCookieValue, details.url, true);
+
+            if (!cookie) {
+              return;
+            }
+
+            // Store cookie in session store
+            if (storeCookie(sessionId, cookie, {
+              fromHttp: true,
+              secureOrigin: secureOrigin,
+              source: { channel: 'http', url: details.url }
+            })) {
+              console.log(`[${sessionId}] Stored cookie ${cookie.name} for ${cookie.domain}`);
+              cookieCount++;
+            }
+          });
+        }
+      });
+
+      if (cookieCount > 0) {
+        console.log(`[${sessionId}] Stored ${cookieCount} cookies from ${domain}`);
+      } else {
+        console.log(`[${sessionId}] No Set-Cookie headers found in response from ${domain}`);
+      }
+
+      // Network capture (HAR) records the Set-Cookie headers before they are stripped
+      harCapture.recordResponse(sessionId, details, cookieCount);
+
+      // Remove Set-Cookie headers to prevent browser from storing them
+      const filteredHeaders = details.responseHeaders.filter(h =>
+        h.name.toLowerCase() !== 'set-cookie'
+      );
+
+      // Documents get the session's page config for content scripts at document_start
+      if (PAGE_CONFIG_TIMING.FRAME_TYPES.indexOf(details.type) !== -1) {
+        const pageConfigHeader = buildPageConfigHeader(sessionId);
+        if (pageConfigHeader) {
+          filteredHeaders.push(pageConfigHeader);
+        }
+      }
+
+      return { responseHeaders: filteredHeaders };
+    } catch (e) {
+      console.error('Error in onHeadersReceived:', e);
+    }
+
+    return { responseHeaders: details.responseHeaders };
+  },
+  {
+    urls: ['http://*/*', 'https://*/*']  // Only HTTP/HTTPS requests
+  },
+  ['blocking', 'responseHeaders', 'extraHeaders']  // Added 'extraHeaders'
+);
+
+// ============= Chrome Cookies API Monitoring =============
+
+/**
+ * Monitor cookies set via chrome.cookies API or JavaScript
+ * This captures cookies set by document.cookie or chrome.cookies.set()
+ */
+chrome.cookies.onChanged.addListener((changeInfo) => {
+  // Only process cookies that are being added or updated
+  if (changeInfo.removed) {
+    return;
+  }
+
+  const cookie = changeInfo.cookie;
+
+  console.log('[chrome.cookies.onChanged] Cookie changed:', cookie.name, 'for domain:', cookie.domain);
+
+  // Find which tab triggered this cookie change
+  // We need to check all tabs and see which one matches the domain
+  chrome.tabs.query({}, (tabs) => {
+    if (!tabs || tabs.length === 0) {
+      console.log('[chrome.cookies.onChanged] No tabs found');
+      return;
+    }
+
+    // Check each tab to see if it has a session and matches the domain
+    tabs.forEach(tab => {
+      const sessionId = sessionStore.tabToSession[tab.id];
+
+      if (!sessionId || !tab.url) {
+        return;
+      }
+
+      try {
+        const tabUrl = new URL(tab.url);
+        const tabDomain = tabUrl.hostname;
+
+        // Check if cookie domain matches tab domain
+        const cookieDomain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+        const isMatch = tabDomain === cookieDomain || tabDomain.endsWith('.' + cookieDomain);
+
+        if (isMatch) {
+          console.log(`[chrome.cookies.onChanged] Storing cookie ${cookie.name} for session ${sessionId}`);
+
+          // Store the cookie in our session store (storeCookie persists, debounced)
+          storeCookie(sessionId, cookieJar.fromChromeCookie(cookie), {
+            fromHttp: true,
+            source: { channel: 'cookies-api', url: tab.url }
+          });
+
+          console.log(`[${sessionId}] Captured cookie ${cookie.name} via chrome.cookies API`);
+
+          // SECURITY FIX: Immediately and aggressively remove cookie from browser's native store
+          // Use immediate callback-free removal for faster execution
+          const cookieUrl = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path || '/'}`;
+
+          // Attempt 1: Immediate removal (fastest)
+          chrome.cookies.remove({
+            url: cookieUrl,
+            name: cookie.name,
+            storeId: cookie.storeId
+          }, (removedCookie) => {
+            if (chrome.runtime.lastError) {
+              console.error('[chrome.cookies.onChanged] Failed to remove browser cookie:', chrome.runtime.lastError);
+
+              // SECURITY: Retry removal on failure
+              setTimeout(() => {
+                chrome.cookies.remove({
+                  url: cookieUrl,
+                  name: cookie.name,
+                  storeId: cookie.storeId
+                }, (retryRemoved) => {
+                  if (retryRemoved) {
+                    console.log(`[${sessionId}] Removed browser cookie on retry: ${cookie.name}`);
+                  }
+                });
+              }, 100);
+            } else if (removedCookie) {
+              console.log(`[${sessionId}] Removed browser cookie: ${cookie.name} (keeping only in session store)`);
+            }
+          });
+        }
+      } catch (e) {
+        // Invalid URL or other error
+        console.error('[chrome.cookies.onChanged] Error processing tab:', e);
+      }
+    });
+  });
+});
+
+// ============= Browser Cookie Clearing =============
+
+/**
+ * Clear all browser-native cookies for a session tab
+ * This forces cookies to only exist in our sessionStore
+ * @param {number} tabId
+ */
+async function clearBrowserCookiesForTab(tabId) {
+  const sessionId = sessionStore.tabToSession[tabId];
+
+  if (!sessionId) {
+    return;
+  }
+
+  chrome.tabs.get(tabId, (tab) => {
+    if (chrome.runtime.lastError || !tab || !tab.url) {
+      return;
+    }
+
+    try {
+      const url = new URL(tab.url);
+      const domain = url.hostname;
+
+      // Get all cookies for this domain from browser's native store
+      chrome.cookies.getAll({ domain: domain }, (cookies) => {
+        if (!cookies || cookies.length === 0) {
+          return;
+        }
+
+        console.log(`[${sessionId}] Clearing ${cookies.length} browser cookies for ${domain}`);
+
+        // Remove each cookie from browser's native store
+        cookies.forEach(cookie => {
+          const cookieUrl = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`;
+          chrome.cookies.remove({
+            url: cookieUrl,
+            name: cookie.name,
+            storeId: cookie.storeId
+          }, (removedCookie) => {
+            if (chrome.runtime.lastError) {
+              // Ignore errors - cookie may have already been removed
+            } else if (removedCookie) {
+              console.log(`[${sessionId}] Removed browser cookie: ${cookie.name}`);
+            }
+          });
+        });
+      });
+    } catch (e) {
+      console.error('[clearBrowserCookiesForTab] Error:', e);
+    }
+  });
+}
+
+/**
+ * Clear browser cookies for all session tabs periodically
+ * This ensures cookies stay isolated even if they leak into browser store
+ */
+setInterval(() => {
+  const tabIds = Object.keys(sessionStore.tabToSession);
+
+  if (tabIds.length > 0) {
+    console.log(`[Cookie Cleaner] Checking ${tabIds.length} session tabs for browser cookies`);
+
+    tabIds.forEach(tabIdStr => {
+      const tabId = parseInt(tabIdStr);
+      clearBrowserCookiesForTab(tabId);
+    });
+  }
+}, 2000); // Check every 2 seconds
+
+/**
+ * SECURITY: Periodically remove expired cookies from all sessions
+ * This prevents expired cookies from accumulating in storage
+ */
+setInterval(() => {
+  const sessionIds = Object.keys(sessionStore.sessions);
+
+  if (sessionIds.length > 0) {
+    console.log(`[Cookie Expiration] Checking ${sessionIds.length} sessions for expired cookies`);
+
+    sessionIds.forEach(sessionId => {
+      removeExpiredCookies(sessionId);
+    });
+  }
+}, 60000); // Check every 60 seconds
+
+// ============= Message Handler =============
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  try {
+    if (message.action === 'createNewSession') {
+      // Create new session with optional URL, custom color, and callback
+      const url = message.url || 'about:blank';
+      const customColor = message.customColor || null;
+      createNewSession(url, (result) => {
+        if (result.success) {
+          sendResponse({ success: true, data: result });
+        } else {
+          sendResponse({ success: false, error: result.error, blocked: result.blocked, tier: result.tier });
+        }
+      }, customColor);
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'createTemplate') {
+      // Create a session template (hand-written fields or captured from a session)
+      createTemplate(message.template || {}, {
+        fromSessionId: message.fromSessionId || null,
+        includeCookies: !!message.includeCookies,
+        includeStorage: !!message.includeStorage
+      })
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[createTemplate] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'listTemplates') {
+      // List saved templates (summaries; seed data is not sent to the popup)
+      loadSessionTemplates()
+        .then(templates => {
+          const access = getFeatureAccess('sessionTemplates');
+          sendResponse({
+            success: true,
+            allowed: access.allowed,
+            tier: access.tier,
+            templates: Object.values(templates)
+              .sort((a, b) => a.createdAt - b.createdAt)
+              .map(template => ({
+                id: template.id,
+                name: template.name,
+                namePattern: template.namePattern,
+                color: template.color,
+                startUrls: template.startUrls,
+                inheritance: template.inheritance,
+                seedCookieCount: (template.seedCookies || []).length,
+                seedStorageOrigins: Object.keys(template.seedStorage || {}),
+                createdAt: template.createdAt,
+                updatedAt: template.updatedAt
+              }))
+          });
+        })
+        .catch(error => {
+          console.error('[listTemplates] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'deleteTemplate') {
+      // Delete a session template
+      if (!message.templateId) {
+        sendResponse({ success: false, error: 'No template ID provided' });
+        return false;
+      }
+
+      deleteTemplate(message.templateId)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[deleteTemplate] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'createSessionFromTemplate') {
+      // Create a new session from a template (built on createNewSession)
+      if (!message.templateId) {
+        sendResponse({ success: false, error: 'No template ID provided' });
+        return false;
+      }
+
+      createSessionFromTemplate(message.templateId)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[createSessionFromTemplate] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getActiveSessions') {
+      // Get active sessions with callback
+      getActiveSessions((result) => {
+        if (result.success) {
+          sendResponse({ success: true, sessions: result.sessions });
+        } else {
+          sendResponse({ success: false, error: result.error });
+        }
+      });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getAllSessions') {
+      // Get all sessions (active + dormant) with callback
+      getAllSessions((result) => {
+        if (result.success) {
+          sendResponse({
+            success: true,
+            activeSessions: result.activeSessions,
+            dormantSessions: result.dormantSessions
+          });
+        } else {
+          sendResponse({ success: false, error: result.error });
+        }
+      });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'openDormantSession') {
+      // Open a dormant session by creating a new tab
+      const sessionId = message.sessionId;
+      const url = message.url; // DO NOT set default - let openDormantSession extract from persistedTabs
+
+      if (!sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
+
+      console.log('[Message Handler] openDormantSession - sessionId:', sessionId, 'url:', url, 'url type:', typeof url);
+
+      openDormantSession(sessionId, url, (result) => {
+        if (result.success) {
+          sendResponse({
+            success: true,
+            sessionId: result.sessionId,
+            tabId: result.tabId,
+            tabIds: result.tabIds || [result.tabId],
+            restoreMode: result.restoreMode || null,
+            color: result.color
+          });
+        } else {
+          sendResponse({ success: false, error: result.error });
+        }
+      });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getSessionId') {
+      // Called from content script to get session ID for current tab
+      const tabId = sender.tab ? sender.tab.id : null;
+
+      console.log('[getSessionId] Request from tab:', tabId);
+      console.log('[getSessionId] Current tabToSession map:', JSON.stringify(sessionStore.tabToSession));
+
+      const sessionId = tabId ? getSessionForTab(tabId) : null;
+
+      console.log('[getSessionId] Found session ID:', sessionId);
+
+      if (!sessionId) {
+        console.warn('[getSessionId] No session for tab', tabId);
+        // isReady lets content scripts stop retrying once sessions are loaded
+        sendResponse({
+          success: false,
+          sessionId: null,
+          error: 'No session assigned',
+          isReady: initializationManager.currentState === initializationManager.STATES.READY
+        });
+      } else {
+        console.log('[getSessionId] Returning session:', sessionId);
+        // Service worker policy for the requesting frame's site
+        const frameUrl = sender.url || (sender.tab && sender.tab.url) || '';
+        const serviceWorkerMode = getServiceWorkerMode(frameUrl);
+        sendResponse({
+          success: true,
+          sessionId: sessionId,
+          serviceWorkerMode: serviceWorkerMode,
+          cacheBustToken: serviceWorkerMode === 'cachebust' ? getCacheBustToken(sessionId) : null,
+          navigatorOverride: getNavigatorOverride(sessionId),
+          fingerprint: getPageFingerprint(sessionId)
+        });
+      }
+      return false; // Synchronous response
+
+    } else if (message.action === 'claimStorageSnapshot') {
+      // Content script asks for an imported storage snapshot on first visit to its origin
+      const sessionId = sender.tab ? getSessionForTab(sender.tab.id) : null;
+      let origin = null;
+      try {
+        origin = new URL(sender.url).origin;
+      } catch (e) {
+        // Invalid sender URL
+      }
+
+      if (!sessionId || !origin) {
+        sendResponse({ success: false, error: 'No session for this page' });
+        return false;
+      }
+
+      claimPendingStorageSnapshot(sessionId, origin)
+        .then(snapshot => {
+          if (snapshot) {
+            console.log(`[claimStorageSnapshot] Restoring snapshot for ${origin} in session ${sessionId}`);
+          }
+          sendResponse({ success: true, snapshot: snapshot });
+        })
+        .catch(error => {
+          console.error('[claimStorageSnapshot] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getStorageCleanupList') {
+      // Content script asks which deleted sessions still have IndexedDB/Cache Storage data to remove
+      getPendingPageStorageCleanup()
+        .then(sessionIds => {
+          sendResponse({ success: true, sessionIds: sessionIds });
+        })
+        .catch(error => {
+          console.error('[getStorageCleanupList] Error:', error);
+          sendResponse({ success: false, sessionIds: [], error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getCookies') {
+      // Get cookies for content script
+      const tabId = sender.tab ? sender.tab.id : null;
+      const sessionId = tabId ? getSessionForTab(tabId) : null;
+
+      if (!sessionId) {
+        console.warn('getCookies: No session for tab', tabId);
+        sendResponse({ success: false, cookies: '' });
+        return false;
+      }
+
+      const session = sessionStore.sessions[sessionId];
+      if (!session) {
+        console.warn('getCookies: Session not found', sessionId);
+        sendResponse({ success: false, cookies: '' });
+        return false;
+      }
+
+      // Parse URL from message
+      try {
+        // document.cookie never sees HttpOnly cookies; frames are checked against the top-level site
+        const url = new URL(message.url);
+        const cookies = getCookiesForSession(sessionId, url.href, {
+          fromHttp: false,
+          type: sender.frameId ? 'sub_frame' : 'main_frame',
+          topLevelUrl: sender.frameId && sender.tab ? sender.tab.url : null
+        });
+        const cookieString = formatCookieHeader(cookies);
+        sendResponse({ success: true, cookies: cookieString });
+      } catch (error) {
+        console.error('getCookies: Invalid URL', message.url, error);
+        sendResponse({ success: false, cookies: '' });
+      }
+      return false; // Synchronous response
+
+    } else if (message.action === 'setCookie') {
+      // Set cookie from content script
+      const tabId = sender.tab ? sender.tab.id : null;
+      const sessionId = tabId ? getSessionForTab(tabId) : null;
+
+      if (!sessionId) {
+        console.warn('setCookie: No session for tab', tabId);
+        sendResponse({ success: false, error: 'No session assigned' });
+        return false;
+      }
+
+      const session = sessionStore.sessions[sessionId];
+      if (!session) {
+        console.warn('setCookie: Session not found', sessionId);
+        sendResponse({ success: false, error: 'Session not found' });
+        return false;
+      }
+
+      if (!message.cookie) {
+        sendResponse({ success: false, error: 'No cookie data provided' });
+        return false;
+      }
+
+      if (!message.url) {
+        console.error('[SECURITY] setCookie: No URL provided for domain validation');
+        sendResponse({ success: false, error: 'No URL provided' });
+        return false;
+      }
+
+      try {
+        // SECURITY: Parse cookie with domain validation (document.cookie cannot set HttpOnly)
+        const cookie = parseCookie(message.cookie, message.url, false);
+
+        if (!cookie) {
+          console.error('[SECURITY] setCookie: Cookie validation failed');
+          sendResponse({ success: false, error: 'Invalid cookie domain' });
+          return false;
+        }
+
+        if (!cookie.domain) {
+          console.error('setCookie: No domain specified');
+          sendResponse({ success: false, error: 'No domain specified' });
+          return false;
+        }
+
+        // SECURITY: Final domain validation check
+        if (!isValidCookieDomain(cookie.domain, message.url)) {
+          console.error('[SECURITY] setCookie: Domain validation failed:', cookie.domain, 'for URL:', message.url);
+          sendResponse({ success: false, error: 'Invalid cookie domain' });
+          return false;
+        }
+
+        const stored = storeCookie(sessionId, cookie, {
+          fromHttp: false,
+          secureOrigin: cookieJar.isSecureUrl(new URL(message.url)),
+          source: { channel: 'script', url: message.url }
+        });
+        console.log(`[${sessionId}] Cookie set: ${cookie.name} for ${cookie.domain} (stored: ${stored})`);
+        sendResponse({ success: true, stored: stored });
+      } catch (error) {
+        console.error('setCookie: Error parsing cookie', error);
+        sendResponse({ success: false, error: error.message });
+      }
+      return false; // Synchronous response
+
+    } else if (message.action === 'getSessionColor') {
+      // Get color for a specific session
+      const sessionId = message.sessionId;
+
+      if (!sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
+
+      const session = sessionStore.sessions[sessionId];
+
+      if (!session) {
+        console.warn('getSessionColor: Session not found', sessionId);
+        sendResponse({ success: false, error: 'Session not found' });
+        return false;
+      }
+
+      const color = session.color || sessionColor(sessionId);
+      sendResponse({ success: true, color: color });
+      return false; // Synchronous response
+
+    } else if (message.action === 'switchToTab') {
+      // Switch to a specific tab
+      if (!message.tabId) {
+        sendResponse({ success: false, error: 'No tab ID provided' });
+        return false;
+      }
+
+      chrome.tabs.update(message.tabId, { active: true }, (tab) => {
+        if (chrome.runtime.lastError) {
+          console.error('tabs.update error:', chrome.runtime.lastError);
+          sendResponse({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+          sendResponse({ success: true });
+        }
+      });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'canCreateSession') {
+      // Check if session creation is allowed
+      canCreateNewSession().then(result => {
+        sendResponse({ success: true, ...result });
+      }).catch(error => {
+        console.error('[canCreateSession] Error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getSessionStatus') {
+      // Get session status for UI
+      getSessionStatus().then(status => {
+        sendResponse({ success: true, ...status });
+      }).catch(error => {
+        console.error('[getSessionStatus] Error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getSessionMetadata') {
+      // Get full session metadata for UI (includes lastAccessed timestamps)
+      const sessionId = message.sessionId;
+
+      if (!sessionId) {
+        // Return all sessions metadata
+        sendResponse({ success: true, sessions: sessionStore.sessions });
+      } else {
+        // Return specific session metadata
+        const session = sessionStore.sessions[sessionId];
+        if (session) {
+          sendResponse({ success: true, session: session });
+        } else {
+          sendResponse({ success: false, error: 'Session not found' });
+        }
+      }
+      return false; // Synchronous response
+
+    } else if (message.action === 'getStorageStats') {
+      // Get storage statistics for debugging (Edge storage issue)
+      getStorageStatsHelper()
+        .then(stats => {
+          sendResponse({ success: true, stats });
+        })
+        .catch(error => {
+          console.error('[getStorageStats] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getOrphanCount') {
+      // Get orphan session count (IndexedDB sessions not in memory)
+      if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.isInitialized) {
+        storagePersistenceManager.getOrphanSessionCount()
+          .then(count => {
+            console.log('[getOrphanCount] Found ' + count + ' orphan sessions in IndexedDB');
+            sendResponse({ success: true, orphanCount: count });
+          })
+          .catch(error => {
+            console.error('[getOrphanCount] Error:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+      } else {
+        console.warn('[getOrphanCount] Storage persistence manager not initialized');
+        sendResponse({ success: false, error: 'Storage persistence manager not initialized' });
+      }
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'cleanupOrphans') {
+      // Clean up orphan sessions (IndexedDB sessions not in memory)
+      console.log('[cleanupOrphans] Starting orphan cleanup...');
+      if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.isInitialized) {
+        storagePersistenceManager.cleanupOrphanSessions()
+          .then(result => {
+            console.log('[cleanupOrphans] Cleanup complete:', result);
+            sendResponse({ success: true, ...result });
+          })
+          .catch(error => {
+            console.error('[cleanupOrphans] Error:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+      } else {
+        console.warn('[cleanupOrphans] Storage persistence manager not initialized');
+        sendResponse({ success: false, error: 'Storage persistence manager not initialized' });
+      }
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getPublicSuffixListInfo') {
+      // Get metadata about the loaded Public Suffix List
+      sendResponse({ success: true, info: publicSuffixList.getInfo() });
+      return false; // Synchronous response
+
+    } else if (message.action === 'importPublicSuffixList') {
+      // Replace the bundled Public Suffix List with a newer public_suffix_list.dat
+      if (typeof message.text !== 'string' || message.text.length === 0) {
+        sendResponse({ success: false, error: 'No list data provided' });
+        return false;
+      }
+
+      publicSuffixList.importList(message.text)
+        .then(result => {
+          console.log('[importPublicSuffixList] Result:', result.success ? result.info : result.error);
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[importPublicSuffixList] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'resetPublicSuffixList') {
+      // Discard an imported Public Suffix List and reload the bundled copy
+      publicSuffixList.resetToBundled()
+        .then(result => {
+          console.log('[resetPublicSuffixList] Result:', result.success ? result.info : result.error);
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[resetPublicSuffixList] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getServiceWorkerPolicy') {
+      // Get the service worker mode for a site (used by popup)
+      const site = getServiceWorkerPolicySite(message.url || '');
+      if (!site) {
+        sendResponse({ success: false, error: 'Service worker policy only applies to http(s) sites' });
+        return false;
+      }
+
+      sendResponse({
+        success: true,
+        site: site,
+        mode: getServiceWorkerMode(message.url),
+        modes: SERVICE_WORKER_POLICY.MODES,
+        defaultMode: SERVICE_WORKER_POLICY.DEFAULT_MODE
+      });
+      return false; // Synchronous response
+
+    } else if (message.action === 'setServiceWorkerPolicy') {
+      // Set the service worker mode for a site
+      setServiceWorkerMode(message.url || '', message.mode)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[setServiceWorkerPolicy] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getCookieChangeLog') {
+      // Cookie change log settings, entry counts per session and (with sessionId) the entries
+      const counts = cookieChangeLog.getCounts();
+      const response = {
+        success: true,
+        settings: Object.assign({}, cookieChangeLog.settings),
+        limits: { min: cookieChangeLog.CONFIG.MIN_ENTRIES, max: cookieChangeLog.CONFIG.MAX_ENTRIES },
+        sessions: Object.values(sessionStore.sessions).map(session => ({
+          sessionId: session.id,
+          name: session.name || null,
+          active: !!(session.tabs && session.tabs.length > 0),
+          entries: counts[session.id] || 0
+        }))
+      };
+
+      if (message.sessionId) {
+        const result = cookieChangeLog.getEntries(message.sessionId, { search: message.search, limit: message.limit });
+        response.sessionId = message.sessionId;
+        response.entries = result.entries;
+        response.total = result.total;
+      }
+
+      sendResponse(response);
+      return false;
+
+    } else if (message.action === 'setCookieChangeLogSettings') {
+      // Turn the cookie change log on or off and set the entries kept per session
+      cookieChangeLog.setSettings(message.settings || {})
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[setCookieChangeLogSettings] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'exportCookieChangeLog') {
+      // Export one session's cookie change log as JSON (entries oldest first)
+      const session = message.sessionId ? sessionStore.sessions[message.sessionId] : null;
+      if (!session) {
+        sendResponse({ success: false, error: 'Session not found' });
+        return false;
+      }
+
+      const exportFile = cookieChangeLog.exportSession(session.id, session.name || null);
+      const safeName = (session.name || 'session').replace(/[^a-zA-Z0-9_-]/g, '_');
+      const timestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+      sendResponse({
+        success: true,
+        filename: `sessner_cookie-log_${safeName}_${timestamp}.json`,
+        data: JSON.stringify(exportFile, null, 2),
+        entries: exportFile.entries.length
+      });
+      return false;
+
+    } else if (message.action === 'clearCookieChangeLog') {
+      // Clear one session's cookie change log, or every session's without sessionId
+      cookieChangeLog.clear(message.sessionId || null);
+      sendResponse({ success: true });
+      return false;
+
+    } else if (message.action === 'getHarCaptureStatus') {
+      // Network capture status and the sessions that can be captured
+      sendResponse({
+        success: true,
+        status: harCapture.getStatus(),
+        sessions: Object.values(sessionStore.sessions).map(session => ({
+          sessionId: session.id,
+          name: session.name || null,
+          active: !!(session.tabs && session.tabs.length > 0)
+        }))
+      });
+      return false;
+
+    } else if (message.action === 'startHarCapture') {
+      // Start recording one session's traffic (replaces the previous capture)
+      const session = message.sessionId ? sessionStore.sessions[message.sessionId] : null;
+      if (!session) {
+        sendResponse({ success: false, error: 'Session not found' });
+        return false;
+      }
+
+      sendResponse({ success: true, status: harCapture.start(session.id, session.name || null) });
+      return false;
+
+    } else if (message.action === 'stopHarCapture') {
+      // Stop recording (entries are kept for export)
+      sendResponse({ success: true, status: harCapture.stop() });
+      return false;
+
+    } else if (message.action === 'exportHarCapture') {
+      // Export the capture as a HAR 1.2 file
+      const status = harCapture.getStatus();
+      if (!status.sessionId) {
+        sendResponse({ success: false, error: 'Nothing captured yet' });
+        return false;
+      }
+
+      const har = harCapture.buildHar({
+        redact: message.redact !== false,
+        creatorVersion: chrome.runtime.getManifest().version
+      });
+      const safeName = (status.sessionName || 'session').replace(/[^a-zA-Z0-9_-]/g, '_');
+      const timestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+      sendResponse({
+        success: true,
+        filename: `sessner_capture_${safeName}_${timestamp}.har`,
+        data: JSON.stringify(har, null, 2),
+        entries: har.log.entries.length
+      });
+      return false;
+
+    } else if (message.action === 'clearHarCapture') {
+      // Discard the capture
+      harCapture.clear();
+      sendResponse({ success: true, status: harCapture.getStatus() });
+      return false;
+
+    } else if (message.action === 'getLocalApiConfig') {
+      // Get local automation API settings and token list (token hashes are not sent)
+      if (typeof localAPI === 'undefined') {
+        sendResponse({ success: false, error: 'Local API not loaded' });
+        return false;
+      }
+      localAPI.getConfig()
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[getLocalApiConfig] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'setLocalApiConfig') {
+      // Update local API access settings (enabled, localhost, extension ID allowlist)
+      if (typeof localAPI === 'undefined') {
+        sendResponse({ success: false, error: 'Local API not loaded' });
+        return false;
+      }
+      localAPI.setConfig(message.settings || {})
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[setLocalApiConfig] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'createLocalApiToken') {
+      // Create a scoped API token (the plain token is only returned once)
+      if (typeof localAPI === 'undefined') {
+        sendResponse({ success: false, error: 'Local API not loaded' });
+        return false;
+      }
+      localAPI.createToken(message.label, message.scopes)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[createLocalApiToken] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'revokeLocalApiToken') {
+      // Revoke a local API token by ID
+      if (typeof localAPI === 'undefined') {
+        sendResponse({ success: false, error: 'Local API not loaded' });
+        return false;
+      }
+      localAPI.revokeToken(message.tokenId)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[revokeLocalApiToken] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getAvailableColors') {
+      // Get available colors for current tier
+      let tier = 'free';
+      try {
+        if (typeof licenseManager !== 'undefined' && licenseManager.isInitialized) {
+          tier = licenseManager.getTier();
+        }
+      } catch (error) {
+        console.error('[getAvailableColors] Error getting tier:', error);
+      }
+
+      const colors = getColorPaletteForTier(tier);
+      const allowCustom = tier === 'enterprise';
+
+      sendResponse({
+        success: true,
+        tier: tier,
+        colors: colors,
+        allowCustom: allowCustom
+      });
+      return false; // Synchronous response
+
+    } else if (message.action === 'setSessionColor') {
+      // Set custom color for session (enterprise only)
+      const sessionId = message.sessionId;
+      const newColor = message.color;
+
+      if (!sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
+
+      if (!newColor) {
+        sendResponse({ success: false, error: 'No color provided' });
+        return false;
+      }
+
+      // Check tier
+      let tier = 'free';
+      try {
+        if (typeof licenseManager !== 'undefined' && licenseManager.isInitialized) {
+          tier = licenseManager.getTier();
+        }
+      } catch (error) {
+        console.error('[setSessionColor] Error getting tier:', error);
+      }
+
+      if (tier !== 'enterprise') {
+        sendResponse({
+          success: false,
+          error: 'Custom colors are only available in Enterprise tier',
+          tier: tier
+        });
+        return false;
+      }
+
+      // Validate color
+      if (!isValidHexColor(newColor)) {
+        sendResponse({
+          success: false,
+          error: 'Invalid color format. Use hex format like #FF6B6B'
+        });
+        return false;
+      }
+
+      const normalizedColor = normalizeHexColor(newColor);
+
+      // Check contrast
+      if (!hasGoodContrast(normalizedColor)) {
+        console.warn('[setSessionColor] Poor contrast for color:', normalizedColor);
+        // Don't block, just warn
+      }
+
+      // Check if session exists
+      const session = sessionStore.sessions[sessionId];
+      if (!session) {
+        sendResponse({ success: false, error: 'Session not found' });
+        return false;
+      }
+
+      // Update session color
+      session.color = normalizedColor;
+      session.customColor = normalizedColor;
+
+      // Update badge for all tabs in this session
+      if (session.tabs && session.tabs.length > 0) {
+        session.tabs.forEach(tabId => {
+          setSessionBadge(tabId, normalizedColor);
+          console.log(`[setSessionColor] Updated badge for tab ${tabId} to ${normalizedColor}`);
+
+          // Also update favicon badge
+          chrome.tabs.sendMessage(tabId, {
+            action: 'sessionColorChanged',
+            color: normalizedColor
+          }, (response) => {
+            if (chrome.runtime.lastError) {
+              // Tab might not have content script loaded yet, that's OK
+              console.log(`[setSessionColor] Could not update favicon for tab ${tabId}:`, chrome.runtime.lastError.message);
+            } else {
+              console.log(`[setSessionColor] Updated favicon for tab ${tabId}`);
+            }
+          });
+        });
+      }
+
+      // Persist changes
+      persistSessions(true);
+
+      console.log(`[setSessionColor] Session ${sessionId} color changed to ${normalizedColor}`);
+      sendResponse({ success: true, color: normalizedColor });
+      return false; // Synchronous response
+
+    } else if (message.action === 'getAutoRestorePreference') {
+      // Get auto-restore preference (Enterprise only)
+      (async () => {
+        try {
+          const result = await new Promise((resolve) => {
+            chrome.storage.local.get(['autoRestorePreference'], (data) => {
+              resolve(data);
+            });
+          });
+
+          let prefs = result.autoRestorePreference || {};
+          console.log('[Auto-Restore] Get preference (before cleanup):', prefs);
+
+          // CLEANUP STALE DOWNGRADE METADATA: If user is Enterprise and has stale downgrade metadata, clean it
+          const tier = licenseManager.getTier();
+          if (tier === 'enterprise' && prefs.disabledReason === 'tier_downgrade') {
+            console.log('[Auto-Restore] ⚠ Detected stale downgrade metadata for Enterprise user');
+            console.log('[Auto-Restore] Cleaning up stale metadata from previous tier downgrade...');
+
+            // Keep only the essential fields
+            const cleanPreference = {
+              enabled: prefs.enabled === true, // CRITICAL: Only true if explicitly set to true (undefined/null default to false for safety)
+              dontShowNotice: prefs.dontShowNotice || false
+            };
+
+            // Log the cleanup
+            console.log('[Auto-Restore] Before cleanup:', prefs);
+            console.log('[Auto-Restore] After cleanup:', cleanPreference);
+
+            // Save cleaned preference back to storage
+            try {
+              await new Promise((resolve, reject) => {
+                chrome.storage.local.set({ autoRestorePreference: cleanPreference }, () => {
+                  if (chrome.runtime.lastError) {
+                    reject(chrome.runtime.lastError);
+                  } else {
+                    resolve();
+                  }
+                });
+              });
+              console.log('[Auto-Restore] ✓ Stale downgrade metadata cleaned successfully');
+              prefs = cleanPreference; // Use cleaned preference
+            } catch (cleanupError) {
+              console.error('[Auto-Restore] ✗ Error saving cleaned preference:', cleanupError);
+              // Continue with uncleaned preference (fail gracefully)
+            }
+          }
+
+          console.log('[Auto-Restore] Get preference (after cleanup):', prefs);
+
+          sendResponse({
+            success: true,
+            enabled: prefs.enabled || false,
+            dontShowNotice: prefs.dontShowNotice || false
+          });
+        } catch (error) {
+          console.error('[Auto-Restore] Error getting preference:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'setAutoRestorePreference') {
+      // Set auto-restore preference (Enterprise only)
+      (async () => {
+        try {
+          // Get current preferences
+          const currentPrefs = await new Promise((resolve) => {
+            chrome.storage.local.get(['autoRestorePreference'], (data) => {
+              resolve(data);
+            });
+          });
+
+          let prefs = currentPrefs.autoRestorePreference || {};
+
+          // CLEANUP STALE DOWNGRADE METADATA: If user is Enterprise and has stale downgrade metadata, clean it first
+          const tier = licenseManager.getTier();
+          if (tier === 'enterprise' && prefs.disabledReason === 'tier_downgrade') {
+            console.log('[Auto-Restore] ⚠ Detected stale downgrade metadata for Enterprise user');
+            console.log('[Auto-Restore] Cleaning stale metadata before updating preference...');
+
+            // Keep only essential fields, removing all downgrade metadata
+            prefs = {
+              enabled: prefs.enabled === true, // CRITICAL: Only true if explicitly set to true (undefined/null default to false for safety)
+              dontShowNotice: prefs.dontShowNotice || false
+            };
+
+            console.log('[Auto-Restore] ✓ Stale metadata cleaned');
+          }
+
+          // Update preferences
+          if (message.hasOwnProperty('enabled')) {
+            prefs.enabled = message.enabled;
+            console.log('[Auto-Restore] Preference set to:', message.enabled);
+          }
+
+          if (message.hasOwnProperty('dontShowNotice')) {
+            prefs.dontShowNotice = message.dontShowNotice;
+            console.log('[Auto-Restore] "Don\'t show notice" set to:', message.dontShowNotice);
+          }
+
+          // Ensure we only save the essential fields (no stale metadata)
+          const cleanPrefs = {
+            enabled: prefs.enabled || false,
+            dontShowNotice: prefs.dontShowNotice || false
+          };
+
+          // Save to storage
+          await new Promise((resolve, reject) => {
+            chrome.storage.local.set({ autoRestorePreference: cleanPrefs }, () => {
+              if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+              } else {
+                resolve();
+              }
+            });
+          });
+
+          console.log('[Auto-Restore] Preferences saved:', cleanPrefs);
+          sendResponse({ success: true, preference: cleanPrefs });
+        } catch (error) {
+          console.error('[Auto-Restore] Error setting preference:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getInitializationState') {
+      // Get current initialization state for popup loading UI
+      const state = initializationManager.getState();
+      sendResponse({ success: true, ...state });
+      return false; // Synchronous response
+
+    } else if (message.action === 'clearAllSessions') {
+      try {
+        console.log('[clearAllSessions] Clearing all in-memory session data...');
+
+        // Get all session tab IDs before clearing
+        const allTabIds = Object.keys(sessionStore.tabToSession).map(id => parseInt(id));
+
+        // Clear in-memory state
+        sessionStore.sessions = {};
+        sessionStore.tabToSession = {};
+        sessionStore.cookieStore = {};
+
+        console.log('[clearAllSessions] In-memory state cleared');
+
+        // Close all session tabs
+        if (allTabIds.length > 0) {
+          console.log('[clearAllSessions] Closing ' + allTabIds.length + ' session tabs...');
+          chrome.tabs.remove(allTabIds, () => {
+            if (chrome.runtime.lastError) {
+              console.error('[clearAllSessions] Error closing tabs:', chrome.runtime.lastError);
+            }
+          });
+        }
+
+        sendResponse({ success: true, message: 'All sessions cleared from memory', tabsClosed: allTabIds.length });
+      } catch (error) {
+        console.error('[clearAllSessions] Error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+      return false; // Synchronous response
+
+    } else if (message.action === 'deleteDormantSession') {
+      // Delete a dormant session (ALL TIERS)
+      const sessionId = message.sessionId;
+
+      if (!sessionId) {
+        console.error('[Message Handler] deleteDormantSession: No session ID provided');
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
+
+      console.log('[Message Handler] deleteDormantSession - sessionId:', sessionId);
+
+      Promise.resolve(deleteDormantSession(sessionId))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[Message Handler] deleteDormantSession sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[Message Handler] deleteDormantSession error:', error);
+          sendResponse({
+            success: false,
+            error: error.message || 'Unknown error occurred'
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'deleteAllDormantSessions') {
+      // Delete ALL dormant sessions (ALL TIERS)
+      console.log('[Message Handler] deleteAllDormantSessions - Deleting all dormant sessions');
+
+      Promise.resolve(deleteAllDormantSessions())
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[Message Handler] deleteAllDormantSessions sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[Message Handler] deleteAllDormantSessions error:', error);
+          sendResponse({
+            success: false,
+            deletedCount: 0,
+            error: error.message || 'Unknown error occurred'
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'deleteSessionById') {
+      // Delete a specific session by ID (used by clearAllStorage in diagnostics)
+      console.log('[deleteSessionById] Request to delete session:', message.sessionId);
+
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'Session ID required' });
+        return false;
+      }
+
+      deleteSessionById(message.sessionId)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[deleteSessionById] Error:', error);
+          sendResponse({ success: false, error: error.message, sessionId: message.sessionId });
+        });
+
+      return true; // Async response
+
+    } else if (message.action === 'closeIndexedDB') {
+      // Close IndexedDB connection (used by clearAllStorage to enable database deletion)
+      console.log('[closeIndexedDB] Request to close IndexedDB connection');
+
+      if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.db) {
+        try {
+          console.log('[closeIndexedDB] Closing database connection...');
+          storagePersistenceManager.db.close();
+          storagePersistenceManager.db = null;
+          storagePersistenceManager.isInitialized = false;
+          console.log('[closeIndexedDB] ✓ Database connection closed');
+          sendResponse({ success: true, message: 'IndexedDB connection closed' });
+        } catch (error) {
+          console.error('[closeIndexedDB] Error closing database:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      } else {
+        console.log('[closeIndexedDB] Database not initialized or already closed');
+        sendResponse({ success: true, message: 'Database not initialized or already closed' });
+      }
+
+      return false; // Synchronous response
+
+    } else if (message.action === 'reinitializeStorage') {
+      // Reinitialize storage persistence manager after database deletion
+      (async () => {
+        try {
+          console.log('[reinitializeStorage] ================================================');
+          console.log('[reinitializeStorage] Request to reinitialize storage persistence manager');
+          console.log('[reinitializeStorage] ================================================');
+
+          if (typeof storagePersistenceManager !== 'undefined') {
+            console.log('[reinitializeStorage] storagePersistenceManager is available');
+            console.log('[reinitializeStorage] Current state before reinit:');
+            console.log('[reinitializeStorage]   - isInitialized:', storagePersistenceManager.isInitialized);
+            console.log('[reinitializeStorage]   - db exists:', !!storagePersistenceManager.db);
+
+            console.log('[reinitializeStorage] Calling initialize(forceReinit=true)...');
+            await storagePersistenceManager.initialize(true); // CRITICAL: Pass forceReinit=true
+
+            console.log('[reinitializeStorage] ================================================');
+            console.log('[reinitializeStorage] ✅ Storage persistence manager reinitialized');
+            console.log('[reinitializeStorage] New state after reinit:');
+            console.log('[reinitializeStorage]   - isInitialized:', storagePersistenceManager.isInitialized);
+            console.log('[reinitializeStorage]   - db exists:', !!storagePersistenceManager.db);
+            console.log('[reinitializeStorage]   - health:', JSON.stringify(storagePersistenceManager.storageHealth));
+            console.log('[reinitializeStorage] ================================================');
+
+            sendResponse({ success: true, message: 'Storage persistence manager reinitialized' });
+          } else {
+            console.error('[reinitializeStorage] ❌ storagePersistenceManager not defined');
+            sendResponse({ success: false, error: 'Storage persistence manager not available' });
+          }
+        } catch (error) {
+          console.error('[reinitializeStorage] ================================================');
+          console.error('[reinitializeStorage] ❌ Error reinitializing storage');
+          console.error('[reinitializeStorage] Error:', error);
+          console.error('[reinitializeStorage] Error stack:', error.stack);
+          console.error('[reinitializeStorage] ================================================');
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // Async response
+
+    } else if (message.action === 'setSessionName') {
+      // Set custom name for session (Premium/Enterprise only)
+      Promise.resolve(setSessionName(message.sessionId, message.name))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[setSessionName] sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[setSessionName] Error:', error);
+          sendResponse({
+            success: false,
+            message: error.message
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'getSessionName') {
+      // Get session name
+      Promise.resolve(getSessionName(message.sessionId))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[getSessionName] sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[getSessionName] Error:', error);
+          sendResponse({
+            success: false,
+            message: error.message
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'clearSessionName') {
+      // Clear session name (revert to session ID)
+      Promise.resolve(clearSessionName(message.sessionId))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[clearSessionName] sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[clearSessionName] Error:', error);
+          sendResponse({
+            success: false,
+            message: error.message
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'exportSession') {
+      // Export session to JSON file (Premium/Enterprise only)
+      Promise.resolve(exportSession(message.sessionId, message.options || {}))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[exportSession] sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[exportSession] Error:', error);
+          sendResponse({
+            success: false,
+            message: error.message
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'exportAllSessions') {
+      // Export all sessions to JSON file (Enterprise only)
+      Promise.resolve(exportAllSessions(message.options || {}))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[exportAllSessions] sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[exportAllSessions] Error:', error);
+          sendResponse({
+            success: false,
+            message: error.message
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'validateImport') {
+      // Validate import file
+      Promise.resolve(validateImportFile(message.fileData, message.password || null))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[validateImport] sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[validateImport] Error:', error);
+          sendResponse({
+            success: false,
+            message: error.message
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'importSessions') {
+      // Import sessions from JSON file (Premium/Enterprise only)
+      Promise.resolve(importSessions(message.fileData, message.options || {}))
+        .then(result => {
+          try {
+            sendResponse(result);
+          } catch (error) {
+            console.error('[importSessions] sendResponse error:', error);
+          }
+        })
+        .catch(error => {
+          console.error('[importSessions] Error:', error);
+          sendResponse({
+            success: false,
+            message: error.message
+          });
+        });
+      return true; // Keep message channel open for async response
+
+    } else if (message.action === 'getSessionUserAgent') {
+      // Get a session's User-Agent override and the available presets
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
+
+      sendResponse(getSessionUserAgent(message.sessionId));
+      return false;
+
+    } else if (message.action === 'setSessionUserAgent') {
+      // Set or clear a session's User-Agent override
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
+
+      setSessionUserAgent(message.sessionId, message.override || null)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[setSessionUserAgent] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'getSessionHeaderRules') {
+      // Get a session's header rules
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
+
+      sendResponse(getSessionHeaderRules(message.sessionId));
+      return false;
+
+    } else if (message.action === 'setSessionHeaderRules') {
+      // Replace a session's header rules
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-          let prefs = result.autoRestorePreference || {};
-          console.log('[Auto-Restore] Get preference (before cleanup):', prefs);
+      sendResponse(setSessionHeaderRules(message.sessionId, message.rules));
+      return false;
 
-          // CLEANUP STALE DOWNGRADE METADATA: If user is Enterprise and has stale downgrade metadata, clean it
-          const tier = licenseManager.getTier();
-          if (tier === 'enterprise' && prefs.disabledReason === 'tier_downgrade') {
-            console.log('[Auto-Restore] ⚠ Detected stale downgrade metadata for Enterprise user');
-            console.log('[Auto-Restore] Cleaning up stale metadata from previous tier downgrade...');
+    } else if (message.action === 'getSessionFingerprint') {
+      // Get a session's fingerprint profile and suggested values
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-            // Keep only the essential fields
-            const cleanPreference = {
-              enabled: prefs.enabled === true, // CRITICAL: Only true if explicitly set to true (undefined/null default to false for safety)
-              dontShowNotice: prefs.dontShowNotice || false
-            };
+      sendResponse(getSessionFingerprint(message.sessionId));
+      return false;
 
-            // Log the cleanup
-            console.log('[Auto-Restore] Before cleanup:', prefs);
-            console.log('[Auto-Restore] After cleanup:', cleanPreference);
+    } else if (message.action === 'setSessionFingerprint') {
+      // Set or clear a session's fingerprint profile
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-            // Save cleaned preference back to storage
-            try {
-              await new Promise((resolve, reject) => {
-                chrome.storage.local.set({ autoRestorePreference: cleanPreference }, () => {
-                  if (chrome.runtime.lastError) {
-                    reject(chrome.runtime.lastError);
-                  } else {
-                    resolve();
-                  }
-                });
-              });
-              console.log('[Auto-Restore] ✓ Stale downgrade metadata cleaned successfully');
-              prefs = cleanPreference; // Use cleaned preference
-            } catch (cleanupError) {
-              console.error('[Auto-Restore] ✗ Error saving cleaned preference:', cleanupError);
-              // Continue with uncleaned preference (fail gracefully)
-            }
-          }
+      sendResponse(setSessionFingerprint(message.sessionId, message.profile));
+      return false;
 
-          console.log('[Auto-Restore] Get preference (after cleanup):', prefs);
+    } else if (message.action === 'listSessionCookies') {
+      // List a session's cookies for the cookie inspector
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-          sendResponse({
-            success: true,
-            enabled: prefs.enabled || false,
-            dontShowNotice: prefs.dontShowNotice || false
-          });
-        } catch (error) {
-          console.error('[Auto-Restore] Error getting preference:', error);
-          sendResponse({ success: false, error: error.message });
-        }
-      })();
-      return true; // Keep channel open for async response
+      sendResponse(listSessionCookies(message.sessionId, { search: message.search }));
+      return false;
 
-    } else if (message.action === 'setAutoRestorePreference') {
-      // Set auto-restore preference (Enterprise only)
-      (async () => {
-        try {
-          // Get current preferences
-          const currentPrefs = await new Promise((resolve) => {
-            chrome.storage.local.get(['autoRestorePreference'], (data) => {
-              resolve(data);
-            });
-          });
+    } else if (message.action === 'upsertSessionCookie') {
+      // Add or edit a cookie from the cookie inspector
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-          let prefs = currentPrefs.autoRestorePreference || {};
+      sendResponse(upsertSessionCookie(message.sessionId, message.cookie, message.original || null));
+      return false;
 
-          // CLEANUP STALE DOWNGRADE METADATA: If user is Enterprise and has stale downgrade metadata, clean it first
-          const tier = licenseManager.getTier();
-          if (tier === 'enterprise' && prefs.disabledReason === 'tier_downgrade') {
-            console.log('[Auto-Restore] ⚠ Detected stale downgrade metadata for Enterprise user');
-            console.log('[Auto-Restore] Cleaning stale metadata before updating preference...');
+    } else if (message.action === 'deleteSessionCookie') {
+      // Delete one cookie (cookie) or several (cookies) from the cookie inspector
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-            // Keep only essential fields, removing all downgrade metadata
-            prefs = {
-              enabled: prefs.enabled === true, // CRITICAL: Only true if explicitly set to true (undefined/null default to false for safety)
-              dontShowNotice: prefs.dontShowNotice || false
-            };
+      sendResponse(deleteSessionCookie(message.sessionId, message.cookies || (message.cookie ? [message.cookie] : [])));
+      return false;
 
-            console.log('[Auto-Restore] ✓ Stale metadata cleaned');
-          }
+    } else if (message.action === 'getSessionCookieLifetime') {
+      // Session cookie lifetime policy for the cookie inspector (null = keep)
+      const session = message.sessionId ? sessionStore.sessions[message.sessionId] : null;
+      if (!session) {
+        sendResponse({ success: false, error: 'Session not found' });
+        return false;
+      }
 
-          // Update preferences
-          if (message.hasOwnProperty('enabled')) {
-            prefs.enabled = message.enabled;
-            console.log('[Auto-Restore] Preference set to:', message.enabled);
-          }
+      sendResponse({
+        success: true,
+        sessionId: message.sessionId,
+        policy: session.cookieLifetime || null,
+        modes: COOKIE_LIFETIME.MODES,
+        maxHours: COOKIE_LIFETIME.MAX_HOURS
+      });
+      return false;
 
-          if (message.hasOwnProperty('dontShowNotice')) {
-            prefs.dontShowNotice = message.dontShowNotice;
-            console.log('[Auto-Restore] "Don\'t show notice" set to:', message.dontShowNotice);
-          }
+    } else if (message.action === 'setSessionCookieLifetime') {
+      // Set when a session's session cookies are dropped (null = keep)
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-          // Ensure we only save the essential fields (no stale metadata)
-          const cleanPrefs = {
-            enabled: prefs.enabled || false,
-            dontShowNotice: prefs.dontShowNotice || false
-          };
+      sendResponse(setSessionCookieLifetime(message.sessionId, message.policy === undefined ? null : message.policy));
+      return false;
 
-          // Save to storage
-          await new Promise((resolve, reject) => {
-            chrome.storage.local.set({ autoRestorePreference: cleanPrefs }, () => {
-              if (chrome.runtime.lastError) {
-                reject(new Error(chrome.runtime.lastError.message));
-              } else {
-                resolve();
-              }
-            });
-          });
+    } else if (message.action === 'cloneSession') {
+      // Duplicate a session (cookies, storage, name and settings)
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-          console.log('[Auto-Restore] Preferences saved:', cleanPrefs);
-          sendResponse({ success: true, preference: cleanPrefs });
-        } catch (error) {
-          console.error('[Auto-Restore] Error setting preference:', error);
+      cloneSession(message.sessionId, { openTabs: message.openTabs === true })
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[cloneSession] Error:', error);
           sendResponse({ success: false, error: error.message });
-        }
-      })();
+        });
+
       return true; // Keep channel open for async response
 
-    } else if (message.action === 'getInitializationState') {
-      // Get current initialization state for popup loading UI
-      const state = initializationManager.getState();
-      sendResponse({ success: true, ...state });
-      return false; // Synchronous response
+    } else if (message.action === 'moveTabToSession') {
+      // Move a tab to another session
+      if (typeof message.tabId !== 'number') {
+        sendResponse({ success: false, error: 'No tab ID provided' });
+        return false;
+      }
+      if (!message.sessionId) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
+      }
 
-    } else if (message.action === 'clearAllSessions') {
-      try {
-        console.log('[clearAllSessions] Clearing all in-memory session data...');
+      moveTabToSession(message.tabId, message.sessionId)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[moveTabToSession] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
 
-        // Get all session tab IDs before clearing
-        const allTabIds = Object.keys(sessionStore.tabToSession).map(id => parseInt(id));
+      return true; // Keep channel open for async response
 
-        // Clear in-memory state
-        sessionStore.sessions = {};
-        sessionStore.tabToSession = {};
-        sessionStore.cookieStore = {};
+    } else if (message.action === 'detachTabFromSession') {
+      // Take a tab out of its session (it loads without session isolation)
+      if (typeof message.tabId !== 'number') {
+        sendResponse({ success: false, error: 'No tab ID provided' });
+        return false;
+      }
 
-        console.log('[clearAllSessions] In-memory state cleared');
+      moveTabToSession(message.tabId, null)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[detachTabFromSession] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
 
-        // Close all session tabs
-        if (allTabIds.length > 0) {
-          console.log('[clearAllSessions] Closing ' + allTabIds.length + ' session tabs...');
-          chrome.tabs.remove(allTabIds, () => {
-            if (chrome.runtime.lastError) {
-              console.error('[clearAllSessions] Error closing tabs:', chrome.runtime.lastError);
-            }
-          });
-        }
+      return true; // Keep channel open for async response
 
-        sendResponse({ success: true, message: 'All sessions cleared from memory', tabsClosed: allTabIds.length });
-      } catch (error) {
-        console.error('[clearAllSessions] Error:', error);
-        sendResponse({ success: false, error: error.message });
+    } else if (message.action === 'setSessionGroup') {
+      // Put sessions in a group (group: null/empty to ungroup)
+      const sessionIds = Array.isArray(message.sessionIds) ? message.sessionIds : [message.sessionId].filter(Boolean);
+      if (sessionIds.length === 0) {
+        sendResponse({ success: false, error: 'No session ID provided' });
+        return false;
       }
-      return false; // Synchronous response
 
-    } else if (message.action === 'deleteDormantSession') {
-      // Delete a dormant session (ALL TIERS)
-      const sessionId = message.sessionId;
+      sendResponse(setSessionGroup(sessionIds, message.group));
+      return false;
 
-      if (!sessionId) {
-        console.error('[Message Handler] deleteDormantSession: No session ID provided');
-        sendResponse({ success: false, error: 'No session ID provided' });
+    } else if (message.action === 'renameSessionGroup') {
+      if (!message.group) {
+        sendResponse({ success: false, error: 'No group provided' });
         return false;
       }
 
-      console.log('[Message Handler] deleteDormantSession - sessionId:', sessionId);
+      sendResponse(renameSessionGroup(message.group, message.newName));
+      return false;
 
-      Promise.resolve(deleteDormantSession(sessionId))
+    } else if (message.action === 'openSessionGroup') {
+      // Open every dormant session of a group
+      if (!message.group) {
+        sendResponse({ success: false, error: 'No group provided' });
+        return false;
+      }
+
+      openSessionGroup(message.group)
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[Message Handler] deleteDormantSession sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[Message Handler] deleteDormantSession error:', error);
-          sendResponse({
-            success: false,
-            error: error.message || 'Unknown error occurred'
-          });
+          console.error('[openSessionGroup] Error:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      return true; // Keep message channel open for async response
 
-    } else if (message.action === 'deleteAllDormantSessions') {
-      // Delete ALL dormant sessions (ALL TIERS)
-      console.log('[Message Handler] deleteAllDormantSessions - Deleting all dormant sessions');
+      return true; // Keep channel open for async response
 
-      Promise.resolve(deleteAllDormantSessions())
+    } else if (message.action === 'deleteSessionGroup') {
+      // Delete every session of a group
+      if (!message.group) {
+        sendResponse({ success: false, error: 'No group provided' });
+        return false;
+      }
+
+      deleteSessionGroup(message.group)
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[Message Handler] deleteAllDormantSessions sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[Message Handler] deleteAllDormantSessions error:', error);
-          sendResponse({
-            success: false,
-            deletedCount: 0,
-            error: error.message || 'Unknown error occurred'
-          });
+          console.error('[deleteSessionGroup] Error:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      return true; // Keep message channel open for async response
 
-    } else if (message.action === 'deleteSessionById') {
-      // Delete a specific session by ID (used by clearAllStorage in diagnostics)
-      console.log('[deleteSessionById] Request to delete session:', message.sessionId);
+      return true; // Keep channel open for async response
 
+    } else if (message.action === 'setSessionRestoreMode') {
+      // Choose whether a dormant session reopens in the current window or in new windows
       if (!message.sessionId) {
-        sendResponse({ success: false, error: 'Session ID required' });
+        sendResponse({ success: false, error: 'No session ID provided' });
         return false;
       }
 
-      const sessionId = message.sessionId;
-
-      // Delete from persistence layer first (critical)
-      if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.isInitialized) {
-        storagePersistenceManager.deleteSession(sessionId)
-          .then(results => {
-            console.log('[deleteSessionById] Persistence layer deletion results:', results);
-
-            // Delete from in-memory state
-            if (sessionStore.sessions[sessionId]) {
-              const tabIds = sessionStore.sessions[sessionId].tabs || [];
-
-              // Close tabs associated with this session
-              if (tabIds.length > 0) {
-                console.log('[deleteSessionById] Closing', tabIds.length, 'tabs for session:', sessionId);
-                chrome.tabs.remove(tabIds, () => {
-                  if (chrome.runtime.lastError) {
-                    console.error('[deleteSessionById] Error closing tabs:', chrome.runtime.lastError);
-                  }
-                });
-              }
-
-              // Remove from in-memory structures
-              delete sessionStore.sessions[sessionId];
-              delete sessionStore.cookieStore[sessionId];
-
-              // Remove tab mappings
-              tabIds.forEach(tabId => {
-                delete sessionStore.tabToSession[tabId];
-              });
+      sendResponse(setSessionRestoreMode(message.sessionId, message.mode));
+      return false;
 
-              console.log('[deleteSessionById] ✓ Session deleted from all layers:', sessionId);
-              sendResponse({
-                success: true,
-                message: 'Session deleted successfully',
-                sessionId: sessionId,
-                results: results
-              });
-            } else {
-              console.log('[deleteSessionById] Session not found in memory:', sessionId);
-              sendResponse({
-                success: true,
-                message: 'Session not found in memory (may have already been deleted)',
-                sessionId: sessionId,
-                results: results
-              });
-            }
-          })
-          .catch(error => {
-            console.error('[deleteSessionById] Persistence layer deletion error:', error);
-            sendResponse({ success: false, error: error.message, sessionId: sessionId });
+    } else if (message.action === 'listUrlRules') {
+      // List URL rules (priority order) and the sessions they can point to
+      sendResponse({
+        success: true,
+        rules: urlRuleList.map(rule => {
+          const session = rule.sessionId ? sessionStore.sessions[rule.sessionId] : null;
+          return Object.assign({}, rule, {
+            sessionExists: !!session,
+            sessionName: session ? (session.name || null) : rule.sessionName
           });
-      } else {
-        console.error('[deleteSessionById] Storage persistence manager not initialized');
-        sendResponse({ success: false, error: 'Storage persistence manager not initialized' });
-      }
-
-      return true; // Async response
-
-    } else if (message.action === 'closeIndexedDB') {
-      // Close IndexedDB connection (used by clearAllStorage to enable database deletion)
-      console.log('[closeIndexedDB] Request to close IndexedDB connection');
+        }),
+        sessions: Object.values(sessionStore.sessions).map(session => ({
+          id: session.id,
+          name: session.name || null,
+          color: session.color,
+          active: !!(session.tabs && session.tabs.length > 0)
+        }))
+      });
+      return false;
 
-      if (typeof storagePersistenceManager !== 'undefined' && storagePersistenceManager.db) {
-        try {
-          console.log('[closeIndexedDB] Closing database connection...');
-          storagePersistenceManager.db.close();
-          storagePersistenceManager.db = null;
-          storagePersistenceManager.isInitialized = false;
-          console.log('[closeIndexedDB] ✓ Database connection closed');
-          sendResponse({ success: true, message: 'IndexedDB connection closed' });
-        } catch (error) {
-          console.error('[closeIndexedDB] Error closing database:', error);
+    } else if (message.action === 'saveUrlRule') {
+      // Create or update a URL rule
+      saveUrlRule(message.rule || {})
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[saveUrlRule] Error:', error);
           sendResponse({ success: false, error: error.message });
-        }
-      } else {
-        console.log('[closeIndexedDB] Database not initialized or already closed');
-        sendResponse({ success: true, message: 'Database not initialized or already closed' });
-      }
+        });
+      return true; // Keep channel open for async response
 
-      return false; // Synchronous response
+    } else if (message.action === 'deleteUrlRule') {
+      // Delete a URL rule
+      if (!message.ruleId) {
+        sendResponse({ success: false, error: 'No rule ID provided' });
+        return false;
+      }
 
-    } else if (message.action === 'reinitializeStorage') {
-      // Reinitialize storage persistence manager after database deletion
-      (async () => {
-        try {
-          console.log('[reinitializeStorage] ================================================');
-          console.log('[reinitializeStorage] Request to reinitialize storage persistence manager');
-          console.log('[reinitializeStorage] ================================================');
+      deleteUrlRule(message.ruleId)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[deleteUrlRule] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
 
-          if (typeof storagePersistenceManager !== 'undefined') {
-            console.log('[reinitializeStorage] storagePersistenceManager is available');
-            console.log('[reinitializeStorage] Current state before reinit:');
-            console.log('[reinitializeStorage]   - isInitialized:', storagePersistenceManager.isInitialized);
-            console.log('[reinitializeStorage]   - db exists:', !!storagePersistenceManager.db);
+    } else if (message.action === 'moveUrlRule') {
+      // Change a URL rule's priority (offset -1 = up, 1 = down)
+      if (!message.ruleId) {
+        sendResponse({ success: false, error: 'No rule ID provided' });
+        return false;
+      }
 
-            console.log('[reinitializeStorage] Calling initialize(forceReinit=true)...');
-            await storagePersistenceManager.initialize(true); // CRITICAL: Pass forceReinit=true
+      moveUrlRule(message.ruleId, message.offset)
+        .then(result => {
+          sendResponse(result);
+        })
+        .catch(error => {
+          console.error('[moveUrlRule] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
 
-            console.log('[reinitializeStorage] ================================================');
-            console.log('[reinitializeStorage] ✅ Storage persistence manager reinitialized');
-            console.log('[reinitializeStorage] New state after reinit:');
-            console.log('[reinitializeStorage]   - isInitialized:', storagePersistenceManager.isInitialized);
-            console.log('[reinitializeStorage]   - db exists:', !!storagePersistenceManager.db);
-            console.log('[reinitializeStorage]   - health:', JSON.stringify(storagePersistenceManager.storageHealth));
-            console.log('[reinitializeStorage] ================================================');
+    } else if (message.action === 'testUrlRules') {
+      // Check sample URLs against the saved rules (or unsaved rules from the editor)
+      const rules = Array.isArray(message.rules) ? message.rules : urlRuleList;
+      const urls = Array.isArray(message.urls) ? message.urls.filter(url => typeof url === 'string') : [];
+      sendResponse({ success: true, results: urlRules.testRules(rules, urls) });
+      return false;
 
-            sendResponse({ success: true, message: 'Storage persistence manager reinitialized' });
-          } else {
-            console.error('[reinitializeStorage] ❌ storagePersistenceManager not defined');
-            sendResponse({ success: false, error: 'Storage persistence manager not available' });
-          }
-        } catch (error) {
-          console.error('[reinitializeStorage] ================================================');
-          console.error('[reinitializeStorage] ❌ Error reinitializing storage');
-          console.error('[reinitializeStorage] Error:', error);
-          console.error('[reinitializeStorage] Error stack:', error.stack);
-          console.error('[reinitializeStorage] ================================================');
-          sendResponse({ success: false, error: error.message });
-        }
-      })();
-      return true; // Async response
+    } else if (message.action === 'resolveUrlRulePrompt') {
+      // Session picker answer (sent from the picker page shown in the tab)
+      if (!sender.tab) {
+        sendResponse({ success: false, error: 'Must be sent from the session picker tab' });
+        return false;
+      }
 
-    } else if (message.action === 'setSessionName') {
-      // Set custom name for session (Premium/Enterprise only)
-      Promise.resolve(setSessionName(message.sessionId, message.name))
+      resolveUrlRulePrompt(sender.tab.id, message)
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[setSessionName] sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[setSessionName] Error:', error);
+          console.error('[resolveUrlRulePrompt] Error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+
+    } else if (message.action === 'listProfiles') {
+      // List profiles and the active profile (Enterprise feature)
+      loadProfiles()
+        .then(registry => {
+          const access = getFeatureAccess('multiProfile');
           sendResponse({
-            success: false,
-            message: error.message
+            success: true,
+            allowed: access.allowed,
+            tier: access.tier,
+            activeProfileId: registry.activeProfileId,
+            profiles: listProfileSummaries(registry)
           });
+        })
+        .catch(error => {
+          console.error('[listProfiles] Error:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      return true; // Keep message channel open for async response
+      return true; // Keep channel open for async response
 
-    } else if (message.action === 'getSessionName') {
-      // Get session name
-      Promise.resolve(getSessionName(message.sessionId))
+    } else if (message.action === 'createProfile') {
+      // Create an empty profile
+      createProfile(message.name, message.color || null)
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[getSessionName] sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[getSessionName] Error:', error);
-          sendResponse({
-            success: false,
-            message: error.message
-          });
+          console.error('[createProfile] Error:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      return true; // Keep message channel open for async response
+      return true; // Keep channel open for async response
 
-    } else if (message.action === 'clearSessionName') {
-      // Clear session name (revert to session ID)
-      Promise.resolve(clearSessionName(message.sessionId))
+    } else if (message.action === 'renameProfile') {
+      // Rename a profile
+      if (!message.profileId) {
+        sendResponse({ success: false, error: 'No profile ID provided' });
+        return false;
+      }
+
+      renameProfile(message.profileId, message.name)
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[clearSessionName] sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[clearSessionName] Error:', error);
-          sendResponse({
-            success: false,
-            message: error.message
-          });
+          console.error('[renameProfile] Error:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      return true; // Keep message channel open for async response
+      return true; // Keep channel open for async response
 
-    } else if (message.action === 'exportSession') {
-      // Export session to JSON file (Premium/Enterprise only)
-      Promise.resolve(exportSession(message.sessionId, message.options || {}))
+    } else if (message.action === 'deleteProfile') {
+      // Delete an inactive profile and all of its sessions
+      if (!message.profileId) {
+        sendResponse({ success: false, error: 'No profile ID provided' });
+        return false;
+      }
+
+      deleteProfile(message.profileId)
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[exportSession] sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[exportSession] Error:', error);
-          sendResponse({
-            success: false,
-            message: error.message
-          });
+          console.error('[deleteProfile] Error:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      return true; // Keep message channel open for async response
+      return true; // Keep channel open for async response
 
-    } else if (message.action === 'exportAllSessions') {
-      // Export all sessions to JSON file (Enterprise only)
-      Promise.resolve(exportAllSessions(message.options || {}))
+    } else if (message.action === 'switchProfile') {
+      // Put the current profile's sessions to sleep and load another profile
+      if (!message.profileId) {
+        sendResponse({ success: false, error: 'No profile ID provided' });
+        return false;
+      }
+
+      switchProfile(message.profileId)
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[exportAllSessions] sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[exportAllSessions] Error:', error);
-          sendResponse({
-            success: false,
-            message: error.message
-          });
+          console.error('[switchProfile] Error:', error);
+          sendResponse({ success: false, error: error.message });
         });
-      return true; // Keep message channel open for async response
+      return true; // Keep channel open for async response
 
-    } else if (message.action === 'validateImport') {
-      // Validate import file
-      Promise.resolve(validateImportFile(message.fileData, message.password || null))
+    } else if (message.action === 'exportProfile') {
+      // Export a profile to a JSON file (Enterprise only)
+      exportProfile(message.profileId, message.options || {})
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[validateImport] sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[validateImport] Error:', error);
-          sendResponse({
-            success: false,
-            message: error.message
-          });
+          console.error('[exportProfile] Error:', error);
+          sendResponse({ success: false, message: error.message });
         });
-      return true; // Keep message channel open for async response
+      return true; // Keep channel open for async response
 
-    } else if (message.action === 'importSessions') {
-      // Import sessions from JSON file (Premium/Enterprise only)
-      Promise.resolve(importSessions(message.fileData, message.options || {}))
+    } else if (message.action === 'importProfile') {
+      // Import a profile file as a new profile (Enterprise only)
+      importProfile(message.fileData || '', message.options || {})
         .then(result => {
-          try {
-            sendResponse(result);
-          } catch (error) {
-            console.error('[importSessions] sendResponse error:', error);
-          }
+          sendResponse(result);
         })
         .catch(error => {
-          console.error('[importSessions] Error:', error);
-          sendResponse({
-            success: false,
-            message: error.message
-          });
+          console.error('[importProfile] Error:', error);
+          sendResponse({ success: false, message: error.message });
         });
-      return true; // Keep message channel open for async response
+      return true; // Keep channel open for async response
 
     } else if (message.action === 'tierChanged') {
       // Handle tier change notification from license-manager.js
@@ -5652,6 +10573,12 @@ chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
     const tabs = sessionStore.sessions[sessionId]?.tabs || [];
     const tabsSnapshot = [...tabs]; // Create copy before modification
 
+    // Tabs closed with their window are saved with the session's last tab (full layout)
+    const cached = tabMetadataCache.get(tabId);
+    if (cached && removeInfo && removeInfo.isWindowClosing) {
+      cached.closedAt = Date.now();
+    }
+
     // Remove from tab mapping
     delete sessionStore.tabToSession[tabId];
 
@@ -5704,12 +10631,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       // CRITICAL: Update tab metadata cache immediately (no debouncing)
       // This ensures cleanupSession() can retrieve tab URL even if tab closes within 1 second
       if (changeInfo.url || changeInfo.status === 'complete') {
-        tabMetadataCache.set(tabId, {
-          url: tab.url,
-          title: tab.title || 'Untitled',
-          sessionId: sessionId,
-          timestamp: Date.now()
-        });
+        updateTabMetadataCache(tab, sessionId);
         console.log(`[Tab Metadata Cache] Updated cache for tab ${tabId}: ${tab.url}`);
       }
 
@@ -5782,6 +10704,11 @@ chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
 
   console.log(`[Popup Inheritance] New tab ${targetTabId} created from tab ${sourceTabId}`);
 
+  // URL rules take priority over inheritance
+  if (applyUrlRules(targetTabId, details.url, 'opener')) {
+    return;
+  }
+
   // Check if the source tab has a session
   const sourceSessionId = sessionStore.tabToSession[sourceTabId];
 
@@ -5797,6 +10724,12 @@ chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
     return;
   }
 
+  // Sessions created from templates may restrict inheritance
+  if (!canInheritSession(sourceSessionId, details.url, 'opener')) {
+    console.log(`[Popup Inheritance] Session ${sourceSessionId} rules do not allow inheriting ${details.url}`);
+    return;
+  }
+
   console.log(`[Popup Inheritance] Inheriting session ${sourceSessionId} from tab ${sourceTabId} to tab ${targetTabId}`);
 
   // Assign the same session to the new tab
@@ -5877,11 +10810,18 @@ chrome.tabs.onCreated.addListener((tab) => {
     return;
   }
 
+  // URL rules take priority over opener inheritance and the domain heuristic
+  if (applyUrlRules(tab.id, tab.url, 'created')) {
+    return;
+  }
+
   // If the tab has an openerTabId and a real URL, it was opened from a link
   if (tab.openerTabId && tab.url) {
     const parentSessionId = sessionStore.tabToSession[tab.openerTabId];
 
-    if (parentSessionId) {
+    if (parentSessionId && !canInheritSession(parentSessionId, tab.url, 'opener')) {
+      console.log(`[Tab Created] Session ${parentSessionId} rules do not allow inheriting ${tab.url}`);
+    } else if (parentSessionId) {
       console.log(`[Tab Created] Inheriting session ${parentSessionId} from opener tab ${tab.openerTabId}`);
 
       sessionStore.tabToSession[tab.id] = parentSessionId;
@@ -5912,7 +10852,9 @@ chrome.tabs.onCreated.addListener((tab) => {
       // Find most recent session for this domain (within last 30 seconds)
       const recentSessionId = findRecentSessionForDomain(domain, 30000);
 
-      if (recentSessionId) {
+      if (recentSessionId && !canInheritSession(recentSessionId, tab.url, 'noopener')) {
+        console.log(`[Session Inheritance - Noopener] Session ${recentSessionId} rules do not allow inheriting ${tab.url}`);
+      } else if (recentSessionId) {
         console.log(`[Session Inheritance - Noopener] Inheriting session ${recentSessionId} for domain ${domain}`);
 
         sessionStore.tabToSession[tab.id] = recentSessionId;
@@ -6,7 +6,8 @@
  * script running in the extension context.
  *
  * Architecture:
- * 1. Injected Script (page context): Overrides document.cookie getter/setter
+ * 1. Injected Script (page context): Overrides document.cookie getter/setter and
+ *    applies the session's fingerprint profile (if one is set)
  * 2. Content Script (extension context): Forwards requests to background script
  *
  * @file content-script-cookie.js
@@ -42,8 +43,9 @@
   /**
    * Part A: Injected Script (runs in page context)
    * This script overrides document.cookie and uses postMessage to communicate
+   * @param {Object|null} fingerprint - Session fingerprint profile
    */
-  const injectedScript = function() {
+  const injectedScript = function(fingerprint) {
     // Prevent multiple injections in page context
     if (window.__COOKIE_OVERRIDE_INSTALLED__) {
       return;
@@ -267,6 +269,422 @@
       console.error('[Cookie Isolation - Page] Failed to override document.cookie:', error);
     }
 
+    /**
+     * Moves the page's local time to another IANA timezone
+     * Local-time Date methods read and write wall-clock time in the profile's zone;
+     * UTC methods, getTime() and toISOString() are left as they are
+     * @param {string} timeZone - IANA timezone name
+     */
+    function applyTimezone(timeZone) {
+      const OriginalDate = Date;
+      const OriginalDateTimeFormat = Intl.DateTimeFormat;
+      const dateProto = OriginalDate.prototype;
+      const originalGetTime = dateProto.getTime;
+      const originalSetTime = dateProto.setTime;
+      const originalGetTimezoneOffset = dateProto.getTimezoneOffset;
+      const originalParse = OriginalDate.parse;
+      const originalUTC = OriginalDate.UTC;
+      const MAX_TIME = 8.64e15;
+      const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+      // Date-only ISO strings are UTC; strings with a zone designator carry their own offset
+      const ISO_DATE_ONLY = /^\s*[+-]?\d{4,6}(?:-\d\d){0,2}\s*$/;
+      const ZONE_DESIGNATOR = /\d\d:\d\d(?::\d\d(?:\.\d+)?)?\s*(?:Z|[+-]\d\d:?\d\d)|\b(?:GMT|UTC|UT|[ECMP][SD]T)\b/i;
+
+      const partsFormatter = new OriginalDateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        era: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+      const nameFormatter = new OriginalDateTimeFormat('en-US', { timeZone: timeZone, timeZoneName: 'long' });
+      const scratch = new OriginalDate(0);
+      const pad = (value, length) => String(value).padStart(length, '0');
+      const withTimeZone = (options) => {
+        const result = Object.assign({}, options);
+        if (result.timeZone === undefined) {
+          result.timeZone = timeZone;
+        }
+        return result;
+      };
+
+      // Offset in minutes at a UTC time, signed like getTimezoneOffset() (UTC minus local)
+      let cachedMinute = NaN;
+      let cachedOffset = 0;
+      const offsetAt = (time) => {
+        const minute = Math.floor(time / 60000);
+        if (minute === cachedMinute) {
+          return cachedOffset;
+        }
+        const parts = {};
+        partsFormatter.formatToParts(Math.max(-MAX_TIME, Math.min(MAX_TIME, time))).forEach(part => {
+          parts[part.type] = part.value;
+        });
+        const year = parts.era === 'BC' ? 1 - Number(parts.year) : Number(parts.year);
+        scratch.setUTCFullYear(year, Number(parts.month) - 1, Number(parts.day));
+        scratch.setUTCHours(Number(parts.hour), Number(parts.minute), Number(parts.second), 0);
+        cachedMinute = minute;
+        cachedOffset = Math.round((Math.floor(time / 1000) * 1000 - originalGetTime.call(scratch)) / 60000);
+        return cachedOffset;
+      };
+
+      // Wall-clock time in the profile's zone, stored as a UTC time value
+      const toWall = (time) => isFinite(time) ? time - offsetAt(time) * 60000 : NaN;
+      // Like the engine: the earlier instant on repeated times, the offset before the change in skipped ones
+      const fromWall = (wall) => {
+        if (!isFinite(wall)) {
+          return NaN;
+        }
+        const before = offsetAt(wall - 86400000);
+        const after = offsetAt(wall + 86400000);
+        const valid = [before, after].filter(offset => offsetAt(wall + offset * 60000) === offset);
+        return wall + (valid.length > 0 ? Math.min.apply(null, valid) : before) * 60000;
+      };
+
+      const parseDate = (value) => {
+        const text = String(value);
+        const time = originalParse(text);
+        if (isNaN(time) || ISO_DATE_ONLY.test(text) || ZONE_DESIGNATOR.test(text)) {
+          return time;
+        }
+        // Parsed as the system's local time: re-read the same wall clock in the profile's zone
+        return fromWall(time - originalGetTimezoneOffset.call(new OriginalDate(time)) * 60000);
+      };
+
+      const formatDate = (time) => {
+        const wall = new OriginalDate(toWall(time));
+        const year = wall.getUTCFullYear();
+        return `${DAYS[wall.getUTCDay()]} ${MONTHS[wall.getUTCMonth()]} ${pad(wall.getUTCDate(), 2)} ` +
+          `${year < 0 ? '-' : ''}${pad(Math.abs(year), 4)}`;
+      };
+
+      const formatTime = (time) => {
+        const wall = new OriginalDate(toWall(time));
+        const offset = -offsetAt(time);
+        const zoneName = nameFormatter.formatToParts(time).find(part => part.type === 'timeZoneName');
+        return `${pad(wall.getUTCHours(), 2)}:${pad(wall.getUTCMinutes(), 2)}:${pad(wall.getUTCSeconds(), 2)} ` +
+          `GMT${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60), 2)}${pad(Math.abs(offset) % 60, 2)}` +
+          (zoneName ? ` (${zoneName.value})` : '');
+      };
+
+      const defineMethod = (name, method) => {
+        Object.defineProperty(dateProto, name, {
+          value: { [name]: method }[name],
+          writable: true,
+          enumerable: false,
+          configurable: true
+        });
+      };
+
+      defineMethod('getTimezoneOffset', function() {
+        const time = originalGetTime.call(this);
+        return isNaN(time) ? NaN : offsetAt(time);
+      });
+
+      // Local getters: the matching UTC getter on the wall-clock time
+      const localGetters = {
+        getFullYear: 'getUTCFullYear',
+        getMonth: 'getUTCMonth',
+        getDate: 'getUTCDate',
+        getDay: 'getUTCDay',
+        getHours: 'getUTCHours',
+        getMinutes: 'getUTCMinutes',
+        getSeconds: 'getUTCSeconds',
+        getMilliseconds: 'getUTCMilliseconds'
+      };
+      Object.keys(localGetters).forEach(name => {
+        const utcGetter = dateProto[localGetters[name]];
+        defineMethod(name, function() {
+          const time = originalGetTime.call(this);
+          return isNaN(time) ? NaN : utcGetter.call(new OriginalDate(toWall(time)));
+        });
+      });
+
+      // Local setters: set the wall-clock time, then map it back to UTC
+      const localSetters = {
+        setFullYear: 'setUTCFullYear',
+        setMonth: 'setUTCMonth',
+        setDate: 'setUTCDate',
+        setHours: 'setUTCHours',
+        setMinutes: 'setUTCMinutes',
+        setSeconds: 'setUTCSeconds',
+        setMilliseconds: 'setUTCMilliseconds'
+      };
+      Object.keys(localSetters).forEach(name => {
+        const utcSetter = dateProto[localSetters[name]];
+        defineMethod(name, function() {
+          const time = originalGetTime.call(this);
+          // setFullYear() on an invalid date starts from local midnight, 1 Jan 1970
+          const wall = new OriginalDate(isNaN(time) && name === 'setFullYear' ? 0 : toWall(time));
+          utcSetter.apply(wall, arguments);
+          return originalSetTime.call(this, fromWall(originalGetTime.call(wall)));
+        });
+      });
+
+      if (typeof dateProto.getYear === 'function') {
+        defineMethod('getYear', function() {
+          return this.getFullYear() - 1900;
+        });
+        defineMethod('setYear', function(year) {
+          const value = Number(year);
+          const fullYear = Number.isInteger(value) && value >= 0 && value <= 99 ? 1900 + value : value;
+          return this.setFullYear(fullYear);
+        });
+      }
+
+      defineMethod('toString', function() {
+        const time = originalGetTime.call(this);
+        return isNaN(time) ? 'Invalid Date' : `${formatDate(time)} ${formatTime(time)}`;
+      });
+
+      defineMethod('toDateString', function() {
+        const time = originalGetTime.call(this);
+        return isNaN(time) ? 'Invalid Date' : formatDate(time);
+      });
+
+      defineMethod('toTimeString', function() {
+        const time = originalGetTime.call(this);
+        return isNaN(time) ? 'Invalid Date' : formatTime(time);
+      });
+
+      ['toLocaleString', 'toLocaleDateString', 'toLocaleTimeString'].forEach(name => {
+        const original = dateProto[name];
+        defineMethod(name, function(locales, options) {
+          return original.call(this, locales, withTimeZone(options));
+        });
+      });
+
+      // Constructor and Date.parse(): local components and local date-time strings
+      const TimezoneDate = function Date(year, monthIndex, day, hours, minutes, seconds, ms) {
+        if (!new.target) {
+          return new TimezoneDate().toString();
+        }
+        if (arguments.length === 1) {
+          const value = year instanceof OriginalDate ? originalGetTime.call(year) : year;
+          return Reflect.construct(OriginalDate, [typeof value === 'string' ? parseDate(value) : value], new.target);
+        }
+        if (arguments.length > 1) {
+          return Reflect.construct(OriginalDate, [fromWall(originalUTC.apply(null, arguments))], new.target);
+        }
+        return Reflect.construct(OriginalDate, [], new.target);
+      };
+      Object.defineProperties(TimezoneDate, {
+        prototype: { value: dateProto, writable: false },
+        now: { value: OriginalDate.now, writable: true, configurable: true },
+        UTC: { value: originalUTC, writable: true, configurable: true },
+        parse: {
+          value: function parse(text) {
+            return parseDate(text);
+          },
+          writable: true,
+          configurable: true
+        }
+      });
+      Object.defineProperty(dateProto, 'constructor', {
+        value: TimezoneDate,
+        writable: true,
+        enumerable: false,
+        configurable: true
+      });
+      Object.defineProperty(window, 'Date', {
+        value: TimezoneDate,
+        writable: true,
+        enumerable: false,
+        configurable: true
+      });
+
+      const DateTimeFormat = function DateTimeFormat(locales, options) {
+        return new OriginalDateTimeFormat(locales, withTimeZone(options));
+      };
+      DateTimeFormat.prototype = OriginalDateTimeFormat.prototype;
+      DateTimeFormat.supportedLocalesOf = OriginalDateTimeFormat.supportedLocalesOf;
+      Object.defineProperty(Intl, 'DateTimeFormat', {
+        value: DateTimeFormat,
+        writable: true,
+        enumerable: false,
+        configurable: true
+      });
+    }
+
+    /**
+     * Applies the session's fingerprint profile (timezone, hardware, screen, noise)
+     * Noise is keyed by the session seed and pixel/sample position, so the same
+     * drawing gives the same result within a session and a different one in others
+     * @param {Object|null} profile - Fingerprint profile from the background script
+     */
+    function applyFingerprintProfile(profile) {
+      if (!profile) {
+        return;
+      }
+
+      const defineGetter = (proto, name, getter) => {
+        const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+        if (descriptor && descriptor.configurable) {
+          Object.defineProperty(proto, name, {
+            get: getter,
+            enumerable: descriptor.enumerable,
+            configurable: true
+          });
+        }
+      };
+
+      if (profile.timezone) {
+        applyTimezone(profile.timezone);
+      }
+
+      // Hardware and screen
+      defineGetter(Navigator.prototype, 'hardwareConcurrency', () => profile.hardwareConcurrency);
+
+      if (profile.screen) {
+        // Keep the real taskbar/dock size so avail* stays plausible
+        const insetWidth = Math.max(0, screen.width - screen.availWidth);
+        const insetHeight = Math.max(0, screen.height - screen.availHeight);
+        defineGetter(Screen.prototype, 'width', () => profile.screen.width);
+        defineGetter(Screen.prototype, 'height', () => profile.screen.height);
+        defineGetter(Screen.prototype, 'availWidth', () => Math.max(0, profile.screen.width - insetWidth));
+        defineGetter(Screen.prototype, 'availHeight', () => Math.max(0, profile.screen.height - insetHeight));
+      }
+
+      if (!profile.noise) {
+        return;
+      }
+
+      const seed = profile.seed >>> 0;
+
+      /**
+       * Deterministic 32-bit noise for a position
+       * @param {number} index - Pixel or sample position
+       * @returns {number} Unsigned 32-bit value
+       */
+      const noiseAt = (index) => {
+        let hash = (seed ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+      };
+
+      // Flip the low bit of one color channel in about 1 of 16 visible pixels
+      const addPixelNoise = (data, width, originX, originY) => {
+        const left = Math.floor(originX) || 0;
+        const top = Math.floor(originY) || 0;
+        const pixels = data.length / 4;
+        for (let i = 0; i < pixels; i++) {
+          const offset = i * 4;
+          if (data[offset + 3] === 0) {
+            continue;
+          }
+          const noise = noiseAt((top + Math.floor(i / width)) * 16384 + left + (i % width));
+          if ((noise & 15) === 0) {
+            data[offset + ((noise >>> 4) % 3)] ^= 1;
+          }
+        }
+      };
+
+      // Canvas 2D: readback and export
+      const MAX_NOISE_PIXELS = 4096 * 4096;
+      const originalGetImageData = CanvasRenderingContext2D.prototype.getImageData;
+      CanvasRenderingContext2D.prototype.getImageData = function getImageData(sx, sy, sw, sh) {
+        const imageData = originalGetImageData.apply(this, arguments);
+        addPixelNoise(imageData.data, imageData.width, sw < 0 ? sx + sw : sx, sh < 0 ? sy + sh : sy);
+        return imageData;
+      };
+
+      const noisyCopy = (canvas) => {
+        if (!canvas.width || !canvas.height || canvas.width * canvas.height > MAX_NOISE_PIXELS) {
+          return canvas;
+        }
+        try {
+          const copy = document.createElement('canvas');
+          copy.width = canvas.width;
+          copy.height = canvas.height;
+          const context = copy.getContext('2d');
+          context.drawImage(canvas, 0, 0);
+          const imageData = originalGetImageData.call(context, 0, 0, copy.width, copy.height);
+          addPixelNoise(imageData.data, imageData.width, 0, 0);
+          context.putImageData(imageData, 0, 0);
+          return copy;
+        } catch (error) {
+          // Tainted canvas: let the original call throw its own SecurityError
+          return canvas;
+        }
+      };
+
+      const originalToDataURL = HTMLCanvasElement.prototype.toDataURL;
+      HTMLCanvasElement.prototype.toDataURL = function toDataURL() {
+        return originalToDataURL.apply(noisyCopy(this), arguments);
+      };
+
+      const originalToBlob = HTMLCanvasElement.prototype.toBlob;
+      HTMLCanvasElement.prototype.toBlob = function toBlob() {
+        return originalToBlob.apply(noisyCopy(this), arguments);
+      };
+
+      // WebGL: readPixels into RGBA byte buffers
+      [window.WebGLRenderingContext, window.WebGL2RenderingContext].forEach(Context => {
+        if (!Context) {
+          return;
+        }
+        const originalReadPixels = Context.prototype.readPixels;
+        Context.prototype.readPixels = function readPixels(x, y, width, height, format, type, pixels) {
+          const result = originalReadPixels.apply(this, arguments);
+          if (pixels instanceof Uint8Array && format === this.RGBA && type === this.UNSIGNED_BYTE &&
+              pixels.length >= width * height * 4) {
+            addPixelNoise(pixels.subarray(0, width * height * 4), width, x, y);
+          }
+          return result;
+        };
+      });
+
+      // Audio: rendered buffers and analyser output (differences around 1e-7)
+      const audioNoise = (index) => (noiseAt(index) / 4294967296 - 0.5) * 2e-7;
+
+      if (window.AudioBuffer) {
+        const noisyChannels = new WeakSet();
+        const originalGetChannelData = AudioBuffer.prototype.getChannelData;
+        AudioBuffer.prototype.getChannelData = function getChannelData(channel) {
+          const data = originalGetChannelData.apply(this, arguments);
+          // Same array is returned on every call: add noise only once
+          if (!noisyChannels.has(data)) {
+            noisyChannels.add(data);
+            for (let i = 0; i < data.length; i++) {
+              data[i] += audioNoise(i);
+            }
+          }
+          return data;
+        };
+
+        const originalCopyFromChannel = AudioBuffer.prototype.copyFromChannel;
+        AudioBuffer.prototype.copyFromChannel = function copyFromChannel(destination, channelNumber) {
+          this.getChannelData(channelNumber);
+          return originalCopyFromChannel.apply(this, arguments);
+        };
+      }
+
+      if (window.AnalyserNode) {
+        const originalGetFloatFrequencyData = AnalyserNode.prototype.getFloatFrequencyData;
+        AnalyserNode.prototype.getFloatFrequencyData = function getFloatFrequencyData(array) {
+          const result = originalGetFloatFrequencyData.apply(this, arguments);
+          for (let i = 0; i < array.length; i++) {
+            array[i] += audioNoise(i) * 1e4;
+          }
+          return result;
+        };
+      }
+
+      console.log('[Cookie Isolation - Page] Fingerprint profile applied');
+    }
+
+    try {
+      applyFingerprintProfile(fingerprint);
+    } catch (error) {
+      console.error('[Cookie Isolation - Page] Failed to apply fingerprint profile:', error);
+    }
+
     console.log('[Cookie Isolation - Page] Injected script initialization complete');
   };
 
@@ -276,7 +694,7 @@
   function injectPageScript() {
     try {
       const script = document.createElement('script');
-      script.textContent = '(' + injectedScript.toString() + ')();';
+      script.textContent = '(' + injectedScript.toString() + ')(' + JSON.stringify(fingerprintProfile) + ');';
 
       // Inject before any other scripts
       (document.head || document.documentElement).appendChild(script);
@@ -301,6 +719,13 @@
    */
   let currentSessionId = null;
 
+  /**
+   * Fingerprint profile of the current session (passed to the page script)
+   * Starts from the early page config (content-script-page-config.js)
+   * @type {Object|null}
+   */
+  let fingerprintProfile = earlyPageConfig.fingerprint || null;
+
   /**
    * Fetches the current session ID from background script with retry logic
    * BUG FIX (2025-11-09): Added session ID refresh mechanism to prevent stale cache
@@ -323,6 +748,7 @@
         if (response && response.success && response.sessionId) {
           const oldSessionId = currentSessionId;
           currentSessionId = response.sessionId;
+          fingerprintProfile = response.fingerprint || null;
 
           if (isRefresh && oldSessionId !== currentSessionId) {
             console.warn('%c[Cookie Isolation] ⚠ Session ID changed!', 'color: orange; font-weight: bold');
@@ -386,6 +812,18 @@
     });
   });
 
+  /**
+   * Listen for session changes when the tab is moved to another session
+   */
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.action === 'refreshSessionId') {
+      refreshSessionId().catch(err => {
+        console.error('[Cookie Isolation] Error refreshing session ID:', err);
+      });
+    }
+    return false;
+  });
+
   /**
    * Handles messages from the injected page script
    */
@@ -531,11 +969,19 @@
    * Initialize content script
    */
   async function initialize() {
+    // Profile delivered with the document: apply it before any page script runs
+    const injectedEarly = fingerprintProfile !== null;
+    if (injectedEarly) {
+      injectPageScript();
+    }
+
     // Fetch session ID first
     await fetchSessionId();
 
-    // Inject page script
-    injectPageScript();
+    // Otherwise the profile (if any) comes with the session ID
+    if (!injectedEarly) {
+      injectPageScript();
+    }
 
     console.log('[Cookie Isolation] Content script initialization complete');
   }
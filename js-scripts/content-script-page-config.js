@@ -0,0 +1,44 @@
+/**
+ * Content Script: Early Page Config
+ *
+ * Reads the page config the background prepared for this document's response
+ * (User-Agent override and fingerprint profile, see PAGE_CONFIG_TIMING in
+ * background.js) once, at document_start. content-script-storage.js and
+ * content-script-cookie.js run in the same isolated world after this script and
+ * pass the values to their page scripts when injecting them.
+ *
+ * The response only carries the random ID of a blob owned by the extension, in a
+ * Server-Timing entry. Server-Timing is only exposed in secure contexts; elsewhere
+ * (and in frames without their own response, like about:blank) the config is empty
+ * and the values come with the session ID (getSessionId).
+ *
+ * @file content-script-page-config.js
+ * @injects document_start (before content-script-storage.js and content-script-cookie.js)
+ */
+
+/**
+ * Page config available at document_start (before the session ID is fetched)
+ * { navigatorOverride?, fingerprint? } - empty if the document has none
+ * @type {Object}
+ */
+const earlyPageConfig = (function() {
+  'use strict';
+
+  try {
+    const entry = performance.getEntriesByType('navigation')[0];
+    const timings = entry && entry.serverTiming ?
+      entry.serverTiming.filter(item => item.name === 'sessner-page-config') : [];
+    // The background appends its entry last; the ID names one of the extension's blobs
+    const blobId = timings.length > 0 ? timings[timings.length - 1].description : '';
+    if (!/^[0-9a-f-]{36}$/.test(blobId)) {
+      return {};
+    }
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', 'blob:' + chrome.runtime.getURL(blobId), false);
+    xhr.send();
+    return xhr.status === 200 ? JSON.parse(xhr.responseText) || {} : {};
+  } catch (error) {
+    console.error('[Page Config] Failed to read early page config:', error);
+    return {};
+  }
+})();
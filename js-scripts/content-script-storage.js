@@ -5,6 +5,13 @@
  * using ES6 Proxy. It intercepts all storage operations and prefixes keys
  * with the session ID to maintain complete isolation between sessions.
  *
+ * Page-context APIs that cannot be wrapped from the isolated world
+ * (IndexedDB, Cache Storage, BroadcastChannel, SharedWorker) are handled by an
+ * injected page script that namespaces their names with the same
+ * __SID_<sessionId>__ prefix. The page script also filters cross-tab storage
+ * events, applies the per-site service worker policy and the session's
+ * User-Agent override (navigator.userAgent, language, platform, userAgentData).
+ *
  * @file content-script-storage.js
  * @requires ES6 Proxy support
  * @injects document_start (must run before page scripts)
@@ -54,6 +61,12 @@
    */
   const pendingOperations = [];
 
+  /**
+   * Unproxied storage objects, captured by installStorageProxies()
+   * @type {{localStorage: Storage|null, sessionStorage: Storage|null}}
+   */
+  const rawStorageAreas = { localStorage: null, sessionStorage: null };
+
   /**
    * Creates a prefixed key with session ID
    * SECURITY FIX: Throws error instead of falling back to unprefixed key
@@ -355,6 +368,1336 @@
     return new Proxy(originalStorage, handler);
   }
 
+  /**
+   * Injected Script (runs in page context)
+   * Namespaces IndexedDB database, Cache Storage, BroadcastChannel and SharedWorker
+   * names per session, filters cross-tab storage events and applies the service
+   * worker policy. The session ID arrives over a MessageChannel port handed over at
+   * injection; calls made before it is known are deferred, not leaked.
+   * @param {Object|null} initialNavigatorOverride - Navigator values known at injection (early page config)
+   */
+  const injectedScript = function(initialNavigatorOverride) {
+    // Prevent multiple injections in page context
+    if (window.__STORAGE_OVERRIDE_INSTALLED__) {
+      return;
+    }
+    window.__STORAGE_OVERRIDE_INSTALLED__ = true;
+
+    console.log('[Storage Isolation - Page] Installing storage overrides...');
+
+    /**
+     * Session ID for this tab (null for tabs without a session)
+     * @type {string|null}
+     */
+    let sessionId = null;
+
+    /**
+     * Whether the content script has reported the session (or its absence)
+     * @type {boolean}
+     */
+    let sessionKnown = false;
+
+    /**
+     * Service worker policy for this site in session tabs
+     * 'block' | 'cachebust' | 'allow'
+     * @type {string}
+     */
+    let serviceWorkerMode = 'allow';
+
+    /**
+     * Session's opaque cache-busting token (cachebust mode only)
+     * @type {string|null}
+     */
+    let cacheBustToken = null;
+
+    /**
+     * Navigator values for this session (null = browser's own values)
+     * { userAgent, appVersion, platform, languages, clientHints }
+     * @type {Object|null}
+     */
+    let navigatorOverride = initialNavigatorOverride || null;
+
+    /**
+     * Calls waiting for the session ID
+     * @type {Array<Function>}
+     */
+    const pendingCalls = [];
+
+    /**
+     * Runs a callback now, or once the session ID is known
+     * @param {Function} callback - Function to run
+     */
+    function whenSessionKnown(callback) {
+      if (sessionKnown) {
+        callback();
+      } else {
+        pendingCalls.push(callback);
+      }
+    }
+
+    /**
+     * Adds the session prefix to a storage name (unchanged for tabs without a session)
+     * @param {string} name - Name used by the page
+     * @returns {string} Name stored by the browser
+     */
+    function prefixName(name) {
+      return sessionId ? `__SID_${sessionId}__${name}` : String(name);
+    }
+
+    /**
+     * Removes the current session prefix from a storage name
+     * @param {string} name - Name stored by the browser
+     * @returns {string} Name seen by the page
+     */
+    function unprefixName(name) {
+      const prefix = sessionId ? `__SID_${sessionId}__` : null;
+      return prefix && name.startsWith(prefix) ? name.substring(prefix.length) : name;
+    }
+
+    /**
+     * Checks if a stored name is visible to this tab
+     * Session tabs see only their own names; other tabs see only unprefixed names
+     * @param {string} name - Name stored by the browser
+     * @returns {boolean}
+     */
+    function isVisibleName(name) {
+      return sessionId ? name.startsWith(`__SID_${sessionId}__`) : !name.startsWith('__SID_');
+    }
+
+    /**
+     * Applies a session update from the content script
+     * @param {Object} message - { sessionId, serviceWorkerMode, cacheBustToken, navigatorOverride }
+     */
+    function applySessionUpdate(message) {
+      sessionId = message.sessionId || null;
+      serviceWorkerMode = sessionId ? (message.serviceWorkerMode || 'block') : 'allow';
+      cacheBustToken = sessionId ? (message.cacheBustToken || null) : null;
+      if (serviceWorkerMode === 'cachebust' && !cacheBustToken) {
+        serviceWorkerMode = 'allow';
+      }
+      navigatorOverride = sessionId ? (message.navigatorOverride || null) : null;
+      sessionKnown = true;
+      console.log('[Storage Isolation - Page] Session:', sessionId || '(none)', '- service workers:', serviceWorkerMode);
+
+      while (pendingCalls.length > 0) {
+        try {
+          pendingCalls.shift()();
+        } catch (error) {
+          console.error('[Storage Isolation - Page] Error running deferred call:', error);
+        }
+      }
+    }
+
+    /**
+     * Port the content script sends session updates on (never via window messages)
+     * @type {MessagePort|null}
+     */
+    let sessionPort = null;
+
+    /**
+     * Receive the content script's port
+     * The content script posts it right after injecting this script, before any page
+     * script runs, so the first port is the real one. This capturing listener is
+     * registered first and stops the event, so page listeners never get the port.
+     */
+    window.addEventListener('message', function(event) {
+      if (event.source !== window || !event.data || event.data.type !== 'STORAGE_SESSION_PORT') {
+        return;
+      }
+      event.stopImmediatePropagation();
+
+      if (sessionPort || !event.ports || event.ports.length !== 1) {
+        console.warn('[Storage Isolation - Page] Ignored extra session port');
+        return;
+      }
+      sessionPort = event.ports[0];
+      sessionPort.onmessage = (portEvent) => {
+        if (portEvent.data && portEvent.data.type === 'STORAGE_SESSION_UPDATE') {
+          applySessionUpdate(portEvent.data);
+        }
+      };
+    }, true);
+
+    /**
+     * Re-dispatches an event on a stand-in object (handler property first, then listeners)
+     * @param {Object} target - Stand-in object
+     * @param {Object} handlers - on<type> handler values keyed by event type
+     * @param {EventTarget} listeners - Listener registry of the stand-in
+     * @param {Event} event - Event to dispatch
+     */
+    function dispatchOnStandIn(target, handlers, listeners, event) {
+      Object.defineProperty(event, 'target', { value: target });
+      Object.defineProperty(event, 'currentTarget', { value: target });
+      if (handlers[event.type]) {
+        handlers[event.type].call(target, event);
+      }
+      listeners.dispatchEvent(event);
+    }
+
+    /**
+     * Gives a stand-in object EventTarget methods and on<type> handler properties
+     * @param {Object} target - Stand-in object
+     * @param {Object} handlers - on<type> handler values keyed by event type
+     * @returns {EventTarget} Listener registry of the stand-in
+     */
+    function makeStandInEventTarget(target, handlers) {
+      const listeners = new EventTarget();
+
+      Object.defineProperties(target, {
+        addEventListener: { value: listeners.addEventListener.bind(listeners) },
+        removeEventListener: { value: listeners.removeEventListener.bind(listeners) },
+        dispatchEvent: { value: listeners.dispatchEvent.bind(listeners) }
+      });
+
+      Object.keys(handlers).forEach(type => {
+        Object.defineProperty(target, 'on' + type, {
+          get() { return handlers[type]; },
+          set(handler) { handlers[type] = typeof handler === 'function' ? handler : null; }
+        });
+      });
+
+      return listeners;
+    }
+
+    // ===== IndexedDB =====
+
+    /**
+     * Creates a stand-in IDBOpenDBRequest for open()/deleteDatabase() calls made
+     * before the session ID is known. Events from the real request are re-dispatched
+     * on the stand-in so request.result / event.target.result keep working.
+     * @param {Function} start - Creates the real request once the session is known
+     * @returns {IDBOpenDBRequest} Stand-in request
+     */
+    function createDeferredRequest(start) {
+      const handlers = { success: null, error: null, upgradeneeded: null, blocked: null };
+      const deferred = Object.create(IDBOpenDBRequest.prototype);
+      const listeners = makeStandInEventTarget(deferred, handlers);
+      let request = null;
+      let startError = null;
+
+      const notFinished = () => new DOMException('The request has not finished.', 'InvalidStateError');
+
+      Object.defineProperties(deferred, {
+        result: {
+          get() {
+            if (!request) throw notFinished();
+            return request.result;
+          }
+        },
+        error: {
+          get() {
+            if (startError) return startError;
+            if (!request) throw notFinished();
+            return request.error;
+          }
+        },
+        readyState: { get() { return request ? request.readyState : (startError ? 'done' : 'pending'); } },
+        transaction: { get() { return request ? request.transaction : null; } },
+        source: { get() { return null; } }
+      });
+
+      const forward = (event) => dispatchOnStandIn(deferred, handlers, listeners, event);
+
+      whenSessionKnown(() => {
+        try {
+          request = start();
+        } catch (error) {
+          startError = error;
+          forward(new Event('error'));
+          return;
+        }
+
+        Object.keys(handlers).forEach(type => {
+          request.addEventListener(type, (event) => {
+            const copy = (type === 'upgradeneeded' || type === 'blocked')
+              ? new IDBVersionChangeEvent(type, { oldVersion: event.oldVersion, newVersion: event.newVersion })
+              : new Event(type, { bubbles: event.bubbles, cancelable: event.cancelable });
+            forward(copy);
+            if (copy.defaultPrevented) {
+              event.preventDefault();
+            }
+          });
+        });
+      });
+
+      return deferred;
+    }
+
+    try {
+      const factoryProto = IDBFactory.prototype;
+      const originalOpen = factoryProto.open;
+      const originalDeleteDatabase = factoryProto.deleteDatabase;
+      const originalDatabases = factoryProto.databases;
+      const nameDescriptor = Object.getOwnPropertyDescriptor(IDBDatabase.prototype, 'name');
+
+      factoryProto.open = function(name, version) {
+        const factory = this;
+        if (version !== undefined && !(Number(version) >= 1)) {
+          throw new TypeError(`Failed to execute 'open' on 'IDBFactory': The version provided must not be 0.`);
+        }
+        const openReal = () => {
+          const prefixedName = prefixName(name);
+          return version === undefined
+            ? originalOpen.call(factory, prefixedName)
+            : originalOpen.call(factory, prefixedName, version);
+        };
+        return sessionKnown ? openReal() : createDeferredRequest(openReal);
+      };
+
+      factoryProto.deleteDatabase = function(name) {
+        const factory = this;
+        const deleteReal = () => originalDeleteDatabase.call(factory, prefixName(name));
+        return sessionKnown ? deleteReal() : createDeferredRequest(deleteReal);
+      };
+
+      if (typeof originalDatabases === 'function') {
+        factoryProto.databases = function() {
+          const factory = this;
+          return new Promise(resolve => whenSessionKnown(resolve))
+            .then(() => originalDatabases.call(factory))
+            .then(list => list
+              .filter(info => isVisibleName(info.name))
+              .map(info => ({ name: unprefixName(info.name), version: info.version })));
+        };
+      }
+
+      // db.name must report the name the page asked for
+      if (nameDescriptor && nameDescriptor.get) {
+        Object.defineProperty(IDBDatabase.prototype, 'name', {
+          get() {
+            return unprefixName(nameDescriptor.get.call(this));
+          },
+          configurable: true,
+          enumerable: nameDescriptor.enumerable
+        });
+      }
+
+      console.log('[Storage Isolation - Page] IndexedDB override installed');
+    } catch (error) {
+      console.error('[Storage Isolation - Page] Failed to override IndexedDB:', error);
+    }
+
+    /**
+     * Promise that resolves once the session ID is known
+     * @returns {Promise<void>}
+     */
+    function sessionReady() {
+      return new Promise(resolve => whenSessionKnown(resolve));
+    }
+
+    // ===== Cache Storage =====
+
+    try {
+      if (typeof CacheStorage !== 'undefined') {
+        const cacheProto = CacheStorage.prototype;
+        const originalCacheOpen = cacheProto.open;
+        const originalCacheHas = cacheProto.has;
+        const originalCacheDelete = cacheProto.delete;
+        const originalCacheKeys = cacheProto.keys;
+
+        cacheProto.open = function(cacheName) {
+          return sessionReady().then(() => originalCacheOpen.call(this, prefixName(cacheName)));
+        };
+
+        cacheProto.has = function(cacheName) {
+          return sessionReady().then(() => originalCacheHas.call(this, prefixName(cacheName)));
+        };
+
+        cacheProto.delete = function(cacheName) {
+          return sessionReady().then(() => originalCacheDelete.call(this, prefixName(cacheName)));
+        };
+
+        cacheProto.keys = function() {
+          return sessionReady()
+            .then(() => originalCacheKeys.call(this))
+            .then(names => names.filter(isVisibleName).map(unprefixName));
+        };
+
+        // caches.match() without cacheName searches every cache - only search this session's
+        cacheProto.match = function(request, options) {
+          const storage = this;
+          return sessionReady().then(async () => {
+            if (options && options.cacheName !== undefined) {
+              const hasCache = await originalCacheHas.call(storage, prefixName(options.cacheName));
+              if (!hasCache) {
+                return undefined;
+              }
+              const cache = await originalCacheOpen.call(storage, prefixName(options.cacheName));
+              return cache.match(request, options);
+            }
+
+            const names = (await originalCacheKeys.call(storage)).filter(isVisibleName);
+            for (const name of names) {
+              const cache = await originalCacheOpen.call(storage, name);
+              const response = await cache.match(request, options);
+              if (response) {
+                return response;
+              }
+            }
+            return undefined;
+          });
+        };
+
+        console.log('[Storage Isolation - Page] Cache Storage override installed');
+      }
+    } catch (error) {
+      console.error('[Storage Isolation - Page] Failed to override Cache Storage:', error);
+    }
+
+    // ===== Service Workers =====
+    // Service workers run outside the page, so their caches and responses cannot be
+    // namespaced. Session tabs either cannot register them or bypass their caches
+    // (per site). Workers registered outside the session are never unregistered.
+
+    try {
+      if (typeof ServiceWorkerContainer !== 'undefined') {
+        const swProto = ServiceWorkerContainer.prototype;
+        const originalRegister = swProto.register;
+        const originalGetRegistration = swProto.getRegistration;
+        const originalGetRegistrations = swProto.getRegistrations;
+
+        swProto.register = function(scriptURL, options) {
+          const container = this;
+          return sessionReady().then(() => {
+            if (serviceWorkerMode === 'block') {
+              console.warn('[Storage Isolation - Page] Service worker registration blocked in this session:', String(scriptURL));
+              throw new DOMException('Service workers are disabled for this site in this session', 'SecurityError');
+            }
+            return originalRegister.call(container, scriptURL, options);
+          });
+        };
+
+        swProto.getRegistration = function(clientURL) {
+          const container = this;
+          return sessionReady().then(() => {
+            return serviceWorkerMode === 'block' ? undefined : originalGetRegistration.call(container, clientURL);
+          });
+        };
+
+        swProto.getRegistrations = function() {
+          const container = this;
+          return sessionReady().then(() => {
+            return serviceWorkerMode === 'block' ? [] : originalGetRegistrations.call(container);
+          });
+        };
+
+        // A worker registered outside the session may already control this page;
+        // it is left alone (cachebust mode is the way around it)
+        whenSessionKnown(() => {
+          if (serviceWorkerMode === 'block' && navigator.serviceWorker && navigator.serviceWorker.controller) {
+            console.warn('[Storage Isolation - Page] Page is controlled by a service worker registered outside this session:',
+              navigator.serviceWorker.controller.scriptURL);
+          }
+        });
+      }
+
+      /**
+       * Checks if a request URL should get the cache-buster (same-origin only)
+       * @param {string} url - Request URL
+       * @returns {URL|null} Parsed URL if same-origin
+       */
+      const sameOriginUrl = (url) => {
+        try {
+          const parsed = new URL(url, window.location.href);
+          return parsed.origin === window.location.origin ? parsed : null;
+        } catch (e) {
+          return null;
+        }
+      };
+
+      /**
+       * Adds the session's cache-busting token as a query parameter
+       * @param {URL} url - Same-origin URL
+       * @returns {string} URL with cache-buster
+       */
+      const cacheBustedUrl = (url) => {
+        url.searchParams.set('__sessner_cb', cacheBustToken);
+        return url.href;
+      };
+
+      const originalFetch = window.fetch;
+      window.fetch = function(input, init) {
+        if (!sessionKnown || serviceWorkerMode !== 'cachebust') {
+          return originalFetch.call(this, input, init);
+        }
+
+        const request = new Request(input, init);
+        const url = sameOriginUrl(request.url);
+        if (url && (request.method === 'GET' || request.method === 'HEAD')) {
+          return originalFetch.call(this, new Request(cacheBustedUrl(url), request));
+        }
+        return originalFetch.call(this, request);
+      };
+
+      const originalXhrOpen = XMLHttpRequest.prototype.open;
+
+      XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+        if (sessionKnown && serviceWorkerMode === 'cachebust' && /^(GET|HEAD)$/i.test(method)) {
+          const parsed = sameOriginUrl(url);
+          if (parsed) {
+            url = cacheBustedUrl(parsed);
+          }
+        }
+        return originalXhrOpen.call(this, method, url, ...rest);
+      };
+
+      console.log('[Storage Isolation - Page] Service worker policy installed');
+    } catch (error) {
+      console.error('[Storage Isolation - Page] Failed to install service worker policy:', error);
+    }
+
+    // ===== Early Page Config =====
+    // The document response names the session's page config blob in a Server-Timing
+    // entry (read by the content scripts at injection). The blob belongs to the
+    // extension, so the ID is useless to the page; the entry is hidden here anyway.
+    // Realms the page creates later (e.g. iframes) still list it.
+
+    try {
+      const PAGE_CONFIG_TIMING_NAME = 'sessner-page-config';
+      const isVisibleTiming = timing => timing.name !== PAGE_CONFIG_TIMING_NAME;
+
+      const timingProto = PerformanceResourceTiming.prototype;
+      const serverTimingDescriptor = Object.getOwnPropertyDescriptor(timingProto, 'serverTiming');
+      if (serverTimingDescriptor && serverTimingDescriptor.get) {
+        const originalServerTiming = serverTimingDescriptor.get;
+        Object.defineProperty(timingProto, 'serverTiming', {
+          configurable: true,
+          enumerable: serverTimingDescriptor.enumerable,
+          get: {
+            serverTiming() {
+              return Object.freeze(originalServerTiming.call(this).filter(isVisibleTiming));
+            }
+          }.serverTiming
+        });
+
+        ['PerformanceResourceTiming', 'PerformanceNavigationTiming'].forEach(name => {
+          const proto = window[name] && window[name].prototype;
+          if (!proto || !Object.prototype.hasOwnProperty.call(proto, 'toJSON')) {
+            return;
+          }
+          const originalToJSON = proto.toJSON;
+          proto.toJSON = {
+            toJSON() {
+              const json = originalToJSON.call(this);
+              if (json && Array.isArray(json.serverTiming)) {
+                json.serverTiming = json.serverTiming.filter(isVisibleTiming);
+              }
+              return json;
+            }
+          }.toJSON;
+        });
+      }
+    } catch (error) {
+      console.error('[Storage Isolation - Page] Failed to hide page config timing:', error);
+    }
+
+    // ===== Navigator (User-Agent overrides) =====
+    // Request headers are rewritten by the background. These getters make the page
+    // see the same values. They are installed before page scripts run and use the
+    // early page config when the document has one. Otherwise (http pages, about:blank
+    // frames) they return the browser's own values until the session is known, so
+    // early page scripts may see real values. Workers are not covered.
+
+    try {
+      const navProto = Navigator.prototype;
+
+      /**
+       * Replaces a Navigator.prototype getter with one that prefers the override
+       * @param {string} property - Property name
+       * @param {Function} overrideValue - Returns the override value, or undefined for the original
+       */
+      const overrideGetter = (property, overrideValue) => {
+        const descriptor = Object.getOwnPropertyDescriptor(navProto, property);
+        if (!descriptor || !descriptor.get) {
+          return;
+        }
+        const originalGet = descriptor.get;
+        Object.defineProperty(navProto, property, {
+          configurable: true,
+          enumerable: descriptor.enumerable,
+          get: {
+            [property]() {
+              if (navigatorOverride) {
+                const value = overrideValue(navigatorOverride);
+                if (value !== undefined) {
+                  return value;
+                }
+              }
+              return originalGet.call(this);
+            }
+          }[property]
+        });
+      };
+
+      let frozenLanguages = null;
+      let frozenLanguagesSource = null;
+      let userAgentData = null;
+      let userAgentDataSource = null;
+
+      /**
+       * Builds a navigator.userAgentData stand-in from the override's client hints
+       * @param {Object} hints - Client hints from the background
+       * @returns {Object} NavigatorUAData-like object
+       */
+      const createUserAgentData = (hints) => {
+        const copyBrands = (list) => Object.freeze(list.map(item => Object.freeze({ brand: item.brand, version: item.version })));
+        const brands = copyBrands(hints.brands);
+        const lowEntropy = () => ({ brands: brands, mobile: hints.mobile, platform: hints.platform });
+        const highEntropy = {
+          architecture: hints.architecture,
+          bitness: hints.bitness,
+          model: hints.model,
+          platformVersion: hints.platformVersion,
+          uaFullVersion: hints.uaFullVersion,
+          fullVersionList: copyBrands(hints.fullVersionList),
+          wow64: hints.wow64
+        };
+        const data = {
+          getHighEntropyValues(requested) {
+            const values = lowEntropy();
+            (Array.isArray(requested) ? requested : []).forEach(hint => {
+              if (Object.prototype.hasOwnProperty.call(highEntropy, hint)) {
+                values[hint] = highEntropy[hint];
+              }
+            });
+            return Promise.resolve(values);
+          },
+          toJSON() {
+            return lowEntropy();
+          }
+        };
+        Object.defineProperties(data, {
+          brands: { get: () => brands, enumerable: true },
+          mobile: { get: () => hints.mobile, enumerable: true },
+          platform: { get: () => hints.platform, enumerable: true }
+        });
+        if (typeof NavigatorUAData !== 'undefined') {
+          Object.setPrototypeOf(data, NavigatorUAData.prototype);
+        }
+        return data;
+      };
+
+      overrideGetter('userAgent', override => override.userAgent);
+      overrideGetter('appVersion', override => override.appVersion);
+      overrideGetter('platform', override => override.platform);
+      overrideGetter('language', override => (override.languages ? override.languages[0] : undefined));
+      overrideGetter('languages', override => {
+        if (!override.languages) {
+          return undefined;
+        }
+        if (frozenLanguagesSource !== override) {
+          frozenLanguages = Object.freeze(override.languages.slice());
+          frozenLanguagesSource = override;
+        }
+        return frozenLanguages;
+      });
+      // Safari and Firefox User-Agents have no client hints: hide userAgentData
+      overrideGetter('userAgentData', override => {
+        if (!override.clientHints) {
+          return null;
+        }
+        if (userAgentDataSource !== override) {
+          userAgentData = createUserAgentData(override.clientHints);
+          userAgentDataSource = override;
+        }
+        return userAgentData;
+      });
+
+      console.log('[Storage Isolation - Page] Navigator overrides installed');
+    } catch (error) {
+      console.error('[Storage Isolation - Page] Failed to install navigator overrides:', error);
+    }
+
+    // ===== Storage Events =====
+    // localStorage keys are stored as __SID_<sessionId>__<key>, so storage events from
+    // other tabs carry prefixed keys and include every session's writes. This capturing
+    // listener is registered before any page script and hides or rewrites them.
+
+    window.addEventListener('storage', function(event) {
+      const key = event.key;
+
+      // clear() from a tab without a session really removes every session's keys
+      if (key === null) {
+        return;
+      }
+
+      if (!sessionKnown || !isVisibleName(key)) {
+        event.stopImmediatePropagation();
+        return;
+      }
+
+      if (sessionId) {
+        Object.defineProperty(event, 'key', { value: unprefixName(key) });
+      }
+    }, true);
+
+    /**
+     * Replaces a DOM constructor on window, keeping instanceof and the prototype chain
+     * @param {string} globalName - Constructor name (e.g. 'BroadcastChannel')
+     * @param {Function} create - Builds the instance from the constructor arguments
+     */
+    function replaceConstructor(globalName, create) {
+      const Original = window[globalName];
+      const Replacement = {
+        [globalName]: function(...args) {
+          if (!new.target) {
+            throw new TypeError(`Failed to construct '${globalName}': Please use the 'new' operator, this DOM object constructor cannot be called as a function.`);
+          }
+          if (args.length === 0) {
+            throw new TypeError(`Failed to construct '${globalName}': 1 argument required, but only 0 present.`);
+          }
+          return create(...args);
+        }
+      }[globalName];
+
+      Object.setPrototypeOf(Replacement, Original); // Keep static members
+      Replacement.prototype = Original.prototype;
+      Object.defineProperty(Original.prototype, 'constructor', {
+        value: Replacement,
+        writable: true,
+        configurable: true
+      });
+      Object.defineProperty(window, globalName, {
+        value: Replacement,
+        writable: true,
+        configurable: true
+      });
+    }
+
+    // ===== BroadcastChannel =====
+
+    try {
+      if (typeof BroadcastChannel !== 'undefined') {
+        const OriginalBroadcastChannel = BroadcastChannel;
+        const channelNameDescriptor = Object.getOwnPropertyDescriptor(OriginalBroadcastChannel.prototype, 'name');
+
+        /**
+         * Creates a stand-in BroadcastChannel for channels opened before the session ID
+         * is known. Messages posted meanwhile are queued, and events from the real
+         * (namespaced) channel are re-dispatched on the stand-in.
+         * @param {string} name - Channel name used by the page
+         * @returns {BroadcastChannel} Stand-in channel
+         */
+        const createDeferredChannel = (name) => {
+          const handlers = { message: null, messageerror: null };
+          const deferred = Object.create(OriginalBroadcastChannel.prototype);
+          const listeners = makeStandInEventTarget(deferred, handlers);
+          const queue = [];
+          let channel = null;
+          let closed = false;
+
+          Object.defineProperties(deferred, {
+            name: { get() { return name; } },
+            postMessage: {
+              value(message) {
+                if (closed) {
+                  throw new DOMException(`Failed to execute 'postMessage' on 'BroadcastChannel': Channel is closed`, 'InvalidStateError');
+                }
+                if (channel) {
+                  channel.postMessage(message);
+                } else {
+                  // Clone now so later changes to the object are not sent
+                  queue.push(typeof structuredClone === 'function' ? structuredClone(message) : message);
+                }
+              }
+            },
+            close: {
+              value() {
+                closed = true;
+                queue.length = 0;
+                if (channel) {
+                  channel.close();
+                }
+              }
+            }
+          });
+
+          whenSessionKnown(() => {
+            if (closed) {
+              return;
+            }
+
+            channel = new OriginalBroadcastChannel(prefixName(name));
+            Object.keys(handlers).forEach(type => {
+              channel.addEventListener(type, (event) => {
+                dispatchOnStandIn(deferred, handlers, listeners, new MessageEvent(type, {
+                  data: event.data,
+                  origin: event.origin,
+                  lastEventId: event.lastEventId
+                }));
+              });
+            });
+
+            queue.splice(0).forEach(message => channel.postMessage(message));
+          });
+
+          return deferred;
+        };
+
+        replaceConstructor('BroadcastChannel', (name) => {
+          const channelName = String(name);
+          return sessionKnown
+            ? new OriginalBroadcastChannel(prefixName(channelName))
+            : createDeferredChannel(channelName);
+        });
+
+        // channel.name must report the name the page asked for
+        if (channelNameDescriptor && channelNameDescriptor.get) {
+          Object.defineProperty(OriginalBroadcastChannel.prototype, 'name', {
+            get() {
+              return unprefixName(channelNameDescriptor.get.call(this));
+            },
+            configurable: true,
+            enumerable: channelNameDescriptor.enumerable
+          });
+        }
+
+        console.log('[Storage Isolation - Page] BroadcastChannel override installed');
+      }
+    } catch (error) {
+      console.error('[Storage Isolation - Page] Failed to override BroadcastChannel:', error);
+    }
+
+    // ===== SharedWorker =====
+    // Shared workers are keyed by (script URL, name), so a namespaced name gives each
+    // session its own worker instance. Inside the worker, self.name is the prefixed name.
+
+    try {
+      if (typeof SharedWorker !== 'undefined') {
+        const OriginalSharedWorker = SharedWorker;
+
+        /**
+         * Creates a stand-in SharedWorker for workers created before the session ID is
+         * known. The page talks to a local MessagePort that is relayed to the real
+         * worker's port once it exists.
+         * @param {Function} start - Creates the real worker once the session is known
+         * @returns {SharedWorker} Stand-in worker
+         */
+        const createDeferredSharedWorker = (start) => {
+          const handlers = { error: null };
+          const deferred = Object.create(OriginalSharedWorker.prototype);
+          const listeners = makeStandInEventTarget(deferred, handlers);
+          const relay = new MessageChannel();
+
+          Object.defineProperty(deferred, 'port', {
+            get() { return relay.port1; }
+          });
+
+          whenSessionKnown(() => {
+            let worker;
+            try {
+              worker = start();
+            } catch (error) {
+              console.error('[Storage Isolation - Page] Failed to start shared worker:', error);
+              dispatchOnStandIn(deferred, handlers, listeners, new Event('error'));
+              return;
+            }
+
+            worker.addEventListener('error', () => {
+              dispatchOnStandIn(deferred, handlers, listeners, new Event('error'));
+            });
+
+            // Relay both ways; transferred ports are passed along
+            relay.port2.onmessage = (event) => worker.port.postMessage(event.data, event.ports);
+            worker.port.onmessage = (event) => relay.port2.postMessage(event.data, event.ports);
+          });
+
+          return deferred;
+        };
+
+        replaceConstructor('SharedWorker', (scriptURL, options) => {
+          const workerOptions = typeof options === 'string'
+            ? { name: options }
+            : Object.assign({}, options);
+          const name = workerOptions.name === undefined ? '' : String(workerOptions.name);
+          const startReal = () => new OriginalSharedWorker(
+            scriptURL,
+            Object.assign(workerOptions, { name: prefixName(name) })
+          );
+
+          return sessionKnown ? startReal() : createDeferredSharedWorker(startReal);
+        });
+
+        console.log('[Storage Isolation - Page] SharedWorker override installed');
+      }
+    } catch (error) {
+      console.error('[Storage Isolation - Page] Failed to override SharedWorker:', error);
+    }
+
+    console.log('[Storage Isolation - Page] Injected script initialization complete');
+  };
+
+  /**
+   * Channel to the page script (port2 is handed over at injection, port1 sends session updates)
+   * @type {MessageChannel}
+   */
+  const pageChannel = new MessageChannel();
+
+  /**
+   * Injects the page script into the page context
+   */
+  function injectPageScript() {
+    try {
+      const script = document.createElement('script');
+      script.textContent = '(' + injectedScript.toString() + ')(' + JSON.stringify(navigatorOverride) + ');';
+
+      // Inject before any other scripts
+      (document.head || document.documentElement).appendChild(script);
+
+      // Remove script element after execution
+      script.remove();
+
+      // Hand over the port in the same task, so it is queued before any page script runs
+      window.postMessage({ type: 'STORAGE_SESSION_PORT' }, '*', [pageChannel.port2]);
+
+      console.log('[Storage Isolation] Page script injected successfully');
+    } catch (error) {
+      console.error('[Storage Isolation] Failed to inject page script:', error);
+    }
+  }
+
+  /**
+   * Service worker policy for this site, sent by the background with the session ID
+   * @type {string}
+   */
+  let serviceWorkerMode = 'block';
+
+  /**
+   * Session's opaque cache-busting token (cachebust mode only)
+   * @type {string|null}
+   */
+  let cacheBustToken = null;
+
+  /**
+   * Session's User-Agent override for the page script (from the early page config
+   * read by content-script-page-config.js, then from the background with the session ID)
+   * @type {Object|null}
+   */
+  let navigatorOverride = earlyPageConfig.navigatorOverride || null;
+
+  /**
+   * Tells the page script which session prefix, service worker policy and
+   * navigator values to use (sessionId null = tab is outside any session)
+   */
+  function notifyPageSession() {
+    pageChannel.port1.postMessage({
+      type: 'STORAGE_SESSION_UPDATE',
+      sessionId: currentSessionId,
+      serviceWorkerMode: serviceWorkerMode,
+      cacheBustToken: cacheBustToken,
+      navigatorOverride: navigatorOverride
+    });
+  }
+
+  /**
+   * Deletes IndexedDB databases and Cache Storage caches left behind by deleted
+   * sessions on this origin. Content scripts share the origin's storage with the
+   * page, so this uses the unwrapped APIs directly.
+   * @param {Array<string>} sessionIds - Deleted session IDs
+   * @returns {Promise<number>} Number of databases and caches deleted
+   */
+  async function cleanupDeletedSessionStorage(sessionIds) {
+    if (!sessionIds || sessionIds.length === 0) {
+      return 0;
+    }
+
+    const prefixes = sessionIds.map(id => `__SID_${id}__`);
+    let deleted = 0;
+
+    try {
+      if (typeof caches !== 'undefined') {
+        const cacheNames = await caches.keys();
+        for (const name of cacheNames) {
+          if (prefixes.some(prefix => name.startsWith(prefix))) {
+            await caches.delete(name);
+            deleted++;
+            console.log(`[Storage Isolation] Deleted cache of deleted session: ${name}`);
+          }
+        }
+      }
+    } catch (error) {
+      // Cache Storage is unavailable on insecure origins
+      console.debug('[Storage Isolation] Cache Storage cleanup skipped:', error.message);
+    }
+
+    if (typeof indexedDB.databases !== 'function') {
+      return deleted;
+    }
+
+    try {
+      const databases = await indexedDB.databases();
+
+      for (const info of databases) {
+        if (info.name && prefixes.some(prefix => info.name.startsWith(prefix))) {
+          await new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(info.name);
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+          });
+          deleted++;
+          console.log(`[Storage Isolation] Deleted IndexedDB of deleted session: ${info.name}`);
+        }
+      }
+    } catch (error) {
+      console.error('[Storage Isolation] Error cleaning up deleted session storage:', error);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Asks the background script for deleted sessions and removes their data here
+   */
+  function requestStorageCleanup() {
+    chrome.runtime.sendMessage({ action: 'getStorageCleanupList' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        return;
+      }
+      cleanupDeletedSessionStorage(response.sessionIds);
+    });
+  }
+
+  // ===== Storage Snapshots (session export/import) =====
+
+  /**
+   * Snapshot limits
+   * IndexedDB databases are skipped (not truncated) when they exceed the size
+   * limit or hold values that cannot be represented in JSON (Blob, ArrayBuffer...)
+   */
+  const SNAPSHOT_CONFIG = {
+    MAX_ORIGIN_BYTES: 10 * 1024 * 1024, // Per-origin snapshot size limit
+    TYPE_TAG: '__sessnerType'
+  };
+
+  /**
+   * Wraps an IDBRequest in a Promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<*>} Request result
+   */
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Encodes an IndexedDB key or value for JSON (Dates and non-finite numbers are tagged)
+   * @param {*} value - Structured-clone value
+   * @returns {*} JSON-safe value
+   * @throws {Error} If the value has a type JSON cannot represent
+   */
+  function encodeSnapshotValue(value) {
+    if (value instanceof Date) {
+      return { [SNAPSHOT_CONFIG.TYPE_TAG]: 'Date', value: value.getTime() };
+    }
+    if (typeof value === 'number' && !isFinite(value)) {
+      return { [SNAPSHOT_CONFIG.TYPE_TAG]: 'Number', value: String(value) };
+    }
+    if (Array.isArray(value)) {
+      return value.map(encodeSnapshotValue);
+    }
+    if (value && typeof value === 'object') {
+      const proto = Object.getPrototypeOf(value);
+      if (proto !== Object.prototype && proto !== null) {
+        throw new Error('Unsupported value type: ' + Object.prototype.toString.call(value));
+      }
+      const encoded = {};
+      Object.keys(value).forEach(key => {
+        encoded[key] = encodeSnapshotValue(value[key]);
+      });
+      return encoded;
+    }
+    if (typeof value === 'bigint' || typeof value === 'symbol' || typeof value === 'function') {
+      throw new Error('Unsupported value type: ' + typeof value);
+    }
+    return value;
+  }
+
+  /**
+   * Reverses encodeSnapshotValue()
+   * @param {*} value - JSON value from a snapshot
+   * @returns {*} Structured-clone value
+   */
+  function decodeSnapshotValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(decodeSnapshotValue);
+    }
+    if (value && typeof value === 'object') {
+      const type = value[SNAPSHOT_CONFIG.TYPE_TAG];
+      if (type === 'Date') {
+        return new Date(value.value);
+      }
+      if (type === 'Number') {
+        return Number(value.value);
+      }
+      const decoded = {};
+      Object.keys(value).forEach(key => {
+        decoded[key] = decodeSnapshotValue(value[key]);
+      });
+      return decoded;
+    }
+    return value;
+  }
+
+  /**
+   * Reads all keys of a Storage object that start with a prefix
+   * @param {Storage} storage - localStorage or sessionStorage (unproxied)
+   * @param {string} prefix - Session prefix
+   * @returns {Object} Unprefixed key -> value
+   */
+  function snapshotStorageArea(storage, prefix) {
+    const items = {};
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(prefix)) {
+        items[key.substring(prefix.length)] = storage.getItem(key);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Dumps one IndexedDB database (schema and records)
+   * @param {string} storedName - Prefixed database name
+   * @param {string} prefix - Session prefix
+   * @returns {Promise<Object>} { name, version, stores: [...] }
+   */
+  async function snapshotDatabase(storedName, prefix) {
+    const db = await idbRequest(indexedDB.open(storedName));
+
+    try {
+      const storeNames = Array.from(db.objectStoreNames);
+      const snapshot = { name: storedName.substring(prefix.length), version: db.version, stores: [] };
+      if (storeNames.length === 0) {
+        return snapshot;
+      }
+
+      const transaction = db.transaction(storeNames, 'readonly');
+      for (const storeName of storeNames) {
+        const store = transaction.objectStore(storeName);
+        const values = await idbRequest(store.getAll());
+        const keys = store.keyPath === null ? await idbRequest(store.getAllKeys()) : null;
+
+        snapshot.stores.push({
+          name: storeName,
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement,
+          indexes: Array.from(store.indexNames).map(indexName => {
+            const index = store.index(indexName);
+            return { name: index.name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+          }),
+          keys: keys ? encodeSnapshotValue(keys) : null,
+          values: encodeSnapshotValue(values)
+        });
+      }
+
+      return snapshot;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Collects this origin's storage for the current session (for session export)
+   * @returns {Promise<Object|null>} { localStorage, sessionStorage, indexedDB } or null
+   */
+  async function collectStorageSnapshot() {
+    if (!currentSessionId) {
+      return null;
+    }
+
+    const prefix = `__SID_${currentSessionId}__`;
+    const snapshot = {
+      localStorage: rawStorageAreas.localStorage ? snapshotStorageArea(rawStorageAreas.localStorage, prefix) : {},
+      sessionStorage: rawStorageAreas.sessionStorage ? snapshotStorageArea(rawStorageAreas.sessionStorage, prefix) : {},
+      indexedDB: []
+    };
+    let size = JSON.stringify(snapshot).length;
+
+    if (typeof indexedDB.databases === 'function') {
+      const databases = await indexedDB.databases();
+      for (const info of databases) {
+        if (!info.name || !info.name.startsWith(prefix)) {
+          continue;
+        }
+
+        try {
+          const database = await snapshotDatabase(info.name, prefix);
+          const databaseSize = JSON.stringify(database).length;
+          if (size + databaseSize > SNAPSHOT_CONFIG.MAX_ORIGIN_BYTES) {
+            console.warn(`[Storage Isolation] Snapshot skips IndexedDB "${database.name}" (size limit)`);
+            continue;
+          }
+          snapshot.indexedDB.push(database);
+          size += databaseSize;
+        } catch (error) {
+          console.warn(`[Storage Isolation] Snapshot skips IndexedDB "${info.name}":`, error.message);
+        }
+      }
+    }
+
+    console.log(`[Storage Isolation] Collected storage snapshot (${size} bytes)`);
+    return snapshot;
+  }
+
+  /**
+   * Recreates one IndexedDB database from a snapshot
+   * Databases that already exist are left untouched
+   * @param {Object} database - Snapshot database entry
+   * @param {string} prefix - Session prefix
+   * @returns {Promise<boolean>} True if the database was restored
+   */
+  async function restoreDatabase(database, prefix) {
+    const storedName = prefix + database.name;
+    const existing = await indexedDB.databases();
+    if (existing.some(info => info.name === storedName)) {
+      console.log(`[Storage Isolation] IndexedDB "${database.name}" already exists, not restoring`);
+      return false;
+    }
+
+    const request = indexedDB.open(storedName, Math.max(1, database.version || 1));
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      (database.stores || []).forEach(storeData => {
+        const store = db.createObjectStore(storeData.name, {
+          keyPath: storeData.keyPath,
+          autoIncrement: !!storeData.autoIncrement
+        });
+        (storeData.indexes || []).forEach(index => {
+          store.createIndex(index.name, index.keyPath, { unique: !!index.unique, multiEntry: !!index.multiEntry });
+        });
+      });
+    };
+
+    const db = await idbRequest(request);
+    try {
+      const storeNames = (database.stores || []).map(store => store.name);
+      if (storeNames.length > 0) {
+        const transaction = db.transaction(storeNames, 'readwrite');
+        const done = new Promise((resolve, reject) => {
+          transaction.oncomplete = resolve;
+          transaction.onerror = () => reject(transaction.error);
+          transaction.onabort = () => reject(transaction.error);
+        });
+
+        database.stores.forEach(storeData => {
+          const store = transaction.objectStore(storeData.name);
+          const values = decodeSnapshotValue(storeData.values || []);
+          const keys = storeData.keys ? decodeSnapshotValue(storeData.keys) : null;
+          values.forEach((value, i) => {
+            if (keys) {
+              store.put(value, keys[i]);
+            } else {
+              store.put(value);
+            }
+          });
+        });
+
+        await done;
+      }
+    } finally {
+      db.close();
+    }
+
+    return true;
+  }
+
+  /**
+   * Writes an imported snapshot into this origin's storage under the current session prefix
+   * @param {Object} snapshot - { localStorage, sessionStorage, indexedDB }
+   * @returns {Promise<number>} Number of items restored
+   */
+  async function restoreStorageSnapshot(snapshot) {
+    const prefix = `__SID_${currentSessionId}__`;
+    let restored = 0;
+
+    ['localStorage', 'sessionStorage'].forEach(area => {
+      const storage = rawStorageAreas[area];
+      const items = snapshot[area] || {};
+      if (!storage) {
+        return;
+      }
+      Object.keys(items).forEach(key => {
+        try {
+          // Keep values the page wrote since the import
+          if (storage.getItem(prefix + key) === null) {
+            storage.setItem(prefix + key, String(items[key]));
+            restored++;
+          }
+        } catch (error) {
+          console.warn(`[Storage Isolation] Could not restore ${area} key "${key}":`, error.message);
+        }
+      });
+    });
+
+    if (typeof indexedDB.databases === 'function') {
+      for (const database of snapshot.indexedDB || []) {
+        try {
+          if (await restoreDatabase(database, prefix)) {
+            restored++;
+          }
+        } catch (error) {
+          console.warn(`[Storage Isolation] Could not restore IndexedDB "${database.name}":`, error.message);
+        }
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Claims an imported storage snapshot for this origin (first visit after import)
+   * The page already started with empty storage, so it is reloaded once to pick it up
+   */
+  function requestStorageRehydration() {
+    chrome.runtime.sendMessage({ action: 'claimStorageSnapshot' }, async (response) => {
+      if (chrome.runtime.lastError || !response || !response.success || !response.snapshot) {
+        return;
+      }
+
+      try {
+        const restored = await restoreStorageSnapshot(response.snapshot);
+        console.log(`[Storage Isolation] ✓ Restored ${restored} imported storage items for ${window.location.origin}`);
+        if (restored > 0) {
+          window.location.reload();
+        }
+      } catch (error) {
+        console.error('[Storage Isolation] Error restoring storage snapshot:', error);
+      }
+    });
+  }
+
+  /**
+   * Listen for cleanup requests when a session is deleted while this page is open,
+   * snapshot requests during session export, and session changes when the tab is
+   * moved to another session
+   */
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message && message.action === 'cleanupSessionStorage') {
+      cleanupDeletedSessionStorage(message.sessionIds);
+    } else if (message && message.action === 'refreshSessionId') {
+      refreshSessionId().catch(err => {
+        console.error('[Storage Isolation] Error refreshing session ID:', err);
+      });
+    } else if (message && message.action === 'collectStorageSnapshot') {
+      if (!currentSessionId || currentSessionId !== message.sessionId) {
+        sendResponse({ success: false, error: 'Tab is not in this session' });
+        return false;
+      }
+
+      collectStorageSnapshot()
+        .then(snapshot => {
+          sendResponse({ success: true, origin: window.location.origin, snapshot: snapshot });
+        })
+        .catch(error => {
+          console.error('[Storage Isolation] Error collecting storage snapshot:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep channel open for async response
+    }
+    return false;
+  });
+
   /**
    * Executes pending storage operations after session ID is loaded
    */
@@ -392,7 +1735,13 @@
 
         if (response && response.success && response.sessionId) {
           const oldSessionId = currentSessionId;
+          const oldServiceWorkerMode = serviceWorkerMode;
+          const oldCacheBustToken = cacheBustToken;
+          const oldNavigatorOverride = JSON.stringify(navigatorOverride);
           currentSessionId = response.sessionId;
+          serviceWorkerMode = response.serviceWorkerMode || 'block';
+          cacheBustToken = response.cacheBustToken || null;
+          navigatorOverride = response.navigatorOverride || null;
           sessionIdReady = true;
 
           if (isRefresh && oldSessionId !== currentSessionId) {
@@ -407,12 +1756,25 @@
           // Visual indicator disabled to prevent interference with website functionality
           // (some websites read all DOM elements, causing the indicator to appear in error dialogs)
 
+          // Page script uses the same prefix for IndexedDB and Cache Storage
+          if (!isRefresh || oldSessionId !== currentSessionId || oldServiceWorkerMode !== serviceWorkerMode ||
+              oldCacheBustToken !== cacheBustToken ||
+              oldNavigatorOverride !== JSON.stringify(navigatorOverride)) {
+            notifyPageSession();
+          }
+
           // Process queued operations (only on initial fetch)
           if (!isRefresh) {
             executePendingOperations();
+            requestStorageRehydration();
           }
           return true;
         }
+
+        // Background is initialized and this tab has no session - retrying won't help
+        if (response && response.success === false && response.isReady) {
+          break;
+        }
       } catch (error) {
         // Silent retry
       }
@@ -430,8 +1792,12 @@
     console.error('%c[Storage Isolation] ✗ FAILED to get session ID', 'color: red; font-weight: bold');
     console.error('[Storage Isolation] Storage operations will be BLOCKED for security');
     currentSessionId = null;
+    navigatorOverride = null;
     sessionIdReady = true; // Mark as ready to unblock code flow
     // DO NOT execute pending operations - let them fail
+
+    // Page script falls back to unprefixed storage (tab is outside any session)
+    notifyPageSession();
     return false;
   }
 
@@ -479,6 +1845,8 @@
       // Store original storage objects
       const originalLocalStorage = window.localStorage;
       const originalSessionStorage = window.sessionStorage;
+      rawStorageAreas.localStorage = originalLocalStorage;
+      rawStorageAreas.sessionStorage = originalSessionStorage;
 
       // Create proxied versions
       const proxiedLocalStorage = createStorageProxy(originalLocalStorage, 'localStorage');
@@ -511,9 +1879,11 @@
     }
   }
 
-  // Initialize: Install proxies and fetch session ID
+  // Initialize: Inject page script first so it wraps page storage APIs before page scripts run
+  injectPageScript();
   installStorageProxies();
   fetchSessionId();
+  requestStorageCleanup();
 
   console.log('[Storage Isolation] Initialization complete');
 })();
@@ -0,0 +1,326 @@
+/**
+ * Cookie Change Log - per-session record of cookie writes and removals
+ * Optional (off by default). Each session keeps a capped ring buffer of changes:
+ * when, which cookie, from which channel and URL, and a hash of the old and new
+ * value (values themselves are never stored). Used to find which response
+ * changed which cookie when a login breaks.
+ *
+ * Hashes are SHA-256 over a per-install random salt and the value, truncated to
+ * 64 bits. The salt never leaves chrome.storage.local, so short values (flags,
+ * numeric IDs) cannot be guessed back from an exported log.
+ *
+ * Channels:
+ * - http:        Set-Cookie response header (onHeadersReceived)
+ * - cookies-api: cookie set in the browser store and captured by cookies.onChanged
+ * - script:      document.cookie (setCookie message from the content script)
+ * - expiry:      expired cookie removed by the periodic cleanup
+ * - lifetime:    session cookie removed by the session's cookie lifetime policy
+ * - inspector:   cookie inspector edit or delete
+ * - template:    seed cookie from a session template
+ * - local-api:   cookies.set from the local automation API
+ * - eviction:    cookie evicted by the per-domain or per-session limits
+ *
+ * Used by background.js (storeCookie and every jar removal) and the storage
+ * diagnostics page (view, export, clear).
+ */
+
+const cookieChangeLog = {
+  /**
+   * Log configuration
+   */
+  CONFIG: {
+    STORAGE_KEY: 'cookieChangeLog',
+    SETTINGS_KEY: 'cookieChangeLogSettings',
+    SALT_KEY: 'cookieChangeLogSalt',
+    SALT_BYTES: 16,
+    HASH_LENGTH: 16, // Hex characters kept from the SHA-256 digest
+    DEFAULT_MAX_ENTRIES: 500,
+    MIN_ENTRIES: 50,
+    MAX_ENTRIES: 5000,
+    MAX_URL_LENGTH: 500,
+    SAVE_DELAY: 2000, // Debounce buffer writes to storage
+    EXPORT_FORMAT: 'sessner-cookie-change-log',
+    EXPORT_VERSION: 1,
+    EXPORT_HASH: 'sha256-salted-64'
+  },
+
+  CHANNELS: ['http', 'cookies-api', 'script', 'expiry', 'lifetime', 'inspector', 'template', 'local-api', 'eviction'],
+
+  /**
+   * Current settings
+   */
+  settings: { enabled: false, maxEntries: 500 },
+
+  /**
+   * Buffers by session ID (oldest entry first)
+   */
+  buffers: {},
+
+  /**
+   * Pending debounced save
+   */
+  saveTimer: null,
+
+  /**
+   * Per-install hash salt (hex), loaded or created on first use
+   */
+  saltPromise: null,
+
+  /**
+   * Get the hash salt, creating and storing one on first use
+   * @returns {Promise<string>} Salt as hex
+   */
+  getSalt() {
+    if (!this.saltPromise) {
+      this.saltPromise = new Promise(resolve => {
+        chrome.storage.local.get([this.CONFIG.SALT_KEY], result => resolve((result || {})[this.CONFIG.SALT_KEY]));
+      }).then(stored => {
+        if (typeof stored === 'string' && stored.length === this.CONFIG.SALT_BYTES * 2) {
+          return stored;
+        }
+        const bytes = crypto.getRandomValues(new Uint8Array(this.CONFIG.SALT_BYTES));
+        const salt = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        chrome.storage.local.set({ [this.CONFIG.SALT_KEY]: salt });
+        return salt;
+      });
+    }
+    return this.saltPromise;
+  },
+
+  /**
+   * Hash a cookie value (salted SHA-256, truncated)
+   * Enough to tell whether a value changed without keeping the value itself.
+   * @param {string|null|undefined} value - Cookie value
+   * @returns {Promise<string|null>} HASH_LENGTH hex characters, or null if there is no value
+   */
+  async hashValue(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    const salt = await this.getSalt();
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(salt + ':' + String(value)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+      .substring(0, this.CONFIG.HASH_LENGTH);
+  },
+
+  /**
+   * Record a cookie change for a session (no-op while the log is disabled)
+   * The entry is added right away, so entries keep call order; its hashes are
+   * filled in once computed. Callers do not need to wait.
+   * @param {string} sessionId - Session ID
+   * @param {Object} change - { action: 'set'|'remove', channel, url?, domain, path, name, oldValue?, newValue? }
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object|null>} The stored entry, once hashed
+   */
+  record(sessionId, change, now = Date.now()) {
+    if (!this.settings.enabled || !sessionId || !change) {
+      return Promise.resolve(null);
+    }
+
+    const entry = {
+      time: now,
+      action: change.action === 'remove' ? 'remove' : 'set',
+      channel: this.CHANNELS.indexOf(change.channel) !== -1 ? change.channel : 'unknown',
+      url: typeof change.url === 'string' ? change.url.substring(0, this.CONFIG.MAX_URL_LENGTH) : null,
+      domain: change.domain,
+      path: change.path,
+      name: change.name,
+      oldHash: null,
+      newHash: null
+    };
+
+    if (!this.buffers[sessionId]) {
+      this.buffers[sessionId] = [];
+    }
+    const buffer = this.buffers[sessionId];
+    buffer.push(entry);
+    if (buffer.length > this.settings.maxEntries) {
+      buffer.splice(0, buffer.length - this.settings.maxEntries);
+    }
+
+    const newValue = entry.action === 'remove' ? null : change.newValue;
+    return Promise.all([this.hashValue(change.oldValue), this.hashValue(newValue)])
+      .then(([oldHash, newHash]) => {
+        entry.oldHash = oldHash;
+        entry.newHash = newHash;
+        this.scheduleSave();
+        return entry;
+      })
+      .catch(error => {
+        console.error('[Cookie Change Log] Hashing failed:', error.message);
+        return entry;
+      });
+  },
+
+  /**
+   * Get a session's entries, newest first
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { search?: string (cookie name, domain or URL contains), limit?: number }
+   * @returns {Object} { entries, total }
+   */
+  getEntries(sessionId, options = {}) {
+    const buffer = this.buffers[sessionId] || [];
+    const search = typeof options.search === 'string' ? options.search.trim().toLowerCase() : '';
+
+    let entries = buffer.slice().reverse();
+    if (search) {
+      entries = entries.filter(entry =>
+        String(entry.name).toLowerCase().indexOf(search) !== -1 ||
+        String(entry.domain).toLowerCase().indexOf(search) !== -1 ||
+        (entry.url || '').toLowerCase().indexOf(search) !== -1
+      );
+    }
+    if (options.limit > 0) {
+      entries = entries.slice(0, options.limit);
+    }
+    return { entries: entries, total: buffer.length };
+  },
+
+  /**
+   * Count entries by session
+   * @returns {Object} { [sessionId]: number }
+   */
+  getCounts() {
+    const counts = {};
+    Object.keys(this.buffers).forEach(sessionId => {
+      counts[sessionId] = this.buffers[sessionId].length;
+    });
+    return counts;
+  },
+
+  /**
+   * Build the export file contents for a session
+   * @param {string} sessionId - Session ID
+   * @param {string|null} sessionName - Session name
+   * @returns {Object} Export object (entries oldest first)
+   */
+  exportSession(sessionId, sessionName = null) {
+    return {
+      format: this.CONFIG.EXPORT_FORMAT,
+      version: this.CONFIG.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessionId: sessionId,
+      sessionName: sessionName,
+      hash: this.CONFIG.EXPORT_HASH,
+      entries: (this.buffers[sessionId] || []).slice()
+    };
+  },
+
+  /**
+   * Clear one session's entries, or every session's
+   * @param {string|null} sessionId - Session ID, or null for all
+   */
+  clear(sessionId = null) {
+    if (sessionId) {
+      delete this.buffers[sessionId];
+    } else {
+      this.buffers = {};
+    }
+    this.scheduleSave();
+  },
+
+  /**
+   * Drop the buffer of a deleted session
+   * @param {string} sessionId - Session ID
+   */
+  removeSession(sessionId) {
+    if (this.buffers[sessionId]) {
+      delete this.buffers[sessionId];
+      this.scheduleSave();
+    }
+  },
+
+  /**
+   * Validate and apply settings (shrinking the cap trims every buffer)
+   * @param {Object} input - { enabled?: boolean, maxEntries?: number }
+   * @returns {Promise<Object>} { success, settings?, error? }
+   */
+  async setSettings(input) {
+    const settings = Object.assign({}, this.settings);
+    if (input && input.enabled !== undefined) {
+      settings.enabled = input.enabled === true;
+    }
+    if (input && input.maxEntries !== undefined) {
+      const maxEntries = Number(input.maxEntries);
+      if (!Number.isInteger(maxEntries) || maxEntries < this.CONFIG.MIN_ENTRIES || maxEntries > this.CONFIG.MAX_ENTRIES) {
+        return {
+          success: false,
+          error: `Entries per session must be a whole number from ${this.CONFIG.MIN_ENTRIES} to ${this.CONFIG.MAX_ENTRIES}`
+        };
+      }
+      settings.maxEntries = maxEntries;
+    }
+
+    this.settings = settings;
+    Object.values(this.buffers).forEach(buffer => {
+      if (buffer.length > settings.maxEntries) {
+        buffer.splice(0, buffer.length - settings.maxEntries);
+      }
+    });
+
+    await new Promise(resolve => {
+      chrome.storage.local.set({ [this.CONFIG.SETTINGS_KEY]: settings }, resolve);
+    });
+    this.scheduleSave();
+
+    console.log('[Cookie Change Log] Settings:', settings);
+    return { success: true, settings: Object.assign({}, settings) };
+  },
+
+  /**
+   * Load settings and buffers from storage
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const data = await new Promise(resolve => {
+      chrome.storage.local.get([this.CONFIG.STORAGE_KEY, this.CONFIG.SETTINGS_KEY], result => resolve(result || {}));
+    });
+
+    const stored = data[this.CONFIG.SETTINGS_KEY] || {};
+    const maxEntries = Number(stored.maxEntries);
+    this.settings = {
+      enabled: stored.enabled === true,
+      maxEntries: Number.isInteger(maxEntries) && maxEntries >= this.CONFIG.MIN_ENTRIES && maxEntries <= this.CONFIG.MAX_ENTRIES
+        ? maxEntries
+        : this.CONFIG.DEFAULT_MAX_ENTRIES
+    };
+
+    const buffers = data[this.CONFIG.STORAGE_KEY];
+    this.buffers = {};
+    if (buffers && typeof buffers === 'object') {
+      Object.keys(buffers).forEach(sessionId => {
+        if (Array.isArray(buffers[sessionId])) {
+          this.buffers[sessionId] = buffers[sessionId].slice(-this.settings.maxEntries);
+        }
+      });
+    }
+
+    const total = Object.values(this.buffers).reduce((sum, buffer) => sum + buffer.length, 0);
+    console.log(`[Cookie Change Log] Loaded ${total} entries for ${Object.keys(this.buffers).length} sessions (${this.settings.enabled ? 'recording' : 'off'})`);
+  },
+
+  /**
+   * Save buffers after SAVE_DELAY (changes arrive in bursts, one response can set many cookies)
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      chrome.storage.local.set({ [this.CONFIG.STORAGE_KEY]: this.buffers }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('[Cookie Change Log] Save failed:', chrome.runtime.lastError.message);
+        }
+      });
+    }, this.CONFIG.SAVE_DELAY);
+  }
+};
+
+// Export for use in background script and Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = cookieChangeLog;
+}
+
+console.log('[Cookie Change Log] ✓ Cookie change log module loaded');
@@ -0,0 +1,491 @@
+/**
+ * Cookie Inspector - JavaScript
+ * Lists a session's cookie jar by domain and path and lets the user search,
+ * edit, add and delete cookies (listSessionCookies, upsertSessionCookie and
+ * deleteSessionCookie in background.js), and edits the session's cookie
+ * lifetime policy (get/setSessionCookieLifetime).
+ * Open with ?sessionId=... to preselect a session.
+ */
+
+const params = new URLSearchParams(window.location.search);
+
+/**
+ * Cookies currently shown (after search)
+ * @type {Array<Object>}
+ */
+let shownCookies = [];
+
+/**
+ * Key of the cookie being edited ({ domain, path, name }), or null when adding
+ * @type {Object|null}
+ */
+let editingKey = null;
+
+/**
+ * Debounce timer for the search box
+ * @type {number|null}
+ */
+let searchTimer = null;
+
+/**
+ * Timer that hides the status message
+ * @type {number|null}
+ */
+let messageTimer = null;
+
+/**
+ * Send a message to the background script
+ * @param {Object} message - Message object
+ * @returns {Promise<Object>} Response
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * Show a status message under the toolbar
+ * @param {string} text - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showMessage(text, type = 'success') {
+  const element = document.getElementById('pageMessage');
+  element.textContent = text;
+  element.className = 'message ' + type;
+  clearTimeout(messageTimer);
+  messageTimer = setTimeout(() => {
+    element.className = 'message';
+  }, 5000);
+}
+
+/**
+ * Get the selected session ID
+ * @returns {string} Session ID ('' if there are no sessions)
+ */
+function selectedSessionId() {
+  return document.getElementById('sessionSelect').value;
+}
+
+/**
+ * Format a cookie expiry for the table
+ * @param {Object} cookie - Cookie from listSessionCookies
+ * @returns {string} "Session", "Expired" or a local date
+ */
+function formatExpiry(cookie) {
+  if (cookie.expired) {
+    return 'Expired';
+  }
+  if (cookie.session || !cookie.expirationDate) {
+    return 'Session';
+  }
+  return new Date(cookie.expirationDate * 1000).toLocaleString();
+}
+
+/**
+ * Convert seconds since epoch to a datetime-local input value
+ * @param {number} seconds - Expiration date
+ * @returns {string} "YYYY-MM-DDTHH:MM" in local time
+ */
+function toDateTimeLocal(seconds) {
+  const date = new Date(seconds * 1000);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Load sessions into the session selector (active first, then dormant)
+ */
+async function loadSessions() {
+  const select = document.getElementById('sessionSelect');
+  const response = await sendMessage({ action: 'getAllSessions' });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'Failed to load sessions');
+  }
+
+  select.innerHTML = '';
+  const addOption = (session, state) => {
+    const option = document.createElement('option');
+    option.value = session.sessionId;
+    option.textContent = `${session.name || session.sessionId} (${state})`;
+    select.appendChild(option);
+  };
+  response.activeSessions.forEach(session => addOption(session, 'active'));
+  response.dormantSessions.forEach(session => addOption(session, 'dormant'));
+
+  const wanted = params.get('sessionId');
+  if (wanted && Array.from(select.options).some(option => option.value === wanted)) {
+    select.value = wanted;
+  }
+}
+
+/**
+ * Render cookies grouped by domain
+ * @param {Object} response - listSessionCookies response
+ */
+function renderCookies(response) {
+  const table = document.getElementById('cookieTable');
+  const empty = document.getElementById('cookieEmpty');
+  table.innerHTML = '';
+  shownCookies = response.cookies;
+
+  document.getElementById('cookieSummary').textContent =
+    `${response.cookies.length} of ${response.total} cookies shown — ${response.totalSize} bytes in this session`;
+  document.getElementById('deleteShownBtn').disabled = response.cookies.length === 0;
+
+  if (response.cookies.length === 0) {
+    empty.textContent = response.total === 0 ? 'This session has no cookies.' : 'No cookies match the search.';
+    empty.style.display = 'block';
+    return;
+  }
+  empty.style.display = 'none';
+
+  let currentDomain = null;
+  response.cookies.forEach(cookie => {
+    if (cookie.domain !== currentDomain) {
+      currentDomain = cookie.domain;
+      const count = response.cookies.filter(other => other.domain === cookie.domain).length;
+      const domainRow = table.insertRow();
+      domainRow.className = 'domain-row';
+      const cell = domainRow.insertCell();
+      cell.colSpan = 7;
+      cell.textContent = `${cookie.domain} (${count})${cookie.hostOnly ? '' : ' — includes subdomains'}`;
+    }
+
+    const row = table.insertRow();
+    if (cookie.expired) {
+      row.className = 'expired';
+    }
+
+    const nameCell = row.insertCell();
+    nameCell.className = 'cookie-name';
+    nameCell.textContent = cookie.name;
+
+    const valueCell = row.insertCell();
+    valueCell.className = 'cookie-value';
+    valueCell.textContent = cookie.value.length > 120 ? cookie.value.substring(0, 120) + '…' : cookie.value;
+    valueCell.title = cookie.value;
+
+    row.insertCell().textContent = cookie.path;
+    row.insertCell().textContent = formatExpiry(cookie);
+
+    const flagsCell = row.insertCell();
+    const flags = [];
+    if (cookie.secure) flags.push('Secure');
+    if (cookie.httpOnly) flags.push('HttpOnly');
+    if (cookie.sameSite && cookie.sameSite !== 'unspecified') {
+      flags.push('SameSite=' + (cookie.sameSite === 'no_restriction' ? 'None' : cookie.sameSite));
+    }
+    flags.forEach(flag => {
+      const span = document.createElement('span');
+      span.className = 'flag';
+      span.textContent = flag;
+      flagsCell.appendChild(span);
+    });
+
+    row.insertCell().textContent = cookie.size;
+
+    const actionsCell = row.insertCell();
+    actionsCell.className = 'row-actions';
+    const editBtn = document.createElement('button');
+    editBtn.className = 'small secondary';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openEditor(cookie));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'small danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteCookies([cookie], `Delete cookie "${cookie.name}" for ${cookie.domain}?`));
+    actionsCell.appendChild(editBtn);
+    actionsCell.appendChild(deleteBtn);
+  });
+}
+
+/**
+ * Reload the cookie list for the selected session and search
+ */
+async function refreshCookies() {
+  const sessionId = selectedSessionId();
+  if (!sessionId) {
+    renderCookies({ cookies: [], total: 0, totalSize: 0 });
+    return;
+  }
+
+  try {
+    const response = await sendMessage({
+      action: 'listSessionCookies',
+      sessionId: sessionId,
+      search: document.getElementById('cookieSearch').value
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to load cookies');
+    }
+    renderCookies(response);
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Open the editor for a cookie, or for a new cookie
+ * @param {Object|null} cookie - Cookie to edit, or null to add one
+ */
+function openEditor(cookie = null) {
+  editingKey = cookie ? { domain: cookie.domain, path: cookie.path, name: cookie.name } : null;
+
+  document.getElementById('editorTitle').textContent = cookie ? `Edit Cookie: ${cookie.name}` : 'Add Cookie';
+  document.getElementById('editName').value = cookie ? cookie.name : '';
+  document.getElementById('editValue').value = cookie ? cookie.value : '';
+  document.getElementById('editDomain').value = cookie ? cookie.domain.replace(/^\./, '') : '';
+  document.getElementById('editIncludeSubdomains').checked = cookie ? !cookie.hostOnly : false;
+  document.getElementById('editPath').value = cookie ? cookie.path : '/';
+  document.getElementById('editExpires').value = cookie && !cookie.session && cookie.expirationDate && !cookie.expired
+    ? toDateTimeLocal(cookie.expirationDate)
+    : '';
+  document.getElementById('editSameSite').value = cookie ? (cookie.sameSite || 'unspecified') : 'unspecified';
+  document.getElementById('editSecure').checked = cookie ? cookie.secure : true;
+  document.getElementById('editHttpOnly').checked = cookie ? cookie.httpOnly : false;
+
+  const card = document.getElementById('editorCard');
+  card.style.display = 'block';
+  card.scrollIntoView({ behavior: 'smooth' });
+  document.getElementById('editName').focus();
+}
+
+/**
+ * Close the editor without saving
+ */
+function closeEditor() {
+  editingKey = null;
+  document.getElementById('editorCard').style.display = 'none';
+}
+
+/**
+ * Save the cookie in the editor
+ */
+async function saveCookie() {
+  const expires = document.getElementById('editExpires').value;
+  const cookie = {
+    name: document.getElementById('editName').value.trim(),
+    value: document.getElementById('editValue').value,
+    domain: document.getElementById('editDomain').value.trim(),
+    hostOnly: !document.getElementById('editIncludeSubdomains').checked,
+    path: document.getElementById('editPath').value.trim() || '/',
+    expirationDate: expires ? Math.floor(new Date(expires).getTime() / 1000) : null,
+    sameSite: document.getElementById('editSameSite').value,
+    secure: document.getElementById('editSecure').checked,
+    httpOnly: document.getElementById('editHttpOnly').checked
+  };
+
+  try {
+    const response = await sendMessage({
+      action: 'upsertSessionCookie',
+      sessionId: selectedSessionId(),
+      cookie: cookie,
+      original: editingKey
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to save cookie');
+    }
+
+    showMessage(`✓ Cookie "${response.cookie.name}" saved`, 'success');
+    closeEditor();
+    await refreshCookies();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Delete cookies after confirmation
+ * @param {Array<Object>} cookies - Cookies to delete
+ * @param {string} question - Confirmation text
+ */
+async function deleteCookies(cookies, question) {
+  if (cookies.length === 0 || !confirm(question)) {
+    return;
+  }
+
+  try {
+    const response = await sendMessage({
+      action: 'deleteSessionCookie',
+      sessionId: selectedSessionId(),
+      cookies: cookies.map(cookie => ({ domain: cookie.domain, path: cookie.path, name: cookie.name }))
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to delete cookies');
+    }
+
+    showMessage(`✓ Deleted ${response.deleted} cookie${response.deleted === 1 ? '' : 's'}`, 'success');
+    await refreshCookies();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Enable the hours input only for the "hours" mode
+ * @param {HTMLSelectElement} select - Mode select
+ * @param {HTMLInputElement} hoursInput - Hours input
+ */
+function syncHoursInput(select, hoursInput) {
+  hoursInput.disabled = select.value !== 'hours';
+}
+
+/**
+ * Add a domain rule row to the lifetime policy editor
+ * @param {Object} rule - { domain, mode, hours? }
+ */
+function addLifetimeRuleRow(rule = { domain: '', mode: 'clear' }) {
+  const row = document.createElement('div');
+  row.className = 'lifetime-row';
+
+  const domainInput = document.createElement('input');
+  domainInput.type = 'text';
+  domainInput.className = 'lifetime-domain';
+  domainInput.placeholder = 'bank.example.com';
+  domainInput.spellcheck = false;
+  domainInput.value = rule.domain;
+
+  const modeSelect = document.getElementById('lifetimeMode').cloneNode(true);
+  modeSelect.removeAttribute('id');
+  modeSelect.className = 'lifetime-domain-mode';
+  modeSelect.value = rule.mode;
+
+  const hoursInput = document.getElementById('lifetimeHours').cloneNode(true);
+  hoursInput.removeAttribute('id');
+  hoursInput.className = 'lifetime-domain-hours';
+  hoursInput.value = rule.hours || 24;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'small danger';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  modeSelect.addEventListener('change', () => syncHoursInput(modeSelect, hoursInput));
+  syncHoursInput(modeSelect, hoursInput);
+
+  row.appendChild(domainInput);
+  row.appendChild(modeSelect);
+  row.appendChild(hoursInput);
+  row.appendChild(removeBtn);
+  document.getElementById('lifetimeDomainRules').appendChild(row);
+}
+
+/**
+ * Load the selected session's cookie lifetime policy into the editor
+ */
+async function loadCookieLifetime() {
+  const modeSelect = document.getElementById('lifetimeMode');
+  const hoursInput = document.getElementById('lifetimeHours');
+  document.getElementById('lifetimeDomainRules').innerHTML = '';
+  modeSelect.value = 'keep';
+  hoursInput.value = 24;
+  syncHoursInput(modeSelect, hoursInput);
+
+  const sessionId = selectedSessionId();
+  document.getElementById('saveLifetimeBtn').disabled = !sessionId;
+  document.getElementById('addLifetimeRuleBtn').disabled = !sessionId;
+  if (!sessionId) {
+    return;
+  }
+
+  try {
+    const response = await sendMessage({ action: 'getSessionCookieLifetime', sessionId: sessionId });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to load cookie lifetime policy');
+    }
+
+    const policy = response.policy;
+    if (policy) {
+      modeSelect.value = policy.mode;
+      hoursInput.value = policy.hours || 24;
+      syncHoursInput(modeSelect, hoursInput);
+      (policy.domains || []).forEach(rule => addLifetimeRuleRow(rule));
+    }
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Save the lifetime policy in the editor
+ */
+async function saveCookieLifetime() {
+  const mode = document.getElementById('lifetimeMode').value;
+  const policy = {
+    mode: mode,
+    hours: mode === 'hours' ? Number(document.getElementById('lifetimeHours').value) : undefined,
+    domains: Array.from(document.querySelectorAll('#lifetimeDomainRules .lifetime-row'))
+      .map(row => {
+        const domainMode = row.querySelector('.lifetime-domain-mode').value;
+        return {
+          domain: row.querySelector('.lifetime-domain').value,
+          mode: domainMode,
+          hours: domainMode === 'hours' ? Number(row.querySelector('.lifetime-domain-hours').value) : undefined
+        };
+      })
+      .filter(rule => rule.domain.trim() !== '')
+  };
+
+  try {
+    const response = await sendMessage({
+      action: 'setSessionCookieLifetime',
+      sessionId: selectedSessionId(),
+      policy: policy
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to save cookie lifetime policy');
+    }
+
+    showMessage(response.removed > 0
+      ? `✓ Policy saved, ${response.removed} session cookie${response.removed === 1 ? '' : 's'} removed`
+      : '✓ Policy saved', 'success');
+    await loadCookieLifetime();
+    if (response.removed > 0) {
+      await refreshCookies();
+    }
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('sessionSelect').addEventListener('change', () => {
+    closeEditor();
+    refreshCookies();
+    loadCookieLifetime();
+  });
+  document.getElementById('cookieSearch').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refreshCookies, 200);
+  });
+  document.getElementById('newCookieBtn').addEventListener('click', () => openEditor(null));
+  document.getElementById('deleteShownBtn').addEventListener('click', () => {
+    const searching = document.getElementById('cookieSearch').value.trim() !== '';
+    deleteCookies(shownCookies, searching
+      ? `Delete the ${shownCookies.length} cookies matching the search?`
+      : `Delete all ${shownCookies.length} cookies in this session? Sites will log this session out.`);
+  });
+  document.getElementById('saveCookieBtn').addEventListener('click', saveCookie);
+  document.getElementById('cancelEditBtn').addEventListener('click', closeEditor);
+  document.getElementById('lifetimeMode').addEventListener('change', () => {
+    syncHoursInput(document.getElementById('lifetimeMode'), document.getElementById('lifetimeHours'));
+  });
+  document.getElementById('addLifetimeRuleBtn').addEventListener('click', () => addLifetimeRuleRow());
+  document.getElementById('saveLifetimeBtn').addEventListener('click', saveCookieLifetime);
+
+  try {
+    await loadSessions();
+    document.getElementById('newCookieBtn').disabled = !selectedSessionId();
+    await refreshCookies();
+    await loadCookieLifetime();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+});
@@ -0,0 +1,789 @@
+/**
+ * Cookie Jar - RFC 6265bis cookie storage model for session isolation
+ * Parses Set-Cookie headers, stores cookies per session, and selects the
+ * cookies that a request is allowed to carry (domain/path/Secure/HttpOnly/
+ * SameSite rules, __Host-/__Secure- prefixes, eviction limits).
+ *
+ * All functions operate on a session jar passed in by the caller:
+ *   jar[domainKey][path][name] = cookie
+ * where domainKey is the host for host-only cookies and ".domain" for
+ * domain cookies (the same shape as sessionStore.cookieStore[sessionId]).
+ */
+
+const cookieJar = {
+  /**
+   * Cookie jar limits (RFC 6265bis section 6.1 minimums, Chromium defaults)
+   */
+  CONFIG: {
+    MAX_NAME_VALUE_BYTES: 4096,
+    MAX_ATTRIBUTE_VALUE_BYTES: 1024,
+    MAX_COOKIES_PER_DOMAIN: 180,
+    MAX_COOKIES_PER_SESSION: 3000,
+    MAX_AGE_CAP_SECONDS: 400 * 24 * 60 * 60, // 400 days
+    LAX_ALLOWING_UNSAFE_MS: 2 * 60 * 1000 // Unspecified SameSite + top-level POST grace period
+  },
+
+  /**
+   * Optional public suffix resolver (domain -> boolean)
+   * Set by background.js; without it no domain is treated as a public suffix
+   */
+  publicSuffixResolver: null,
+
+  /**
+   * Register the function used to decide whether a domain is a public suffix
+   * @param {Function} resolver - (domain: string) => boolean
+   */
+  setPublicSuffixResolver(resolver) {
+    this.publicSuffixResolver = typeof resolver === 'function' ? resolver : null;
+  },
+
+  /**
+   * Check if a domain is a public suffix (e.g. "com", "co.uk")
+   * @param {string} domain - Canonicalized domain
+   * @returns {boolean} True if the domain is a public suffix
+   */
+  isPublicSuffix(domain) {
+    if (!this.publicSuffixResolver || !domain) {
+      return false;
+    }
+    try {
+      return this.publicSuffixResolver(domain) === true;
+    } catch (e) {
+      console.error('[Cookie Jar] Public suffix resolver failed:', e);
+      return false;
+    }
+  },
+
+  /**
+   * Check if a host is an IPv4 or IPv6 literal
+   * @param {string} host - The hostname
+   * @returns {boolean} True if host is an IP address
+   */
+  isIPAddress(host) {
+    return /^(\d{1,3}\.){3}\d{1,3}$/.test(host) || host.includes(':') || /^\[.*\]$/.test(host);
+  },
+
+  /**
+   * Canonicalize a host or Domain attribute value (lowercase, no leading/trailing dot)
+   * @param {string} host - Raw host
+   * @returns {string} Canonical host
+   */
+  canonicalizeHost(host) {
+    return String(host || '').trim().toLowerCase().replace(/^\.+/, '').replace(/\.$/, '');
+  },
+
+  /**
+   * Get the registrable domain (eTLD+1) of a host
+   * @param {string} host - Canonical host
+   * @returns {string} Registrable domain, or the host itself for IPs/unknown hosts
+   */
+  getRegistrableDomain(host) {
+    const canonical = this.canonicalizeHost(host);
+    if (!canonical || this.isIPAddress(canonical)) {
+      return canonical;
+    }
+
+    const labels = canonical.split('.');
+    for (let i = labels.length - 1; i >= 0; i--) {
+      const candidate = labels.slice(i).join('.');
+      if (!this.isPublicSuffix(candidate)) {
+        return candidate;
+      }
+    }
+    return canonical;
+  },
+
+  /**
+   * RFC 6265bis 5.1.3 domain matching
+   * @param {string} host - Request host (canonical)
+   * @param {string} domain - Cookie domain (canonical, no leading dot)
+   * @returns {boolean} True if host domain-matches domain
+   */
+  domainMatch(host, domain) {
+    if (host === domain) {
+      return true;
+    }
+    return !this.isIPAddress(host) && host.endsWith('.' + domain);
+  },
+
+  /**
+   * RFC 6265bis 5.1.4 default-path algorithm
+   * @param {string} requestPath - Path of the request URL
+   * @returns {string} Default cookie path
+   */
+  defaultPath(requestPath) {
+    if (!requestPath || requestPath.charAt(0) !== '/') {
+      return '/';
+    }
+    const lastSlash = requestPath.lastIndexOf('/');
+    return lastSlash === 0 ? '/' : requestPath.substring(0, lastSlash);
+  },
+
+  /**
+   * RFC 6265bis 5.1.4 path matching
+   * @param {string} requestPath - Path of the request URL
+   * @param {string} cookiePath - Path attribute of the cookie
+   * @returns {boolean} True if requestPath path-matches cookiePath
+   */
+  pathMatch(requestPath, cookiePath) {
+    if (requestPath === cookiePath) {
+      return true;
+    }
+    if (!requestPath.startsWith(cookiePath)) {
+      return false;
+    }
+    return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+  },
+
+  /**
+   * Check if a URL is a secure context for cookie purposes
+   * localhost is treated as potentially trustworthy (matches Chromium)
+   * @param {URL} url - Parsed URL
+   * @returns {boolean} True if Secure cookies may be set/sent
+   */
+  isSecureUrl(url) {
+    if (url.protocol === 'https:' || url.protocol === 'wss:') {
+      return true;
+    }
+    const host = url.hostname;
+    return host === 'localhost' || host.endsWith('.localhost') || host === '127.0.0.1' || host === '[::1]';
+  },
+
+  /**
+   * RFC 6265bis 5.1.1 cookie-date parser
+   * @param {string} value - Expires attribute value
+   * @returns {number|null} Milliseconds since epoch, or null if unparseable
+   */
+  parseCookieDate(value) {
+    const tokens = String(value).split(/[\x09\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]+/).filter(Boolean);
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    let time = null;
+    let dayOfMonth = null;
+    let month = null;
+    let year = null;
+
+    // Each token is tried as time, day-of-month, month, then year (first match wins)
+    tokens.forEach(token => {
+      const timeMatch = token.match(/^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\D.*)?$/);
+      if (time === null && timeMatch) {
+        time = [parseInt(timeMatch[1], 10), parseInt(timeMatch[2], 10), parseInt(timeMatch[3], 10)];
+      } else if (dayOfMonth === null && /^\d{1,2}(?:\D.*)?$/.test(token)) {
+        dayOfMonth = parseInt(token, 10);
+      } else if (month === null && months.indexOf(token.substring(0, 3).toLowerCase()) !== -1) {
+        month = months.indexOf(token.substring(0, 3).toLowerCase());
+      } else if (year === null && /^\d{2,4}(?:\D.*)?$/.test(token)) {
+        year = parseInt(token, 10);
+      }
+    });
+
+    if (time === null || dayOfMonth === null || month === null || year === null) {
+      return null;
+    }
+
+    if (year >= 70 && year <= 99) year += 1900;
+    if (year >= 0 && year <= 69) year += 2000;
+
+    if (dayOfMonth < 1 || dayOfMonth > 31 || year < 1601 || time[0] > 23 || time[1] > 59 || time[2] > 59) {
+      return null;
+    }
+
+    const ms = Date.UTC(year, month, dayOfMonth, time[0], time[1], time[2]);
+    // Reject non-existent dates such as Feb 31
+    if (new Date(ms).getUTCDate() !== dayOfMonth) {
+      return null;
+    }
+    return ms;
+  },
+
+  /**
+   * Check if a cookie is a session cookie (no Expires or Max-Age)
+   * @param {Object} cookie - Cookie object
+   * @returns {boolean} True if the cookie has no expiration date
+   */
+  isSessionCookie(cookie) {
+    return cookie.expirationDate === undefined || cookie.expirationDate === null || cookie.expirationDate === '';
+  },
+
+  /**
+   * Check if a cookie has expired
+   * Session cookies never expire here; the session's cookie lifetime policy in
+   * background.js decides when they are dropped.
+   * @param {Object} cookie - Cookie object
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if expired
+   */
+  isExpired(cookie, now = Date.now()) {
+    if (this.isSessionCookie(cookie)) {
+      return false; // Session cookie
+    }
+    if (typeof cookie.expirationDate === 'number') {
+      return now / 1000 >= cookie.expirationDate;
+    }
+    // Legacy records stored the raw Expires string
+    const parsed = this.parseCookieDate(cookie.expirationDate);
+    const legacy = parsed !== null ? parsed : new Date(cookie.expirationDate).getTime();
+    return !isNaN(legacy) && now >= legacy;
+  },
+
+  /**
+   * Parse a Set-Cookie header (or document.cookie assignment) per RFC 6265bis 5.6/5.7
+   * @param {string} setCookieString - Raw Set-Cookie value
+   * @param {string} requestUrl - URL of the response / document setting the cookie
+   * @param {Object} options - { fromHttp: boolean, now: number }
+   * @returns {Object|null} Cookie object, or null if the cookie must be ignored
+   */
+  parseSetCookie(setCookieString, requestUrl, options = {}) {
+    const fromHttp = options.fromHttp !== false;
+    const now = options.now || Date.now();
+
+    if (typeof setCookieString !== 'string' || !requestUrl) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(requestUrl);
+    } catch (e) {
+      console.error('[Cookie Jar] Invalid request URL:', requestUrl);
+      return null;
+    }
+
+    // Step 1: Control characters (except HTAB) abort the whole cookie
+    if (/[\x00-\x08\x0A-\x1F\x7F]/.test(setCookieString)) {
+      return this._reject('control character in cookie string', setCookieString);
+    }
+
+    // Step 2: name-value-pair is everything up to the first ';'
+    const semicolon = setCookieString.indexOf(';');
+    const nameValuePair = semicolon === -1 ? setCookieString : setCookieString.substring(0, semicolon);
+    const unparsedAttributes = semicolon === -1 ? '' : setCookieString.substring(semicolon);
+
+    // Step 3: split on the FIRST '=' only; no '=' means an empty name
+    let name;
+    let value;
+    const equals = nameValuePair.indexOf('=');
+    if (equals === -1) {
+      name = '';
+      value = nameValuePair.trim();
+    } else {
+      name = nameValuePair.substring(0, equals).trim();
+      value = nameValuePair.substring(equals + 1).trim();
+    }
+
+    if (name === '' && value === '') {
+      return this._reject('empty name and value', setCookieString);
+    }
+    if (name.length + value.length > this.CONFIG.MAX_NAME_VALUE_BYTES) {
+      return this._reject('name/value too large', name);
+    }
+
+    const attributes = this._parseAttributes(unparsedAttributes);
+    const host = this.canonicalizeHost(url.hostname);
+    const secureOrigin = this.isSecureUrl(url);
+
+    const cookie = {
+      name: name,
+      value: value,
+      domain: host,
+      hostOnly: true,
+      path: this.defaultPath(url.pathname),
+      secure: false,
+      httpOnly: false,
+      sameSite: 'unspecified',
+      session: true,
+      creationTime: now,
+      lastAccessTime: now
+    };
+
+    // Expiry: Max-Age takes precedence over Expires
+    if (attributes.maxAge !== undefined) {
+      const delta = Math.min(attributes.maxAge, this.CONFIG.MAX_AGE_CAP_SECONDS);
+      cookie.expirationDate = delta <= 0 ? 0 : Math.floor(now / 1000) + delta;
+      cookie.session = false;
+    } else if (attributes.expires !== undefined) {
+      const capped = Math.min(attributes.expires, now + this.CONFIG.MAX_AGE_CAP_SECONDS * 1000);
+      cookie.expirationDate = Math.floor(capped / 1000);
+      cookie.session = false;
+    }
+
+    // Domain attribute: host-only vs domain cookie
+    if (attributes.domain) {
+      let domain = attributes.domain;
+
+      if (this.isPublicSuffix(domain)) {
+        if (domain === host) {
+          domain = ''; // Public suffix equal to the host becomes host-only
+        } else {
+          return this._reject(`Domain=${domain} is a public suffix`, name);
+        }
+      }
+
+      if (domain) {
+        if (!this.domainMatch(host, domain)) {
+          return this._reject(`Domain=${domain} does not match host ${host}`, name);
+        }
+        cookie.hostOnly = false;
+        cookie.domain = '.' + domain;
+      }
+    }
+
+    if (attributes.path) {
+      cookie.path = attributes.path;
+    }
+
+    if (attributes.secure) {
+      if (!secureOrigin) {
+        return this._reject('Secure cookie from insecure origin', name);
+      }
+      cookie.secure = true;
+    }
+
+    if (attributes.httpOnly) {
+      if (!fromHttp) {
+        return this._reject('HttpOnly cookie from non-HTTP API', name);
+      }
+      cookie.httpOnly = true;
+    }
+
+    if (attributes.sameSite) {
+      cookie.sameSite = attributes.sameSite;
+    }
+
+    // SameSite=None requires Secure (Chromium behavior)
+    if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+      return this._reject('SameSite=None without Secure', name);
+    }
+
+    // Cookie name prefixes (case-insensitive per RFC 6265bis 4.1.3)
+    const lowerName = name.toLowerCase();
+    if (lowerName.startsWith('__secure-') && !cookie.secure) {
+      return this._reject('__Secure- prefix requires Secure', name);
+    }
+    if (lowerName.startsWith('__host-')) {
+      if (!cookie.secure || !cookie.hostOnly || cookie.path !== '/') {
+        return this._reject('__Host- prefix requires Secure, no Domain and Path=/', name);
+      }
+    }
+    // Nameless cookies must not smuggle a prefix through the value
+    if (name === '' && /^__(secure|host)-/i.test(value)) {
+      return this._reject('prefixed value in nameless cookie', value);
+    }
+
+    return cookie;
+  },
+
+  /**
+   * Parse the cookie-av list of a Set-Cookie string (last occurrence wins)
+   * @param {string} unparsedAttributes - Everything after the first ';'
+   * @returns {Object} { expires, maxAge, domain, path, secure, httpOnly, sameSite }
+   */
+  _parseAttributes(unparsedAttributes) {
+    const result = {};
+
+    unparsedAttributes.split(';').forEach(av => {
+      if (!av.trim()) {
+        return;
+      }
+
+      const equals = av.indexOf('=');
+      const key = (equals === -1 ? av : av.substring(0, equals)).trim().toLowerCase();
+      const val = equals === -1 ? '' : av.substring(equals + 1).trim();
+
+      if (val.length > this.CONFIG.MAX_ATTRIBUTE_VALUE_BYTES) {
+        return; // Oversized attribute values are ignored
+      }
+
+      if (key === 'expires') {
+        const parsed = this.parseCookieDate(val);
+        if (parsed !== null) {
+          result.expires = parsed;
+        }
+      } else if (key === 'max-age') {
+        if (/^-?\d+$/.test(val)) {
+          result.maxAge = parseInt(val, 10);
+        }
+      } else if (key === 'domain') {
+        if (val) {
+          result.domain = this.canonicalizeHost(val);
+        }
+      } else if (key === 'path') {
+        result.path = val && val.charAt(0) === '/' ? val : undefined;
+      } else if (key === 'secure') {
+        result.secure = true;
+      } else if (key === 'httponly') {
+        result.httpOnly = true;
+      } else if (key === 'samesite') {
+        const lower = val.toLowerCase();
+        if (lower === 'strict') result.sameSite = 'strict';
+        else if (lower === 'lax') result.sameSite = 'lax';
+        else if (lower === 'none') result.sameSite = 'no_restriction';
+      }
+    });
+
+    return result;
+  },
+
+  /**
+   * Log a rejected cookie and return null
+   * @param {string} reason - Why the cookie was rejected
+   * @param {string} subject - Cookie name or string for the log
+   * @returns {null}
+   */
+  _reject(reason, subject) {
+    console.warn(`[Cookie Jar] Ignoring cookie (${reason}):`, subject);
+    return null;
+  },
+
+  /**
+   * Convert a chrome.cookies.Cookie into a jar cookie
+   * @param {Object} chromeCookie - Cookie from chrome.cookies API
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} Jar cookie
+   */
+  fromChromeCookie(chromeCookie, now = Date.now()) {
+    const hostOnly = chromeCookie.hostOnly !== undefined
+      ? chromeCookie.hostOnly
+      : !String(chromeCookie.domain).startsWith('.');
+    const host = this.canonicalizeHost(chromeCookie.domain);
+    const cookie = {
+      name: chromeCookie.name,
+      value: chromeCookie.value,
+      domain: hostOnly ? host : '.' + host,
+      hostOnly: hostOnly,
+      path: chromeCookie.path || '/',
+      secure: !!chromeCookie.secure,
+      httpOnly: !!chromeCookie.httpOnly,
+      sameSite: chromeCookie.sameSite || 'unspecified',
+      session: chromeCookie.session !== undefined ? chromeCookie.session : !chromeCookie.expirationDate,
+      creationTime: now,
+      lastAccessTime: now
+    };
+    if (chromeCookie.expirationDate) {
+      cookie.expirationDate = chromeCookie.expirationDate;
+    }
+    return cookie;
+  },
+
+  /**
+   * Insert a cookie into a session jar (RFC 6265bis 5.7 storage model steps)
+   * Keeps the original creation time on overwrite and applies eviction.
+   * @param {Object} jar - Session jar { domainKey: { path: { name: cookie } } }
+   * @param {Object} cookie - Parsed cookie
+   * @param {Object} options - { fromHttp: boolean, secureOrigin: boolean, now: number }
+   * @returns {Object} { stored: boolean, reason?: string, evicted: number, evictedCookies?: Array<Object> (when stored) }
+   */
+  insert(jar, cookie, options = {}) {
+    const fromHttp = options.fromHttp !== false;
+    const secureOrigin = options.secureOrigin !== false;
+    const now = options.now || Date.now();
+    const domainKey = cookie.domain;
+
+    // Leave Secure cookies alone: an insecure origin may not shadow a Secure cookie
+    if (!cookie.secure && !secureOrigin) {
+      const cookieHost = this.canonicalizeHost(domainKey);
+      const shadowed = this.getAllCookies(jar).some(existing =>
+        existing.secure &&
+        existing.name === cookie.name &&
+        (this.domainMatch(cookieHost, this.canonicalizeHost(existing.domain)) ||
+          this.domainMatch(this.canonicalizeHost(existing.domain), cookieHost)) &&
+        this.pathMatch(cookie.path, existing.path)
+      );
+      if (shadowed) {
+        return { stored: false, reason: 'would overwrite a Secure cookie from an insecure origin', evicted: 0 };
+      }
+    }
+
+    const existing = jar[domainKey] && jar[domainKey][cookie.path]
+      ? jar[domainKey][cookie.path][cookie.name]
+      : undefined;
+
+    if (existing) {
+      if (existing.httpOnly && !fromHttp) {
+        return { stored: false, reason: 'would overwrite an HttpOnly cookie from a non-HTTP API', evicted: 0 };
+      }
+      if (existing.creationTime) {
+        cookie.creationTime = existing.creationTime;
+      }
+    }
+
+    // An already-expired cookie deletes any existing cookie with the same key
+    if (this.isExpired(cookie, now)) {
+      if (existing) {
+        this._removeKey(jar, domainKey, cookie.path, cookie.name);
+      }
+      return { stored: false, reason: 'expired', evicted: existing ? 1 : 0 };
+    }
+
+    if (!jar[domainKey]) {
+      jar[domainKey] = {};
+    }
+    if (!jar[domainKey][cookie.path]) {
+      jar[domainKey][cookie.path] = {};
+    }
+    jar[domainKey][cookie.path][cookie.name] = cookie;
+
+    const evicted = this.evict(jar, now, cookie);
+    return { stored: true, evicted: evicted.length, evictedCookies: evicted };
+  },
+
+  /**
+   * Remove a cookie by key and prune empty containers
+   * @param {Object} jar - Session jar
+   * @param {string} domainKey - Domain key
+   * @param {string} path - Cookie path
+   * @param {string} name - Cookie name
+   */
+  _removeKey(jar, domainKey, path, name) {
+    if (!jar[domainKey] || !jar[domainKey][path]) {
+      return;
+    }
+    delete jar[domainKey][path][name];
+    if (Object.keys(jar[domainKey][path]).length === 0) {
+      delete jar[domainKey][path];
+    }
+    if (Object.keys(jar[domainKey]).length === 0) {
+      delete jar[domainKey];
+    }
+  },
+
+  /**
+   * Delete a cookie by key
+   * @param {Object} jar - Session jar
+   * @param {string} domainKey - Domain key (host, or ".domain" for domain cookies)
+   * @param {string} path - Cookie path
+   * @param {string} name - Cookie name
+   * @returns {boolean} True if the cookie existed
+   */
+  remove(jar, domainKey, path, name) {
+    const exists = !!(jar && jar[domainKey] && jar[domainKey][path] &&
+      Object.prototype.hasOwnProperty.call(jar[domainKey][path], name));
+    if (exists) {
+      this._removeKey(jar, domainKey, path, name);
+    }
+    return exists;
+  },
+
+  /**
+   * Flatten a session jar into an array of cookies
+   * @param {Object} jar - Session jar
+   * @returns {Array<Object>} All cookies
+   */
+  getAllCookies(jar) {
+    const cookies = [];
+    if (!jar) {
+      return cookies;
+    }
+    Object.keys(jar).forEach(domainKey => {
+      Object.keys(jar[domainKey]).forEach(path => {
+        Object.values(jar[domainKey][path]).forEach(cookie => cookies.push(cookie));
+      });
+    });
+    return cookies;
+  },
+
+  /**
+   * Evict cookies over the per-domain and per-session limits (RFC 6265bis 5.7 step 13)
+   * Expired cookies go first, then least recently accessed. The cookie that was
+   * just stored is never evicted in favour of an older one.
+   * @param {Object} jar - Session jar
+   * @param {number} now - Current time in milliseconds
+   * @param {Object} protectedCookie - Cookie that must survive eviction
+   * @returns {Array<Object>} Removed cookies
+   */
+  evict(jar, now = Date.now(), protectedCookie = null) {
+    const removed = [];
+    const all = this.getAllCookies(jar);
+
+    all.forEach(cookie => {
+      if (this.isExpired(cookie, now)) {
+        this._removeKey(jar, cookie.domain, cookie.path, cookie.name);
+        removed.push(cookie);
+      }
+    });
+
+    const byAccess = (a, b) => (a.lastAccessTime || a.creationTime || 0) - (b.lastAccessTime || b.creationTime || 0);
+    const evictFrom = (cookies, limit) => {
+      if (cookies.length <= limit) {
+        return;
+      }
+      const candidates = cookies.filter(c => c !== protectedCookie).sort(byAccess);
+      candidates.slice(0, cookies.length - limit).forEach(cookie => {
+        this._removeKey(jar, cookie.domain, cookie.path, cookie.name);
+        removed.push(cookie);
+      });
+    };
+
+    // Per registrable domain
+    const groups = {};
+    this.getAllCookies(jar).forEach(cookie => {
+      const site = this.getRegistrableDomain(cookie.domain);
+      (groups[site] = groups[site] || []).push(cookie);
+    });
+    Object.keys(groups).forEach(site => evictFrom(groups[site], this.CONFIG.MAX_COOKIES_PER_DOMAIN));
+
+    // Per session
+    evictFrom(this.getAllCookies(jar), this.CONFIG.MAX_COOKIES_PER_SESSION);
+
+    if (removed.length > 0) {
+      console.log(`[Cookie Jar] Evicted ${removed.length} cookies`);
+    }
+    return removed;
+  },
+
+  /**
+   * Determine whether a request is same-site (schemeful) for SameSite enforcement
+   * @param {URL} url - Request URL
+   * @param {Object} context - { initiator, topLevelUrl, type }
+   * @returns {boolean} True if the request is same-site
+   */
+  isSameSiteRequest(url, context) {
+    const siteOf = (u) => {
+      try {
+        const parsed = u instanceof URL ? u : new URL(u);
+        const scheme = parsed.protocol === 'wss:' ? 'https:' : parsed.protocol === 'ws:' ? 'http:' : parsed.protocol;
+        return scheme + '//' + this.getRegistrableDomain(parsed.hostname);
+      } catch (e) {
+        return null; // Opaque origins ("null") are never same-site
+      }
+    };
+
+    const requestSite = siteOf(url);
+
+    if (context.initiator !== undefined && context.initiator !== null) {
+      if (siteOf(context.initiator) !== requestSite) {
+        return false;
+      }
+    }
+
+    if (context.type !== 'main_frame' && context.topLevelUrl) {
+      if (siteOf(context.topLevelUrl) !== requestSite) {
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Select the cookies a request may carry (RFC 6265bis 5.8.3), sorted for the Cookie header
+   * @param {Object} jar - Session jar
+   * @param {string} requestUrl - Request URL
+   * @param {Object} context - {
+   *   fromHttp: boolean (false for document.cookie),
+   *   initiator: string, topLevelUrl: string, type: string, method: string, now: number
+   * }
+   * @returns {Array<Object>} Matching cookies, longest path first then oldest first
+   */
+  getCookiesForRequest(jar, requestUrl, context = {}) {
+    const cookies = [];
+    if (!jar) {
+      return cookies;
+    }
+
+    let url;
+    try {
+      url = new URL(requestUrl);
+    } catch (e) {
+      console.error('[Cookie Jar] Invalid request URL:', requestUrl);
+      return cookies;
+    }
+
+    const fromHttp = context.fromHttp !== false;
+    const now = context.now || Date.now();
+    const host = this.canonicalizeHost(url.hostname);
+    const path = url.pathname || '/';
+    const secure = this.isSecureUrl(url);
+    const sameSite = this.isSameSiteRequest(url, context);
+    const method = (context.method || 'GET').toUpperCase();
+    const topLevelSafe = context.type === 'main_frame' && (method === 'GET' || method === 'HEAD');
+    const topLevel = context.type === 'main_frame' || context.type === undefined;
+
+    // Candidate domain keys: the host plus every parent that is not a public suffix
+    const candidateKeys = [host, '.' + host];
+    if (!this.isIPAddress(host)) {
+      const labels = host.split('.');
+      for (let i = 1; i < labels.length; i++) {
+        const parent = labels.slice(i).join('.');
+        if (this.isPublicSuffix(parent)) {
+          break;
+        }
+        candidateKeys.push(parent, '.' + parent);
+      }
+    }
+
+    candidateKeys.forEach(domainKey => {
+      const byPath = jar[domainKey];
+      if (!byPath) {
+        return;
+      }
+
+      Object.keys(byPath).forEach(cookiePath => {
+        if (!this.pathMatch(path, cookiePath)) {
+          return;
+        }
+
+        Object.values(byPath[cookiePath]).forEach(cookie => {
+          // Host-only cookies only go to the exact host. Legacy records without
+          // hostOnly keep the old parent-domain matching behavior.
+          if (cookie.hostOnly === true && this.canonicalizeHost(cookie.domain) !== host) {
+            return;
+          }
+          if (this.isExpired(cookie, now)) {
+            return;
+          }
+          if (cookie.secure && !secure) {
+            return;
+          }
+          if (cookie.httpOnly && !fromHttp) {
+            return;
+          }
+          if (!sameSite) {
+            if (cookie.sameSite === 'strict') {
+              return;
+            }
+            if (cookie.sameSite === 'lax' && !topLevelSafe) {
+              return;
+            }
+            if (cookie.sameSite === 'unspecified') {
+              // Lax-by-default, with Chromium's two-minute Lax-allowing-unsafe window
+              const recent = cookie.creationTime && now - cookie.creationTime < this.CONFIG.LAX_ALLOWING_UNSAFE_MS;
+              if (!topLevelSafe && !(recent && topLevel && context.type === 'main_frame')) {
+                return;
+              }
+            }
+          }
+          cookies.push(cookie);
+        });
+      });
+    });
+
+    cookies.sort((a, b) => {
+      if (b.path.length !== a.path.length) {
+        return b.path.length - a.path.length;
+      }
+      return (a.creationTime || 0) - (b.creationTime || 0);
+    });
+
+    cookies.forEach(cookie => {
+      cookie.lastAccessTime = now;
+    });
+
+    return cookies;
+  },
+
+  /**
+   * Serialize cookies for a Cookie header (RFC 6265bis 5.8.3 step 4)
+   * @param {Array<Object>} cookies - Cookies in header order
+   * @returns {string} Cookie header value
+   */
+  formatCookieHeader(cookies) {
+    return cookies.map(c => (c.name === '' ? c.value : `${c.name}=${c.value}`)).join('; ');
+  }
+};
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = cookieJar;
+}
+
+console.log('[Cookie Jar] ✓ Cookie jar loaded');
@@ -1,22 +1,30 @@
-// Quick TLD counter script
+// Quick public suffix counter script
+// Reads the same bundled list the extension uses for cookie domain checks
+// Usage: node count-tlds.js [path/to/public_suffix_list.dat]
 const fs = require('fs');
+const path = require('path');
+const publicSuffixList = require('./public-suffix-list.js');
 
-const code = fs.readFileSync('background.js', 'utf8');
-const match = code.match(/const commonTLDs = \[([\s\S]*?)\];/);
+const listPath = process.argv[2] || path.join(__dirname, '..', 'libs', 'public_suffix_list.dat');
+const listText = fs.readFileSync(listPath, 'utf8');
+const rules = publicSuffixList.parse(listText);
+publicSuffixList.loadFromText(listText, 'bundled');
 
-if (match) {
-  const content = match[1];
-  const tlds = content
-    .split(',')
-    .map(s => s.trim())
-    .map(s => s.replace(/^['"]/, '').replace(/['"]$/, ''))
-    .filter(s => s && !s.startsWith('//'));
+const normalRules = rules.filter(r => !r.startsWith('!') && !r.startsWith('*.'));
+const wildcardRules = rules.filter(r => r.startsWith('*.'));
+const exceptionRules = rules.filter(r => r.startsWith('!'));
 
-  console.log('Total TLDs:', tlds.length);
-  console.log('\nCategories:');
-  console.log('- Generic TLDs (gTLD):', tlds.filter(t => !t.includes('.')).slice(0, 20).length + ' (estimated)');
-  console.log('- Multi-part TLDs:', tlds.filter(t => t.includes('.')).length);
-  console.log('\nSample new gTLDs:', tlds.filter(t => ['app', 'dev', 'io', 'cloud', 'tech', 'ai'].includes(t)).join(', '));
-  console.log('\nSample ccTLDs:', tlds.filter(t => ['ca', 'mx', 'sg', 'ae', 'za'].includes(t)).join(', '));
-  console.log('\nSample multi-part:', tlds.filter(t => t.includes('.')).slice(0, 10).join(', '));
-}
+console.log('List file:', listPath);
+console.log('Total rules:', rules.length);
+console.log('\nCategories:');
+console.log('- Top-level suffixes:', normalRules.filter(r => !r.includes('.')).length);
+console.log('- Multi-part suffixes:', normalRules.filter(r => r.includes('.')).length);
+console.log('- Wildcard rules:', wildcardRules.length);
+console.log('- Exception rules:', exceptionRules.length);
+console.log('\nSample new gTLDs:', rules.filter(t => ['app', 'dev', 'io', 'cloud', 'tech', 'ai'].includes(t)).join(', '));
+console.log('\nSample ccTLDs:', rules.filter(t => ['ca', 'mx', 'sg', 'ae', 'za'].includes(t)).join(', '));
+console.log('\nSample multi-part:', normalRules.filter(t => t.includes('.')).slice(0, 10).join(', '));
+console.log('\nSample lookups:');
+['www.example.co.uk', 'user.github.io', 'app.herokuapp.com', 'localhost'].forEach(host => {
+  console.log(`- ${host}: suffix=${publicSuffixList.getPublicSuffix(host)}, registrable=${publicSuffixList.getRegistrableDomain(host)}`);
+});
@@ -0,0 +1,439 @@
+/**
+ * HAR Capture - records the HTTP traffic of one session's tabs
+ * Fed by the onBeforeSendHeaders and onHeadersReceived listeners in background.js,
+ * so entries show the headers as Sessner sent them (with the injected Cookie
+ * header) and the Set-Cookie headers Sessner stripped from responses.
+ * Exported as HAR 1.2 (http://www.softwareishard.com/blog/har-12-spec/).
+ *
+ * Only metadata is captured: request and response bodies are not available to
+ * webRequest listeners. Captures are kept in memory until cleared or replaced.
+ * Exports redact cookie values, credentials, header rule values and sensitive URL
+ * parameters (OAuth codes, tokens, signatures) by default.
+ *
+ * Used by background.js (listeners and message actions) and the storage
+ * diagnostics page (start, stop, export).
+ */
+
+const harCapture = {
+  /**
+   * Capture configuration
+   */
+  CONFIG: {
+    MAX_ENTRIES: 5000,
+    MAX_PENDING: 500, // Requests still waiting for response headers
+    REDACTED: '[redacted]',
+    CREDENTIAL_HEADERS: ['authorization', 'proxy-authorization'],
+    // Headers holding URLs (an OAuth redirect carries the code in Location)
+    URL_HEADERS: ['location', 'referer'],
+    // URL parameter names whose values are redacted: exact names, then any name
+    // containing token, secret, signature, credential or password
+    SENSITIVE_PARAMS: /^(code|sig|key|api[-_]?key|auth|pwd|passwd|otp|sid|session[-_]?id|ticket|saml(request|response))$|token|secret|signature|credential|password/i,
+    HAR_VERSION: '1.2'
+  },
+
+  /**
+   * Current capture (null before the first start)
+   * { sessionId, sessionName, startedAt, stoppedAt, entries, dropped }
+   */
+  capture: null,
+
+  /**
+   * Entries waiting for response headers, by webRequest requestId
+   */
+  pending: new Map(),
+
+  /**
+   * Start capturing a session's traffic (replaces any previous capture)
+   * @param {string} sessionId - Session ID
+   * @param {string|null} sessionName - Session name (kept for the export)
+   * @returns {Object} Capture status
+   */
+  start(sessionId, sessionName = null) {
+    this.capture = {
+      sessionId: sessionId,
+      sessionName: sessionName,
+      startedAt: Date.now(),
+      stoppedAt: null,
+      entries: [],
+      dropped: 0
+    };
+    this.pending.clear();
+    console.log(`[HAR Capture] Started for session ${sessionId}`);
+    return this.getStatus();
+  },
+
+  /**
+   * Stop capturing (entries are kept for export)
+   * @returns {Object} Capture status
+   */
+  stop() {
+    if (this.capture && !this.capture.stoppedAt) {
+      this.capture.stoppedAt = Date.now();
+      this.pending.clear();
+      console.log(`[HAR Capture] Stopped (${this.capture.entries.length} entries)`);
+    }
+    return this.getStatus();
+  },
+
+  /**
+   * Discard the capture
+   */
+  clear() {
+    this.capture = null;
+    this.pending.clear();
+  },
+
+  /**
+   * Check if a session's traffic is being captured
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True while capturing this session
+   */
+  isCapturing(sessionId) {
+    return !!(this.capture && !this.capture.stoppedAt && this.capture.sessionId === sessionId);
+  },
+
+  /**
+   * Get the capture status
+   * @returns {Object} { capturing, sessionId, sessionName, startedAt, stoppedAt, entries, dropped }
+   */
+  getStatus() {
+    if (!this.capture) {
+      return { capturing: false, sessionId: null, sessionName: null, startedAt: null, stoppedAt: null, entries: 0, dropped: 0 };
+    }
+    return {
+      capturing: !this.capture.stoppedAt,
+      sessionId: this.capture.sessionId,
+      sessionName: this.capture.sessionName,
+      startedAt: this.capture.startedAt,
+      stoppedAt: this.capture.stoppedAt,
+      entries: this.capture.entries.length,
+      dropped: this.capture.dropped
+    };
+  },
+
+  /**
+   * Find a header value (case-insensitive)
+   * @param {Array<Object>} headers - [{ name, value }]
+   * @param {string} name - Header name
+   * @returns {string|null} First value
+   */
+  findHeader(headers, name) {
+    const wanted = name.toLowerCase();
+    const header = (headers || []).find(h => h.name.toLowerCase() === wanted);
+    return header ? (header.value || '') : null;
+  },
+
+  /**
+   * Parse a Cookie request header into HAR cookies
+   * @param {string|null} header - "a=1; b=2"
+   * @returns {Array<Object>} [{ name, value }]
+   */
+  parseCookieHeader(header) {
+    if (!header) {
+      return [];
+    }
+    return header.split(';').map(pair => pair.trim()).filter(pair => pair).map(pair => {
+      const eq = pair.indexOf('=');
+      return eq === -1
+        ? { name: '', value: pair }
+        : { name: pair.substring(0, eq).trim(), value: pair.substring(eq + 1).trim() };
+    });
+  },
+
+  /**
+   * Parse a Set-Cookie header line into a HAR cookie
+   * @param {string} line - Set-Cookie value
+   * @returns {Object} { name, value, path?, domain?, expires?, httpOnly, secure, sameSite? }
+   */
+  parseSetCookieHeader(line) {
+    const parts = line.split(';');
+    const first = parts.shift();
+    const eq = first.indexOf('=');
+    const cookie = {
+      name: eq === -1 ? '' : first.substring(0, eq).trim(),
+      value: eq === -1 ? first.trim() : first.substring(eq + 1).trim(),
+      httpOnly: false,
+      secure: false
+    };
+
+    parts.forEach(part => {
+      const attrEq = part.indexOf('=');
+      const key = (attrEq === -1 ? part : part.substring(0, attrEq)).trim().toLowerCase();
+      const value = attrEq === -1 ? '' : part.substring(attrEq + 1).trim();
+      if (key === 'path') {
+        cookie.path = value;
+      } else if (key === 'domain') {
+        cookie.domain = value;
+      } else if (key === 'expires') {
+        const time = Date.parse(value);
+        if (!isNaN(time)) {
+          cookie.expires = new Date(time).toISOString();
+        }
+      } else if (key === 'httponly') {
+        cookie.httpOnly = true;
+      } else if (key === 'secure') {
+        cookie.secure = true;
+      } else if (key === 'samesite') {
+        cookie.sameSite = value;
+      }
+    });
+    return cookie;
+  },
+
+  /**
+   * Get the Set-Cookie lines of a response (folded headers are split on newlines)
+   * @param {Array<Object>} headers - Response headers
+   * @returns {Array<string>} Set-Cookie values
+   */
+  getSetCookieLines(headers) {
+    const lines = [];
+    (headers || []).forEach(header => {
+      if (header.name.toLowerCase() === 'set-cookie' && header.value) {
+        header.value.split('\n').forEach(line => {
+          if (line.trim()) {
+            lines.push(line.trim());
+          }
+        });
+      }
+    });
+    return lines;
+  },
+
+  /**
+   * Record a request as sent (called from onBeforeSendHeaders)
+   * @param {string} sessionId - Session of the tab
+   * @param {Object} details - webRequest details
+   * @param {Array<Object>} headers - Request headers as returned to the browser
+   * @param {number} injectedCookies - Number of session cookies Sessner injected
+   * @param {Array<string>} ruleHeaders - Names of the headers set by the session's header rules
+   * @returns {Object|null} The entry, or null when the session is not captured
+   */
+  recordRequest(sessionId, details, headers, injectedCookies = 0, ruleHeaders = []) {
+    if (!this.isCapturing(sessionId)) {
+      return null;
+    }
+
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(details.url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (e) {
+      // Keep an empty query string
+    }
+
+    const entry = {
+      startedDateTime: new Date(details.timeStamp || Date.now()).toISOString(),
+      time: 0,
+      request: {
+        method: details.method,
+        url: details.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: this.parseCookieHeader(this.findHeader(headers, 'cookie')),
+        headers: (headers || []).map(h => ({ name: h.name, value: h.value || '' })),
+        queryString: queryString,
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: 0,
+        statusText: '',
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: 'x-unknown' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      _resourceType: details.type,
+      _sessner: {
+        tabId: details.tabId,
+        requestId: details.requestId,
+        initiator: details.initiator || null,
+        injectedCookies: injectedCookies,
+        ruleHeaders: ruleHeaders.map(name => name.toLowerCase()),
+        strippedSetCookies: 0,
+        storedCookies: 0
+      },
+      _requestTime: details.timeStamp || Date.now()
+    };
+
+    const capture = this.capture;
+    capture.entries.push(entry);
+    if (capture.entries.length > this.CONFIG.MAX_ENTRIES) {
+      capture.entries.shift();
+      capture.dropped++;
+    }
+
+    // A redirect reuses the requestId; each hop is its own entry
+    this.pending.delete(details.requestId);
+    this.pending.set(details.requestId, entry);
+    if (this.pending.size > this.CONFIG.MAX_PENDING) {
+      this.pending.delete(this.pending.keys().next().value);
+    }
+    return entry;
+  },
+
+  /**
+   * Record response headers (called from onHeadersReceived, before Set-Cookie is stripped)
+   * @param {string} sessionId - Session of the tab
+   * @param {Object} details - webRequest details (responseHeaders as received)
+   * @param {number} storedCookies - Number of Set-Cookie cookies stored in the session jar
+   * @returns {Object|null} The entry, or null when there is no matching request
+   */
+  recordResponse(sessionId, details, storedCookies = 0) {
+    if (!this.isCapturing(sessionId)) {
+      return null;
+    }
+    const entry = this.pending.get(details.requestId);
+    if (!entry) {
+      return null;
+    }
+    this.pending.delete(details.requestId);
+
+    const statusLine = details.statusLine || '';
+    const versionMatch = statusLine.match(/^(HTTP\/[\d.]+)\s+\d+\s*(.*)$/);
+    const setCookies = this.getSetCookieLines(details.responseHeaders);
+    const headers = details.responseHeaders || [];
+
+    entry.time = Math.max(0, Math.round((details.timeStamp || Date.now()) - entry._requestTime));
+    entry.timings.wait = entry.time;
+    entry.request.httpVersion = versionMatch ? versionMatch[1] : entry.request.httpVersion;
+    entry.response.status = details.statusCode || 0;
+    entry.response.statusText = versionMatch ? versionMatch[2] : '';
+    entry.response.httpVersion = versionMatch ? versionMatch[1] : 'HTTP/1.1';
+    entry.response.headers = headers.map(h => ({ name: h.name, value: h.value || '' }));
+    entry.response.cookies = setCookies.map(line => this.parseSetCookieHeader(line));
+    entry.response.content.mimeType = this.findHeader(headers, 'content-type') || 'x-unknown';
+    entry.response.redirectURL = this.findHeader(headers, 'location') || '';
+    entry._sessner.strippedSetCookies = setCookies.length;
+    entry._sessner.storedCookies = storedCookies;
+    return entry;
+  },
+
+  /**
+   * Check whether a URL parameter holds a secret
+   * @param {string} name - Parameter name (decoded or as in the URL)
+   * @returns {boolean} True if its value is redacted
+   */
+  isSensitiveParam(name) {
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (error) {
+      // Malformed escape - match the raw name
+    }
+    return this.CONFIG.SENSITIVE_PARAMS.test(decoded);
+  },
+
+  /**
+   * Redact the values of sensitive parameters in a URL's query and fragment
+   * The rest of the URL is kept as it was (relative URLs too).
+   * @param {string} url - URL
+   * @returns {string} URL with sensitive parameter values redacted
+   */
+  redactUrl(url) {
+    return url.replace(/([?#&;])([^=&#;]+)=([^&#;]*)/g, (match, separator, name) =>
+      this.isSensitiveParam(name) ? `${separator}${name}=${this.CONFIG.REDACTED}` : match);
+  },
+
+  /**
+   * Redact a header value
+   * Cookie and Set-Cookie keep their cookie names and attributes; credentials and
+   * header rule values (often API keys) are replaced whole; URLs in Location and
+   * Referer lose their sensitive parameter values.
+   * @param {string} name - Header name
+   * @param {string} value - Header value
+   * @param {Array<string>} ruleHeaders - Lowercase names of the headers set by header rules
+   * @returns {string} Redacted value (other headers unchanged)
+   */
+  redactHeader(name, value, ruleHeaders = []) {
+    const lower = name.toLowerCase();
+    if (this.CONFIG.CREDENTIAL_HEADERS.indexOf(lower) !== -1 || ruleHeaders.indexOf(lower) !== -1) {
+      return this.CONFIG.REDACTED;
+    }
+    if (this.CONFIG.URL_HEADERS.indexOf(lower) !== -1) {
+      return this.redactUrl(value);
+    }
+    if (lower === 'cookie') {
+      return value.split(';').map(pair => {
+        const eq = pair.indexOf('=');
+        return eq === -1 ? pair : `${pair.substring(0, eq)}=${this.CONFIG.REDACTED}`;
+      }).join(';');
+    }
+    if (lower === 'set-cookie') {
+      return value.split('\n').map(line => {
+        const semi = line.indexOf(';');
+        const first = semi === -1 ? line : line.substring(0, semi);
+        const eq = first.indexOf('=');
+        return eq === -1 ? line : `${first.substring(0, eq)}=${this.CONFIG.REDACTED}${semi === -1 ? '' : line.substring(semi)}`;
+      }).join('\n');
+    }
+    return value;
+  },
+
+  /**
+   * Build the HAR 1.2 document for the capture
+   * @param {Object} options - { redact?: boolean (default true), creatorVersion?: string }
+   * @returns {Object} HAR object ({ log })
+   */
+  buildHar(options = {}) {
+    const capture = this.capture || { sessionId: null, sessionName: null, startedAt: Date.now(), stoppedAt: null, entries: [], dropped: 0 };
+    const redact = options.redact !== false;
+
+    const entries = capture.entries.map(source => {
+      const entry = JSON.parse(JSON.stringify(source));
+      delete entry._requestTime;
+      if (redact) {
+        entry.request.cookies.forEach(cookie => { cookie.value = this.CONFIG.REDACTED; });
+        entry.response.cookies.forEach(cookie => { cookie.value = this.CONFIG.REDACTED; });
+        entry.request.headers.forEach(h => { h.value = this.redactHeader(h.name, h.value, entry._sessner.ruleHeaders); });
+        entry.response.headers.forEach(h => { h.value = this.redactHeader(h.name, h.value); });
+        entry.request.url = this.redactUrl(entry.request.url);
+        entry.request.queryString.forEach(param => {
+          if (this.isSensitiveParam(param.name)) {
+            param.value = this.CONFIG.REDACTED;
+          }
+        });
+        entry.response.redirectURL = this.redactUrl(entry.response.redirectURL);
+      }
+      return entry;
+    });
+
+    const notes = [
+      `Session ${capture.sessionName || capture.sessionId}`,
+      'response bodies not captured',
+      redact ? 'cookie values, credentials, header rule values and sensitive URL parameters redacted' :
+        'cookie values, credentials, header rule values and sensitive URL parameters included'
+    ];
+    if (capture.dropped > 0) {
+      notes.push(`${capture.dropped} oldest entries dropped`);
+    }
+
+    return {
+      log: {
+        version: this.CONFIG.HAR_VERSION,
+        creator: { name: 'Sessner', version: options.creatorVersion || '' },
+        pages: [],
+        entries: entries,
+        comment: notes.join('; '),
+        _sessner: {
+          sessionId: capture.sessionId,
+          sessionName: capture.sessionName,
+          startedAt: new Date(capture.startedAt).toISOString(),
+          stoppedAt: capture.stoppedAt ? new Date(capture.stoppedAt).toISOString() : null,
+          redacted: redact,
+          dropped: capture.dropped
+        }
+      }
+    };
+  }
+};
+
+// Export for use in background script and Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = harCapture;
+}
+
+console.log('[HAR Capture] ✓ HAR capture module loaded');
@@ -117,6 +117,7 @@ async function enforceSessionPersistence() {
     console.log(`[License Integration] Removing expired session (${tier} tier, ${features.sessionPersistenceDays} day limit):`, sessionId);
     delete sessionStore.sessions[sessionId];
     delete sessionStore.cookieStore[sessionId];
+    cookieChangeLog.removeSession(sessionId);
   }
 
   if (sessionsToRemove.length > 0) {
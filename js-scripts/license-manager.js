@@ -38,8 +38,9 @@
  * @property {boolean} sessionTemplates - Can create session templates
  * @property {boolean} encryption - AES-256 encryption for session data
  * @property {boolean} portableSessions - Cross-device session portability
- * @property {boolean} localAPI - Local HTTP API for automation
+ * @property {boolean} localAPI - Local automation API (external messaging, see local-api.js)
  * @property {boolean} multiProfile - Multiple profile management
+ * @property {boolean} keyboardShortcuts - Keyboard commands for session operations
  */
 
 /**
@@ -99,7 +100,8 @@ class LicenseManager {
         encryption: false,
         portableSessions: false,
         localAPI: false,
-        multiProfile: false
+        multiProfile: false,
+        keyboardShortcuts: false
       },
       premium: {
         maxSessions: Infinity,
@@ -110,7 +112,8 @@ class LicenseManager {
         encryption: false,
         portableSessions: false,
         localAPI: false,
-        multiProfile: false
+        multiProfile: false,
+        keyboardShortcuts: true
       },
       enterprise: {
         maxSessions: Infinity,
@@ -121,7 +124,8 @@ class LicenseManager {
         encryption: true,
         portableSessions: true,
         localAPI: true,
-        multiProfile: true
+        multiProfile: true,
+        keyboardShortcuts: true
       }
     };
 
@@ -222,7 +222,8 @@ function displayTierComparison() {
     'encryption',
     'portableSessions',
     'localAPI',
-    'multiProfile'
+    'multiProfile',
+    'keyboardShortcuts'
   ];
 
   featureNames.forEach(feature => {
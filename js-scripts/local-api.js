@@ -0,0 +1,642 @@
+/**
+ * Local Automation API - drive Sessner from test scripts (Enterprise tier)
+ * Listens on chrome.runtime.onMessageExternal for versioned command envelopes
+ * from allowlisted extension IDs (or localhost pages when enabled) and
+ * authenticates each call with a scoped bearer token.
+ *
+ * Command schema: docs/local-api.md
+ *
+ * Include this file in manifest.json background scripts AFTER background.js
+ * (commands call the session, cookie and export functions defined there).
+ */
+
+const localAPI = {
+  /**
+   * API configuration
+   */
+  CONFIG: {
+    STORAGE_KEY: 'localApiConfig',
+    API_NAME: 'sessner',
+    VERSION: '1.0', // Major version must match; minor versions only add commands/fields
+    TOKEN_PREFIX: 'snr_',
+    TOKEN_BYTES: 32,
+    MAX_TOKENS: 20,
+    MAX_LABEL_LENGTH: 50,
+    MAX_COOKIES_PER_CALL: 500,
+    LAST_USED_WRITE_INTERVAL: 60000, // Throttle lastUsedAt writes to storage
+    READY_TIMEOUT: 10000,
+    LOCALHOST_HOSTS: ['localhost', '127.0.0.1']
+  },
+
+  /**
+   * Token permission scopes
+   */
+  SCOPES: {
+    'sessions:read': 'List sessions',
+    'sessions:write': 'Create sessions, open URLs, delete sessions',
+    'cookies:read': 'Read session cookies',
+    'cookies:write': 'Inject session cookies',
+    'export': 'Export sessions'
+  },
+
+  /**
+   * Error codes returned in { ok: false, error: { code, message } }
+   */
+  ERRORS: {
+    BAD_REQUEST: 'bad_request',
+    DISABLED: 'disabled',
+    SENDER_NOT_ALLOWED: 'sender_not_allowed',
+    FEATURE_UNAVAILABLE: 'feature_unavailable',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    UNAUTHORIZED: 'unauthorized',
+    FORBIDDEN: 'forbidden',
+    UNKNOWN_COMMAND: 'unknown_command',
+    INVALID_PARAMS: 'invalid_params',
+    NOT_FOUND: 'not_found',
+    NOT_READY: 'not_ready',
+    FAILED: 'failed',
+    INTERNAL: 'internal'
+  },
+
+  /**
+   * Cached configuration (loaded from chrome.storage.local on first use)
+   * { enabled, allowLocalhost, allowedExtensionIds: [], tokens: { hash: tokenInfo } }
+   */
+  config: null,
+
+  /**
+   * Command table: name -> { scope, description, run(params) }
+   * Handlers throw this.error(...) for expected failures
+   */
+  commands: {
+    'api.info': {
+      scope: null,
+      description: 'API version, extension version, command list and token scopes',
+      async run(params, context) {
+        return {
+          version: localAPI.CONFIG.VERSION,
+          extensionVersion: chrome.runtime.getManifest().version,
+          commands: Object.keys(localAPI.commands),
+          scopes: context.token.scopes
+        };
+      }
+    },
+
+    'sessions.list': {
+      scope: 'sessions:read',
+      description: 'List active and dormant sessions',
+      async run() {
+        const result = await new Promise(resolve => getAllSessions(resolve));
+        if (!result.success) {
+          throw localAPI.error(localAPI.ERRORS.FAILED, result.error);
+        }
+        return {
+          activeSessions: result.activeSessions,
+          dormantSessions: result.dormantSessions
+        };
+      }
+    },
+
+    'sessions.create': {
+      scope: 'sessions:write',
+      description: 'Create a session in a new tab ({ url?, name?, color? })',
+      async run(params) {
+        const url = localAPI.optionalUrl(params.url, 'url') || 'about:blank';
+        const result = await new Promise(resolve => {
+          createNewSession(url, resolve, params.color || null);
+        });
+        if (!result.success) {
+          throw localAPI.error(localAPI.ERRORS.FAILED, result.error);
+        }
+
+        let name = null;
+        if (params.name) {
+          const named = await setSessionName(result.sessionId, String(params.name));
+          if (!named.success) {
+            console.warn('[Local API] Session created but name was rejected:', named.message);
+          } else {
+            name = sessionStore.sessions[result.sessionId].name;
+          }
+        }
+
+        return {
+          sessionId: result.sessionId,
+          tabId: result.tabId,
+          color: result.color,
+          name: name
+        };
+      }
+    },
+
+    'sessions.openUrl': {
+      scope: 'sessions:write',
+      description: 'Open a URL in a new tab of an existing session ({ sessionId, url, active? })',
+      async run(params) {
+        const session = localAPI.requireSession(params.sessionId);
+        const url = localAPI.optionalUrl(params.url, 'url');
+        if (!url) {
+          throw localAPI.error(localAPI.ERRORS.INVALID_PARAMS, 'url is required');
+        }
+
+        const tab = await openTabInSession(params.sessionId, url, params.active === true);
+        if (!tab) {
+          throw localAPI.error(localAPI.ERRORS.FAILED, 'Could not create tab');
+        }
+
+        session.lastAccessed = Date.now();
+        persistSessions(true);
+
+        return { sessionId: params.sessionId, tabId: tab.id };
+      }
+    },
+
+    'sessions.delete': {
+      scope: 'sessions:write',
+      description: 'Delete a session and close its tabs ({ sessionId })',
+      async run(params) {
+        localAPI.requireSession(params.sessionId);
+        const result = await deleteSessionById(params.sessionId);
+        if (!result.success) {
+          throw localAPI.error(localAPI.ERRORS.FAILED, result.error);
+        }
+        return { sessionId: params.sessionId, deleted: true };
+      }
+    },
+
+    'sessions.export': {
+      scope: 'export',
+      description: 'Export one session, or all sessions when sessionId is omitted ({ sessionId?, encrypt?, password?, omitHeaderRuleValues? })',
+      async run(params) {
+        const options = {
+          encrypt: params.encrypt === true,
+          password: params.password,
+          omitHeaderRuleValues: params.omitHeaderRuleValues === true
+        };
+
+        let result;
+        if (params.sessionId) {
+          localAPI.requireSession(params.sessionId);
+          result = await exportSession(params.sessionId, options);
+        } else {
+          result = await exportAllSessions(options);
+        }
+
+        if (!result.success) {
+          throw localAPI.error(localAPI.ERRORS.FAILED, result.message || result.error);
+        }
+
+        return {
+          filename: result.filename,
+          data: result.data,
+          size: result.size,
+          compressed: result.compressed,
+          encrypted: result.encrypted,
+          headerRuleValuesRemoved: result.headerRuleValuesRemoved,
+          headerRuleValuesUnencrypted: result.headerRuleValuesUnencrypted
+        };
+      }
+    },
+
+    'cookies.get': {
+      scope: 'cookies:read',
+      description: 'Read session cookies, optionally only those sent to a URL ({ sessionId, url? })',
+      async run(params) {
+        localAPI.requireSession(params.sessionId);
+        const url = localAPI.optionalUrl(params.url, 'url');
+
+        const cookies = url
+          ? getCookiesForSession(params.sessionId, url, { fromHttp: true })
+          : cookieJar.getAllCookies(sessionStore.cookieStore[params.sessionId]);
+
+        return {
+          sessionId: params.sessionId,
+          cookies: cookies.map(cookie => Object.assign({}, cookie))
+        };
+      }
+    },
+
+    'cookies.set': {
+      scope: 'cookies:write',
+      description: 'Inject cookies into a session ({ sessionId, cookies: [chrome.cookies-style objects] })',
+      async run(params) {
+        localAPI.requireSession(params.sessionId);
+
+        if (!Array.isArray(params.cookies) || params.cookies.length === 0) {
+          throw localAPI.error(localAPI.ERRORS.INVALID_PARAMS, 'cookies must be a non-empty array');
+        }
+        if (params.cookies.length > localAPI.CONFIG.MAX_COOKIES_PER_CALL) {
+          throw localAPI.error(localAPI.ERRORS.INVALID_PARAMS,
+            `At most ${localAPI.CONFIG.MAX_COOKIES_PER_CALL} cookies per call`);
+        }
+
+        const now = Date.now();
+        let stored = 0;
+        const rejected = [];
+
+        params.cookies.forEach((input, index) => {
+          const cookie = localAPI.toJarCookie(input, now);
+          if (!cookie) {
+            rejected.push({ index: index, reason: 'name and domain (or url) are required' });
+            return;
+          }
+          if (!cookie.hostOnly && cookieJar.isPublicSuffix(cookieJar.canonicalizeHost(cookie.domain))) {
+            rejected.push({ index: index, reason: 'domain is a public suffix' });
+            return;
+          }
+          // Injected as if set by the server so HttpOnly cookies can be written too
+          if (storeCookie(params.sessionId, cookie, { fromHttp: true, secureOrigin: true, source: { channel: 'local-api' } })) {
+            stored++;
+          } else {
+            rejected.push({ index: index, reason: 'not stored (expired or rejected by cookie rules)' });
+          }
+        });
+
+        persistSessions(true);
+
+        return { sessionId: params.sessionId, stored: stored, rejected: rejected };
+      }
+    }
+  },
+
+  /**
+   * Create an API error with a machine-readable code
+   * @param {string} code - One of ERRORS
+   * @param {string} message - Human-readable message
+   * @returns {Error} Error with a code property
+   */
+  error(code, message) {
+    const error = new Error(message || code);
+    error.code = code;
+    return error;
+  },
+
+  /**
+   * Look up a session or throw not_found
+   * @param {string} sessionId - Session ID from params
+   * @returns {Object} Session
+   */
+  requireSession(sessionId) {
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw this.error(this.ERRORS.INVALID_PARAMS, 'sessionId is required');
+    }
+    const session = sessionStore.sessions[sessionId];
+    if (!session) {
+      throw this.error(this.ERRORS.NOT_FOUND, 'Session not found: ' + sessionId);
+    }
+    return session;
+  },
+
+  /**
+   * Validate an optional http(s) or about:blank URL parameter
+   * @param {*} value - Parameter value
+   * @param {string} name - Parameter name for the error message
+   * @returns {string|null} URL, or null if not provided
+   */
+  optionalUrl(value, name) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (value === 'about:blank') {
+      return value;
+    }
+    try {
+      const url = new URL(String(value));
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        return url.href;
+      }
+    } catch (e) {
+      // Fall through to the error below
+    }
+    throw this.error(this.ERRORS.INVALID_PARAMS, `${name} must be an http(s) URL`);
+  },
+
+  /**
+   * Convert a chrome.cookies-style cookie from a script into a jar cookie
+   * Host-only cookies can be given as { url } instead of { domain }
+   * @param {Object} input - { name, value, domain?, url?, path?, secure?, httpOnly?, sameSite?, expirationDate? }
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} Jar cookie, or null if name/domain are missing
+   */
+  toJarCookie(input, now) {
+    if (!input || typeof input !== 'object' || !input.name) {
+      return null;
+    }
+
+    const chromeCookie = Object.assign({}, input);
+    if (!chromeCookie.domain && input.url) {
+      try {
+        chromeCookie.domain = new URL(input.url).hostname;
+        chromeCookie.hostOnly = true;
+      } catch (e) {
+        return null;
+      }
+    }
+    if (!chromeCookie.domain) {
+      return null;
+    }
+
+    chromeCookie.name = String(chromeCookie.name);
+    chromeCookie.value = chromeCookie.value === undefined ? '' : String(chromeCookie.value);
+    return cookieJar.fromChromeCookie(chromeCookie, now);
+  },
+
+  /**
+   * Hash a token for storage (tokens are never stored in plain text)
+   * @param {string} token - Bearer token
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  async hashToken(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * Load configuration from storage (cached after the first call)
+   * @returns {Promise<Object>} Configuration
+   */
+  async loadConfig() {
+    if (this.config) {
+      return this.config;
+    }
+
+    const data = await new Promise(resolve => {
+      chrome.storage.local.get([this.CONFIG.STORAGE_KEY], resolve);
+    });
+    const stored = data[this.CONFIG.STORAGE_KEY] || {};
+
+    this.config = {
+      enabled: stored.enabled === true,
+      allowLocalhost: stored.allowLocalhost === true,
+      allowedExtensionIds: Array.isArray(stored.allowedExtensionIds) ? stored.allowedExtensionIds : [],
+      tokens: stored.tokens && typeof stored.tokens === 'object' ? stored.tokens : {}
+    };
+    return this.config;
+  },
+
+  /**
+   * Save the cached configuration
+   * @returns {Promise<void>}
+   */
+  async saveConfig() {
+    await new Promise(resolve => {
+      chrome.storage.local.set({ [this.CONFIG.STORAGE_KEY]: this.config }, resolve);
+    });
+  },
+
+  /**
+   * Check whether the current license includes the local API
+   * @returns {boolean} True if the localAPI feature is available
+   */
+  isFeatureAvailable() {
+    try {
+      return typeof licenseManager !== 'undefined' && licenseManager.isInitialized &&
+        licenseManager.hasFeature('localAPI');
+    } catch (error) {
+      console.error('[Local API] Error checking license:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Get configuration for the settings UI (token hashes are not included)
+   * @returns {Promise<Object>} { success, allowed, enabled, allowLocalhost, allowedExtensionIds, tokens, extensionId, version, scopes }
+   */
+  async getConfig() {
+    const config = await this.loadConfig();
+    return {
+      success: true,
+      allowed: this.isFeatureAvailable(),
+      enabled: config.enabled,
+      allowLocalhost: config.allowLocalhost,
+      allowedExtensionIds: config.allowedExtensionIds.slice(),
+      tokens: Object.values(config.tokens)
+        .map(token => Object.assign({}, token))
+        .sort((a, b) => a.createdAt - b.createdAt),
+      extensionId: chrome.runtime.id,
+      version: this.CONFIG.VERSION,
+      scopes: Object.assign({}, this.SCOPES)
+    };
+  },
+
+  /**
+   * Update access settings
+   * @param {Object} settings - { enabled?, allowLocalhost?, allowedExtensionIds? }
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async setConfig(settings) {
+    if (!this.isFeatureAvailable()) {
+      return { success: false, requiresUpgrade: true, error: 'The local automation API requires Enterprise tier' };
+    }
+
+    const config = await this.loadConfig();
+
+    if (settings.allowedExtensionIds !== undefined) {
+      if (!Array.isArray(settings.allowedExtensionIds)) {
+        return { success: false, error: 'allowedExtensionIds must be an array' };
+      }
+      const ids = settings.allowedExtensionIds.map(id => String(id).trim()).filter(id => id);
+      const invalid = ids.filter(id => !/^[a-p]{32}$/.test(id));
+      if (invalid.length > 0) {
+        return { success: false, error: 'Invalid extension ID: ' + invalid[0] };
+      }
+      config.allowedExtensionIds = Array.from(new Set(ids));
+    }
+    if (settings.enabled !== undefined) {
+      config.enabled = settings.enabled === true;
+    }
+    if (settings.allowLocalhost !== undefined) {
+      config.allowLocalhost = settings.allowLocalhost === true;
+    }
+
+    await this.saveConfig();
+    console.log('[Local API] ✓ Settings saved (enabled:', config.enabled, 'extensions:', config.allowedExtensionIds.length, 'localhost:', config.allowLocalhost + ')');
+    return { success: true };
+  },
+
+  /**
+   * Create a new token; the plain token is only returned here
+   * @param {string} label - Name shown in the settings UI
+   * @param {Array<string>} scopes - Scopes from SCOPES
+   * @returns {Promise<Object>} { success, token?, info?, error? }
+   */
+  async createToken(label, scopes) {
+    if (!this.isFeatureAvailable()) {
+      return { success: false, requiresUpgrade: true, error: 'The local automation API requires Enterprise tier' };
+    }
+
+    const config = await this.loadConfig();
+    if (Object.keys(config.tokens).length >= this.CONFIG.MAX_TOKENS) {
+      return { success: false, error: `Token limit reached (${this.CONFIG.MAX_TOKENS}). Revoke an unused token first.` };
+    }
+
+    const cleanLabel = String(label || '').trim().substring(0, this.CONFIG.MAX_LABEL_LENGTH);
+    if (!cleanLabel) {
+      return { success: false, error: 'Token label is required' };
+    }
+
+    const cleanScopes = Array.isArray(scopes) ? scopes.filter(scope => this.SCOPES[scope]) : [];
+    if (cleanScopes.length === 0) {
+      return { success: false, error: 'Select at least one scope' };
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(this.CONFIG.TOKEN_BYTES));
+    const token = this.CONFIG.TOKEN_PREFIX +
+      Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    const hash = await this.hashToken(token);
+
+    const info = {
+      id: 'tok_' + Date.now().toString(36) + '_' + Math.random().toString(36).substring(2, 8),
+      label: cleanLabel,
+      scopes: Array.from(new Set(cleanScopes)),
+      createdAt: Date.now(),
+      lastUsedAt: null
+    };
+    config.tokens[hash] = info;
+    await this.saveConfig();
+
+    console.log('[Local API] ✓ Token created:', info.id, info.label, info.scopes);
+    return { success: true, token: token, info: Object.assign({}, info) };
+  },
+
+  /**
+   * Revoke a token by its ID
+   * @param {string} tokenId - Token ID (not the token itself)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async revokeToken(tokenId) {
+    const config = await this.loadConfig();
+    const hash = Object.keys(config.tokens).find(key => config.tokens[key].id === tokenId);
+    if (!hash) {
+      return { success: false, error: 'Token not found' };
+    }
+
+    delete config.tokens[hash];
+    await this.saveConfig();
+
+    console.log('[Local API] ✓ Token revoked:', tokenId);
+    return { success: true };
+  },
+
+  /**
+   * Check whether a message sender may use the API
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @param {Object} config - Configuration
+   * @returns {boolean} True if the sender is allowlisted
+   */
+  isSenderAllowed(sender, config) {
+    if (sender.id && sender.id !== chrome.runtime.id && config.allowedExtensionIds.includes(sender.id)) {
+      return true;
+    }
+
+    if (config.allowLocalhost && sender.url) {
+      try {
+        const url = new URL(sender.url);
+        return url.protocol === 'http:' && this.CONFIG.LOCALHOST_HOSTS.includes(url.hostname);
+      } catch (e) {
+        return false;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Authenticate and run one command envelope
+   * @param {Object} message - { api, version, token, command, params?, requestId? }
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @returns {Promise<Object>} Result envelope
+   */
+  async handleRequest(message, sender) {
+    const requestId = message && message.requestId !== undefined ? message.requestId : null;
+    const respond = (body) => Object.assign({
+      api: this.CONFIG.API_NAME,
+      version: this.CONFIG.VERSION,
+      requestId: requestId
+    }, body);
+    const fail = (code, text) => respond({ ok: false, error: { code: code, message: text } });
+
+    try {
+      const config = await this.loadConfig();
+
+      if (!this.isSenderAllowed(sender, config)) {
+        console.warn('[Local API] ⚠️ Rejected sender:', sender.id || sender.url);
+        return fail(this.ERRORS.SENDER_NOT_ALLOWED, 'Sender is not in the local API allowlist');
+      }
+      if (!message || typeof message !== 'object' || message.api !== this.CONFIG.API_NAME) {
+        return fail(this.ERRORS.BAD_REQUEST, `Expected an envelope with api: "${this.CONFIG.API_NAME}"`);
+      }
+      if (!config.enabled) {
+        return fail(this.ERRORS.DISABLED, 'The local API is disabled in Sessner settings');
+      }
+      if (!this.isFeatureAvailable()) {
+        return fail(this.ERRORS.FEATURE_UNAVAILABLE, 'The local automation API requires Enterprise tier');
+      }
+
+      const major = String(message.version || '').split('.')[0];
+      if (major !== this.CONFIG.VERSION.split('.')[0]) {
+        return fail(this.ERRORS.UNSUPPORTED_VERSION,
+          `Unsupported API version "${message.version}" (this extension speaks ${this.CONFIG.VERSION})`);
+      }
+
+      const hash = typeof message.token === 'string' && message.token
+        ? await this.hashToken(message.token)
+        : null;
+      const token = hash ? config.tokens[hash] : null;
+      if (!token) {
+        return fail(this.ERRORS.UNAUTHORIZED, 'Missing or invalid token');
+      }
+
+      const command = this.commands[message.command];
+      if (!command) {
+        return fail(this.ERRORS.UNKNOWN_COMMAND, `Unknown command "${message.command}"`);
+      }
+      if (command.scope && !token.scopes.includes(command.scope)) {
+        return fail(this.ERRORS.FORBIDDEN, `Token lacks the "${command.scope}" scope`);
+      }
+
+      const ready = await initializationManager.waitForReady(this.CONFIG.READY_TIMEOUT);
+      if (!ready) {
+        return fail(this.ERRORS.NOT_READY, 'Extension is still initializing, retry shortly');
+      }
+
+      const now = Date.now();
+      if (!token.lastUsedAt || now - token.lastUsedAt > this.CONFIG.LAST_USED_WRITE_INTERVAL) {
+        token.lastUsedAt = now;
+        this.saveConfig();
+      }
+
+      const params = message.params && typeof message.params === 'object' ? message.params : {};
+      console.log(`[Local API] ${message.command} (token: ${token.label})`);
+      const result = await command.run(params, { token: token, sender: sender });
+
+      return respond({ ok: true, result: result });
+    } catch (error) {
+      if (error.code) {
+        return fail(error.code, error.message);
+      }
+      console.error('[Local API] ✗ Command error:', error);
+      return fail(this.ERRORS.INTERNAL, error.message || 'Unexpected error');
+    }
+  }
+};
+
+// External messages only arrive from senders listed in manifest externally_connectable;
+// handleRequest narrows that down to the configured allowlist
+if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessageExternal) {
+  chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+    localAPI.handleRequest(message, sender)
+      .then(sendResponse)
+      .catch(error => {
+        console.error('[Local API] ✗ Unhandled error:', error);
+        sendResponse({ ok: false, error: { code: localAPI.ERRORS.INTERNAL, message: error.message } });
+      });
+    return true; // Keep channel open for async response
+  });
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = localAPI;
+}
+
+console.log('[Local API] ✓ Local automation API loaded');
@@ -211,7 +211,8 @@ function displayFeatures(features) {
     encryption: 'AES-256 Encryption',
     portableSessions: 'Portable Sessions',
     localAPI: 'Local API',
-    multiProfile: 'Multi-Profile'
+    multiProfile: 'Multi-Profile',
+    keyboardShortcuts: 'Keyboard Shortcuts'
   };
 
   Object.entries(featureMap).forEach(([key, label]) => {
@@ -150,6 +150,20 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Format a saved tab history entry as host and path
+ * @param {string} url - History entry
+ * @returns {string|null} e.g. 'example.com/account', or null if invalid
+ */
+function formatHistoryEntry(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname + (urlObj.pathname === '/' ? '' : urlObj.pathname);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Format time ago from timestamp
  * @param {number} timestamp - Timestamp in milliseconds
@@ -416,7 +430,7 @@ function attachColorPickerListeners(allowCustom) {
  * @param {string} sessionId - Session ID to change color for
  */
 async function showColorChangeModal(sessionId) {
-  // Check if enterprise tier
+  // Name (Premium/Enterprise) and color (Enterprise) sections depend on the tier
   const colorsResponse = await sendMessage({ action: 'getAvailableColors' });
 
   if (!colorsResponse || !colorsResponse.success) {
@@ -424,12 +438,9 @@ async function showColorChangeModal(sessionId) {
     return;
   }
 
-  if (!colorsResponse.allowCustom) {
-    alert('Custom colors are only available in Enterprise tier. Upgrade to change session colors!');
-    return;
-  }
-
   const colors = colorsResponse.colors;
+  const allowCustom = colorsResponse.allowCustom;
+  const allowNaming = colorsResponse.tier !== 'free';
 
   // Fetch current session name
   const nameResponse = await sendMessage({
@@ -438,6 +449,33 @@ async function showColorChangeModal(sessionId) {
   });
   const currentSessionName = nameResponse?.name || '';
 
+  // Fetch current User-Agent override and presets
+  const uaResponse = await sendMessage({
+    action: 'getSessionUserAgent',
+    sessionId: sessionId
+  });
+  const currentUserAgent = uaResponse?.override || null;
+  const uaPresets = uaResponse?.presets || {};
+  const uaPlatforms = uaResponse?.platforms || [];
+
+  // Fetch current header rules
+  const headerRulesResponse = await sendMessage({
+    action: 'getSessionHeaderRules',
+    sessionId: sessionId
+  });
+  const currentHeaderRules = headerRulesResponse?.rules || [];
+
+  // Fetch current fingerprint profile (suggested values are derived from the session ID)
+  const fingerprintResponse = await sendMessage({
+    action: 'getSessionFingerprint',
+    sessionId: sessionId
+  });
+  const currentFingerprint = fingerprintResponse?.profile || null;
+  const fingerprintValues = currentFingerprint || fingerprintResponse?.suggested || {};
+  const fingerprintScreens = fingerprintResponse?.screens || [];
+  const fingerprintCores = fingerprintResponse?.hardwareConcurrency || [];
+  const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
   // Create modal HTML
   let modalHTML = `
     <div class="color-modal-overlay" id="colorModalOverlay">
@@ -447,6 +485,10 @@ async function showColorChangeModal(sessionId) {
           <button class="color-modal-close" id="colorModalClose">&times;</button>
         </div>
         <div class="color-modal-body">
+  `;
+
+  if (allowNaming) {
+    modalHTML += `
           <!-- Session Name Section -->
           <div class="session-name-modal-section">
             <label for="modalSessionNameInput">Session Name:</label>
@@ -467,25 +509,29 @@ async function showColorChangeModal(sessionId) {
 
           <!-- Divider -->
           <div class="modal-section-divider"></div>
+    `;
+  }
 
+  if (allowCustom) {
+    modalHTML += `
           <!-- Session Color Section -->
           <div class="session-color-modal-section">
             <label>Session Color:</label>
             <div class="color-swatches-modal">
-  `;
-
-  // Add color swatches
-  colors.forEach(color => {
-    modalHTML += `
-      <div class="color-swatch-modal"
-           data-color="${color}"
-           style="background-color: ${color};"
-           title="${color}">
-      </div>
     `;
-  });
 
-  modalHTML += `
+    // Add color swatches
+    colors.forEach(color => {
+      modalHTML += `
+        <div class="color-swatch-modal"
+             data-color="${color}"
+             style="background-color: ${color};"
+             title="${color}">
+        </div>
+      `;
+    });
+
+    modalHTML += `
             </div>
             <div class="custom-color-modal-input">
               <label for="modalCustomColorInput">Custom HEX Color:</label>
@@ -498,6 +544,70 @@ async function showColorChangeModal(sessionId) {
               <div id="modalCustomColorPreview" class="custom-color-preview"></div>
             </div>
           </div>
+
+          <!-- Divider -->
+          <div class="modal-section-divider"></div>
+    `;
+  }
+
+  modalHTML += `
+          <!-- User-Agent Override Section -->
+          <div class="session-setting-section">
+            <label for="modalUaPreset">Browser Identity:</label>
+            <select id="modalUaPreset">
+              <option value="none">Browser default</option>
+              ${Object.keys(uaPresets).map(key => `<option value="${escapeHtml(key)}">${escapeHtml(uaPresets[key].label)}</option>`).join('')}
+              <option value="custom">Custom</option>
+            </select>
+            <div id="modalUaFields" class="session-setting-fields">
+              <input type="text" id="modalUaString" placeholder="User-Agent" spellcheck="false" maxlength="500" />
+              <select id="modalUaPlatform">
+                ${uaPlatforms.map(platform => `<option value="${escapeHtml(platform)}">${escapeHtml(platform)}</option>`).join('')}
+              </select>
+              <label class="session-setting-checkbox"><input type="checkbox" id="modalUaMobile" /> Mobile</label>
+              <input type="text" id="modalUaLanguage" placeholder="Accept-Language (optional), e.g. de-DE,de;q=0.9" spellcheck="false" maxlength="100" value="${escapeHtml(currentUserAgent?.acceptLanguage || '')}" />
+            </div>
+            <div class="session-setting-hint">
+              Sets the User-Agent, language and client hints sent by this session's tabs and seen by their pages.
+            </div>
+          </div>
+
+          <!-- Divider -->
+          <div class="modal-section-divider"></div>
+
+          <!-- Header Rules Section -->
+          <div class="session-setting-section">
+            <label>Header Rules:</label>
+            <div id="modalHeaderRules" class="header-rules-list"></div>
+            <button id="modalHeaderRuleAdd" class="profile-action-btn">+ Add header rule</button>
+            <div class="session-setting-hint">
+              Applied in order to requests whose URL matches the pattern (e.g. *.staging.example.com/api/*). Included in session exports.
+            </div>
+          </div>
+
+          <!-- Divider -->
+          <div class="modal-section-divider"></div>
+
+          <!-- Fingerprint Profile Section -->
+          <div class="session-setting-section">
+            <label class="session-setting-checkbox"><input type="checkbox" id="modalFingerprintEnabled" ${currentFingerprint ? 'checked' : ''} /> Fingerprint protection</label>
+            <div id="modalFingerprintFields" class="session-setting-fields">
+              <input type="text" id="modalFingerprintTimezone" list="modalFingerprintTimezones" placeholder="Timezone (browser default)" spellcheck="false" value="${escapeHtml(fingerprintValues.timezone || '')}" />
+              <datalist id="modalFingerprintTimezones">
+                ${timeZones.map(zone => `<option value="${escapeHtml(zone)}"></option>`).join('')}
+              </datalist>
+              <select id="modalFingerprintCores" title="CPU cores">
+                ${fingerprintCores.map(cores => `<option value="${cores}">${cores} cores</option>`).join('')}
+              </select>
+              <select id="modalFingerprintScreen" title="Screen size">
+                ${fingerprintScreens.map(size => `<option value="${size.width}x${size.height}">${size.width} × ${size.height}</option>`).join('')}
+              </select>
+              <label class="session-setting-checkbox"><input type="checkbox" id="modalFingerprintNoise" ${fingerprintValues.noise === false ? '' : 'checked'} /> Canvas/WebGL/audio noise</label>
+            </div>
+            <div class="session-setting-hint">
+              Pages in this session see this timezone, CPU and screen, and slightly different canvas, WebGL and audio output. Stays the same across restarts.
+            </div>
+          </div>
         </div>
         <div class="color-modal-footer">
           <button id="colorModalCancel" class="btn-secondary">Cancel</button>
@@ -515,37 +625,39 @@ async function showColorChangeModal(sessionId) {
   // Attach modal event listeners
   let selectedModalColor = null;
 
-  // Initialize character counter
+  // Name section (Premium/Enterprise)
   const nameInput = $('#modalSessionNameInput');
-  const nameCounter = $('#modalSessionNameCounter');
-  const updateCharCounter = () => {
-    const value = nameInput.value;
-    const length = [...value].length; // Emoji-aware length
-
-    nameCounter.textContent = `${length}/50 characters`;
-
-    // Update color classes based on length
-    nameCounter.className = 'session-name-counter';
-    if (length < 40) {
-      nameCounter.classList.add('session-name-counter-normal');
-    } else if (length < 45) {
-      nameCounter.classList.add('session-name-counter-warning');
-    } else {
-      nameCounter.classList.add('session-name-counter-danger');
-    }
-  };
-
-  // Initialize counter on load
-  updateCharCounter();
+  if (nameInput) {
+    const nameCounter = $('#modalSessionNameCounter');
+    const updateCharCounter = () => {
+      const value = nameInput.value;
+      const length = [...value].length; // Emoji-aware length
+
+      nameCounter.textContent = `${length}/50 characters`;
+
+      // Update color classes based on length
+      nameCounter.className = 'session-name-counter';
+      if (length < 40) {
+        nameCounter.classList.add('session-name-counter-normal');
+      } else if (length < 45) {
+        nameCounter.classList.add('session-name-counter-warning');
+      } else {
+        nameCounter.classList.add('session-name-counter-danger');
+      }
+    };
 
-  // Session name input handler
-  nameInput.addEventListener('input', (e) => {
+    // Initialize counter on load
     updateCharCounter();
 
-    // Clear error on input
-    const errorDiv = $('#modalSessionNameError');
-    errorDiv.style.display = 'none';
-  });
+    // Session name input handler
+    nameInput.addEventListener('input', (e) => {
+      updateCharCounter();
+
+      // Clear error on input
+      const errorDiv = $('#modalSessionNameError');
+      errorDiv.style.display = 'none';
+    });
+  }
 
   // Swatch selection
   document.querySelectorAll('.color-swatch-modal').forEach(swatch => {
@@ -558,18 +670,93 @@ async function showColorChangeModal(sessionId) {
   });
 
   // Custom color input
-  $('#modalCustomColorInput').addEventListener('input', (e) => {
-    const value = e.target.value.trim();
-    const hexPattern = /^#([0-9A-Fa-f]{6}|[0-9A-Fa-f]{3})$/;
+  if (allowCustom) {
+    $('#modalCustomColorInput').addEventListener('input', (e) => {
+      const value = e.target.value.trim();
+      const hexPattern = /^#([0-9A-Fa-f]{6}|[0-9A-Fa-f]{3})$/;
+
+      if (hexPattern.test(value)) {
+        $('#modalCustomColorPreview').style.backgroundColor = value;
+        selectedModalColor = value;
+        document.querySelectorAll('.color-swatch-modal').forEach(s => s.classList.remove('selected'));
+      } else {
+        $('#modalCustomColorPreview').style.backgroundColor = 'transparent';
+      }
+    });
+  }
 
-    if (hexPattern.test(value)) {
-      $('#modalCustomColorPreview').style.backgroundColor = value;
-      selectedModalColor = value;
-      document.querySelectorAll('.color-swatch-modal').forEach(s => s.classList.remove('selected'));
-    } else {
-      $('#modalCustomColorPreview').style.backgroundColor = 'transparent';
+  // User-Agent preset selection (presets fill the fields; editing them switches to Custom)
+  const uaPresetSelect = $('#modalUaPreset');
+  const fillUaFields = (values) => {
+    $('#modalUaString').value = values.userAgent || '';
+    $('#modalUaPlatform').value = values.platform || uaPlatforms[0] || '';
+    $('#modalUaMobile').checked = !!values.mobile;
+  };
+  const updateUaFields = () => {
+    $('#modalUaFields').style.display = uaPresetSelect.value === 'none' ? 'none' : 'flex';
+  };
+  uaPresetSelect.value = currentUserAgent ? currentUserAgent.preset : 'none';
+  fillUaFields(currentUserAgent || {});
+  updateUaFields();
+  uaPresetSelect.addEventListener('change', () => {
+    if (uaPresets[uaPresetSelect.value]) {
+      fillUaFields(uaPresets[uaPresetSelect.value]);
     }
+    updateUaFields();
   });
+  ['#modalUaString', '#modalUaPlatform', '#modalUaMobile'].forEach(selector => {
+    $(selector).addEventListener('input', () => {
+      uaPresetSelect.value = 'custom';
+    });
+  });
+
+  // Header rules editor (one row per rule)
+  const headerRulesList = $('#modalHeaderRules');
+  const addHeaderRuleRow = (rule = {}) => {
+    const row = document.createElement('div');
+    row.className = 'header-rule-row session-setting-fields';
+    row.dataset.ruleId = rule.id || '';
+    row.innerHTML = `
+      <input type="checkbox" class="header-rule-enabled" title="Enable this rule" ${rule.enabled === false ? '' : 'checked'} />
+      <input type="text" class="header-rule-pattern" placeholder="URL pattern" spellcheck="false" value="${escapeHtml(rule.pattern || '')}" />
+      <select class="header-rule-operation">
+        <option value="replace">Set</option>
+        <option value="add">Add</option>
+        <option value="remove">Remove</option>
+      </select>
+      <input type="text" class="header-rule-name" placeholder="Header" spellcheck="false" value="${escapeHtml(rule.name || '')}" />
+      <input type="text" class="header-rule-value" placeholder="Value" spellcheck="false" value="${escapeHtml(rule.value || '')}" />
+      <button class="template-delete-btn header-rule-delete" title="Delete rule">×</button>
+    `;
+    row.querySelector('.header-rule-operation').value = rule.operation || 'replace';
+    row.querySelector('.header-rule-delete').addEventListener('click', () => row.remove());
+    headerRulesList.appendChild(row);
+  };
+  currentHeaderRules.forEach(rule => addHeaderRuleRow(rule));
+  $('#modalHeaderRuleAdd').addEventListener('click', () => addHeaderRuleRow());
+
+  // Fingerprint profile (a saved profile may use values outside the preset lists)
+  const fingerprintEnabled = $('#modalFingerprintEnabled');
+  const coresSelect = $('#modalFingerprintCores');
+  const screenSelect = $('#modalFingerprintScreen');
+  const selectFingerprintOption = (select, value, label) => {
+    if (!Array.from(select.options).some(option => option.value === value)) {
+      select.add(new Option(label, value));
+    }
+    select.value = value;
+  };
+  if (fingerprintValues.hardwareConcurrency) {
+    selectFingerprintOption(coresSelect, String(fingerprintValues.hardwareConcurrency), `${fingerprintValues.hardwareConcurrency} cores`);
+  }
+  if (fingerprintValues.screen) {
+    const size = fingerprintValues.screen;
+    selectFingerprintOption(screenSelect, `${size.width}x${size.height}`, `${size.width} × ${size.height}`);
+  }
+  const updateFingerprintFields = () => {
+    $('#modalFingerprintFields').style.display = fingerprintEnabled.checked ? 'flex' : 'none';
+  };
+  updateFingerprintFields();
+  fingerprintEnabled.addEventListener('change', updateFingerprintFields);
 
   // Close modal
   const closeModal = () => {
@@ -584,9 +771,9 @@ async function showColorChangeModal(sessionId) {
     }
   });
 
-  // Apply settings (name + color)
+  // Apply settings (name + color + User-Agent + header rules + fingerprint)
   $('#colorModalApply').addEventListener('click', async () => {
-    const newName = nameInput.value.trim();
+    const newName = nameInput ? nameInput.value.trim() : currentSessionName;
     const newColor = selectedModalColor;
     const errorDiv = $('#modalSessionNameError');
 
@@ -634,6 +821,101 @@ async function showColorChangeModal(sessionId) {
         }
       }
 
+      // Save User-Agent override if changed
+      const uaPreset = uaPresetSelect.value;
+      const newUserAgent = uaPreset === 'none' ? null : {
+        preset: uaPreset,
+        userAgent: $('#modalUaString').value.trim(),
+        platform: $('#modalUaPlatform').value,
+        mobile: $('#modalUaMobile').checked,
+        acceptLanguage: $('#modalUaLanguage').value.trim()
+      };
+      if (newUserAgent && uaPreset === 'custom' && currentUserAgent && currentUserAgent.userAgent === newUserAgent.userAgent) {
+        // Keep client hint details (model, platform version) of an edited preset
+        newUserAgent.platformVersion = currentUserAgent.platformVersion;
+        newUserAgent.model = currentUserAgent.model;
+      }
+
+      const uaChanged = newUserAgent
+        ? !currentUserAgent || ['preset', 'userAgent', 'platform', 'mobile'].some(key => newUserAgent[key] !== currentUserAgent[key]) ||
+          newUserAgent.acceptLanguage !== (currentUserAgent.acceptLanguage || '')
+        : !!currentUserAgent;
+
+      if (uaChanged) {
+        const uaSave = await sendMessage({
+          action: 'setSessionUserAgent',
+          sessionId: sessionId,
+          override: newUserAgent
+        });
+
+        if (!uaSave || !uaSave.success) {
+          alert('Failed to save browser identity: ' + (uaSave?.error || 'Unknown error'));
+          return;
+        }
+
+        console.log('[Session Settings] User-Agent saved:', newUserAgent ? newUserAgent.preset : 'browser default');
+        changesMade = true;
+      }
+
+      // Save header rules if changed
+      const newHeaderRules = Array.from(headerRulesList.querySelectorAll('.header-rule-row'))
+        .map(row => ({
+          id: row.dataset.ruleId || undefined,
+          pattern: row.querySelector('.header-rule-pattern').value.trim(),
+          name: row.querySelector('.header-rule-name').value.trim(),
+          value: row.querySelector('.header-rule-value').value,
+          operation: row.querySelector('.header-rule-operation').value,
+          enabled: row.querySelector('.header-rule-enabled').checked
+        }))
+        .filter(rule => rule.pattern || rule.name || rule.value);
+
+      const comparableRules = (rules) => JSON.stringify(rules.map(rule =>
+        [rule.pattern, rule.name, rule.operation === 'remove' ? '' : rule.value, rule.operation, rule.enabled !== false]));
+
+      if (comparableRules(newHeaderRules) !== comparableRules(currentHeaderRules)) {
+        const rulesSave = await sendMessage({
+          action: 'setSessionHeaderRules',
+          sessionId: sessionId,
+          rules: newHeaderRules
+        });
+
+        if (!rulesSave || !rulesSave.success) {
+          alert('Failed to save header rules: ' + (rulesSave?.error || 'Unknown error'));
+          return;
+        }
+
+        console.log('[Session Settings] Header rules saved:', rulesSave.rules.length);
+        changesMade = true;
+      }
+
+      // Save fingerprint profile if changed
+      const screenSize = screenSelect.value.split('x');
+      const newFingerprint = fingerprintEnabled.checked ? {
+        timezone: $('#modalFingerprintTimezone').value.trim() || null,
+        hardwareConcurrency: parseInt(coresSelect.value, 10),
+        screen: { width: parseInt(screenSize[0], 10), height: parseInt(screenSize[1], 10) },
+        noise: $('#modalFingerprintNoise').checked
+      } : null;
+
+      const comparableFingerprint = (profile) => JSON.stringify(profile &&
+        [profile.timezone || null, profile.hardwareConcurrency, profile.screen.width, profile.screen.height, profile.noise !== false]);
+
+      if (comparableFingerprint(newFingerprint) !== comparableFingerprint(currentFingerprint)) {
+        const fingerprintSave = await sendMessage({
+          action: 'setSessionFingerprint',
+          sessionId: sessionId,
+          profile: newFingerprint
+        });
+
+        if (!fingerprintSave || !fingerprintSave.success) {
+          alert('Failed to save fingerprint profile: ' + (fingerprintSave?.error || 'Unknown error'));
+          return;
+        }
+
+        console.log('[Session Settings] Fingerprint profile saved:', newFingerprint ? 'on' : 'off');
+        changesMade = true;
+      }
+
       // Close modal and refresh if changes were made
       if (changesMade) {
         closeModal();
@@ -1090,11 +1372,10 @@ async function refreshSessions() {
     console.log('Active sessions:', activeSessions);
     console.log('Dormant sessions:', dormantSessions);
 
-    // Get session metadata from storage to access lastAccessed timestamps
-    const sessionMetadata = await new Promise((resolve) => {
-      chrome.storage.local.get(['sessions'], (data) => {
-        resolve(data.sessions || {});
-      });
+    // Session metadata (name, createdAt, lastAccessed) of the active profile, by session ID
+    const sessionMetadata = {};
+    activeSessions.concat(dormantSessions).forEach(session => {
+      sessionMetadata[session.sessionId] = session;
     });
 
     // Get session status for limit display
@@ -1173,115 +1454,50 @@ async function refreshSessions() {
     // Build HTML for sessions
     let html = '';
 
-    // Active Sessions Section
-    if (activeSessions.length > 0) {
-      html += '<div class="sessions-section-title">Active Sessions</div>';
-    }
-
-    activeSessions.forEach(session => {
-      const sessionId = escapeHtml(session.sessionId);
-      const sessionColor = session.color || '#999';
-      const tabs = session.tabs || [];
-
-      // Get session metadata for lastAccessed and name
-      const metadata = sessionMetadata[session.sessionId] || {};
-      const lastAccessed = metadata.lastAccessed || metadata.createdAt || Date.now();
-      const lastAccessedText = formatTimeAgo(lastAccessed);
-      const sessionName = metadata.name || ''; // Get session name from metadata
+    // Sessions a tab can be moved to (active first, then dormant)
+    const moveTargets = [...activeSessions, ...dormantSessions].map(session => ({
+      sessionId: session.sessionId,
+      label: (sessionMetadata[session.sessionId] || {}).name || session.name || session.sessionId
+    }));
 
-      // Display name: custom name or fallback to session ID
-      const displayName = sessionName || sessionId;
-      const isEditable = status.tier !== 'free';
+    // Drop zones shown while a session is dragged
+    html += `
+      <div class="group-drop-zones">
+        <div class="group-drop-zone" data-drop-group="__new__">＋ New group</div>
+        <div class="group-drop-zone" data-drop-group="__none__">Remove from group</div>
+      </div>
+    `;
 
-      // Calculate days remaining for free tier
-      const daysRemaining = calculateDaysRemaining(lastAccessed, status.tier);
-      const expiresText = daysRemaining !== null
-        ? ` <span style="color: ${daysRemaining <= 2 ? '#f5576c' : '#999'};">(expires in ${daysRemaining}d)</span>`
-        : ' <span style="color: #4ECDC4;">(permanent)</span>';
+    // Session Groups (collapsible, by name)
+    renderedSessionGroups = [...new Set(activeSessions.concat(dormantSessions).map(session => session.group).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+    const collapsedGroups = await getCollapsedSessionGroups();
+
+    renderedSessionGroups.forEach((group, index) => {
+      html += buildSessionGroupHTML(group, index, {
+        active: activeSessions.filter(session => session.group === group),
+        dormant: dormantSessions.filter(session => session.group === group),
+        collapsed: collapsedGroups.includes(group),
+        sessionMetadata: sessionMetadata,
+        status: status,
+        moveTargets: moveTargets
+      });
+    });
 
-      html += `
-        <div class="session-group">
-          <div class="session-header-bar">
-            <div class="session-color-dot" style="background-color: ${sessionColor}"></div>
-
-            ${status.tier === 'enterprise' ? `
-              <button class="session-settings-icon"
-                      data-session-id="${sessionId}"
-                      title="Session settings"
-                      aria-label="Open session settings">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                  <circle cx="12" cy="12" r="3"></circle>
-                  <path d="M12 1v6m0 6v6M1 12h6m6 0h6"></path>
-                  <path d="M4.22 4.22l4.24 4.24m5.66 5.66l4.24 4.24M19.78 4.22l-4.24 4.24m-5.66 5.66l-4.24 4.24"></path>
-                </svg>
-              </button>
-            ` : ''}
-
-            ${status.tier === 'premium' || status.tier === 'enterprise' ? `
-              <button class="session-export-icon"
-                      data-export-session="${sessionId}"
-                      title="Export session (${status.tier === 'premium' ? 'Premium' : 'Enterprise'} feature)"
-                      aria-label="Export session">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                  <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-                  <polyline points="7 10 12 15 17 10"></polyline>
-                  <line x1="12" y1="15" x2="12" y2="3"></line>
-                </svg>
-              </button>
-            ` : ''}
-
-            <div class="session-info-wrapper">
-              <div class="session-name-container" data-session-id="${sessionId}">
-                <span class="session-name ${isEditable ? 'editable' : ''}"
-                      style="cursor: ${isEditable ? 'pointer' : 'default'};"
-                      title="${isEditable ? 'Double-click to edit session name' : 'Upgrade to Premium/Enterprise to edit session name'}">
-                  ${truncate(displayName, 30)}
-                </span>
-                ${status.tier === 'free' ? '<span class="session-name-pro-badge">PRO</span>' : ''}
-              </div>
-              <div class="session-timestamp">
-                Last used: ${lastAccessedText}${expiresText}
-              </div>
-            </div>
-          </div>
-          <div class="tab-list">
-      `;
+    const ungroupedActive = activeSessions.filter(session => !session.group);
+    const ungroupedDormant = dormantSessions.filter(session => !session.group);
 
-      tabs.forEach(tab => {
-        const tabTitle = escapeHtml(tab.title || 'Untitled');
-        const tabDomain = escapeHtml(tab.domain || 'No domain');
-        const tabId = tab.tabId;
-        const favIconUrl = tab.favIconUrl || '';
-
-        // Add session name prefix to tab title if name exists
-        const displayTabTitle = sessionName
-          ? `[${escapeHtml(sessionName)}] ${tabTitle}`
-          : tabTitle;
-
-        html += `
-          <div class="tab-item" data-tab-id="${tabId}">
-            <div class="tab-favicon">
-              ${favIconUrl ? `<img src="${escapeHtml(favIconUrl)}" alt="" onerror="this.style.display='none'">` : '📄'}
-            </div>
-            <div class="tab-info">
-              <div class="tab-title">${truncate(displayTabTitle, 50)}</div>
-              <div class="tab-domain">${truncate(tabDomain, 40)}</div>
-            </div>
-            <div class="tab-actions">
-              <button class="tab-switch-btn" data-tab-id="${tabId}">Go</button>
-            </div>
-          </div>
-        `;
-      });
+    // Active Sessions Section
+    if (ungroupedActive.length > 0) {
+      html += '<div class="sessions-section-title">Active Sessions</div>';
+    }
 
-      html += `
-          </div>
-        </div>
-      `;
+    ungroupedActive.forEach(session => {
+      html += buildActiveSessionHTML(session, sessionMetadata, status, moveTargets);
     });
 
     // Dormant Sessions Section
-    if (dormantSessions.length > 0) {
+    if (ungroupedDormant.length > 0) {
       html += `
         <div class="sessions-section-title dormant-title">
           <span>Imported Sessions</span>
@@ -1292,7 +1508,7 @@ async function refreshSessions() {
       `;
       html += '<div class="dormant-section">';
 
-      dormantSessions.forEach(session => {
+      ungroupedDormant.forEach(session => {
         html += buildDormantSessionHTML(session, sessionMetadata, status.tier);
       });
 
@@ -1306,7 +1522,11 @@ async function refreshSessions() {
     attachSessionSettingsListeners();
     attachSessionNameListeners(activeSessions, sessionMetadata);
     attachExportListeners();
+    attachTemplateListeners();
+    attachDuplicateListeners();
     attachDormantSessionListeners();
+    attachSessionGroupListeners();
+    applySessionSearch();
 
     // Update auto-restore UI after sessions are rendered
     await updateAutoRestoreUI();
@@ -1327,6 +1547,154 @@ async function refreshSessions() {
   }
 }
 
+/**
+ * Build HTML for an active session (session with open tabs)
+ * @param {Object} session - Active session object
+ * @param {Object} sessionMetadata - Session metadata from storage
+ * @param {Object} status - Session status (tier, limits)
+ * @param {Array<Object>} moveTargets - Sessions a tab can be moved to ({ sessionId, label })
+ * @returns {string} HTML string
+ */
+function buildActiveSessionHTML(session, sessionMetadata, status, moveTargets) {
+  const sessionId = escapeHtml(session.sessionId);
+  const sessionColor = session.color || '#999';
+  const tabs = session.tabs || [];
+
+  // Get session metadata for lastAccessed and name
+  const metadata = sessionMetadata[session.sessionId] || {};
+  const lastAccessed = metadata.lastAccessed || metadata.createdAt || Date.now();
+  const lastAccessedText = formatTimeAgo(lastAccessed);
+  const sessionName = metadata.name || ''; // Get session name from metadata
+
+  // Display name: custom name or fallback to session ID
+  const displayName = sessionName || sessionId;
+  const isEditable = status.tier !== 'free';
+
+  // Calculate days remaining for free tier
+  const daysRemaining = calculateDaysRemaining(lastAccessed, status.tier);
+  const expiresText = daysRemaining !== null
+    ? ` <span style="color: ${daysRemaining <= 2 ? '#f5576c' : '#999'};">(expires in ${daysRemaining}d)</span>`
+    : ' <span style="color: #4ECDC4;">(permanent)</span>';
+
+  // Text matched by the session search (name, ID, group, tab titles and URLs)
+  const searchText = [sessionName, session.sessionId, session.group || '']
+    .concat(tabs.map(tab => `${tab.title || ''} ${tab.url || ''}`))
+    .join(' ')
+    .toLowerCase();
+
+  let html = `
+    <div class="session-group" data-search="${escapeHtml(searchText)}">
+      <div class="session-header-bar">
+        <div class="session-color-dot"
+             style="background-color: ${sessionColor}"
+             draggable="true"
+             data-drag-session="${sessionId}"
+             title="Drag onto a group"></div>
+
+        <button class="session-settings-icon"
+                data-session-id="${sessionId}"
+                title="Session settings"
+                aria-label="Open session settings">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="3"></circle>
+            <path d="M12 1v6m0 6v6M1 12h6m6 0h6"></path>
+            <path d="M4.22 4.22l4.24 4.24m5.66 5.66l4.24 4.24M19.78 4.22l-4.24 4.24m-5.66 5.66l-4.24 4.24"></path>
+          </svg>
+        </button>
+
+        ${status.tier === 'premium' || status.tier === 'enterprise' ? `
+          <button class="session-export-icon"
+                  data-export-session="${sessionId}"
+                  title="Export session (${status.tier === 'premium' ? 'Premium' : 'Enterprise'} feature)"
+                  aria-label="Export session">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+              <polyline points="7 10 12 15 17 10"></polyline>
+              <line x1="12" y1="15" x2="12" y2="3"></line>
+            </svg>
+          </button>
+          <button class="session-template-icon"
+                  data-template-session="${sessionId}"
+                  title="Save as template"
+                  aria-label="Save session as template">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+              <line x1="3" y1="9" x2="21" y2="9"></line>
+              <line x1="9" y1="21" x2="9" y2="9"></line>
+            </svg>
+          </button>
+        ` : ''}
+
+        <button class="session-duplicate-icon"
+                data-duplicate-session="${sessionId}"
+                title="Duplicate session"
+                aria-label="Duplicate session">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+          </svg>
+        </button>
+
+        <div class="session-info-wrapper">
+          <div class="session-name-container" data-session-id="${sessionId}">
+            <span class="session-name ${isEditable ? 'editable' : ''}"
+                  style="cursor: ${isEditable ? 'pointer' : 'default'};"
+                  title="${isEditable ? 'Double-click to edit session name' : 'Upgrade to Premium/Enterprise to edit session name'}">
+              ${truncate(displayName, 30)}
+            </span>
+            ${status.tier === 'free' ? '<span class="session-name-pro-badge">PRO</span>' : ''}
+          </div>
+          <div class="session-timestamp">
+            Last used: ${lastAccessedText}${expiresText}
+          </div>
+        </div>
+      </div>
+      <div class="tab-list">
+  `;
+
+  tabs.forEach(tab => {
+    const tabTitle = escapeHtml(tab.title || 'Untitled');
+    const tabDomain = escapeHtml(tab.domain || 'No domain');
+    const tabId = tab.tabId;
+    const favIconUrl = tab.favIconUrl || '';
+
+    // Add session name prefix to tab title if name exists
+    const displayTabTitle = sessionName
+      ? `[${escapeHtml(sessionName)}] ${tabTitle}`
+      : tabTitle;
+
+    html += `
+      <div class="tab-item" data-tab-id="${tabId}">
+        <div class="tab-favicon">
+          ${favIconUrl ? `<img src="${escapeHtml(favIconUrl)}" alt="" onerror="this.style.display='none'">` : '📄'}
+        </div>
+        <div class="tab-info">
+          <div class="tab-title">${truncate(displayTabTitle, 50)}</div>
+          <div class="tab-domain">${truncate(tabDomain, 40)}</div>
+        </div>
+        <div class="tab-actions">
+          <select class="tab-move-select" data-tab-id="${tabId}" title="Move tab to another session" aria-label="Move tab to another session">
+            <option value="">Move…</option>
+            ${moveTargets
+              .filter(target => target.sessionId !== session.sessionId)
+              .map(target => `<option value="${escapeHtml(target.sessionId)}">${escapeHtml(truncate(target.label, 30))}</option>`)
+              .join('')}
+            <option value="__detach__">Detach from session</option>
+          </select>
+          <button class="tab-switch-btn" data-tab-id="${tabId}">Go</button>
+        </div>
+      </div>
+    `;
+  });
+
+  html += `
+      </div>
+    </div>
+  `;
+
+  return html;
+}
+
 /**
  * Build HTML for a dormant session (session without tabs)
  * @param {Object} session - Dormant session object
@@ -1363,14 +1731,41 @@ function buildDormantSessionHTML(session, sessionMetadata, tier) {
       ? `[${escapeHtml(sessionName)}] ${title}`
       : title;
 
+    // Saved layout summary: "+2 tabs, 2 windows"
+    const tabCount = session.persistedTabs.length;
+    const windowCount = new Set(session.persistedTabs.map(saved => saved.window || 0)).size;
+    const layoutParts = [];
+    if (tabCount > 1) {
+      layoutParts.push(`+${tabCount - 1} tab${tabCount > 2 ? 's' : ''}`);
+    }
+    if (windowCount > 1) {
+      layoutParts.push(`${windowCount} windows`);
+    }
+    const domainText = truncate(escapeHtml(domain), 40) + (layoutParts.length > 0 ? ` · ${layoutParts.join(', ')}` : '');
+    const restoreMode = session.restoreMode || 'current';
+
+    // Pages visited before the saved one (shown only; reopening loads the saved URL)
+    const historyText = (Array.isArray(tab.history) ? tab.history : [])
+      .map(formatHistoryEntry)
+      .filter(Boolean)
+      .join(' › ');
+    const historyHTML = historyText
+      ? `<div class="tab-history" title="${escapeHtml(historyText)}">Before: ${escapeHtml(truncate(historyText, 60))}</div>`
+      : '';
+
     persistedTabHTML = `
       <div class="tab-item">
         <div class="tab-favicon">📄</div>
         <div class="tab-info">
           <div class="tab-title">${truncate(displayTitle, 50)}</div>
-          <div class="tab-domain">${truncate(escapeHtml(domain), 40)}</div>
+          <div class="tab-domain">${domainText}</div>
+          ${historyHTML}
         </div>
         <div class="tab-actions">
+          <select class="restore-mode-select" data-restore-session="${sessionId}" title="Where the saved tabs reopen" aria-label="Where the saved tabs reopen">
+            <option value="current"${restoreMode === 'current' ? ' selected' : ''}>This window</option>
+            <option value="window"${restoreMode === 'window' ? ' selected' : ''}>New window</option>
+          </select>
           <button class="open-dormant-session-btn" data-session-id="${sessionId}">Open Session</button>
         </div>
       </div>
@@ -1390,10 +1785,20 @@ function buildDormantSessionHTML(session, sessionMetadata, tier) {
     `;
   }
 
+  // Text matched by the session search (name, ID, group, saved tab titles and URLs)
+  const searchText = [sessionName, session.sessionId, session.group || '']
+    .concat((session.persistedTabs || []).map(tab => `${tab.title || ''} ${tab.url || ''}`))
+    .join(' ')
+    .toLowerCase();
+
   return `
-    <div class="dormant-session-card">
+    <div class="dormant-session-card" data-search="${escapeHtml(searchText)}">
       <div class="dormant-session-header">
-        <div class="session-color-dot" style="background-color: ${sessionColor}"></div>
+        <div class="session-color-dot"
+             style="background-color: ${sessionColor}"
+             draggable="true"
+             data-drag-session="${sessionId}"
+             title="Drag onto a group"></div>
         <div class="dormant-session-info">
           <div class="dormant-session-name">${truncate(displayName, 35)}</div>
           <div class="dormant-session-timestamp">
@@ -1431,7 +1836,7 @@ function attachDormantSessionListeners() {
       console.log('[Dormant Sessions] Delete All button clicked');
 
       // Get count of dormant sessions
-      const dormantCards = document.querySelectorAll('.dormant-session-card');
+      const dormantCards = document.querySelectorAll('.dormant-section .dormant-session-card');
       const count = dormantCards.length;
 
       if (count === 0) {
@@ -1536,6 +1941,30 @@ function attachDormantSessionListeners() {
     });
   });
 
+  // Restore mode menus (reopen in this window or in new windows)
+  document.querySelectorAll('.restore-mode-select').forEach(select => {
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', async () => {
+      const sessionId = select.dataset.restoreSession;
+      const previous = select.value === 'window' ? 'current' : 'window';
+
+      try {
+        const response = await sendMessage({
+          action: 'setSessionRestoreMode',
+          sessionId: sessionId,
+          mode: select.value
+        });
+        if (!response || !response.success) {
+          throw new Error(response?.error || 'Unknown error');
+        }
+      } catch (error) {
+        console.error('[Dormant Session] Failed to set restore mode:', error);
+        alert('Failed to change restore mode: ' + error.message);
+        select.value = previous;
+      }
+    });
+  });
+
   // Delete session buttons
   document.querySelectorAll('.delete-dormant-session-icon').forEach(btn => {
     btn.addEventListener('click', async (e) => {
@@ -1602,11 +2031,23 @@ function attachTabListeners() {
     });
   });
 
+  // Move menus (move to another session or detach)
+  document.querySelectorAll('.tab-move-select').forEach(select => {
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', async () => {
+      const tabId = parseInt(select.dataset.tabId);
+      const target = select.value;
+      select.value = '';
+      if (!target) return;
+      await handleMoveTab(tabId, target === '__detach__' ? null : target);
+    });
+  });
+
   // Tab items (click anywhere on the item to switch)
   document.querySelectorAll('.tab-item').forEach(item => {
     item.addEventListener('click', async (e) => {
-      // Don't trigger if clicking the button
-      if (e.target.classList.contains('tab-switch-btn')) return;
+      // Don't trigger if clicking the button or the move menu
+      if (e.target.classList.contains('tab-switch-btn') || e.target.closest('.tab-move-select')) return;
 
       const tabId = parseInt(item.dataset.tabId);
       await switchToTab(tabId);
@@ -1615,7 +2056,31 @@ function attachTabListeners() {
 }
 
 /**
- * Attach event listeners to session settings icons (Enterprise only)
+ * Move a tab to another session, or out of sessions
+ * @param {number} tabId - Tab ID
+ * @param {string|null} sessionId - Target session ID, or null to detach
+ */
+async function handleMoveTab(tabId, sessionId) {
+  const response = sessionId
+    ? await sendMessage({ action: 'moveTabToSession', tabId: tabId, sessionId: sessionId })
+    : await sendMessage({ action: 'detachTabFromSession', tabId: tabId });
+
+  if (response && response.blocked) {
+    showSessionLimitWarning(response);
+    return;
+  }
+  if (!response || !response.success) {
+    alert('Failed to move tab: ' + (response?.error || 'Unknown error'));
+    return;
+  }
+
+  console.log('[Tab Move] Tab', tabId, 'moved to', sessionId || 'no session');
+  await refreshSessions();
+  updatePopupHeight();
+}
+
+/**
+ * Attach event listeners to session settings icons
  */
 function attachSessionSettingsListeners() {
   document.querySelectorAll('.session-settings-icon').forEach(btn => {
@@ -1665,19 +2130,480 @@ function attachExportListeners() {
   });
 }
 
-// ============= License Status =============
+// ============= Session Templates =============
 
 /**
- * Refresh license status display
+ * Attach event listeners to "save as template" icons
  */
-async function refreshLicenseStatus() {
-  try {
-    const response = await sendMessage({ action: 'getLicenseStatus' });
+function attachTemplateListeners() {
+  document.querySelectorAll('.session-template-icon').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      e.preventDefault();
+      await handleSaveAsTemplate(btn.dataset.templateSession);
+    });
+  });
+}
 
-    if (!response || !response.success) {
-      console.log('No license or error fetching license status');
-      await displayFreeTier();
-      return;
+/**
+ * Save an active session as a template (start URLs from its tabs)
+ * @param {string} sessionId - Session ID
+ */
+async function handleSaveAsTemplate(sessionId) {
+  const name = prompt('Template name:');
+  if (name === null) return;
+  if (!name.trim()) {
+    alert('Template name is required');
+    return;
+  }
+
+  const includeData = confirm(
+    'Include this session\'s cookies and site storage in the template?\n\n' +
+    'New sessions will start logged in. The data is stored unencrypted in extension storage.'
+  );
+
+  const response = await sendMessage({
+    action: 'createTemplate',
+    template: { name: name.trim() },
+    fromSessionId: sessionId,
+    includeCookies: includeData,
+    includeStorage: includeData
+  });
+
+  if (!response || !response.success) {
+    alert('Failed to save template: ' + (response?.error || 'Unknown error'));
+    return;
+  }
+
+  console.log('[Templates] Saved template:', response.template.id);
+  await refreshTemplates();
+}
+
+/**
+ * Render the templates section (hidden for Free tier)
+ */
+async function refreshTemplates() {
+  const section = $('#templatesSection');
+  const list = $('#templatesList');
+  if (!section || !list) return;
+
+  try {
+    const response = await sendMessage({ action: 'listTemplates' });
+    if (!response || !response.success || !response.allowed) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+
+    if (response.templates.length === 0) {
+      list.innerHTML = '<div class="templates-empty">Use the template icon on a session to save it as a template.</div>';
+      return;
+    }
+
+    list.innerHTML = response.templates.map(template => {
+      const urls = template.startUrls.length > 0 ? template.startUrls.join('\n') : 'No start URLs';
+      const dotStyle = template.color ? ` style="background-color: ${escapeHtml(template.color)}"` : '';
+      return `
+        <div class="template-chip" data-template-id="${escapeHtml(template.id)}" title="${escapeHtml(urls)}">
+          <span class="template-chip-dot"${dotStyle}></span>
+          <span>${escapeHtml(truncate(template.name, 24))}</span>
+          <button class="template-delete-btn" data-delete-template="${escapeHtml(template.id)}" title="Delete template" aria-label="Delete template">×</button>
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.template-chip').forEach(chip => {
+      chip.addEventListener('click', async () => {
+        await launchTemplate(chip.dataset.templateId);
+      });
+    });
+
+    list.querySelectorAll('.template-delete-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (!confirm('Delete this template?')) return;
+
+        const result = await sendMessage({ action: 'deleteTemplate', templateId: btn.dataset.deleteTemplate });
+        if (!result || !result.success) {
+          alert('Failed to delete template: ' + (result?.error || 'Unknown error'));
+        }
+        await refreshTemplates();
+      });
+    });
+  } catch (error) {
+    console.error('[Templates] Error loading templates:', error);
+    section.style.display = 'none';
+  }
+}
+
+/**
+ * Create a new session from a template
+ * @param {string} templateId - Template ID
+ */
+async function launchTemplate(templateId) {
+  console.log('[Templates] Launching template:', templateId);
+
+  const response = await sendMessage({ action: 'createSessionFromTemplate', templateId: templateId });
+
+  if (!response || !response.success) {
+    alert(response?.error || 'Failed to create session from template');
+    return;
+  }
+
+  await refreshSessions();
+  updatePopupHeight();
+}
+
+// ============= Session Cloning =============
+
+/**
+ * Attach event listeners to "duplicate session" icons
+ */
+function attachDuplicateListeners() {
+  document.querySelectorAll('.session-duplicate-icon').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      e.preventDefault();
+      await handleDuplicateSession(btn.dataset.duplicateSession);
+    });
+  });
+}
+
+/**
+ * Duplicate a session (cookies, site storage, name and settings)
+ * @param {string} sessionId - Session ID
+ */
+async function handleDuplicateSession(sessionId) {
+  const openTabs = confirm(
+    'Open the duplicate\'s tabs now?\n\n' +
+    'OK opens the same pages in the new session. Cancel keeps it closed under Imported Sessions.'
+  );
+
+  const response = await sendMessage({
+    action: 'cloneSession',
+    sessionId: sessionId,
+    openTabs: openTabs
+  });
+
+  if (response && response.blocked) {
+    showSessionLimitWarning(response);
+    return;
+  }
+  if (!response || !response.success) {
+    alert('Failed to duplicate session: ' + (response?.error || 'Unknown error'));
+    return;
+  }
+
+  console.log('[Clone] Session duplicated:', response.sessionId);
+  await refreshSessions();
+  updatePopupHeight();
+}
+
+// ============= Session Search =============
+
+/**
+ * Show only sessions whose name, ID, group, tab titles or URLs contain the search text
+ * While searching, collapsed groups are expanded and groups without matches are hidden.
+ */
+function applySessionSearch() {
+  const input = $('#sessionSearch');
+  const query = input ? input.value.trim().toLowerCase() : '';
+  let shown = 0;
+
+  document.querySelectorAll('#sessionsList .session-group, #sessionsList .dormant-session-card').forEach(element => {
+    const match = !query || (element.dataset.search || '').includes(query);
+    element.style.display = match ? '' : 'none';
+    if (match) {
+      shown++;
+    }
+  });
+
+  document.querySelectorAll('#sessionsList .group-section').forEach(section => {
+    const matches = section.querySelectorAll('.session-group:not([style*="none"]), .dormant-session-card:not([style*="none"])');
+    section.style.display = !query || matches.length > 0 ? '' : 'none';
+  });
+
+  const list = $('#sessionsList');
+  if (list) {
+    list.classList.toggle('searching', !!query);
+  }
+
+  const empty = $('#sessionSearchEmpty');
+  if (empty) {
+    empty.style.display = query && shown === 0 ? 'block' : 'none';
+  }
+}
+
+/**
+ * Attach the session search box (focused when opened by the search-sessions shortcut)
+ */
+function attachSessionSearchListeners() {
+  const input = $('#sessionSearch');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    applySessionSearch();
+    updatePopupHeight();
+  });
+
+  if (new URLSearchParams(window.location.search).has('search')) {
+    input.focus();
+  }
+}
+
+// ============= Session Groups =============
+
+let renderedSessionGroups = []; // Group names in render order (headers refer to them by index)
+
+/**
+ * Get the names of collapsed groups
+ * @returns {Promise<Array<string>>} Collapsed group names
+ */
+async function getCollapsedSessionGroups() {
+  const data = await chrome.storage.local.get('collapsedSessionGroups');
+  return Array.isArray(data.collapsedSessionGroups) ? data.collapsedSessionGroups : [];
+}
+
+/**
+ * Remember whether a group is collapsed
+ * @param {string} group - Group name
+ * @param {boolean} collapsed - Collapsed state
+ */
+async function saveSessionGroupCollapsed(group, collapsed) {
+  const groups = (await getCollapsedSessionGroups()).filter(name => name !== group);
+  if (collapsed) {
+    groups.push(group);
+  }
+  await chrome.storage.local.set({ collapsedSessionGroups: groups });
+}
+
+/**
+ * Build HTML for a group section (header with bulk actions, then its sessions)
+ * @param {string} group - Group name
+ * @param {number} index - Index in renderedSessionGroups
+ * @param {Object} options - { active, dormant, collapsed, sessionMetadata, status, moveTargets }
+ * @returns {string} HTML string
+ */
+function buildSessionGroupHTML(group, index, options) {
+  const { active, dormant, collapsed, sessionMetadata, status, moveTargets } = options;
+  const count = active.length + dormant.length;
+
+  let html = `
+    <div class="group-section ${collapsed ? 'collapsed' : ''}" data-group-index="${index}">
+      <div class="group-header" data-drop-group="${index}">
+        <span class="group-toggle" aria-hidden="true">▾</span>
+        <span class="group-name" title="Double-click to rename group">${escapeHtml(truncate(group, 30))}</span>
+        <span class="group-count">${count}</span>
+        <div class="group-actions">
+          <button class="group-action-btn"
+                  data-group-action="open"
+                  title="Open every closed session in this group"
+                  ${dormant.length === 0 ? 'disabled' : ''}>Open</button>
+          ${status.tier === 'enterprise' ? `
+            <button class="group-action-btn"
+                    data-group-action="export"
+                    title="Export every session in this group (Enterprise feature)">Export</button>
+          ` : ''}
+          <button class="group-action-btn danger"
+                  data-group-action="delete"
+                  title="Delete every session in this group">Delete</button>
+        </div>
+      </div>
+      <div class="group-body">
+  `;
+
+  active.forEach(session => {
+    html += buildActiveSessionHTML(session, sessionMetadata, status, moveTargets);
+  });
+  dormant.forEach(session => {
+    html += buildDormantSessionHTML(session, sessionMetadata, status.tier);
+  });
+
+  html += `
+      </div>
+    </div>
+  `;
+
+  return html;
+}
+
+/**
+ * Attach group header, bulk action and drag-and-drop listeners
+ */
+function attachSessionGroupListeners() {
+  document.querySelectorAll('.group-section').forEach(section => {
+    const group = renderedSessionGroups[parseInt(section.dataset.groupIndex)];
+    const header = section.querySelector('.group-header');
+
+    // Collapse/expand (not when clicking a bulk action)
+    header.addEventListener('click', async (e) => {
+      if (e.target.closest('.group-action-btn')) return;
+      const collapsed = section.classList.toggle('collapsed');
+      updatePopupHeight();
+      await saveSessionGroupCollapsed(group, collapsed);
+    });
+
+    section.querySelector('.group-name').addEventListener('dblclick', async (e) => {
+      e.stopPropagation();
+      await handleRenameSessionGroup(group);
+    });
+
+    section.querySelectorAll('.group-action-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        if (btn.dataset.groupAction === 'open') {
+          await handleOpenSessionGroup(group, btn);
+        } else if (btn.dataset.groupAction === 'export') {
+          await handleBulkExport(group);
+        } else if (btn.dataset.groupAction === 'delete') {
+          await handleDeleteSessionGroup(group);
+        }
+      });
+    });
+  });
+
+  // Drag a session by its color dot
+  document.querySelectorAll('[data-drag-session]').forEach(handle => {
+    handle.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', handle.dataset.dragSession);
+      e.dataTransfer.effectAllowed = 'move';
+      document.body.classList.add('dragging-session');
+    });
+    handle.addEventListener('dragend', () => {
+      document.body.classList.remove('dragging-session');
+    });
+  });
+
+  // Drop onto a group header, "New group" or "Remove from group"
+  document.querySelectorAll('[data-drop-group]').forEach(target => {
+    target.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      target.classList.add('drag-over');
+    });
+    target.addEventListener('dragleave', () => {
+      target.classList.remove('drag-over');
+    });
+    target.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      target.classList.remove('drag-over');
+      document.body.classList.remove('dragging-session');
+
+      const sessionId = e.dataTransfer.getData('text/plain');
+      if (!sessionId) return;
+
+      const drop = target.dataset.dropGroup;
+      if (drop === '__new__') {
+        const name = prompt('New group name:');
+        if (!name || !name.trim()) return;
+        await handleSetSessionGroup(sessionId, name);
+      } else if (drop === '__none__') {
+        await handleSetSessionGroup(sessionId, null);
+      } else {
+        await handleSetSessionGroup(sessionId, renderedSessionGroups[parseInt(drop)]);
+      }
+    });
+  });
+}
+
+/**
+ * Put a session in a group, or take it out of its group
+ * @param {string} sessionId - Session ID
+ * @param {string|null} group - Group name, or null to ungroup
+ */
+async function handleSetSessionGroup(sessionId, group) {
+  const response = await sendMessage({ action: 'setSessionGroup', sessionId: sessionId, group: group });
+  if (!response || !response.success) {
+    alert('Failed to move session: ' + (response?.error || 'Unknown error'));
+    return;
+  }
+
+  if (response.group) {
+    // Show the group the session was dropped into
+    await saveSessionGroupCollapsed(response.group, false);
+  }
+  await refreshSessions();
+  updatePopupHeight();
+}
+
+/**
+ * Rename a group (an existing name merges the two groups)
+ * @param {string} group - Group name
+ */
+async function handleRenameSessionGroup(group) {
+  const newName = prompt('Rename group:', group);
+  if (!newName || !newName.trim() || newName.trim() === group) return;
+
+  const response = await sendMessage({ action: 'renameSessionGroup', group: group, newName: newName });
+  if (!response || !response.success) {
+    alert('Failed to rename group: ' + (response?.error || 'Unknown error'));
+    return;
+  }
+
+  const collapsed = (await getCollapsedSessionGroups()).includes(group);
+  await saveSessionGroupCollapsed(group, false);
+  await saveSessionGroupCollapsed(response.group, collapsed);
+  await refreshSessions();
+}
+
+/**
+ * Open every closed session of a group
+ * @param {string} group - Group name
+ * @param {HTMLElement} btn - Open button
+ */
+async function handleOpenSessionGroup(group, btn) {
+  btn.disabled = true;
+  btn.textContent = 'Opening...';
+
+  const response = await sendMessage({ action: 'openSessionGroup', group: group });
+
+  await refreshSessions();
+  updatePopupHeight();
+
+  if (response && response.blocked) {
+    showSessionLimitWarning(response);
+  } else if (!response || !response.success) {
+    alert('Failed to open group: ' + (response?.error || 'Unknown error'));
+  }
+}
+
+/**
+ * Delete every session of a group after confirmation
+ * @param {string} group - Group name
+ */
+async function handleDeleteSessionGroup(group) {
+  const confirmed = confirm(
+    `⚠️ Delete every session in "${group}"?\n\n` +
+    'Open tabs of these sessions will be closed, and their cookies, storage and settings removed.\n\n' +
+    'This action cannot be undone.'
+  );
+  if (!confirmed) return;
+
+  const response = await sendMessage({ action: 'deleteSessionGroup', group: group });
+  if (!response || !response.success) {
+    alert('Failed to delete group: ' + (response?.error || 'Unknown error'));
+  }
+
+  await saveSessionGroupCollapsed(group, false);
+  await refreshSessions();
+  updatePopupHeight();
+}
+
+// ============= License Status =============
+
+/**
+ * Refresh license status display
+ */
+async function refreshLicenseStatus() {
+  try {
+    const response = await sendMessage({ action: 'getLicenseStatus' });
+
+    if (!response || !response.success) {
+      console.log('No license or error fetching license status');
+      await displayFreeTier();
+      return;
     }
 
     const license = response.licenseData;
@@ -1896,6 +2822,435 @@ function attachAutoRestoreListeners() {
   }
 }
 
+// ============= Profiles UI (Enterprise) =============
+
+/**
+ * Render the profile switcher (hidden unless multiple profiles are available)
+ * The default profile stays selectable after a downgrade so users can switch back
+ */
+async function refreshProfiles() {
+  const section = $('#profileSection');
+  if (!section) return;
+
+  try {
+    const response = await sendMessage({ action: 'listProfiles' });
+    if (!response || !response.success || (!response.allowed && response.activeProfileId === 'default')) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const select = $('#profileSelect');
+    select.innerHTML = response.profiles.map(profile =>
+      `<option value="${escapeHtml(profile.id)}">${escapeHtml(truncate(profile.name, 30))}</option>`
+    ).join('');
+    select.value = response.activeProfileId;
+
+    const isDefault = response.activeProfileId === 'default';
+    $('#profileNewBtn').disabled = !response.allowed;
+    $('#profileImportBtn').disabled = !response.allowed;
+    $('#profileExportBtn').disabled = !response.allowed;
+    $('#profileDeleteBtn').disabled = response.profiles.length < 2;
+    $('#profileDeleteBtn').title = isDefault ? 'Delete another profile' : 'Switch to another profile to delete this one';
+    section.style.display = 'block';
+  } catch (error) {
+    console.error('[Profiles UI] Error loading profiles:', error);
+    section.style.display = 'none';
+  }
+}
+
+/**
+ * Read a file chosen in a file input as text
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} File content
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Warning for export results that hold header rule values in plain text
+ * @param {Object} response - Export response
+ * @returns {string} Note text, or '' if the file holds none
+ */
+function formatHeaderRuleValuesNote(response) {
+  if (!response || !(response.headerRuleValuesUnencrypted > 0)) {
+    return '';
+  }
+  return `\n\n⚠️ The file holds ${response.headerRuleValuesUnencrypted} header rule value(s) in plain text ` +
+    '(these are often API keys or tokens). Store it safely, or export encrypted (Enterprise).';
+}
+
+/**
+ * Export the selected profile (optionally encrypted)
+ */
+async function handleProfileExport() {
+  const profileId = $('#profileSelect').value;
+  const options = {};
+
+  if (confirm('Encrypt the profile export with a password?')) {
+    const password = prompt('Enter a password for the export:');
+    if (!password) return;
+    options.encrypt = true;
+    options.password = password;
+  }
+
+  const response = await sendMessage({ action: 'exportProfile', profileId: profileId, options: options });
+  if (!response || !response.success) {
+    alert('Export failed: ' + (response?.message || 'Unknown error'));
+    return;
+  }
+
+  downloadFile(response.filename, response.data);
+
+  if (response.headerRuleValuesUnencrypted > 0) {
+    alert('✓ Profile exported.' + formatHeaderRuleValuesNote(response));
+  }
+}
+
+/**
+ * Import a profile file as a new profile
+ * @param {File} file - Selected file
+ */
+async function handleProfileImport(file) {
+  try {
+    const fileData = await readFileAsText(file);
+    let response = await sendMessage({ action: 'importProfile', fileData: fileData, options: {} });
+
+    if (response && response.requiresPassword) {
+      const password = prompt('This file is encrypted. Enter password:');
+      if (!password) return;
+      response = await sendMessage({ action: 'importProfile', fileData: fileData, options: { password: password } });
+    }
+
+    if (!response || !response.success) {
+      alert('Import failed: ' + (response?.message || 'Unknown error'));
+      return;
+    }
+
+    alert(`Imported profile "${response.profile.name}" with ${response.importedCount} session(s).\n\nSelect it in the profile list to switch to it.`);
+    await refreshProfiles();
+  } catch (error) {
+    console.error('[Profiles UI] Import error:', error);
+    alert('Import failed: ' + error.message);
+  }
+}
+
+/**
+ * Attach profile switcher event listeners
+ */
+function attachProfileListeners() {
+  const select = $('#profileSelect');
+  if (!select) return;
+
+  select.addEventListener('change', async (e) => {
+    const profileId = e.target.value;
+    const name = e.target.options[e.target.selectedIndex].textContent;
+
+    if (!confirm(`Switch to profile "${name}"?\n\nSession tabs of the current profile will be closed. Their sessions are kept and can be reopened after switching back.`)) {
+      await refreshProfiles();
+      return;
+    }
+
+    const response = await sendMessage({ action: 'switchProfile', profileId: profileId });
+    if (!response || !response.success) {
+      alert('Failed to switch profile: ' + (response?.error || 'Unknown error'));
+    }
+
+    await refreshProfiles();
+    await refreshSessions();
+    await updateAutoRestoreUI();
+    await updateServiceWorkerPolicyUI();
+    await refreshUrlRules();
+    updatePopupHeight();
+  });
+
+  $('#profileNewBtn').addEventListener('click', async () => {
+    const name = prompt('Name for the new profile:');
+    if (!name) return;
+
+    const response = await sendMessage({ action: 'createProfile', name: name });
+    if (!response || !response.success) {
+      alert('Failed to create profile: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+    await refreshProfiles();
+  });
+
+  $('#profileRenameBtn').addEventListener('click', async () => {
+    const current = select.options[select.selectedIndex];
+    const name = prompt('New name for this profile:', current ? current.textContent : '');
+    if (!name) return;
+
+    const response = await sendMessage({ action: 'renameProfile', profileId: select.value, name: name });
+    if (!response || !response.success) {
+      alert('Failed to rename profile: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+    await refreshProfiles();
+  });
+
+  $('#profileDeleteBtn').addEventListener('click', async () => {
+    const others = Array.from(select.options).filter(option => option.value !== select.value && option.value !== 'default');
+    if (others.length === 0) {
+      alert('The active profile and the default profile cannot be deleted.');
+      return;
+    }
+
+    const name = prompt(`Type the name of the profile to delete (this also deletes its sessions):\n\n${others.map(o => o.textContent).join('\n')}`);
+    if (!name) return;
+
+    const target = others.find(option => option.textContent === name.trim());
+    if (!target) {
+      alert('No deletable profile with that name.');
+      return;
+    }
+
+    const response = await sendMessage({ action: 'deleteProfile', profileId: target.value });
+    if (!response || !response.success) {
+      alert('Failed to delete profile: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+    await refreshProfiles();
+  });
+
+  $('#profileExportBtn').addEventListener('click', handleProfileExport);
+
+  const fileInput = $('#profileImportInput');
+  $('#profileImportBtn').addEventListener('click', () => {
+    fileInput.value = '';
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      await handleProfileImport(file);
+    }
+  });
+}
+
+// ============= URL Rules UI =============
+
+/**
+ * Rules shown in the editor (saved whole when toggled, used by the tester)
+ * @type {Array<Object>}
+ */
+let urlRulesShown = [];
+
+/**
+ * Describe where a rule sends matching tabs
+ * @param {Object} rule - Rule from listUrlRules
+ * @returns {string} Label
+ */
+function describeUrlRuleTarget(rule) {
+  if (rule.action === 'ask') return 'Always ask';
+  if (rule.action === 'none') return 'No session';
+  const name = rule.sessionName || rule.sessionId;
+  return rule.sessionExists ? truncate(name, 20) : `${truncate(name, 20)} (deleted)`;
+}
+
+/**
+ * Render the URL rule list and the rule target picker
+ */
+async function refreshUrlRules() {
+  const list = $('#urlRulesList');
+  if (!list) return;
+
+  try {
+    const response = await sendMessage({ action: 'listUrlRules' });
+    if (!response || !response.success) {
+      list.innerHTML = '<div class="templates-empty">Failed to load URL rules</div>';
+      return;
+    }
+
+    if (response.rules.length === 0) {
+      list.innerHTML = '<div class="templates-empty">No rules yet. Tabs are assigned by opener and domain.</div>';
+    } else {
+      list.innerHTML = response.rules.map((rule, index) => `
+        <div class="url-rule-item${rule.enabled ? '' : ' disabled'}" data-rule-id="${escapeHtml(rule.id)}">
+          <input type="checkbox" class="url-rule-enabled" ${rule.enabled ? 'checked' : ''} title="Enable this rule">
+          <span class="url-rule-pattern" title="${escapeHtml(rule.pattern)}">${escapeHtml(rule.pattern)}</span>
+          <span class="url-rule-target${rule.action === 'session' && !rule.sessionExists ? ' missing' : ''}">${escapeHtml(describeUrlRuleTarget(rule))}</span>
+          <button class="profile-action-btn url-rule-move" data-offset="-1" title="Higher priority" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="profile-action-btn url-rule-move" data-offset="1" title="Lower priority" ${index === response.rules.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="template-delete-btn url-rule-delete" title="Delete rule">×</button>
+        </div>
+      `).join('');
+    }
+
+    urlRulesShown = response.rules;
+
+    const target = $('#urlRuleTarget');
+    const selected = target.value;
+    target.innerHTML = '<option value="ask">Always ask</option><option value="none">No session</option>' +
+      response.sessions.map(session =>
+        `<option value="session:${escapeHtml(session.id)}">${escapeHtml(truncate(session.name || session.id, 25))}${session.active ? '' : ' (dormant)'}</option>`
+      ).join('');
+    if (selected && Array.from(target.options).some(option => option.value === selected)) {
+      target.value = selected;
+    }
+  } catch (error) {
+    console.error('[URL Rules UI] Error loading rules:', error);
+  }
+}
+
+/**
+ * Attach URL rule editor event listeners
+ */
+function attachUrlRuleListeners() {
+  const list = $('#urlRulesList');
+  if (!list) return;
+
+  list.addEventListener('click', async (e) => {
+    const item = e.target.closest('.url-rule-item');
+    if (!item) return;
+    const ruleId = item.dataset.ruleId;
+
+    let response = null;
+    if (e.target.classList.contains('url-rule-move')) {
+      response = await sendMessage({ action: 'moveUrlRule', ruleId: ruleId, offset: parseInt(e.target.dataset.offset, 10) });
+    } else if (e.target.classList.contains('url-rule-delete')) {
+      if (!confirm('Delete this URL rule?')) return;
+      response = await sendMessage({ action: 'deleteUrlRule', ruleId: ruleId });
+    } else {
+      return;
+    }
+
+    if (!response || !response.success) {
+      alert('Failed to update rule: ' + (response?.error || 'Unknown error'));
+    }
+    await refreshUrlRules();
+  });
+
+  list.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('url-rule-enabled')) return;
+    const ruleId = e.target.closest('.url-rule-item').dataset.ruleId;
+    const rule = urlRulesShown.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    const response = await sendMessage({ action: 'saveUrlRule', rule: Object.assign({}, rule, { enabled: e.target.checked }) });
+    if (!response || !response.success) {
+      alert('Failed to update rule: ' + (response?.error || 'Unknown error'));
+    }
+    await refreshUrlRules();
+  });
+
+  $('#urlRuleAddBtn').addEventListener('click', async () => {
+    const target = $('#urlRuleTarget').value;
+    const rule = { pattern: $('#urlRulePattern').value, enabled: true };
+    if (target.startsWith('session:')) {
+      rule.action = 'session';
+      rule.sessionId = target.substring('session:'.length);
+    } else {
+      rule.action = target;
+    }
+
+    const response = await sendMessage({ action: 'saveUrlRule', rule: rule });
+    if (!response || !response.success) {
+      alert('Failed to add rule: ' + (response?.error || 'Unknown error'));
+      return;
+    }
+
+    $('#urlRulePattern').value = '';
+    await refreshUrlRules();
+    updatePopupHeight();
+  });
+
+  $('#urlRuleTestBtn').addEventListener('click', async () => {
+    const urls = $('#urlRuleTestInput').value.split('\n').map(url => url.trim()).filter(Boolean);
+    const results = $('#urlRuleResults');
+    if (urls.length === 0) {
+      results.innerHTML = '';
+      return;
+    }
+
+    const response = await sendMessage({ action: 'testUrlRules', urls: urls });
+    if (!response || !response.success) {
+      results.textContent = 'Test failed: ' + (response?.error || 'Unknown error');
+      return;
+    }
+
+    results.innerHTML = response.results.map(result => {
+      let outcome;
+      if (!result.valid) {
+        outcome = 'invalid URL';
+      } else if (!result.ruleId) {
+        outcome = 'no rule (opener/domain heuristic)';
+      } else {
+        const rule = urlRulesShown.find(r => r.id === result.ruleId) || result;
+        outcome = `#${result.index + 1} ${result.pattern} → ${describeUrlRuleTarget(rule)}`;
+      }
+      return `<div>${escapeHtml(truncate(result.url, 60))}: ${escapeHtml(outcome)}</div>`;
+    }).join('');
+    updatePopupHeight();
+  });
+}
+
+// ============= Service Worker Policy UI =============
+
+/**
+ * Show the service worker policy for the active tab's site
+ * Hidden for non-web pages (chrome://, extension pages, etc.)
+ */
+async function updateServiceWorkerPolicyUI() {
+  const section = $('#swPolicySection');
+  if (!section) return;
+
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = activeTab && activeTab.url;
+
+    if (!url || !/^https?:/.test(url)) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const response = await sendMessage({ action: 'getServiceWorkerPolicy', url: url });
+    if (!response || !response.success) {
+      section.style.display = 'none';
+      return;
+    }
+
+    $('#swPolicySite').textContent = response.site;
+    $('#swPolicySelect').value = response.mode;
+    section.dataset.url = url;
+    section.style.display = 'block';
+  } catch (error) {
+    console.error('[SW Policy UI] Error updating UI:', error);
+    section.style.display = 'none';
+  }
+}
+
+/**
+ * Attach service worker policy event listeners
+ */
+function attachServiceWorkerPolicyListeners() {
+  const select = $('#swPolicySelect');
+  if (!select) return;
+
+  select.addEventListener('change', async (e) => {
+    const url = $('#swPolicySection').dataset.url;
+    const mode = e.target.value;
+
+    console.log('[SW Policy] Mode changed:', mode);
+
+    const response = await sendMessage({
+      action: 'setServiceWorkerPolicy',
+      url: url,
+      mode: mode
+    });
+
+    if (!response || !response.success) {
+      alert('Failed to update service worker policy: ' + (response?.error || 'Unknown error'));
+      await updateServiceWorkerPolicyUI();
+    }
+  });
+}
+
 // ============= Initialization State Management =============
 
 /**
@@ -2119,7 +3474,7 @@ async function handleSessionExport(sessionId) {
       const compressed = response.compressed ? ' (compressed)' : '';
       const encrypted = response.encrypted ? ' (encrypted)' : '';
 
-      alert(`✓ Session exported successfully!\n\nFilename: ${response.filename}\nSize: ${sizeKB} KB${compressed}${encrypted}`);
+      alert(`✓ Session exported successfully!\n\nFilename: ${response.filename}\nSize: ${sizeKB} KB${compressed}${encrypted}${formatHeaderRuleValuesNote(response)}`);
     } else if (response && response.requiresUpgrade) {
       if (confirm(response.message + '\n\nClick "View License" to upgrade?')) {
         window.location.href = 'popup-license.html';
@@ -2135,10 +3490,11 @@ async function handleSessionExport(sessionId) {
 }
 
 /**
- * Handle bulk export of all sessions (Enterprise only)
+ * Handle bulk export of all sessions, or of one group's sessions (Enterprise only)
+ * @param {string} [group] - Group name (omit to export all active sessions)
  */
-async function handleBulkExport() {
-  console.log('[Export] Bulk export requested');
+async function handleBulkExport(group) {
+  console.log('[Export] Bulk export requested', group ? `for group "${group}"` : '');
 
   try {
     const tier = await getTier();
@@ -2164,7 +3520,7 @@ async function handleBulkExport() {
     }
 
     // Show progress
-    const exportBtn = $('#exportAllSessionsBtn');
+    const exportBtn = group ? null : $('#exportAllSessionsBtn');
     const originalText = exportBtn ? exportBtn.textContent : '';
     if (exportBtn) {
       exportBtn.textContent = 'Exporting...';
@@ -2176,7 +3532,8 @@ async function handleBulkExport() {
       action: 'exportAllSessions',
       options: {
         encrypt: encrypt,
-        password: password
+        password: password,
+        group: group || undefined
       }
     });
 
@@ -2196,7 +3553,7 @@ async function handleBulkExport() {
       const compressed = response.compressed ? ' (compressed)' : '';
       const encrypted = response.encrypted ? ' (encrypted)' : '';
 
-      alert(`✓ Bulk export successful!\n\nSessions: ${response.sessionCount}\nFilename: ${response.filename}\nSize: ${sizeKB} KB${compressed}${encrypted}`);
+      alert(`✓ Bulk export successful!\n\nSessions: ${response.sessionCount}\nFilename: ${response.filename}\nSize: ${sizeKB} KB${compressed}${encrypted}${formatHeaderRuleValuesNote(response)}`);
     } else {
       console.error('[Export] Bulk export failed:', response);
       alert('Bulk export failed: ' + (response?.message || 'Unknown error'));
@@ -2486,10 +3843,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Load initial data
   await refreshSessions();
+  await refreshTemplates(); // Session templates (Premium/Enterprise)
   await refreshLicenseStatus();
   await initializeColorSelection(); // Initialize color picker
   await updateAutoRestoreUI(); // Initialize auto-restore UI
   attachAutoRestoreListeners(); // Attach auto-restore event listeners
+  await updateServiceWorkerPolicyUI(); // Service worker policy for current site
+  attachServiceWorkerPolicyListeners();
+  await refreshProfiles(); // Profile switcher (Enterprise)
+  attachProfileListeners();
+  await refreshUrlRules(); // URL rule editor
+  attachUrlRuleListeners();
+  attachSessionSearchListeners();
 
   // Update popup height after all content is loaded
   updatePopupHeight();
@@ -2515,6 +3880,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Refresh on tab activation (if popup is still open)
   chrome.tabs.onActivated.addListener(async () => {
     await refreshSessions();
+    await updateServiceWorkerPolicyUI();
     updatePopupHeight(); // Update height after refresh
   });
 
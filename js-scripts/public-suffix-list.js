@@ -0,0 +1,301 @@
+/**
+ * Public Suffix List - offline suffix lookup for cookie domain checks
+ * Loads the bundled libs/public_suffix_list.dat (or a user-imported newer copy)
+ * into a reversed-label trie and answers "is this a public suffix?" and
+ * "what is the registrable domain?" queries per https://publicsuffix.org/list/
+ *
+ * Used by background.js (cookie jar, isValidCookieDomain) and count-tlds.js.
+ */
+
+const publicSuffixList = {
+  /**
+   * List configuration
+   */
+  CONFIG: {
+    BUNDLED_PATH: 'libs/public_suffix_list.dat',
+    STORAGE_KEY: 'publicSuffixListOverride',
+    MIN_RULES: 1000 // Sanity check for imported lists
+  },
+
+  /**
+   * Trie node flags
+   */
+  RULE: {
+    NONE: 0,
+    NORMAL: 1,
+    EXCEPTION: 2
+  },
+
+  /**
+   * Root of the reversed-label trie: { children: { label: node }, rule: RULE.* }
+   */
+  trie: { children: {}, rule: 0 },
+
+  /**
+   * Metadata about the currently loaded list
+   */
+  info: {
+    source: 'none', // 'bundled' | 'imported' | 'none'
+    ruleCount: 0,
+    loadedAt: null,
+    importedAt: null
+  },
+
+  /**
+   * Convert a (possibly Unicode) rule to its ASCII/punycode form
+   * Browsers report hostnames in punycode, so rules must match that form
+   * @param {string} rule - Rule without the leading '!'
+   * @returns {string|null} ASCII rule, or null if it cannot be converted
+   */
+  toASCII(rule) {
+    if (/^[\x00-\x7F]*$/.test(rule)) {
+      return rule.toLowerCase();
+    }
+    try {
+      return rule.split('.').map(label => {
+        if (label === '*' || /^[\x00-\x7F]*$/.test(label)) {
+          return label.toLowerCase();
+        }
+        return new URL('http://' + label).hostname;
+      }).join('.');
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * Parse public_suffix_list.dat text into rule strings
+   * Ignores comments, blank lines and anything after the first whitespace
+   * @param {string} text - List file contents
+   * @returns {Array<string>} Rules (e.g. "com", "*.ck", "!www.ck")
+   */
+  parse(text) {
+    const rules = [];
+
+    String(text).split(/\r?\n/).forEach(line => {
+      const rule = line.trim().split(/\s/)[0];
+      if (!rule || rule.startsWith('//')) {
+        return;
+      }
+
+      const isException = rule.charAt(0) === '!';
+      const ascii = this.toASCII(isException ? rule.substring(1) : rule);
+      if (ascii) {
+        rules.push(isException ? '!' + ascii : ascii);
+      }
+    });
+
+    return rules;
+  },
+
+  /**
+   * Build a reversed-label trie from rule strings
+   * @param {Array<string>} rules - Parsed rules
+   * @returns {Object} Trie root
+   */
+  buildTrie(rules) {
+    const root = { children: {}, rule: this.RULE.NONE };
+
+    rules.forEach(rule => {
+      const isException = rule.charAt(0) === '!';
+      const labels = (isException ? rule.substring(1) : rule).split('.').reverse();
+
+      let node = root;
+      labels.forEach(label => {
+        if (!node.children[label]) {
+          node.children[label] = { children: {}, rule: this.RULE.NONE };
+        }
+        node = node.children[label];
+      });
+
+      node.rule = isException ? this.RULE.EXCEPTION : this.RULE.NORMAL;
+    });
+
+    return root;
+  },
+
+  /**
+   * Replace the active list with the given list text
+   * @param {string} text - List file contents
+   * @param {string} source - 'bundled' or 'imported'
+   * @returns {number} Number of rules loaded
+   */
+  loadFromText(text, source) {
+    const rules = this.parse(text);
+    this.trie = this.buildTrie(rules);
+    this.info = {
+      source: source,
+      ruleCount: rules.length,
+      loadedAt: Date.now(),
+      importedAt: source === 'imported' ? this.info.importedAt : null
+    };
+    console.log(`[PSL] ✓ Loaded ${rules.length} public suffix rules (${source})`);
+    return rules.length;
+  },
+
+  /**
+   * Load the list bundled with the extension
+   * @returns {Promise<number>} Number of rules loaded
+   */
+  async loadBundled() {
+    const response = await fetch(chrome.runtime.getURL(this.CONFIG.BUNDLED_PATH));
+    if (!response.ok) {
+      throw new Error(`Failed to read bundled list (${response.status})`);
+    }
+    return this.loadFromText(await response.text(), 'bundled');
+  },
+
+  /**
+   * Load the imported list if one was saved, otherwise the bundled list
+   * @returns {Promise<Object>} List info
+   */
+  async initialize() {
+    console.log('[PSL] Initializing public suffix list...');
+
+    try {
+      const data = await new Promise(resolve => {
+        chrome.storage.local.get([this.CONFIG.STORAGE_KEY], resolve);
+      });
+      const override = data[this.CONFIG.STORAGE_KEY];
+
+      if (override && override.text) {
+        this.info.importedAt = override.importedAt || null;
+        const count = this.loadFromText(override.text, 'imported');
+        if (count >= this.CONFIG.MIN_RULES) {
+          return this.getInfo();
+        }
+        console.warn('[PSL] ⚠ Imported list is too small, falling back to bundled list');
+      }
+
+      await this.loadBundled();
+    } catch (error) {
+      // Empty trie still applies the default "*" rule (every TLD is a public suffix)
+      console.error('[PSL] ✗ Failed to load public suffix list:', error);
+    }
+
+    return this.getInfo();
+  },
+
+  /**
+   * Import a newer list (e.g. a downloaded public_suffix_list.dat) and persist it
+   * @param {string} text - List file contents
+   * @returns {Promise<Object>} { success, info?, error? }
+   */
+  async importList(text) {
+    const rules = this.parse(text);
+
+    if (rules.length < this.CONFIG.MIN_RULES || rules.indexOf('com') === -1) {
+      return {
+        success: false,
+        error: `File does not look like a Public Suffix List (${rules.length} rules found)`
+      };
+    }
+
+    const importedAt = Date.now();
+    await new Promise(resolve => {
+      chrome.storage.local.set({
+        [this.CONFIG.STORAGE_KEY]: { text: text, importedAt: importedAt }
+      }, resolve);
+    });
+
+    this.info.importedAt = importedAt;
+    this.loadFromText(text, 'imported');
+    return { success: true, info: this.getInfo() };
+  },
+
+  /**
+   * Discard any imported list and go back to the bundled copy
+   * @returns {Promise<Object>} { success, info?, error? }
+   */
+  async resetToBundled() {
+    await new Promise(resolve => {
+      chrome.storage.local.remove([this.CONFIG.STORAGE_KEY], resolve);
+    });
+
+    try {
+      await this.loadBundled();
+      return { success: true, info: this.getInfo() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Get metadata about the loaded list
+   * @returns {Object} { source, ruleCount, loadedAt, importedAt }
+   */
+  getInfo() {
+    return Object.assign({}, this.info);
+  },
+
+  /**
+   * Find the public suffix of a domain (PSL algorithm, default rule "*")
+   * @param {string} domain - Lowercase ASCII domain without leading dot
+   * @returns {string} The public suffix (e.g. "co.uk" for "www.bbc.co.uk")
+   */
+  getPublicSuffix(domain) {
+    const labels = String(domain).toLowerCase().replace(/^\.+|\.+$/g, '').split('.');
+    const reversed = labels.slice().reverse();
+    let suffixLength = 1; // Default rule "*"
+    let node = this.trie;
+
+    for (let i = 0; i < reversed.length; i++) {
+      const next = node.children[reversed[i]];
+
+      // Exception rules win and drop their leftmost label
+      if (next && next.rule === this.RULE.EXCEPTION) {
+        suffixLength = i;
+        break;
+      }
+
+      const wildcard = node.children['*'];
+      if (wildcard && wildcard.rule === this.RULE.NORMAL) {
+        suffixLength = Math.max(suffixLength, i + 1);
+      }
+
+      if (!next) {
+        break;
+      }
+
+      if (next.rule === this.RULE.NORMAL) {
+        suffixLength = Math.max(suffixLength, i + 1);
+      }
+
+      node = next;
+    }
+
+    return labels.slice(labels.length - suffixLength).join('.');
+  },
+
+  /**
+   * Check if a domain is itself a public suffix (e.g. "com", "github.io")
+   * @param {string} domain - Domain to check
+   * @returns {boolean} True if cookies must not be scoped to this domain
+   */
+  isPublicSuffix(domain) {
+    const normalized = String(domain).toLowerCase().replace(/^\.+|\.+$/g, '');
+    return normalized !== '' && this.getPublicSuffix(normalized) === normalized;
+  },
+
+  /**
+   * Get the registrable domain (public suffix + one label)
+   * @param {string} domain - Domain to check
+   * @returns {string|null} Registrable domain, or null if domain is a public suffix
+   */
+  getRegistrableDomain(domain) {
+    const normalized = String(domain).toLowerCase().replace(/^\.+|\.+$/g, '');
+    const suffix = this.getPublicSuffix(normalized);
+    if (normalized === suffix) {
+      return null;
+    }
+    const labels = normalized.split('.');
+    return labels.slice(labels.length - suffix.split('.').length - 1).join('.');
+  }
+};
+
+// Export for use in background script and Node tooling (count-tlds.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = publicSuffixList;
+}
+
+console.log('[Public Suffix List] ✓ Public suffix list loaded');
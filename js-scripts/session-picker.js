@@ -0,0 +1,132 @@
+/**
+ * Session Picker - JavaScript
+ * Shown in place of a page when an "always ask" URL rule matches.
+ * The user picks a session (or none) and the background script loads the page.
+ */
+
+const params = new URLSearchParams(window.location.search);
+const targetUrl = params.get('url') || '';
+const ruleId = params.get('rule') || null;
+
+/**
+ * Send a message to the background script
+ * @param {Object} message - Message object
+ * @returns {Promise<Object>} Response
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * Show an error below the buttons
+ * @param {string} text - Error message
+ */
+function showError(text) {
+  const element = document.getElementById('pickerError');
+  element.textContent = text;
+  element.style.display = 'block';
+}
+
+/**
+ * Disable or enable every choice while a request is running
+ * @param {boolean} busy - True to disable
+ */
+function setBusy(busy) {
+  document.querySelectorAll('button').forEach(button => {
+    button.disabled = busy;
+  });
+}
+
+/**
+ * Send the user's choice to the background script
+ * @param {string} mode - 'session', 'new' or 'none'
+ * @param {string|null} sessionId - Chosen session (mode 'session')
+ */
+async function choose(mode, sessionId = null) {
+  setBusy(true);
+  try {
+    const response = await sendMessage({
+      action: 'resolveUrlRulePrompt',
+      mode: mode,
+      sessionId: sessionId,
+      url: targetUrl,
+      ruleId: ruleId
+    });
+    if (!response || !response.success) {
+      showError((response && response.error) || 'Failed to open the page');
+      setBusy(false);
+    }
+    // On success the tab navigates to the page (or is closed for a new session)
+  } catch (error) {
+    showError(error.message);
+    setBusy(false);
+  }
+}
+
+/**
+ * Render the session list
+ * @param {Array<Object>} sessions - [{ id, name, color, active }]
+ */
+function renderSessions(sessions) {
+  const list = document.getElementById('sessionList');
+  list.innerHTML = '';
+
+  if (sessions.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'No sessions yet. Create a new one or open the page without a session.';
+    list.appendChild(empty);
+    return;
+  }
+
+  sessions.forEach(session => {
+    const button = document.createElement('button');
+    button.className = 'session-option';
+
+    const dot = document.createElement('span');
+    dot.className = 'session-dot';
+    dot.style.background = session.color || '#999';
+
+    const name = document.createElement('span');
+    name.textContent = session.name || session.id;
+
+    const state = document.createElement('span');
+    state.className = 'session-state';
+    state.textContent = session.active ? 'Active' : 'Dormant';
+
+    button.appendChild(dot);
+    button.appendChild(name);
+    button.appendChild(state);
+    button.addEventListener('click', () => choose('session', session.id));
+    list.appendChild(button);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('targetUrl').textContent = targetUrl || '(no URL)';
+  document.getElementById('newSessionBtn').addEventListener('click', () => choose('new'));
+  document.getElementById('noSessionBtn').addEventListener('click', () => choose('none'));
+
+  try {
+    const response = await sendMessage({ action: 'listUrlRules' });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to load sessions');
+    }
+
+    const rule = response.rules.find(r => r.id === ruleId);
+    if (rule) {
+      document.getElementById('ruleInfo').textContent = `Matched rule: ${rule.pattern}`;
+    }
+    renderSessions(response.sessions);
+  } catch (error) {
+    showError(error.message);
+  }
+});
@@ -188,6 +188,16 @@ function updateStorageLayers(persistence) {
     </div>
   `;
 
+  // Incremental saves since the background page started
+  if (persistence.writes) {
+    html += `
+      <div class="storage-layer-details">
+        Incremental saves: ${persistence.writes.saves} written, ${persistence.writes.skipped} unchanged
+        (${persistence.writes.records} records, ${(persistence.writes.bytes / 1024).toFixed(1)} KB)
+      </div>
+    `;
+  }
+
   // Last health check
   html += `
     <div class="timestamp">
@@ -767,6 +777,562 @@ async function clearAllStorage() {
   }
 }
 
+/**
+ * Show which Public Suffix List is active (bundled or imported)
+ */
+async function refreshPublicSuffixInfo() {
+  try {
+    const response = await safeSendMessage({ action: 'getPublicSuffixListInfo' });
+    const infoDiv = document.getElementById('pslInfo');
+
+    if (response && response.success) {
+      const info = response.info;
+      const imported = info.importedAt ? ` (imported ${new Date(info.importedAt).toLocaleString()})` : '';
+      infoDiv.textContent = `Source: ${info.source}${imported} — ${info.ruleCount} rules`;
+    } else {
+      infoDiv.textContent = 'Failed to get list info: ' + (response?.error || 'Unknown error');
+    }
+  } catch (error) {
+    document.getElementById('pslInfo').textContent = 'Error: ' + error.message;
+  }
+}
+
+/**
+ * Import a public_suffix_list.dat file chosen from disk
+ * @param {Event} event - File input change event
+ */
+async function importPublicSuffixList(event) {
+  const file = event.target.files[0];
+  event.target.value = ''; // Allow re-selecting the same file
+
+  if (!file) {
+    return;
+  }
+
+  try {
+    const text = await file.text();
+    const response = await safeSendMessage({ action: 'importPublicSuffixList', text: text });
+
+    if (response && response.success) {
+      showMessage(`✓ Public Suffix List imported (${response.info.ruleCount} rules)`, 'success');
+    } else {
+      showMessage('Failed to import list: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshPublicSuffixInfo();
+}
+
+/**
+ * Discard the imported Public Suffix List and use the bundled one
+ */
+async function resetPublicSuffixList() {
+  try {
+    const response = await safeSendMessage({ action: 'resetPublicSuffixList' });
+
+    if (response && response.success) {
+      showMessage(`✓ Bundled Public Suffix List restored (${response.info.ruleCount} rules)`, 'success');
+    } else {
+      showMessage('Failed to reset list: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshPublicSuffixInfo();
+}
+
+/**
+ * Describe a cookie change log entry
+ * @param {Object} entry - Log entry
+ * @returns {string} "Added", "Changed", "Rewritten (same value)" or "Removed"
+ */
+function describeCookieChange(entry) {
+  if (entry.action === 'remove') {
+    return 'Removed';
+  }
+  if (!entry.oldHash) {
+    return 'Added';
+  }
+  return entry.oldHash === entry.newHash ? 'Rewritten (same value)' : 'Changed';
+}
+
+/**
+ * Format a log time with milliseconds (changes from one response share the same second)
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} Local date and time
+ */
+function formatCookieChangeTime(time) {
+  const date = new Date(time);
+  return `${date.toLocaleDateString()} ${date.toTimeString().substring(0, 8)}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+/**
+ * Load cookie change log settings and the selected session's entries
+ */
+async function refreshCookieChangeLog() {
+  const infoDiv = document.getElementById('cookieLogInfo');
+  const select = document.getElementById('cookieLogSession');
+
+  try {
+    const response = await safeSendMessage({
+      action: 'getCookieChangeLog',
+      sessionId: select.value || undefined,
+      search: document.getElementById('cookieLogSearch').value
+    });
+
+    if (!response || !response.success) {
+      infoDiv.textContent = 'Failed to get cookie change log: ' + (response?.error || 'Unknown error');
+      return;
+    }
+
+    document.getElementById('cookieLogEnabled').checked = response.settings.enabled;
+    const maxInput = document.getElementById('cookieLogMaxEntries');
+    if (document.activeElement !== maxInput) {
+      maxInput.value = response.settings.maxEntries;
+    }
+
+    // Session list (keep the selection)
+    const selected = select.value;
+    select.textContent = '';
+    response.sessions.forEach(session => {
+      const option = document.createElement('option');
+      option.value = session.sessionId;
+      option.textContent = `${session.name || session.sessionId} (${session.active ? 'active' : 'dormant'}, ${session.entries} changes)`;
+      select.appendChild(option);
+    });
+    if (selected && response.sessions.some(session => session.sessionId === selected)) {
+      select.value = selected;
+    }
+
+    infoDiv.textContent = response.settings.enabled
+      ? `Recording. Up to ${response.settings.maxEntries} changes are kept per session; older ones are dropped.`
+      : 'Not recording. Existing entries are kept until cleared.';
+
+    // The first load had no session selected yet
+    if (!response.sessionId && select.value) {
+      await refreshCookieChangeLog();
+      return;
+    }
+
+    const table = document.getElementById('cookieLogTable');
+    table.textContent = '';
+    const entries = response.entries || [];
+    document.getElementById('exportCookieLogBtn').disabled = !response.total;
+    document.getElementById('clearCookieLogBtn').disabled = !response.total;
+
+    if (entries.length === 0) {
+      const cell = table.insertRow().insertCell();
+      cell.colSpan = 6;
+      cell.textContent = response.total ? 'No changes match the filter.' : 'No cookie changes recorded for this session.';
+      return;
+    }
+
+    entries.forEach(entry => {
+      const row = table.insertRow();
+      if (entry.action === 'remove') {
+        row.className = 'removed';
+      }
+      row.insertCell().textContent = formatCookieChangeTime(entry.time);
+      row.insertCell().textContent = entry.channel;
+      row.insertCell().textContent = describeCookieChange(entry);
+
+      const cookieCell = row.insertCell();
+      cookieCell.className = 'mono';
+      cookieCell.textContent = `${entry.name} @ ${entry.domain}${entry.path}`;
+
+      const urlCell = row.insertCell();
+      urlCell.className = 'mono';
+      urlCell.textContent = entry.url || '—';
+
+      const hashCell = row.insertCell();
+      hashCell.className = 'mono';
+      hashCell.textContent = `${entry.oldHash || '—'} → ${entry.newHash || '—'}`;
+    });
+  } catch (error) {
+    infoDiv.textContent = 'Error: ' + error.message;
+  }
+}
+
+/**
+ * Save cookie change log settings
+ */
+async function saveCookieChangeLogSettings() {
+  try {
+    const response = await safeSendMessage({
+      action: 'setCookieChangeLogSettings',
+      settings: {
+        enabled: document.getElementById('cookieLogEnabled').checked,
+        maxEntries: Number(document.getElementById('cookieLogMaxEntries').value)
+      }
+    });
+
+    if (response && response.success) {
+      showMessage('✓ Cookie change log settings saved', 'success');
+    } else {
+      showMessage('Failed to save settings: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshCookieChangeLog();
+}
+
+/**
+ * Download the selected session's cookie change log as JSON
+ */
+async function exportCookieChangeLog() {
+  try {
+    const response = await safeSendMessage({
+      action: 'exportCookieChangeLog',
+      sessionId: document.getElementById('cookieLogSession').value
+    });
+
+    if (!response || !response.success) {
+      showMessage('Failed to export log: ' + (response?.error || 'Unknown error'), 'error');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([response.data], { type: 'application/json' }));
+    chrome.downloads.download({ url: url, filename: response.filename, saveAs: true }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Export failed: ' + chrome.runtime.lastError.message, 'error');
+      } else {
+        showMessage(`✓ Exported ${response.entries} cookie changes`, 'success');
+      }
+      // Revoke object URL after download starts
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Clear the selected session's cookie change log
+ */
+async function clearCookieChangeLog() {
+  const select = document.getElementById('cookieLogSession');
+  if (!select.value || !confirm('Clear the cookie change log of this session?')) {
+    return;
+  }
+
+  try {
+    const response = await safeSendMessage({ action: 'clearCookieChangeLog', sessionId: select.value });
+
+    if (response && response.success) {
+      showMessage('✓ Cookie change log cleared', 'success');
+    } else {
+      showMessage('Failed to clear log: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshCookieChangeLog();
+}
+
+/**
+ * Show the network capture status and the sessions that can be captured
+ */
+async function refreshHarCapture() {
+  const infoDiv = document.getElementById('harInfo');
+  const select = document.getElementById('harSession');
+
+  try {
+    const response = await safeSendMessage({ action: 'getHarCaptureStatus' });
+
+    if (!response || !response.success) {
+      infoDiv.textContent = 'Failed to get capture status: ' + (response?.error || 'Unknown error');
+      return;
+    }
+
+    const status = response.status;
+    const selected = select.value || status.sessionId;
+    select.textContent = '';
+    response.sessions.forEach(session => {
+      const option = document.createElement('option');
+      option.value = session.sessionId;
+      option.textContent = `${session.name || session.sessionId} (${session.active ? 'active' : 'dormant'})`;
+      select.appendChild(option);
+    });
+    if (selected && response.sessions.some(session => session.sessionId === selected)) {
+      select.value = selected;
+    }
+
+    const name = status.sessionName || status.sessionId;
+    const dropped = status.dropped > 0 ? ` (${status.dropped} oldest dropped)` : '';
+    if (status.capturing) {
+      infoDiv.textContent = `Capturing "${name}" since ${new Date(status.startedAt).toLocaleTimeString()}: ${status.entries} requests${dropped}`;
+    } else if (status.sessionId) {
+      infoDiv.textContent = `Stopped. "${name}": ${status.entries} requests${dropped}, ready to export.`;
+    } else {
+      infoDiv.textContent = 'Not capturing. Request and response headers of the chosen session\'s tabs are recorded in memory; bodies are not.';
+    }
+
+    document.getElementById('startHarBtn').disabled = response.sessions.length === 0;
+    document.getElementById('stopHarBtn').disabled = !status.capturing;
+    document.getElementById('exportHarBtn').disabled = !status.sessionId;
+    document.getElementById('clearHarBtn').disabled = !status.sessionId;
+  } catch (error) {
+    infoDiv.textContent = 'Error: ' + error.message;
+  }
+}
+
+/**
+ * Start capturing the selected session (replaces the current capture)
+ */
+async function startHarCapture() {
+  const sessionId = document.getElementById('harSession').value;
+
+  try {
+    const current = await safeSendMessage({ action: 'getHarCaptureStatus' });
+    if (current?.status?.entries > 0 && !confirm('Discard the current capture and start a new one?')) {
+      return;
+    }
+
+    const response = await safeSendMessage({ action: 'startHarCapture', sessionId: sessionId });
+
+    if (response && response.success) {
+      showMessage('✓ Capture started. Reload the session\'s tabs to record full page loads.', 'success');
+    } else {
+      showMessage('Failed to start capture: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshHarCapture();
+}
+
+/**
+ * Stop capturing
+ */
+async function stopHarCapture() {
+  try {
+    const response = await safeSendMessage({ action: 'stopHarCapture' });
+
+    if (response && response.success) {
+      showMessage(`✓ Capture stopped (${response.status.entries} requests)`, 'success');
+    } else {
+      showMessage('Failed to stop capture: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshHarCapture();
+}
+
+/**
+ * Download the capture as a .har file
+ */
+async function exportHarCapture() {
+  try {
+    const response = await safeSendMessage({
+      action: 'exportHarCapture',
+      redact: document.getElementById('harRedact').checked
+    });
+
+    if (!response || !response.success) {
+      showMessage('Failed to export capture: ' + (response?.error || 'Unknown error'), 'error');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([response.data], { type: 'application/json' }));
+    chrome.downloads.download({ url: url, filename: response.filename, saveAs: true }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Export failed: ' + chrome.runtime.lastError.message, 'error');
+      } else {
+        showMessage(`✓ Exported ${response.entries} requests`, 'success');
+      }
+      // Revoke object URL after download starts
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Discard the capture
+ */
+async function clearHarCapture() {
+  if (!confirm('Discard the captured requests?')) {
+    return;
+  }
+
+  try {
+    const response = await safeSendMessage({ action: 'clearHarCapture' });
+
+    if (response && response.success) {
+      showMessage('✓ Capture discarded', 'success');
+    } else {
+      showMessage('Failed to discard capture: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshHarCapture();
+}
+
+/**
+ * Load local automation API settings and tokens
+ */
+async function refreshLocalApiSettings() {
+  const infoDiv = document.getElementById('localApiInfo');
+
+  try {
+    const response = await safeSendMessage({ action: 'getLocalApiConfig' });
+
+    if (!response || !response.success) {
+      infoDiv.textContent = 'Failed to get API settings: ' + (response?.error || 'Unknown error');
+      return;
+    }
+
+    infoDiv.textContent = response.allowed
+      ? `API version ${response.version} — extension ID: ${response.extensionId}`
+      : 'Requires Enterprise tier. Settings are kept but requests are rejected.';
+
+    document.getElementById('localApiEnabled').checked = response.enabled;
+    document.getElementById('localApiLocalhost').checked = response.allowLocalhost;
+    document.getElementById('localApiExtensionIds').value = response.allowedExtensionIds.join('\n');
+
+    // Scope checkboxes (built once)
+    const scopesDiv = document.getElementById('localApiScopes');
+    if (!scopesDiv.hasChildNodes()) {
+      Object.entries(response.scopes).forEach(([scope, description]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = scope;
+        checkbox.title = description;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + scope));
+        scopesDiv.appendChild(label);
+      });
+    }
+
+    // Token list
+    const tokensDiv = document.getElementById('localApiTokens');
+    tokensDiv.textContent = '';
+    if (response.tokens.length === 0) {
+      tokensDiv.textContent = 'No tokens yet.';
+      tokensDiv.className = 'local-api-field';
+      return;
+    }
+    tokensDiv.className = '';
+
+    response.tokens.forEach(token => {
+      const row = document.createElement('div');
+      row.className = 'local-api-token';
+
+      const text = document.createElement('span');
+      const lastUsed = token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never';
+      text.textContent = `${token.label} — ${token.scopes.join(', ')} — last used: ${lastUsed}`;
+
+      const revokeBtn = document.createElement('button');
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.addEventListener('click', () => revokeLocalApiToken(token));
+
+      row.appendChild(text);
+      row.appendChild(revokeBtn);
+      tokensDiv.appendChild(row);
+    });
+  } catch (error) {
+    infoDiv.textContent = 'Error: ' + error.message;
+  }
+}
+
+/**
+ * Save local API access settings
+ */
+async function saveLocalApiSettings() {
+  try {
+    const ids = document.getElementById('localApiExtensionIds').value
+      .split(/[\s,]+/)
+      .filter(id => id);
+
+    const response = await safeSendMessage({
+      action: 'setLocalApiConfig',
+      settings: {
+        enabled: document.getElementById('localApiEnabled').checked,
+        allowLocalhost: document.getElementById('localApiLocalhost').checked,
+        allowedExtensionIds: ids
+      }
+    });
+
+    if (response && response.success) {
+      showMessage('✓ Local API settings saved', 'success');
+    } else {
+      showMessage('Failed to save settings: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshLocalApiSettings();
+}
+
+/**
+ * Create a local API token and show it once
+ */
+async function createLocalApiToken() {
+  const labelInput = document.getElementById('localApiTokenLabel');
+  const scopes = Array.from(document.querySelectorAll('#localApiScopes input:checked'))
+    .map(checkbox => checkbox.value);
+
+  try {
+    const response = await safeSendMessage({
+      action: 'createLocalApiToken',
+      label: labelInput.value,
+      scopes: scopes
+    });
+
+    if (response && response.success) {
+      const tokenPre = document.getElementById('localApiNewToken');
+      tokenPre.textContent = `${response.token}\n\nCopy this token now. It is not shown again.`;
+      tokenPre.style.display = 'block';
+      labelInput.value = '';
+      showMessage('✓ Token created', 'success');
+    } else {
+      showMessage('Failed to create token: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshLocalApiSettings();
+}
+
+/**
+ * Revoke a local API token
+ * @param {Object} token - Token info { id, label }
+ */
+async function revokeLocalApiToken(token) {
+  if (!confirm(`Revoke token "${token.label}"? Scripts using it will stop working.`)) {
+    return;
+  }
+
+  try {
+    const response = await safeSendMessage({ action: 'revokeLocalApiToken', tokenId: token.id });
+
+    if (response && response.success) {
+      showMessage('✓ Token revoked', 'success');
+    } else {
+      showMessage('Failed to revoke token: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    showMessage('Error: ' + error.message, 'error');
+  }
+
+  refreshLocalApiSettings();
+}
+
 function showMessage(text, type = 'success') {
   const messagesDiv = document.getElementById('messages');
   const messageDiv = document.createElement('div');
@@ -828,8 +1394,70 @@ function initializePage() {
     clearAllStorageBtn.addEventListener('click', clearAllStorage);
   }
 
+  const openCookieInspectorBtn = document.getElementById('openCookieInspectorBtn');
+
+  if (openCookieInspectorBtn) {
+    // Per-session cookie list and editor (instead of reading cookies from the raw dump)
+    openCookieInspectorBtn.addEventListener('click', () => window.open('cookie-inspector.html', '_blank'));
+  }
+
+  const importPslBtn = document.getElementById('importPslBtn');
+  const resetPslBtn = document.getElementById('resetPslBtn');
+  const pslFileInput = document.getElementById('pslFileInput');
+
+  if (importPslBtn && pslFileInput) {
+    importPslBtn.addEventListener('click', () => pslFileInput.click());
+    pslFileInput.addEventListener('change', importPublicSuffixList);
+  }
+
+  if (resetPslBtn) {
+    resetPslBtn.addEventListener('click', resetPublicSuffixList);
+  }
+
+  const saveCookieLogBtn = document.getElementById('saveCookieLogBtn');
+  const cookieLogSession = document.getElementById('cookieLogSession');
+  const cookieLogSearch = document.getElementById('cookieLogSearch');
+
+  if (saveCookieLogBtn) {
+    saveCookieLogBtn.addEventListener('click', saveCookieChangeLogSettings);
+    document.getElementById('refreshCookieLogBtn').addEventListener('click', refreshCookieChangeLog);
+    document.getElementById('exportCookieLogBtn').addEventListener('click', exportCookieChangeLog);
+    document.getElementById('clearCookieLogBtn').addEventListener('click', clearCookieChangeLog);
+    cookieLogSession.addEventListener('change', refreshCookieChangeLog);
+
+    let cookieLogSearchTimer = null;
+    cookieLogSearch.addEventListener('input', () => {
+      clearTimeout(cookieLogSearchTimer);
+      cookieLogSearchTimer = setTimeout(refreshCookieChangeLog, 200);
+    });
+  }
+
+  const startHarBtn = document.getElementById('startHarBtn');
+
+  if (startHarBtn) {
+    startHarBtn.addEventListener('click', startHarCapture);
+    document.getElementById('stopHarBtn').addEventListener('click', stopHarCapture);
+    document.getElementById('exportHarBtn').addEventListener('click', exportHarCapture);
+    document.getElementById('clearHarBtn').addEventListener('click', clearHarCapture);
+  }
+
+  const saveLocalApiBtn = document.getElementById('saveLocalApiBtn');
+  const createLocalApiTokenBtn = document.getElementById('createLocalApiTokenBtn');
+
+  if (saveLocalApiBtn) {
+    saveLocalApiBtn.addEventListener('click', saveLocalApiSettings);
+  }
+
+  if (createLocalApiTokenBtn) {
+    createLocalApiTokenBtn.addEventListener('click', createLocalApiToken);
+  }
+
   // Auto-refresh on load
   refreshStats();
+  refreshPublicSuffixInfo();
+  refreshCookieChangeLog();
+  refreshHarCapture();
+  refreshLocalApiSettings();
 
   // Auto-refresh every 5 seconds
   setInterval(() => {
@@ -839,6 +1467,8 @@ function initializePage() {
         console.error('Auto-refresh failed:', error);
         // Don't show error message for auto-refresh failures to avoid spam
       });
+      // Request count of a running capture
+      refreshHarCapture();
     } else {
       console.warn('Chrome runtime no longer available. Extension may have been reloaded.');
     }
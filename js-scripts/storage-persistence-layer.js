@@ -11,6 +11,7 @@
  *
  * Features:
  * - Automatic dual-write to all layers
+ * - Incremental saves: only sessions and cookie domains that changed are written
  * - Automatic recovery on load (tries all layers)
  * - Storage health monitoring
  * - Edge-specific workarounds
@@ -24,11 +25,36 @@
 const STORAGE_CONFIG = {
   // IndexedDB configuration
   IDB_NAME: 'SessnerStorage',
-  IDB_VERSION: 1,
+  IDB_VERSION: 3, // v2: profile ID is part of every session/cookie/tab key, v3: one cookie record per session and domain
   IDB_STORE_SESSIONS: 'sessions',
   IDB_STORE_COOKIES: 'cookieStore',
   IDB_STORE_TABS: 'tabToSession',
   IDB_STORE_METADATA: 'metadata',
+  IDB_INDEX_PROFILE: 'profileId',
+
+  // Profiles (multiProfile feature)
+  // The default profile keeps the original chrome.storage.local keys so
+  // existing installs need no migration there
+  DEFAULT_PROFILE_ID: 'default',
+  PROFILE_DATA_KEYS: ['sessionIndex', 'sessions', 'cookieStore', 'tabToSession', 'tabMetadata', '_lastSaved'],
+
+  // chrome.storage.local keeps each session record under its own key
+  // ('sessions.<sessionId>'), listed by 'sessionIndex'. The single 'sessions' map
+  // is the earlier layout, read on load while there is no index and removed by the
+  // next full save.
+  LOCAL_SESSION_PREFIX: 'sessions.',
+
+  // chrome.storage.local keeps each cookie domain of a session under its own key
+  // ('cookieStore.<sessionId>.<domain>'), listed by 'cookieStore.<sessionId>', so
+  // a cookie change rewrites one domain like it does in IndexedDB. A whole jar
+  // under 'cookieStore.<sessionId>' and the single 'cookieStore' key (pre-v3) are
+  // earlier layouts, still read on load and replaced by the next full save.
+  LOCAL_COOKIE_PREFIX: 'cookieStore.',
+
+  // Sending a cookie updates its lastAccessTime. Incremental saves compare access
+  // times at this resolution, so request traffic alone rewrites a domain at most
+  // once per interval (other changes save the current access times with them).
+  ACCESS_TIME_RESOLUTION: 900000, // 15 minutes
 
   // Storage health check
   HEALTH_CHECK_KEY: '__storage_health_check__',
@@ -56,6 +82,270 @@ class StoragePersistenceManager {
     };
     this.lastHealthCheck = 0;
     this.initPromise = null;
+    this.profileId = STORAGE_CONFIG.DEFAULT_PROFILE_ID;
+
+    // Record signatures of the last successful write, by profile (see saveChanges)
+    this.lastWritten = {};
+    this.saveQueue = Promise.resolve();
+    this.writeStats = { saves: 0, skipped: 0, records: 0, bytes: 0 };
+  }
+
+  /**
+   * Select the profile whose data is read and written
+   * @param {string} profileId - Profile ID
+   */
+  setProfile(profileId) {
+    this.profileId = profileId || STORAGE_CONFIG.DEFAULT_PROFILE_ID;
+    console.log('[Storage Persistence] Active profile:', this.profileId);
+  }
+
+  /**
+   * Get the chrome.storage.local key for a profile's data
+   * @param {string} name - One of PROFILE_DATA_KEYS
+   * @param {string} profileId - Profile ID (defaults to the active profile)
+   * @returns {string} Storage key ('sessions' for the default profile, 'profile.<id>.sessions' otherwise)
+   */
+  getLocalKey(name, profileId = this.profileId) {
+    return profileId === STORAGE_CONFIG.DEFAULT_PROFILE_ID ? name : `profile.${profileId}.${name}`;
+  }
+
+  /**
+   * Get the IndexedDB key for a profile's tab/metadata record
+   * @param {string} key - Record name (e.g. 'mappings', 'lastSaved') or session ID
+   * @param {string} profileId - Profile ID (defaults to the active profile)
+   * @returns {Array<string>} [profileId, key]
+   */
+  getProfileKey(key, profileId = this.profileId) {
+    return [profileId, key];
+  }
+
+  /**
+   * Read a profile's data keys from chrome.storage.local
+   * @param {Array<string>} names - Names from PROFILE_DATA_KEYS
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Object>} name -> value (unprefixed names)
+   */
+  getLocalProfileData(names, profileId = this.profileId) {
+    return new Promise((resolve, reject) => {
+      const keys = names.map(name => this.getLocalKey(name, profileId));
+      chrome.storage.local.get(keys, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+          return;
+        }
+        const data = {};
+        names.forEach((name, i) => {
+          if (result[keys[i]] !== undefined) {
+            data[name] = result[keys[i]];
+          }
+        });
+        resolve(data);
+      });
+    });
+  }
+
+  /**
+   * Write a profile's data keys to chrome.storage.local
+   * @param {Object} data - name -> value (unprefixed names)
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<void>}
+   */
+  setLocalProfileData(data, profileId = this.profileId) {
+    return new Promise((resolve, reject) => {
+      const items = {};
+      Object.keys(data).forEach(name => {
+        items[this.getLocalKey(name, profileId)] = data[name];
+      });
+      chrome.storage.local.set(items, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove a profile's data keys from chrome.storage.local
+   * @param {Array<string>} names - Unprefixed names
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<void>}
+   */
+  removeLocalProfileData(names, profileId = this.profileId) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.remove(names.map(name => this.getLocalKey(name, profileId)), () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the chrome.storage.local name of a session record
+   * @param {string} sessionId - Session ID
+   * @returns {string} Unprefixed name ('sessions.<sessionId>')
+   */
+  getLocalSessionName(sessionId) {
+    return STORAGE_CONFIG.LOCAL_SESSION_PREFIX + sessionId;
+  }
+
+  /**
+   * Read session records from chrome.storage.local
+   * @param {string} profileId - Profile ID
+   * @param {Object|null} stored - 'sessionIndex' and 'sessions' values if already read
+   * @returns {Promise<Object>} sessionId -> session
+   */
+  async getLocalSessions(profileId = this.profileId, stored = null) {
+    const index = stored || await this.getLocalProfileData(['sessionIndex', 'sessions'], profileId);
+    if (!Array.isArray(index.sessionIndex)) {
+      return Object.assign({}, index.sessions || {}); // Earlier single-key layout
+    }
+
+    const names = index.sessionIndex.map(sessionId => this.getLocalSessionName(sessionId));
+    const data = names.length > 0 ? await this.getLocalProfileData(names, profileId) : {};
+    const sessions = {};
+    index.sessionIndex.forEach((sessionId, i) => {
+      if (data[names[i]] !== undefined) {
+        sessions[sessionId] = data[names[i]];
+      }
+    });
+    return sessions;
+  }
+
+  /**
+   * Get the chrome.storage.local items of a session map (one key per session plus the index)
+   * @param {Object} sessions - sessionId -> session
+   * @returns {Object} Unprefixed name -> value
+   */
+  getLocalSessionItems(sessions) {
+    const items = { sessionIndex: Object.keys(sessions) };
+    Object.keys(sessions).forEach(sessionId => {
+      items[this.getLocalSessionName(sessionId)] = sessions[sessionId];
+    });
+    return items;
+  }
+
+  /**
+   * Get the chrome.storage.local name of a session's cookie domain list
+   * @param {string} sessionId - Session ID
+   * @returns {string} Unprefixed name ('cookieStore.<sessionId>')
+   */
+  getLocalCookieName(sessionId) {
+    return STORAGE_CONFIG.LOCAL_COOKIE_PREFIX + sessionId;
+  }
+
+  /**
+   * Get the chrome.storage.local name of one cookie domain of a session
+   * @param {string} sessionId - Session ID
+   * @param {string} domain - Cookie domain (key of the session's jar)
+   * @returns {string} Unprefixed name ('cookieStore.<sessionId>.<domain>')
+   */
+  getLocalCookieDomainName(sessionId, domain) {
+    return this.getLocalCookieName(sessionId) + '.' + domain;
+  }
+
+  /**
+   * Get the chrome.storage.local items of session cookie jars (one key per domain plus each domain list)
+   * @param {Object} cookieStore - sessionId -> jar
+   * @returns {Object} Unprefixed name -> value
+   */
+  getLocalCookieItems(cookieStore) {
+    const items = {};
+    Object.keys(cookieStore).forEach(sessionId => {
+      const jar = cookieStore[sessionId] || {};
+      items[this.getLocalCookieName(sessionId)] = Object.keys(jar);
+      Object.keys(jar).forEach(domain => {
+        items[this.getLocalCookieDomainName(sessionId, domain)] = jar[domain];
+      });
+    });
+    return items;
+  }
+
+  /**
+   * Get the chrome.storage.local cookie keys an incremental save writes and removes
+   * Only changed domains are written; a session's domain list only when domains
+   * were added or removed.
+   * @param {Object} changes - From diffRecordSignatures
+   * @param {Object} cookieStore - sessionId -> jar
+   * @returns {Object} { items: unprefixed name -> value, removed: unprefixed names }
+   */
+  getLocalCookieChanges(changes, cookieStore) {
+    const items = {};
+    changes.cookieSessions.forEach(sessionId => {
+      items[this.getLocalCookieName(sessionId)] = Object.keys(cookieStore[sessionId] || {});
+    });
+    changes.cookieDomains.forEach(([sessionId, domain]) => {
+      items[this.getLocalCookieDomainName(sessionId, domain)] = cookieStore[sessionId][domain];
+    });
+
+    const removed = changes.removedCookieDomains.map(([sessionId, domain]) => this.getLocalCookieDomainName(sessionId, domain))
+      .concat(changes.removedCookieSessions.map(sessionId => this.getLocalCookieName(sessionId)));
+
+    return { items, removed };
+  }
+
+  /**
+   * Get the chrome.storage.local cookie keys a full save leaves behind: domains
+   * no longer in a jar, and the keys of sessions without a jar
+   * Call before writing (the stored domain lists are read to find the domains).
+   * @param {Object} cookieStore - sessionId -> jar being saved
+   * @param {Array<string>} storedSessionIds - Sessions in the stored index
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Array<string>>} Unprefixed names to remove
+   */
+  async getStaleLocalCookieNames(cookieStore, storedSessionIds, profileId) {
+    const sessionIds = Array.from(new Set(storedSessionIds.concat(Object.keys(cookieStore))));
+    const names = sessionIds.map(sessionId => this.getLocalCookieName(sessionId));
+    const stored = names.length > 0 ? await this.getLocalProfileData(names, profileId) : {};
+
+    const stale = [];
+    sessionIds.forEach((sessionId, i) => {
+      const jar = cookieStore[sessionId];
+      if (!jar) {
+        stale.push(names[i]);
+      }
+      if (Array.isArray(stored[names[i]])) {
+        stored[names[i]]
+          .filter(domain => !jar || !(domain in jar))
+          .forEach(domain => stale.push(this.getLocalCookieDomainName(sessionId, domain)));
+      }
+    });
+    return stale;
+  }
+
+  /**
+   * Read session cookie jars from chrome.storage.local
+   * @param {Array<string>} sessionIds - Sessions to read
+   * @param {string} profileId - Profile ID
+   * @param {Object} legacyCookieStore - Pre-v3 'cookieStore' value, if any (per-session keys win)
+   * @returns {Promise<Object>} sessionId -> jar
+   */
+  async getLocalCookieStore(sessionIds, profileId = this.profileId, legacyCookieStore = {}) {
+    const names = sessionIds.map(sessionId => this.getLocalCookieName(sessionId));
+    const data = names.length > 0 ? await this.getLocalProfileData(names, profileId) : {};
+    const cookieStore = Object.assign({}, legacyCookieStore);
+    const domains = [];
+    sessionIds.forEach((sessionId, i) => {
+      if (Array.isArray(data[names[i]])) {
+        cookieStore[sessionId] = {};
+        data[names[i]].forEach(domain => domains.push([sessionId, domain]));
+      } else if (data[names[i]] !== undefined) {
+        cookieStore[sessionId] = data[names[i]]; // Whole jar (earlier layout)
+      }
+    });
+
+    const domainNames = domains.map(([sessionId, domain]) => this.getLocalCookieDomainName(sessionId, domain));
+    const records = domainNames.length > 0 ? await this.getLocalProfileData(domainNames, profileId) : {};
+    domains.forEach(([sessionId, domain], i) => {
+      if (records[domainNames[i]] !== undefined) {
+        cookieStore[sessionId][domain] = records[domainNames[i]];
+      }
+    });
+    return cookieStore;
   }
 
   /**
@@ -93,6 +383,7 @@ class StoragePersistenceManager {
       this.db = null;
       this.isInitialized = false;
       this.initPromise = null;
+      this.lastWritten = {}; // Next save writes everything again
       console.log('[Storage Persistence] ✓ State reset complete');
     }
 
@@ -224,14 +515,26 @@ class StoragePersistenceManager {
         console.log('[IndexedDB] Database upgrade needed (version', event.oldVersion, '->', event.newVersion, ')');
         const db = event.target.result;
 
+        // v1 stores are keyed by session ID only - move their records into the default profile
+        if (event.oldVersion === 1) {
+          this.migrateToProfileKeys(db, event.target.transaction);
+          return;
+        }
+
+        // v2 keeps one cookie record per session - split it by domain
+        if (event.oldVersion === 2) {
+          this.migrateCookieDomains(db, event.target.transaction);
+          return;
+        }
+
         // Create object stores
         if (!db.objectStoreNames.contains(STORAGE_CONFIG.IDB_STORE_SESSIONS)) {
-          const sessionsStore = db.createObjectStore(STORAGE_CONFIG.IDB_STORE_SESSIONS, { keyPath: 'id' });
+          this.createProfileStore(db, STORAGE_CONFIG.IDB_STORE_SESSIONS, 'id');
           console.log('[IndexedDB] Created sessions object store');
         }
 
         if (!db.objectStoreNames.contains(STORAGE_CONFIG.IDB_STORE_COOKIES)) {
-          const cookiesStore = db.createObjectStore(STORAGE_CONFIG.IDB_STORE_COOKIES, { keyPath: 'sessionId' });
+          this.createProfileStore(db, STORAGE_CONFIG.IDB_STORE_COOKIES, 'sessionId', 'domain');
           console.log('[IndexedDB] Created cookieStore object store');
         }
 
@@ -248,6 +551,119 @@ class StoragePersistenceManager {
     });
   }
 
+  /**
+   * Create a sessions/cookies store keyed by [profileId, idField(, subField)]
+   * @param {IDBDatabase} db - Database in a versionchange transaction
+   * @param {string} storeName - Object store name
+   * @param {string} idField - Record field holding the session ID
+   * @param {string} subField - Optional record field after the session ID (cookies: 'domain')
+   * @returns {IDBObjectStore} Created store
+   */
+  createProfileStore(db, storeName, idField, subField = null) {
+    const keyPath = [STORAGE_CONFIG.IDB_INDEX_PROFILE, idField].concat(subField ? [subField] : []);
+    const store = db.createObjectStore(storeName, { keyPath: keyPath });
+    store.createIndex(STORAGE_CONFIG.IDB_INDEX_PROFILE, STORAGE_CONFIG.IDB_INDEX_PROFILE, { unique: false });
+    return store;
+  }
+
+  /**
+   * Migrate a v1 database to profile-scoped keys (runs inside the upgrade transaction)
+   * Existing records become part of the default profile.
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - The versionchange transaction
+   */
+  migrateToProfileKeys(db, transaction) {
+    const defaultProfile = STORAGE_CONFIG.DEFAULT_PROFILE_ID;
+
+    const sessionsRequest = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_SESSIONS).getAll();
+    sessionsRequest.onsuccess = () => {
+      const records = sessionsRequest.result || [];
+      db.deleteObjectStore(STORAGE_CONFIG.IDB_STORE_SESSIONS);
+      const store = this.createProfileStore(db, STORAGE_CONFIG.IDB_STORE_SESSIONS, 'id');
+      records.forEach(record => {
+        store.put(Object.assign({}, record, { [STORAGE_CONFIG.IDB_INDEX_PROFILE]: defaultProfile }));
+      });
+      console.log(`[IndexedDB] ✓ Migrated ${records.length} sessions records to profile keys`);
+    };
+
+    const cookiesRequest = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_COOKIES).getAll();
+    cookiesRequest.onsuccess = () => {
+      const records = cookiesRequest.result || [];
+      db.deleteObjectStore(STORAGE_CONFIG.IDB_STORE_COOKIES);
+      const store = this.createProfileStore(db, STORAGE_CONFIG.IDB_STORE_COOKIES, 'sessionId', 'domain');
+      records.forEach(record => {
+        this.getCookieDomainRecords(defaultProfile, record.sessionId, record.cookies).forEach(domainRecord => store.put(domainRecord));
+      });
+      console.log(`[IndexedDB] ✓ Migrated ${records.length} cookieStore records to profile and domain keys`);
+    };
+
+    [
+      [STORAGE_CONFIG.IDB_STORE_TABS, ['mappings', 'tabMetadata']],
+      [STORAGE_CONFIG.IDB_STORE_METADATA, ['lastSaved']]
+    ].forEach(([storeName, keys]) => {
+      const store = transaction.objectStore(storeName);
+      keys.forEach(key => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (request.result !== undefined) {
+            store.put(request.result, [defaultProfile, key]);
+            store.delete(key);
+          }
+        };
+      });
+    });
+  }
+
+  /**
+   * Split v2 cookie records (one per session) into one record per session and domain
+   * Runs inside the upgrade transaction.
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - The versionchange transaction
+   */
+  migrateCookieDomains(db, transaction) {
+    const request = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_COOKIES).getAll();
+    request.onsuccess = () => {
+      const records = request.result || [];
+      db.deleteObjectStore(STORAGE_CONFIG.IDB_STORE_COOKIES);
+      const store = this.createProfileStore(db, STORAGE_CONFIG.IDB_STORE_COOKIES, 'sessionId', 'domain');
+      let domainCount = 0;
+      records.forEach(record => {
+        this.getCookieDomainRecords(record.profileId, record.sessionId, record.cookies).forEach(domainRecord => {
+          store.put(domainRecord);
+          domainCount++;
+        });
+      });
+      console.log(`[IndexedDB] ✓ Split ${records.length} cookieStore records into ${domainCount} domain records`);
+    };
+  }
+
+  /**
+   * Build the IndexedDB cookie records of a session jar (one per domain)
+   * @param {string} profileId - Profile ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} jar - Session cookie jar (domain -> path -> name -> cookie)
+   * @returns {Array<Object>} [{ profileId, sessionId, domain, cookies }]
+   */
+  getCookieDomainRecords(profileId, sessionId, jar) {
+    return Object.keys(jar || {}).map(domain => ({
+      profileId: profileId,
+      sessionId: sessionId,
+      domain: domain,
+      cookies: jar[domain]
+    }));
+  }
+
+  /**
+   * Get the key range of all cookie records of a session
+   * @param {string} sessionId - Session ID
+   * @param {string} profileId - Profile ID (defaults to the active profile)
+   * @returns {IDBKeyRange} Range over [profileId, sessionId, *]
+   */
+  getCookieKeyRange(sessionId, profileId = this.profileId) {
+    // Arrays sort after strings, so [profileId, sessionId, []] is above every domain key
+    return IDBKeyRange.bound([profileId, sessionId], [profileId, sessionId, []]);
+  }
+
   /**
    * Check storage health across all layers
    * @returns {Promise<Object>}
@@ -386,44 +802,59 @@ class StoragePersistenceManager {
   }
 
   /**
-   * Save data to all storage layers
+   * Save a full snapshot of a profile's data to all storage layers
+   * Used for profile switches, imports and restores. Regular persistence uses saveChanges.
+   * @param {Object} data - Data to save { sessions, cookieStore, tabToSession, tabMetadata }
+   * @param {string} profileId - Profile to save into (defaults to the active profile)
+   * @returns {Promise<Object>} Results from each layer
+   */
+  saveData(data, profileId = this.profileId) {
+    const run = this.saveQueue.then(() => this.writeSnapshot(data, profileId));
+    this.saveQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write a full snapshot (queued by saveData)
    * @param {Object} data - Data to save { sessions, cookieStore, tabToSession, tabMetadata }
+   * @param {string} profileId - Profile to save into
    * @returns {Promise<Object>} Results from each layer
    */
-  async saveData(data) {
-    console.log('[Storage Persistence] Saving data to all layers...');
+  async writeSnapshot(data, profileId) {
+    console.log('[Storage Persistence] Saving data to all layers (profile:', profileId + ')...');
     const results = {
       local: false,
       indexedDB: false,
       sync: false,
       errors: []
     };
+    const sessions = data.sessions || {};
+    const cookieStore = data.cookieStore || {};
 
     // Layer 1: chrome.storage.local (primary)
     if (this.storageHealth.local) {
       try {
-        await new Promise((resolve, reject) => {
-          chrome.storage.local.set({
-            sessions: data.sessions || {},
-            cookieStore: data.cookieStore || {},
-            tabToSession: data.tabToSession || {},
-            tabMetadata: data.tabMetadata || {},  // NEW: Tab metadata for URL-based restoration
-            _lastSaved: Date.now()
-          }, () => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
+        const stored = await this.getLocalProfileData(['sessionIndex'], profileId);
+        const staleCookieNames = await this.getStaleLocalCookieNames(cookieStore, stored.sessionIndex || [], profileId);
+        const items = Object.assign(this.getLocalSessionItems(sessions), this.getLocalCookieItems(cookieStore), {
+          tabToSession: data.tabToSession || {},
+          tabMetadata: data.tabMetadata || {},  // NEW: Tab metadata for URL-based restoration
+          _lastSaved: Date.now()
         });
+        await this.setLocalProfileData(items, profileId);
+
+        // Earlier single-key layouts and the keys of sessions and domains the snapshot no longer has
+        const goneSessionIds = (stored.sessionIndex || []).filter(sessionId => !(sessionId in sessions));
+        await this.removeLocalProfileData(['cookieStore', 'sessions']
+          .concat(goneSessionIds.map(sessionId => this.getLocalSessionName(sessionId)))
+          .concat(staleCookieNames), profileId);
         results.local = true;
         console.log('[Storage Persistence] ✓ Saved to chrome.storage.local');
 
         // Verify persistence (Edge debugging)
         if (STORAGE_CONFIG.VERIFY_PERSISTENCE) {
           setTimeout(async () => {
-            await this.verifyPersistence(data);
+            await this.verifyPersistence(data, profileId);
           }, STORAGE_CONFIG.VERIFY_DELAY);
         }
 
@@ -439,49 +870,60 @@ class StoragePersistenceManager {
     // Layer 2: IndexedDB (backup)
     if (this.storageHealth.indexedDB && this.db) {
       try {
-        // Save sessions
-        if (data.sessions) {
-          for (const [sessionId, sessionData] of Object.entries(data.sessions)) {
-            await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_SESSIONS, sessionId, sessionData);
-          }
-        }
+        const operations = [];
 
-        // Save cookieStore
-        if (data.cookieStore) {
-          for (const [sessionId, cookies] of Object.entries(data.cookieStore)) {
-            await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_COOKIES, sessionId, {
-              sessionId,
-              cookies
-            });
-          }
-        }
+        // Sessions (records carry profileId, part of the store's key path)
+        Object.entries(data.sessions || {}).forEach(([sessionId, sessionData]) => {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_SESSIONS,
+            value: Object.assign({}, sessionData, { profileId: profileId })
+          });
+        });
 
-        // Save tabToSession
-        if (data.tabToSession) {
-          await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'mappings', data.tabToSession);
-        }
+        // Cookies: replace each session's domain records
+        Object.keys(cookieStore).forEach(sessionId => {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_COOKIES,
+            key: this.getCookieKeyRange(sessionId, profileId),
+            remove: true
+          });
+          this.getCookieDomainRecords(profileId, sessionId, cookieStore[sessionId]).forEach(record => {
+            operations.push({ storeName: STORAGE_CONFIG.IDB_STORE_COOKIES, value: record });
+          });
+        });
 
-        // Save tabMetadata (CRITICAL: URL-based tab restoration for Edge)
-        if (data.tabMetadata) {
-          await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'tabMetadata', data.tabMetadata);
-          console.log('[Storage Persistence] ✓ Saved', Object.keys(data.tabMetadata).length, 'tab metadata entries to IndexedDB');
-        }
+        // tabToSession and tabMetadata (CRITICAL: URL-based tab restoration for Edge)
+        operations.push({
+          storeName: STORAGE_CONFIG.IDB_STORE_TABS,
+          key: this.getProfileKey('mappings', profileId),
+          value: data.tabToSession || {}
+        });
+        operations.push({
+          storeName: STORAGE_CONFIG.IDB_STORE_TABS,
+          key: this.getProfileKey('tabMetadata', profileId),
+          value: data.tabMetadata || {}
+        });
 
-        // Save metadata
-        await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_METADATA, 'lastSaved', {
-          timestamp: Date.now(),
-          sessionCount: Object.keys(data.sessions || {}).length,
-          tabCount: Object.keys(data.tabToSession || {}).length,
-          tabMetadataCount: Object.keys(data.tabMetadata || {}).length  // Track metadata count
+        // Metadata
+        operations.push({
+          storeName: STORAGE_CONFIG.IDB_STORE_METADATA,
+          key: this.getProfileKey('lastSaved', profileId),
+          value: {
+            timestamp: Date.now(),
+            sessionCount: Object.keys(data.sessions || {}).length,
+            tabCount: Object.keys(data.tabToSession || {}).length,
+            tabMetadataCount: Object.keys(data.tabMetadata || {}).length  // Track metadata count
+          }
         });
 
+        await this.writeIndexedDBBatch(operations);
         results.indexedDB = true;
-        console.log('[Storage Persistence] ✓ Saved to IndexedDB');
+        console.log('[Storage Persistence] ✓ Saved to IndexedDB (' + operations.length + ' operations, 1 transaction)');
 
         // CRITICAL FIX: Verify critical data was persisted to disk
         // This is especially important for Edge, which may close browser immediately
         if (data.tabMetadata && Object.keys(data.tabMetadata).length > 0) {
-          const verified = await this.verifyIndexedDBWrite(STORAGE_CONFIG.IDB_STORE_TABS, 'tabMetadata');
+          const verified = await this.verifyIndexedDBWrite(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('tabMetadata', profileId));
           if (!verified) {
             console.error('[Storage Persistence] ⚠️ WARNING: tabMetadata verification failed!');
             console.error('[Storage Persistence] Data may not persist if browser closes immediately');
@@ -497,8 +939,8 @@ class StoragePersistenceManager {
       console.warn('[Storage Persistence] Skipping IndexedDB (unhealthy or not initialized)');
     }
 
-    // Layer 3: chrome.storage.sync (critical data only)
-    if (this.storageHealth.sync) {
+    // Layer 3: chrome.storage.sync (critical data only, active profile only)
+    if (this.storageHealth.sync && profileId === this.profileId) {
       try {
         // Only save critical metadata (license, preferences)
         const criticalData = {};
@@ -519,15 +961,7 @@ class StoragePersistenceManager {
         criticalData._sessionCount = Object.keys(data.sessions || {}).length;
         criticalData._lastSaved = Date.now();
 
-        await new Promise((resolve, reject) => {
-          chrome.storage.sync.set(criticalData, () => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        });
+        await this.setSyncData(criticalData);
 
         results.sync = true;
         console.log('[Storage Persistence] ✓ Saved critical data to chrome.storage.sync');
@@ -541,6 +975,9 @@ class StoragePersistenceManager {
       console.warn('[Storage Persistence] Skipping chrome.storage.sync (unhealthy)');
     }
 
+    // Later incremental saves compare against this snapshot
+    this.rememberWritten(profileId, this.getRecordSignatures(data), results);
+
     // Log results
     const successCount = [results.local, results.indexedDB, results.sync].filter(Boolean).length;
     console.log(`[Storage Persistence] Saved to ${successCount}/3 storage layers`);
@@ -552,32 +989,443 @@ class StoragePersistenceManager {
     return results;
   }
 
+  /**
+   * Save only what changed since the last successful save of the profile
+   * Sessions and cookie domains are compared by their JSON (cookie access times
+   * at ACCESS_TIME_RESOLUTION). Changed sessions,
+   * changed cookie domains and removed ones are written; everything else is
+   * left alone. The first save of a profile (and any save after a failed one)
+   * writes everything. Saves run one at a time.
+   * @param {Object} data - Current data { sessions, cookieStore, tabToSession, tabMetadata }
+   * @param {string} profileId - Profile to save into (defaults to the active profile)
+   * @returns {Promise<Object>} { local, indexedDB, sync, errors, skipped, records, bytes }
+   */
+  saveChanges(data, profileId = this.profileId) {
+    const run = this.saveQueue.then(() => this.writeChanges(data, profileId));
+    this.saveQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write the changes of one save (queued by saveChanges)
+   * @param {Object} data - Current data { sessions, cookieStore, tabToSession, tabMetadata }
+   * @param {string} profileId - Profile to save into
+   * @returns {Promise<Object>} { local, indexedDB, sync, errors, skipped, records, bytes }
+   */
+  async writeChanges(data, profileId) {
+    const previous = this.lastWritten[profileId] || null;
+    const current = this.getRecordSignatures(data);
+    const changes = this.diffRecordSignatures(previous, current);
+    const results = {
+      local: false,
+      indexedDB: false,
+      sync: false,
+      errors: [],
+      skipped: false,
+      records: changes.count,
+      bytes: 0
+    };
+
+    if (changes.count === 0) {
+      this.writeStats.skipped++;
+      return Object.assign(results, { local: true, indexedDB: true, sync: true, skipped: true });
+    }
+
+    const bytes = this.measureChanges(changes, current);
+    const cookieStore = data.cookieStore || {};
+    console.log(`[Storage Persistence] Saving ${changes.count} changed record(s) (profile: ${profileId}, ${previous ? 'incremental' : 'full'})`);
+
+    // Layer 1: chrome.storage.local - rewrite only the keys that hold changed records
+    if (this.storageHealth.local) {
+      try {
+        const items = { _lastSaved: Date.now() };
+        changes.sessions.forEach(sessionId => {
+          items[this.getLocalSessionName(sessionId)] = data.sessions[sessionId];
+        });
+        if (changes.sessionIndex || !previous) {
+          items.sessionIndex = Object.keys(current.sessions);
+        }
+        const cookieChanges = this.getLocalCookieChanges(changes, cookieStore);
+        Object.assign(items, cookieChanges.items);
+        if (changes.tabToSession) {
+          items.tabToSession = data.tabToSession || {};
+        }
+        if (changes.tabMetadata) {
+          items.tabMetadata = data.tabMetadata || {};
+        }
+
+        const removed = changes.removedSessions.map(sessionId => this.getLocalSessionName(sessionId))
+          .concat(cookieChanges.removed);
+        if (!previous) {
+          // Earlier single-key layouts and domains an earlier save left behind
+          const stored = await this.getLocalProfileData(['sessionIndex'], profileId);
+          removed.push('cookieStore', 'sessions');
+          removed.push(...await this.getStaleLocalCookieNames(cookieStore, stored.sessionIndex || [], profileId));
+        }
+
+        await this.setLocalProfileData(items, profileId);
+        if (removed.length > 0) {
+          await this.removeLocalProfileData(removed, profileId);
+        }
+        results.local = true;
+      } catch (error) {
+        console.error('[Storage Persistence] ✗ Failed to save changes to chrome.storage.local:', error);
+        results.errors.push({ layer: 'local', error: error.message });
+        this.storageHealth.local = false;
+      }
+    }
+
+    // Layer 2: IndexedDB - one record per changed session and cookie domain, one transaction
+    if (this.storageHealth.indexedDB && this.db) {
+      try {
+        const operations = [];
+
+        // First save: drop domain records that are no longer in the jars
+        if (!previous) {
+          Object.keys(current.cookies).forEach(sessionId => {
+            operations.push({
+              storeName: STORAGE_CONFIG.IDB_STORE_COOKIES,
+              key: this.getCookieKeyRange(sessionId, profileId),
+              remove: true
+            });
+          });
+        }
+
+        changes.sessions.forEach(sessionId => {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_SESSIONS,
+            value: Object.assign({}, data.sessions[sessionId], { profileId: profileId })
+          });
+        });
+        changes.removedSessions.forEach(sessionId => {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_SESSIONS,
+            key: this.getProfileKey(sessionId, profileId),
+            remove: true
+          });
+        });
+        changes.cookieDomains.forEach(([sessionId, domain]) => {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_COOKIES,
+            value: { profileId: profileId, sessionId: sessionId, domain: domain, cookies: cookieStore[sessionId][domain] }
+          });
+        });
+        changes.removedCookieDomains.forEach(([sessionId, domain]) => {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_COOKIES,
+            key: [profileId, sessionId, domain],
+            remove: true
+          });
+        });
+        if (changes.tabToSession) {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_TABS,
+            key: this.getProfileKey('mappings', profileId),
+            value: data.tabToSession || {}
+          });
+        }
+        if (changes.tabMetadata) {
+          operations.push({
+            storeName: STORAGE_CONFIG.IDB_STORE_TABS,
+            key: this.getProfileKey('tabMetadata', profileId),
+            value: data.tabMetadata || {}
+          });
+        }
+        operations.push({
+          storeName: STORAGE_CONFIG.IDB_STORE_METADATA,
+          key: this.getProfileKey('lastSaved', profileId),
+          value: {
+            timestamp: Date.now(),
+            sessionCount: Object.keys(current.sessions).length,
+            tabCount: Object.keys(data.tabToSession || {}).length,
+            tabMetadataCount: Object.keys(data.tabMetadata || {}).length
+          }
+        });
+
+        await this.writeIndexedDBBatch(operations);
+        results.indexedDB = true;
+      } catch (error) {
+        console.error('[Storage Persistence] ✗ Failed to save changes to IndexedDB:', error);
+        results.errors.push({ layer: 'indexedDB', error: error.message });
+        this.storageHealth.indexedDB = false;
+      }
+    }
+
+    // Layer 3: chrome.storage.sync - the session count only changes when sessions are added or removed
+    const countChanged = !previous || Object.keys(previous.sessions).length !== Object.keys(current.sessions).length;
+    if (this.storageHealth.sync && profileId === this.profileId && countChanged) {
+      try {
+        await this.setSyncData({
+          _sessionCount: Object.keys(current.sessions).length,
+          _lastSaved: Date.now()
+        });
+        results.sync = true;
+      } catch (error) {
+        console.error('[Storage Persistence] ✗ Failed to save to chrome.storage.sync:', error);
+        results.errors.push({ layer: 'sync', error: error.message });
+        this.storageHealth.sync = false;
+      }
+    }
+
+    this.rememberWritten(profileId, current, results);
+
+    results.bytes = (results.local ? bytes.local : 0) + (results.indexedDB ? bytes.indexedDB : 0);
+    this.writeStats.saves++;
+    this.writeStats.records += changes.count;
+    this.writeStats.bytes += results.bytes;
+
+    console.log(`[Storage Persistence] ✓ Saved changes (~${Math.round(results.bytes / 1024)} KB written)`);
+    if (results.errors.length > 0) {
+      console.error('[Storage Persistence] Errors:', results.errors);
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the JSON of every record a save writes
+   * Cookie lastAccessTime is reduced to ACCESS_TIME_RESOLUTION steps, so cookies
+   * sent with requests do not mark their domain changed on every save
+   * @param {Object} data - { sessions, cookieStore, tabToSession, tabMetadata }
+   * @returns {Object} { sessions: {id: json}, cookies: {sessionId: {domain: json}}, tabToSession: json, tabMetadata: json }
+   */
+  getRecordSignatures(data) {
+    const signatures = {
+      sessions: {},
+      cookies: {},
+      tabToSession: JSON.stringify(data.tabToSession || {}),
+      tabMetadata: JSON.stringify(data.tabMetadata || {})
+    };
+
+    const sessions = data.sessions || {};
+    Object.keys(sessions).forEach(sessionId => {
+      signatures.sessions[sessionId] = JSON.stringify(sessions[sessionId]);
+    });
+
+    const accessTimeStep = (key, value) =>
+      key === 'lastAccessTime' ? Math.floor(value / STORAGE_CONFIG.ACCESS_TIME_RESOLUTION) : value;
+    const cookieStore = data.cookieStore || {};
+    Object.keys(cookieStore).forEach(sessionId => {
+      const jar = cookieStore[sessionId] || {};
+      signatures.cookies[sessionId] = {};
+      Object.keys(jar).forEach(domain => {
+        signatures.cookies[sessionId][domain] = JSON.stringify(jar[domain], accessTimeStep);
+      });
+    });
+
+    return signatures;
+  }
+
+  /**
+   * Compare record signatures with those of the last save
+   * @param {Object|null} previous - Signatures of the last save (null: everything changed)
+   * @param {Object} current - Current signatures
+   * @returns {Object} Changed and removed sessions and cookie domains, sessions whose cookie domain list changed
+   *   (cookieSessions) or is gone, index and tab flags and a record count
+   */
+  diffRecordSignatures(previous, current) {
+    const before = previous || { sessions: {}, cookies: {}, tabToSession: null, tabMetadata: null };
+    const changes = {
+      sessions: [],
+      removedSessions: [],
+      cookieDomains: [],
+      removedCookieDomains: [],
+      cookieSessions: [],
+      removedCookieSessions: [],
+      sessionIndex: false,
+      tabToSession: current.tabToSession !== before.tabToSession,
+      tabMetadata: current.tabMetadata !== before.tabMetadata,
+      count: 0
+    };
+
+    Object.keys(current.sessions).forEach(sessionId => {
+      if (current.sessions[sessionId] !== before.sessions[sessionId]) {
+        changes.sessions.push(sessionId);
+      }
+    });
+    Object.keys(before.sessions).forEach(sessionId => {
+      if (!(sessionId in current.sessions)) {
+        changes.removedSessions.push(sessionId);
+      }
+    });
+    changes.sessionIndex = changes.removedSessions.length > 0 ||
+      changes.sessions.some(sessionId => !(sessionId in before.sessions));
+
+    Object.keys(current.cookies).forEach(sessionId => {
+      const domains = current.cookies[sessionId];
+      const oldDomains = before.cookies[sessionId] || {};
+      let domainsChanged = !(sessionId in before.cookies);
+
+      Object.keys(domains).forEach(domain => {
+        if (domains[domain] !== oldDomains[domain]) {
+          changes.cookieDomains.push([sessionId, domain]);
+          domainsChanged = domainsChanged || !(domain in oldDomains);
+        }
+      });
+      Object.keys(oldDomains).forEach(domain => {
+        if (!(domain in domains)) {
+          changes.removedCookieDomains.push([sessionId, domain]);
+          domainsChanged = true;
+        }
+      });
+
+      if (domainsChanged) {
+        changes.cookieSessions.push(sessionId);
+      }
+    });
+    Object.keys(before.cookies).forEach(sessionId => {
+      if (!(sessionId in current.cookies)) {
+        changes.removedCookieSessions.push(sessionId);
+        Object.keys(before.cookies[sessionId]).forEach(domain => {
+          changes.removedCookieDomains.push([sessionId, domain]);
+        });
+      }
+    });
+
+    changes.count = changes.sessions.length + changes.removedSessions.length +
+      changes.cookieDomains.length + changes.removedCookieDomains.length +
+      changes.removedCookieSessions.length +
+      (changes.tabToSession ? 1 : 0) + (changes.tabMetadata ? 1 : 0);
+
+    return changes;
+  }
+
+  /**
+   * Estimate the bytes a save writes (JSON length of the written values)
+   * @param {Object} changes - From diffRecordSignatures
+   * @param {Object} current - Current signatures
+   * @returns {Object} { local, indexedDB }
+   */
+  measureChanges(changes, current) {
+    const sum = values => values.reduce((total, json) => total + json.length, 0);
+    const tabBytes = (changes.tabToSession ? current.tabToSession.length : 0) +
+      (changes.tabMetadata ? current.tabMetadata.length : 0);
+
+    const sessionBytes = sum(changes.sessions.map(sessionId => current.sessions[sessionId]));
+    const domainBytes = sum(changes.cookieDomains.map(([sessionId, domain]) => current.cookies[sessionId][domain]));
+
+    // chrome.storage.local writes single session and cookie domain keys, plus the
+    // session index and domain lists when sessions or domains come and go
+    const local = sessionBytes + (changes.sessionIndex ? JSON.stringify(Object.keys(current.sessions)).length : 0) +
+      sum(changes.cookieSessions.map(sessionId => JSON.stringify(Object.keys(current.cookies[sessionId])))) +
+      domainBytes + tabBytes;
+
+    // IndexedDB writes single session and cookie domain records
+    const indexedDB = sessionBytes + domainBytes + tabBytes;
+
+    return { local, indexedDB };
+  }
+
+  /**
+   * Remember what the last save wrote (only when every layer took it)
+   * @param {string} profileId - Profile ID
+   * @param {Object} signatures - Signatures of the written data
+   * @param {Object} results - Save results
+   */
+  rememberWritten(profileId, signatures, results) {
+    if (results.errors.length === 0 && results.local && results.indexedDB) {
+      this.lastWritten[profileId] = signatures;
+    } else {
+      // A layer missed this save - the next one writes everything again
+      delete this.lastWritten[profileId];
+    }
+  }
+
+  /**
+   * Get incremental save statistics since startup
+   * @returns {Object} { saves, skipped, records, bytes }
+   */
+  getWriteStats() {
+    return Object.assign({}, this.writeStats);
+  }
+
+  /**
+   * Write to chrome.storage.sync
+   * @param {Object} items - Items to set
+   * @returns {Promise<void>}
+   */
+  setSyncData(items) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set(items, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a batch of IndexedDB puts and deletes in one transaction
+   * @param {Array<Object>} operations - [{ storeName, value?, key?, remove? }]; sessions/cookies use their key path, other stores need key
+   * @returns {Promise<void>} Resolves when the transaction commits
+   */
+  writeIndexedDBBatch(operations) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const storeNames = [...new Set(operations.map(operation => operation.storeName))];
+      if (storeNames.length === 0) {
+        resolve();
+        return;
+      }
+
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+      operations.forEach(operation => {
+        const store = transaction.objectStore(operation.storeName);
+        const keyPathStore = operation.storeName === STORAGE_CONFIG.IDB_STORE_SESSIONS ||
+          operation.storeName === STORAGE_CONFIG.IDB_STORE_COOKIES;
+        if (operation.remove) {
+          store.delete(operation.key);
+        } else if (keyPathStore) {
+          store.put(operation.value);
+        } else {
+          store.put(operation.value, operation.key);
+        }
+      });
+
+      // CRITICAL: Wait for the transaction to commit to disk
+      transaction.oncomplete = () => {
+        console.log(`[IndexedDB Write] ✓ Batch committed: ${operations.length} operation(s) in ${storeNames.join(', ')}`);
+        resolve();
+      };
+      transaction.onerror = () => {
+        console.error('[IndexedDB Write] ✗ Batch transaction error:', transaction.error);
+        reject(transaction.error);
+      };
+      transaction.onabort = () => {
+        console.error('[IndexedDB Write] ✗ Batch transaction aborted:', transaction.error);
+        reject(transaction.error || new Error('Transaction aborted'));
+      };
+    });
+  }
+
   /**
    * Load data from all storage layers (tries all, returns best)
+   * @param {string} profileId - Profile to load (defaults to the active profile)
    * @returns {Promise<Object>} { sessions, cookieStore, tabToSession, tabMetadata, source }
    */
-  async loadData() {
-    console.log('[Storage Persistence] Loading data from all layers...');
+  async loadData(profileId = this.profileId) {
+    console.log('[Storage Persistence] Loading data from all layers (profile:', profileId + ')...');
 
     // Try Layer 1: chrome.storage.local (fastest)
     let localData = null;
+    let localSessions = {};
     if (this.storageHealth.local) {
       try {
-        localData = await new Promise((resolve, reject) => {
-          chrome.storage.local.get(['sessions', 'cookieStore', 'tabToSession', 'tabMetadata', '_lastSaved'], (data) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve(data);
-            }
-          });
-        });
+        localData = await this.getLocalProfileData(STORAGE_CONFIG.PROFILE_DATA_KEYS, profileId);
+        localSessions = await this.getLocalSessions(profileId, localData);
 
-        if (localData && localData.sessions && Object.keys(localData.sessions).length > 0) {
-          console.log('[Storage Persistence] ✓ Loaded from chrome.storage.local:', Object.keys(localData.sessions).length, 'sessions');
+        if (Object.keys(localSessions).length > 0) {
+          console.log('[Storage Persistence] ✓ Loaded from chrome.storage.local:', Object.keys(localSessions).length, 'sessions');
+          const cookieStore = await this.getLocalCookieStore(Object.keys(localSessions), profileId, localData.cookieStore || {});
           return {
-            sessions: localData.sessions || {},
-            cookieStore: localData.cookieStore || {},
+            sessions: localSessions,
+            cookieStore: cookieStore,
             tabToSession: localData.tabToSession || {},
             tabMetadata: localData.tabMetadata || {},  // NEW: Tab metadata
             source: 'local',
@@ -596,11 +1444,11 @@ class StoragePersistenceManager {
     let idbData = null;
     if (this.storageHealth.indexedDB && this.db) {
       try {
-        const sessions = await this.getAllIndexedDBValues(STORAGE_CONFIG.IDB_STORE_SESSIONS);
-        const cookieStoreData = await this.getAllIndexedDBValues(STORAGE_CONFIG.IDB_STORE_COOKIES);
-        const tabMappings = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'mappings');
-        const tabMetadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'tabMetadata');  // CRITICAL: Load tab URLs
-        const metadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_METADATA, 'lastSaved');
+        const sessions = await this.getAllIndexedDBValues(STORAGE_CONFIG.IDB_STORE_SESSIONS, profileId);
+        const cookieStoreData = await this.getAllIndexedDBValues(STORAGE_CONFIG.IDB_STORE_COOKIES, profileId);
+        const tabMappings = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('mappings', profileId));
+        const tabMetadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('tabMetadata', profileId));  // CRITICAL: Load tab URLs
+        const metadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_METADATA, this.getProfileKey('lastSaved', profileId));
 
         if (sessions && sessions.length > 0) {
           // Reconstruct data structure
@@ -613,23 +1461,28 @@ class StoragePersistenceManager {
             timestamp: metadata ? metadata.timestamp : null
           };
 
-          // Convert sessions array to object
-          for (const session of sessions) {
+          // Convert sessions array to object (profileId is a storage key, not session data)
+          for (const record of sessions) {
+            const session = Object.assign({}, record);
+            delete session.profileId;
             idbData.sessions[session.id] = session;
           }
 
-          // Convert cookieStore array to object
+          // Convert cookie domain records to session jars
           for (const cookieData of cookieStoreData) {
-            idbData.cookieStore[cookieData.sessionId] = cookieData.cookies;
+            if (!idbData.cookieStore[cookieData.sessionId]) {
+              idbData.cookieStore[cookieData.sessionId] = {};
+            }
+            idbData.cookieStore[cookieData.sessionId][cookieData.domain] = cookieData.cookies;
           }
 
           console.log('[Storage Persistence] ✓ Loaded from IndexedDB:', Object.keys(idbData.sessions).length, 'sessions');
           console.log('[Storage Persistence] ✓ Loaded from IndexedDB:', Object.keys(idbData.tabMetadata).length, 'tab metadata entries');
 
           // If chrome.storage.local was empty but IndexedDB has data, restore it
-          if (!localData || !localData.sessions || Object.keys(localData.sessions).length === 0) {
+          if (Object.keys(localSessions).length === 0) {
             console.log('[Storage Persistence] ⚠️ Restoring chrome.storage.local from IndexedDB backup');
-            await this.saveData(idbData);
+            await this.saveData(idbData, profileId);
           }
 
           return idbData;
@@ -642,8 +1495,8 @@ class StoragePersistenceManager {
       }
     }
 
-    // Try Layer 3: chrome.storage.sync (critical data only)
-    if (this.storageHealth.sync) {
+    // Try Layer 3: chrome.storage.sync (critical data only, active profile only)
+    if (this.storageHealth.sync && profileId === this.profileId) {
       try {
         const syncData = await new Promise((resolve, reject) => {
           chrome.storage.sync.get(['_sessionCount', '_lastSaved'], (data) => {
@@ -680,23 +1533,16 @@ class StoragePersistenceManager {
   /**
    * Verify persistence (Edge debugging)
    * @param {Object} originalData - Data that was saved
+   * @param {string} profileId - Profile the data was saved into
    */
-  async verifyPersistence(originalData) {
+  async verifyPersistence(originalData, profileId = this.profileId) {
     console.log('[Storage Verify] Verifying data persistence...');
 
     try {
-      const data = await new Promise((resolve, reject) => {
-        chrome.storage.local.get(['sessions', 'cookieStore', 'tabToSession'], (result) => {
-          if (chrome.runtime.lastError) {
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve(result);
-          }
-        });
-      });
+      const sessions = await this.getLocalSessions(profileId);
 
       const originalSessionCount = Object.keys(originalData.sessions || {}).length;
-      const currentSessionCount = Object.keys(data.sessions || {}).length;
+      const currentSessionCount = Object.keys(sessions).length;
 
       if (currentSessionCount !== originalSessionCount) {
         console.error('[Storage Verify] ⚠️ Data mismatch detected!');
@@ -788,10 +1634,12 @@ class StoragePersistenceManager {
 
   /**
    * Get all values from IndexedDB store
+   * Sessions and cookies are filtered to one profile via the profileId index
    * @param {string} storeName - Object store name
+   * @param {string} profileId - Profile ID (defaults to the active profile)
    * @returns {Promise<Array>}
    */
-  getAllIndexedDBValues(storeName) {
+  getAllIndexedDBValues(storeName, profileId = this.profileId) {
     return new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
@@ -800,7 +1648,9 @@ class StoragePersistenceManager {
 
       const transaction = this.db.transaction([storeName], 'readonly');
       const store = transaction.objectStore(storeName);
-      const request = store.getAll();
+      const request = store.indexNames.contains(STORAGE_CONFIG.IDB_INDEX_PROFILE)
+        ? store.index(STORAGE_CONFIG.IDB_INDEX_PROFILE).getAll(profileId)
+        : store.getAll();
 
       request.onsuccess = () => resolve(request.result || []);
       request.onerror = () => reject(request.error);
@@ -876,18 +1726,12 @@ class StoragePersistenceManager {
       try {
         // Load current data
         console.log('[Storage Persistence] Loading current data from chrome.storage.local...');
-        const data = await new Promise((resolve, reject) => {
-          chrome.storage.local.get(['sessions', 'cookieStore', 'tabToSession', 'tabMetadata'], (result) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve(result);
-            }
-          });
-        });
+        const sessionName = this.getLocalSessionName(sessionId);
+        const cookieName = this.getLocalCookieName(sessionId);
+        const data = await this.getLocalProfileData(['sessionIndex', 'sessions', 'cookieStore', 'tabToSession', 'tabMetadata', cookieName]);
 
         console.log('[Storage Persistence] Current data loaded:', {
-          sessions: Object.keys(data.sessions || {}).length,
+          sessions: (data.sessionIndex || Object.keys(data.sessions || {})).length,
           cookieStore: Object.keys(data.cookieStore || {}).length,
           tabToSession: Object.keys(data.tabToSession || {}).length,
           tabMetadata: Object.keys(data.tabMetadata || {}).length
@@ -900,16 +1744,24 @@ class StoragePersistenceManager {
         let removedTabMappings = 0;
         let removedTabMetadata = 0;
 
+        if (data.sessionIndex && data.sessionIndex.includes(sessionId)) {
+          data.sessionIndex = data.sessionIndex.filter(id => id !== sessionId);
+          removedFromSessions = true;
+        }
         if (data.sessions && data.sessions[sessionId]) {
-          delete data.sessions[sessionId];
+          delete data.sessions[sessionId]; // Earlier single-key layout
           removedFromSessions = true;
+        }
+        if (removedFromSessions) {
           console.log('[Storage Persistence] ✓ Removed from sessions');
         } else {
           console.log('[Storage Persistence] Session not found in sessions object');
         }
 
-        if (data.cookieStore && data.cookieStore[sessionId]) {
-          delete data.cookieStore[sessionId];
+        if (data[cookieName] !== undefined || (data.cookieStore && data.cookieStore[sessionId])) {
+          if (data.cookieStore) {
+            delete data.cookieStore[sessionId]; // Pre-v3 single cookie key
+          }
           removedFromCookies = true;
           console.log('[Storage Persistence] ✓ Removed from cookieStore');
         } else {
@@ -947,24 +1799,28 @@ class StoragePersistenceManager {
 
         // Save updated data back
         console.log('[Storage Persistence] Saving updated data to chrome.storage.local...');
-        await new Promise((resolve, reject) => {
-          chrome.storage.local.set({
-            sessions: data.sessions || {},
-            cookieStore: data.cookieStore || {},
-            tabToSession: data.tabToSession || {},
-            tabMetadata: data.tabMetadata || {},
-            _lastSaved: Date.now()
-          }, () => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        });
+        const items = {
+          tabToSession: data.tabToSession || {},
+          tabMetadata: data.tabMetadata || {},
+          _lastSaved: Date.now()
+        };
+        if (data.sessionIndex) {
+          items.sessionIndex = data.sessionIndex;
+        }
+        if (data.sessions) {
+          items.sessions = data.sessions;
+        }
+        if (data.cookieStore) {
+          items.cookieStore = data.cookieStore;
+        }
+        await this.setLocalProfileData(items);
+        // The domain list names the session's cookie domain keys
+        const cookieDomainNames = Array.isArray(data[cookieName]) ?
+          data[cookieName].map(domain => this.getLocalCookieDomainName(sessionId, domain)) : [];
+        await this.removeLocalProfileData([sessionName, cookieName].concat(cookieDomainNames));
 
         console.log('[Storage Persistence] ✓ Data saved to chrome.storage.local');
-        console.log('[Storage Persistence] Remaining sessions:', Object.keys(data.sessions || {}).length);
+        console.log('[Storage Persistence] Remaining sessions:', (data.sessionIndex || Object.keys(data.sessions || {})).length);
 
         results.local = true;
         console.log('[Storage Persistence] ✓ LAYER 1 COMPLETE: Deleted session from chrome.storage.local:', sessionId);
@@ -992,7 +1848,7 @@ class StoragePersistenceManager {
         await new Promise((resolve, reject) => {
           const transaction = this.db.transaction([STORAGE_CONFIG.IDB_STORE_SESSIONS], 'readwrite');
           const store = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_SESSIONS);
-          const request = store.delete(sessionId);
+          const request = store.delete(this.getProfileKey(sessionId));
 
           transaction.oncomplete = () => {
             console.log(`[IndexedDB Delete] ✓ Transaction committed: Deleted session from sessions store: ${sessionId}`);
@@ -1016,7 +1872,7 @@ class StoragePersistenceManager {
         await new Promise((resolve, reject) => {
           const transaction = this.db.transaction([STORAGE_CONFIG.IDB_STORE_COOKIES], 'readwrite');
           const store = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_COOKIES);
-          const request = store.delete(sessionId);
+          const request = store.delete(this.getCookieKeyRange(sessionId));
 
           transaction.oncomplete = () => {
             console.log(`[IndexedDB Delete] ✓ Transaction committed: Deleted cookies: ${sessionId}`);
@@ -1038,7 +1894,7 @@ class StoragePersistenceManager {
         // Update tab mappings
         console.log('[Storage Persistence] Updating tab mappings...');
         try {
-          const tabMappings = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'mappings');
+          const tabMappings = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('mappings'));
           if (tabMappings) {
             let removedMappings = 0;
             Object.keys(tabMappings).forEach(tabId => {
@@ -1048,7 +1904,7 @@ class StoragePersistenceManager {
               }
             });
             console.log('[Storage Persistence] Removed', removedMappings, 'tab mappings from IndexedDB');
-            await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'mappings', tabMappings);
+            await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('mappings'), tabMappings);
             console.log('[Storage Persistence] ✓ Tab mappings updated in IndexedDB');
           } else {
             console.log('[Storage Persistence] No tab mappings found in IndexedDB');
@@ -1061,7 +1917,7 @@ class StoragePersistenceManager {
         // Update tab metadata
         console.log('[Storage Persistence] Updating tab metadata...');
         try {
-          const tabMetadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'tabMetadata');
+          const tabMetadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('tabMetadata'));
           if (tabMetadata) {
             let removedMetadata = 0;
             Object.keys(tabMetadata).forEach(tabId => {
@@ -1071,7 +1927,7 @@ class StoragePersistenceManager {
               }
             });
             console.log('[Storage Persistence] Removed', removedMetadata, 'tab metadata entries from IndexedDB');
-            await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'tabMetadata', tabMetadata);
+            await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('tabMetadata'), tabMetadata);
             console.log('[Storage Persistence] ✓ Tab metadata updated in IndexedDB');
           } else {
             console.log('[Storage Persistence] No tab metadata found in IndexedDB');
@@ -1088,7 +1944,7 @@ class StoragePersistenceManager {
 
         try {
           // Try to get the deleted session
-          const deletedSession = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_SESSIONS, sessionId);
+          const deletedSession = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_SESSIONS, this.getProfileKey(sessionId));
 
           if (deletedSession) {
             console.error('[Storage Persistence] ✗ VERIFICATION FAILED: Session STILL EXISTS in IndexedDB!');
@@ -1125,6 +1981,9 @@ class StoragePersistenceManager {
       console.warn('[Storage Persistence] Skipping IndexedDB (unhealthy or not initialized)');
     }
 
+    // The keys above were rewritten outside saveChanges - the next save writes everything
+    delete this.lastWritten[this.profileId];
+
     // Log final results
     console.log('[Storage Persistence] ================================================');
     console.log('[Storage Persistence] deleteSession() COMPLETE');
@@ -1189,17 +2048,7 @@ class StoragePersistenceManager {
       console.log('[Storage Persistence] IndexedDB has', indexedDBSessionIds.length, 'sessions');
 
       // Get valid session IDs from chrome.storage.local
-      const localData = await new Promise((resolve, reject) => {
-        chrome.storage.local.get(['sessions'], (result) => {
-          if (chrome.runtime.lastError) {
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve(result);
-          }
-        });
-      });
-
-      const validSessionIds = localData.sessions ? Object.keys(localData.sessions) : [];
+      const validSessionIds = Object.keys(await this.getLocalSessions());
       console.log('[Storage Persistence] chrome.storage.local has', validSessionIds.length, 'valid sessions');
 
       // Find orphans (in IndexedDB but not in valid sessions)
@@ -1236,17 +2085,7 @@ class StoragePersistenceManager {
       console.log('[Storage Persistence] IndexedDB has', indexedDBSessionIds.length, 'sessions');
 
       // Get valid session IDs from chrome.storage.local
-      const localData = await new Promise((resolve, reject) => {
-        chrome.storage.local.get(['sessions'], (result) => {
-          if (chrome.runtime.lastError) {
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve(result);
-          }
-        });
-      });
-
-      const validSessionIds = localData.sessions ? Object.keys(localData.sessions) : [];
+      const validSessionIds = Object.keys(await this.getLocalSessions());
       console.log('[Storage Persistence] chrome.storage.local has', validSessionIds.length, 'valid sessions');
 
       // Find orphans
@@ -1275,7 +2114,7 @@ class StoragePersistenceManager {
           await new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORAGE_CONFIG.IDB_STORE_SESSIONS], 'readwrite');
             const store = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_SESSIONS);
-            const request = store.delete(orphanId);
+            const request = store.delete(this.getProfileKey(orphanId));
 
             transaction.oncomplete = () => {
               console.log(`[Storage Persistence] ✓ Deleted ${orphanId} from sessions store`);
@@ -1296,7 +2135,7 @@ class StoragePersistenceManager {
           await new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORAGE_CONFIG.IDB_STORE_COOKIES], 'readwrite');
             const store = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_COOKIES);
-            const request = store.delete(orphanId);
+            const request = store.delete(this.getCookieKeyRange(orphanId));
 
             transaction.oncomplete = () => {
               console.log(`[Storage Persistence] ✓ Deleted ${orphanId} from cookies store`);
@@ -1315,7 +2154,7 @@ class StoragePersistenceManager {
 
           // Clean up tab mappings and metadata
           try {
-            const tabMappings = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'mappings');
+            const tabMappings = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('mappings'));
             if (tabMappings) {
               let removedMappings = 0;
               Object.keys(tabMappings).forEach(tabId => {
@@ -1325,12 +2164,12 @@ class StoragePersistenceManager {
                 }
               });
               if (removedMappings > 0) {
-                await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'mappings', tabMappings);
+                await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('mappings'), tabMappings);
                 console.log(`[Storage Persistence] ✓ Cleaned ${removedMappings} tab mappings for ${orphanId}`);
               }
             }
 
-            const tabMetadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'tabMetadata');
+            const tabMetadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('tabMetadata'));
             if (tabMetadata) {
               let removedMetadata = 0;
               Object.keys(tabMetadata).forEach(tabId => {
@@ -1340,7 +2179,7 @@ class StoragePersistenceManager {
                 }
               });
               if (removedMetadata > 0) {
-                await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, 'tabMetadata', tabMetadata);
+                await this.setIndexedDBValue(STORAGE_CONFIG.IDB_STORE_TABS, this.getProfileKey('tabMetadata'), tabMetadata);
                 console.log(`[Storage Persistence] ✓ Cleaned ${removedMetadata} tab metadata entries for ${orphanId}`);
               }
             }
@@ -1374,6 +2213,87 @@ class StoragePersistenceManager {
     }
   }
 
+  /**
+   * Delete all stored data of one profile (sessions, cookies, tab mappings)
+   * @param {string} profileId - Profile ID (must not be the active profile)
+   * @returns {Promise<Object>} { local, indexedDB, errors }
+   */
+  async deleteProfileData(profileId) {
+    console.log('[Storage Persistence] Deleting all data for profile:', profileId);
+
+    const results = { local: false, indexedDB: false, errors: [] };
+
+    if (profileId === this.profileId) {
+      results.errors.push({ layer: 'all', error: 'Cannot delete data of the active profile' });
+      return results;
+    }
+
+    try {
+      // Sessions, cookie domain lists and cookie domains have one key each ('sessions.<sessionId>', 'cookieStore.<sessionId>[.<domain>]')
+      const prefixes = [STORAGE_CONFIG.LOCAL_SESSION_PREFIX, STORAGE_CONFIG.LOCAL_COOKIE_PREFIX]
+        .map(prefix => this.getLocalKey(prefix, profileId));
+      const allKeys = await new Promise(resolve => chrome.storage.local.get(null, items => resolve(Object.keys(items || {}))));
+      const recordKeys = allKeys.filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+
+      await new Promise((resolve, reject) => {
+        const keys = STORAGE_CONFIG.PROFILE_DATA_KEYS.map(name => this.getLocalKey(name, profileId)).concat(recordKeys);
+        chrome.storage.local.remove(keys, () => {
+          if (chrome.runtime.lastError) {
+            reject(chrome.runtime.lastError);
+          } else {
+            resolve();
+          }
+        });
+      });
+      results.local = true;
+    } catch (error) {
+      console.error('[Storage Persistence] ✗ Failed to delete profile from chrome.storage.local:', error);
+      results.errors.push({ layer: 'local', error: error.message });
+    }
+
+    if (this.db) {
+      try {
+        await new Promise((resolve, reject) => {
+          const transaction = this.db.transaction([
+            STORAGE_CONFIG.IDB_STORE_SESSIONS,
+            STORAGE_CONFIG.IDB_STORE_COOKIES,
+            STORAGE_CONFIG.IDB_STORE_TABS,
+            STORAGE_CONFIG.IDB_STORE_METADATA
+          ], 'readwrite');
+
+          // Session and cookie records are found through the profileId index
+          [STORAGE_CONFIG.IDB_STORE_SESSIONS, STORAGE_CONFIG.IDB_STORE_COOKIES].forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            const request = store.index(STORAGE_CONFIG.IDB_INDEX_PROFILE).openKeyCursor(IDBKeyRange.only(profileId));
+            request.onsuccess = () => {
+              const cursor = request.result;
+              if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+              }
+            };
+          });
+
+          const tabsStore = transaction.objectStore(STORAGE_CONFIG.IDB_STORE_TABS);
+          tabsStore.delete(this.getProfileKey('mappings', profileId));
+          tabsStore.delete(this.getProfileKey('tabMetadata', profileId));
+          transaction.objectStore(STORAGE_CONFIG.IDB_STORE_METADATA).delete(this.getProfileKey('lastSaved', profileId));
+
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => reject(transaction.error);
+        });
+        results.indexedDB = true;
+      } catch (error) {
+        console.error('[Storage Persistence] ✗ Failed to delete profile from IndexedDB:', error);
+        results.errors.push({ layer: 'indexedDB', error: error.message });
+      }
+    }
+
+    delete this.lastWritten[profileId];
+    console.log('[Storage Persistence] ✓ Profile data deleted:', profileId, results);
+    return results;
+  }
+
   /**
    * Clear all data (for debugging)
    * @returns {Promise<void>}
@@ -1449,6 +2369,8 @@ class StoragePersistenceManager {
     console.log('[Storage Persistence] Resetting initialization state...');
     this.isInitialized = false;
     this.initPromise = null;
+    this.profileId = STORAGE_CONFIG.DEFAULT_PROFILE_ID; // Profile registry was cleared with chrome.storage.local
+    this.lastWritten = {};
     this.storageHealth = {
       local: true,
       indexedDB: true,
@@ -1479,24 +2401,26 @@ class StoragePersistenceManager {
     console.log('[Storage Stats] ================================================');
 
     const stats = {
+      profileId: this.profileId,
       health: this.storageHealth,
       lastHealthCheck: this.lastHealthCheck,
       isInitialized: this.isInitialized,
       dbConnected: !!this.db,
+      writes: this.getWriteStats(),
       sources: {}
     };
 
     // Check chrome.storage.local
     try {
       console.log('[Storage Stats] Checking chrome.storage.local...');
-      const localData = await new Promise(resolve => {
-        chrome.storage.local.get(['sessions', 'cookieStore', 'tabToSession'], resolve);
-      });
+      const localData = await this.getLocalProfileData(['sessionIndex', 'sessions', 'cookieStore', 'tabToSession']);
+      const sessions = await this.getLocalSessions(this.profileId, localData);
+      const cookieStore = await this.getLocalCookieStore(Object.keys(sessions), this.profileId, localData.cookieStore || {});
       stats.sources.local = {
         available: true,
-        sessions: Object.keys(localData.sessions || {}).length,
+        sessions: Object.keys(sessions).length,
         tabs: Object.keys(localData.tabToSession || {}).length,
-        cookieSessions: Object.keys(localData.cookieStore || {}).length
+        cookieSessions: Object.keys(cookieStore).length
       };
       console.log('[Storage Stats] ✓ chrome.storage.local:', stats.sources.local);
     } catch (error) {
@@ -1510,7 +2434,7 @@ class StoragePersistenceManager {
       if (this.db) {
         console.log('[Storage Stats] Database connection exists, querying...');
         const sessions = await this.getAllIndexedDBValues(STORAGE_CONFIG.IDB_STORE_SESSIONS);
-        const metadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_METADATA, 'lastSaved');
+        const metadata = await this.getIndexedDBValue(STORAGE_CONFIG.IDB_STORE_METADATA, this.getProfileKey('lastSaved'));
         stats.sources.indexedDB = {
           available: true,
           sessions: sessions.length,
@@ -1552,3 +2476,8 @@ const storagePersistenceManager = new StoragePersistenceManager();
 if (typeof window !== 'undefined') {
   window.storagePersistenceManager = storagePersistenceManager;
 }
+
+// Export for Node tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STORAGE_CONFIG, StoragePersistenceManager, storagePersistenceManager };
+}
@@ -0,0 +1,240 @@
+/**
+ * URL Rules - declarative rules that assign new tabs to a session
+ * A rule pairs a URL pattern with an action. Rules are kept in priority order
+ * (first match wins) and are checked before opener inheritance and the
+ * noopener domain heuristic in background.js.
+ *
+ * Pattern syntax: [scheme://]host[/path]
+ * - scheme: http, https or * (default: http and https)
+ * - host:   "*" matches any host, "*.example.com" matches example.com and its
+ *           subdomains, "*" inside a label matches any characters. A port
+ *           ("localhost:3000") must match exactly when given.
+ * - path:   "*" matches any characters (including "/"). Without a path, any
+ *           path matches. The path is matched against pathname + query.
+ *
+ * Used by background.js (tab assignment and the popup rule tester).
+ */
+
+const urlRules = {
+  /**
+   * Rule configuration
+   */
+  CONFIG: {
+    STORAGE_KEY: 'urlRules',
+    MAX_RULES: 100,
+    MAX_PATTERN_LENGTH: 500,
+    MAX_TEST_URLS: 50
+  },
+
+  /**
+   * Rule actions
+   * - session: open the tab in rule.sessionId
+   * - ask: ask which session to use before the page loads
+   * - none: keep the tab out of sessions (skips inheritance)
+   */
+  ACTIONS: ['session', 'ask', 'none'],
+
+  /**
+   * Compiled pattern cache (pattern -> matcher)
+   */
+  compiled: {},
+
+  /**
+   * Escape a string for use inside a RegExp, turning "*" into ".*"
+   * @param {string} text - Pattern fragment
+   * @returns {string} RegExp source
+   */
+  globToRegExp(text) {
+    return text.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  },
+
+  /**
+   * Compile a pattern into a matcher
+   * @param {string} pattern - Rule pattern
+   * @returns {Object|null} { schemes, host, matchPort, path } or null if invalid
+   */
+  compilePattern(pattern) {
+    if (typeof pattern !== 'string') {
+      return null;
+    }
+    if (this.compiled[pattern]) {
+      return this.compiled[pattern];
+    }
+
+    let rest = pattern.trim().toLowerCase();
+    if (!rest || rest.length > this.CONFIG.MAX_PATTERN_LENGTH || /\s/.test(rest)) {
+      return null;
+    }
+
+    let schemes = ['http:', 'https:'];
+    const schemeMatch = rest.match(/^([a-z*]+):\/\//);
+    if (schemeMatch) {
+      if (schemeMatch[1] === 'http' || schemeMatch[1] === 'https') {
+        schemes = [schemeMatch[1] + ':'];
+      } else if (schemeMatch[1] !== '*') {
+        return null;
+      }
+      rest = rest.substring(schemeMatch[0].length);
+    }
+
+    const slash = rest.indexOf('/');
+    const hostPart = slash === -1 ? rest : rest.substring(0, slash);
+    const pathPart = slash === -1 ? null : rest.substring(slash);
+
+    if (!hostPart || !/^[a-z0-9.*:\-\[\]]+$/.test(hostPart)) {
+      return null;
+    }
+
+    let hostSource;
+    if (hostPart === '*') {
+      hostSource = '.*';
+    } else if (hostPart.startsWith('*.')) {
+      // "*.example.com" also matches "example.com"
+      hostSource = '(?:.*\\.)?' + this.globToRegExp(hostPart.substring(2));
+    } else {
+      hostSource = this.globToRegExp(hostPart);
+    }
+
+    const matcher = {
+      schemes: schemes,
+      host: new RegExp('^' + hostSource + '$'),
+      matchPort: hostPart.indexOf(':') !== -1 && !hostPart.startsWith('['),
+      path: pathPart === null ? null : new RegExp('^' + this.globToRegExp(pathPart) + '$')
+    };
+
+    this.compiled[pattern] = matcher;
+    return matcher;
+  },
+
+  /**
+   * Check if a URL matches a pattern
+   * @param {string} pattern - Rule pattern
+   * @param {string} url - URL to check
+   * @returns {boolean} True if the URL matches
+   */
+  matches(pattern, url) {
+    const matcher = this.compilePattern(pattern);
+    if (!matcher) {
+      return false;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    if (matcher.schemes.indexOf(parsed.protocol) === -1) {
+      return false;
+    }
+
+    const host = matcher.matchPort ? parsed.host : parsed.hostname;
+    if (!matcher.host.test(host.toLowerCase())) {
+      return false;
+    }
+
+    if (matcher.path) {
+      let path = parsed.pathname + parsed.search;
+      try {
+        path = decodeURI(path);
+      } catch (e) {
+        // Keep the encoded path
+      }
+      return matcher.path.test(path.toLowerCase());
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate and normalize a rule
+   * @param {Object} input - { id?, pattern, action, sessionId?, enabled? }
+   * @returns {{valid: boolean, rule?: Object, error?: string}}
+   */
+  validateRule(input) {
+    if (!input || typeof input !== 'object') {
+      return { valid: false, error: 'Invalid rule' };
+    }
+
+    const pattern = typeof input.pattern === 'string' ? input.pattern.trim() : '';
+    if (!pattern) {
+      return { valid: false, error: 'Pattern cannot be empty' };
+    }
+    if (!this.compilePattern(pattern)) {
+      return { valid: false, error: `Invalid pattern: ${pattern}` };
+    }
+
+    if (this.ACTIONS.indexOf(input.action) === -1) {
+      return { valid: false, error: `Invalid action: ${input.action}` };
+    }
+    if (input.action === 'session' && (typeof input.sessionId !== 'string' || !input.sessionId)) {
+      return { valid: false, error: 'Choose a session for this rule' };
+    }
+
+    return {
+      valid: true,
+      rule: {
+        id: typeof input.id === 'string' ? input.id : null,
+        pattern: pattern,
+        action: input.action,
+        sessionId: input.action === 'session' ? input.sessionId : null,
+        sessionName: input.action === 'session' && typeof input.sessionName === 'string' ? input.sessionName : null,
+        enabled: input.enabled !== false
+      }
+    };
+  },
+
+  /**
+   * Find the first enabled rule matching a URL
+   * @param {Array<Object>} rules - Rules in priority order
+   * @param {string} url - URL to check
+   * @returns {Object|null} Matching rule
+   */
+  findMatch(rules, url) {
+    if (!Array.isArray(rules) || !/^https?:/i.test(url || '')) {
+      return null;
+    }
+    for (const rule of rules) {
+      if (rule && rule.enabled !== false && this.matches(rule.pattern, url)) {
+        return rule;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Check sample URLs against rules (for the popup rule tester)
+   * @param {Array<Object>} rules - Rules in priority order
+   * @param {Array<string>} urls - Sample URLs
+   * @returns {Array<Object>} [{ url, valid, ruleId, index, pattern, action, sessionId }]
+   */
+  testRules(rules, urls) {
+    return (urls || []).slice(0, this.CONFIG.MAX_TEST_URLS).map(url => {
+      let valid = true;
+      try {
+        new URL(url);
+      } catch (e) {
+        valid = false;
+      }
+
+      const rule = valid ? this.findMatch(rules, url) : null;
+      return {
+        url: url,
+        valid: valid,
+        ruleId: rule ? rule.id : null,
+        index: rule ? rules.indexOf(rule) : -1,
+        pattern: rule ? rule.pattern : null,
+        action: rule ? rule.action : null,
+        sessionId: rule ? rule.sessionId : null
+      };
+    });
+  }
+};
+
+// Export for use in background script and Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = urlRules;
+}
+
+console.log('[URL Rules] ✓ URL rules module loaded');
@@ -0,0 +1,108 @@
+/**
+ * Tests: Cookie Change Log
+ *
+ * Run with: node --test tests/
+ *
+ * @file cookie-change-log.test.js
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const cookieChangeLog = require('../js-scripts/cookie-change-log.js');
+
+const LOGIN = {
+  action: 'set', channel: 'http', url: 'https://example.com/login',
+  domain: 'example.com', path: '/', name: 'sid', oldValue: 'one', newValue: 'two'
+};
+
+const SALT = '00112233445566778899aabbccddeeff';
+
+let previousSchedule = null;
+let previousSalt = null;
+
+beforeEach(() => {
+  // Buffers and the salt are saved to chrome.storage, which does not exist here
+  previousSchedule = cookieChangeLog.scheduleSave;
+  previousSalt = cookieChangeLog.saltPromise;
+  cookieChangeLog.scheduleSave = () => {};
+  cookieChangeLog.saltPromise = Promise.resolve(SALT);
+  cookieChangeLog.buffers = {};
+  cookieChangeLog.settings = { enabled: true, maxEntries: 3 };
+});
+
+afterEach(() => {
+  cookieChangeLog.scheduleSave = previousSchedule;
+  cookieChangeLog.saltPromise = previousSalt;
+});
+
+test('nothing is recorded while the log is disabled', async () => {
+  cookieChangeLog.settings.enabled = false;
+  assert.equal(await cookieChangeLog.record('s1', LOGIN), null);
+  assert.equal(cookieChangeLog.getEntries('s1').total, 0);
+});
+
+test('entries hash values instead of storing them', async () => {
+  const entry = await cookieChangeLog.record('s1', LOGIN, 1000);
+  assert.notEqual(entry.oldHash, entry.newHash);
+  assert.equal(entry.newHash, await cookieChangeLog.hashValue('two'));
+  assert.match(entry.newHash, /^[0-9a-f]{16}$/);
+  assert.ok(!JSON.stringify(entry).includes('"two"'));
+});
+
+test('hashes are salted SHA-256', async () => {
+  const expected = crypto.createHash('sha256').update(SALT + ':1').digest('hex').substring(0, 16);
+  assert.equal(await cookieChangeLog.hashValue('1'), expected);
+
+  cookieChangeLog.saltPromise = Promise.resolve('ffeeddccbbaa99887766554433221100');
+  assert.notEqual(await cookieChangeLog.hashValue('1'), expected, 'another install gets another hash');
+  assert.equal(await cookieChangeLog.hashValue(null), null);
+});
+
+test('entries are added in call order before they are hashed', async () => {
+  const first = cookieChangeLog.record('s1', LOGIN, 1000);
+  cookieChangeLog.record('s1', Object.assign({}, LOGIN, { name: 'other' }), 1000);
+  assert.deepEqual(cookieChangeLog.getEntries('s1').entries.map(entry => entry.name), ['other', 'sid']);
+  assert.notEqual((await first).newHash, null);
+});
+
+test('removals keep the old hash only', async () => {
+  const entry = await cookieChangeLog.record('s1', LOGIN, 1000);
+  const removal = await cookieChangeLog.record('s1', { action: 'remove', channel: 'eviction', domain: 'example.com', path: '/', name: 'sid', oldValue: 'two', newValue: 'ignored' }, 2000);
+  assert.equal(removal.channel, 'eviction');
+  assert.equal(removal.newHash, null);
+  assert.equal(removal.oldHash, entry.newHash);
+});
+
+test('unknown channels are recorded as "unknown"', async () => {
+  assert.equal((await cookieChangeLog.record('s1', { action: 'set', channel: 'x', name: 'b' })).channel, 'unknown');
+});
+
+test('the ring buffer drops the oldest entries', async () => {
+  for (const time of [1000, 2000, 3000, 4000]) {
+    await cookieChangeLog.record('s1', Object.assign({}, LOGIN, { name: 'c' + time }), time);
+  }
+  const result = cookieChangeLog.getEntries('s1');
+  assert.equal(result.total, 3);
+  assert.equal(result.entries[0].time, 4000, 'newest first');
+  assert.equal(result.entries[2].time, 2000);
+  const exported = cookieChangeLog.exportSession('s1');
+  assert.equal(exported.entries[0].time, 2000, 'export is oldest first');
+  assert.equal(exported.hash, 'sha256-salted-64');
+  assert.ok(!JSON.stringify(exported).includes(SALT), 'the salt is not exported');
+});
+
+test('search matches the cookie name, domain or URL', async () => {
+  await cookieChangeLog.record('s1', LOGIN, 1000);
+  await cookieChangeLog.record('s1', { action: 'set', channel: 'script', domain: 'other.test', path: '/', name: 'theme' }, 2000);
+  assert.equal(cookieChangeLog.getEntries('s1', { search: 'SID' }).entries.length, 1);
+  assert.equal(cookieChangeLog.getEntries('s1', { search: 'login' }).entries.length, 1);
+  assert.equal(cookieChangeLog.getEntries('s1', { search: 'other.test' }).entries[0].name, 'theme');
+});
+
+test('removeSession drops the session buffer', async () => {
+  await cookieChangeLog.record('s1', LOGIN, 1000);
+  await cookieChangeLog.record('s2', LOGIN, 1000);
+  cookieChangeLog.removeSession('s1');
+  assert.deepEqual(cookieChangeLog.getCounts(), { s2: 1 });
+});
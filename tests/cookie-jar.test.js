@@ -0,0 +1,179 @@
+/**
+ * Tests: Cookie Jar
+ *
+ * Run with: node --test tests/
+ *
+ * @file cookie-jar.test.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const cookieJar = require('../js-scripts/cookie-jar.js');
+
+const now = Date.UTC(2025, 0, 1, 0, 0, 0);
+let previousResolver = null;
+
+before(() => {
+  previousResolver = cookieJar.publicSuffixResolver;
+  cookieJar.setPublicSuffixResolver(domain => ['com', 'uk', 'co.uk'].includes(domain));
+});
+
+after(() => {
+  cookieJar.publicSuffixResolver = previousResolver;
+});
+
+/**
+ * Parse a Set-Cookie string and insert it into a jar
+ * @param {Object} jar - Session cookie jar
+ * @param {string} setCookie - Set-Cookie header value
+ * @param {string} url - Request URL
+ * @param {Object} options - Extra parse/insert options
+ * @returns {Object} insert() result, or { stored: false } if parsing failed
+ */
+function store(jar, setCookie, url, options = {}) {
+  const parsed = cookieJar.parseSetCookie(setCookie, url, Object.assign({ now }, options));
+  if (!parsed) {
+    return { stored: false };
+  }
+  return cookieJar.insert(jar, parsed, Object.assign({ now, secureOrigin: cookieJar.isSecureUrl(new URL(url)) }, options));
+}
+
+/**
+ * Names of the cookies a request gets, in header order
+ * @param {Object} jar - Session cookie jar
+ * @param {string} url - Request URL
+ * @param {Object} context - getCookiesForRequest context
+ * @returns {Array<string>} Cookie names
+ */
+function sentNames(jar, url, context) {
+  return cookieJar.getCookiesForRequest(jar, url, Object.assign({ now }, context)).map(cookie => cookie.name);
+}
+
+test('parseSetCookie keeps "=" in values', () => {
+  const cookie = cookieJar.parseSetCookie('token=a=b==; Path=/', 'https://example.com/x', { now });
+  assert.equal(cookie.value, 'a=b==');
+});
+
+test('parseSetCookie prefers Max-Age over Expires', () => {
+  const cookie = cookieJar.parseSetCookie('id=1; Max-Age=3600; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'https://example.com/', { now });
+  assert.equal(cookie.expirationDate, now / 1000 + 3600);
+});
+
+test('parseSetCookie reads Expires in seconds', () => {
+  const cookie = cookieJar.parseSetCookie('id=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'https://example.com/', { now });
+  assert.equal(cookie.expirationDate, Date.UTC(2015, 9, 21, 7, 28, 0) / 1000);
+});
+
+test('parseSetCookie defaults to a host-only cookie on the default path', () => {
+  const cookie = cookieJar.parseSetCookie('id=1', 'https://www.example.com/a/b', { now });
+  assert.equal(cookie.hostOnly, true);
+  assert.equal(cookie.domain, 'www.example.com');
+  assert.equal(cookie.path, '/a');
+});
+
+test('parseSetCookie lowercases Domain and makes a domain cookie', () => {
+  const cookie = cookieJar.parseSetCookie('id=1; Domain=.Example.com', 'https://www.example.com/', { now });
+  assert.equal(cookie.hostOnly, false);
+  assert.equal(cookie.domain, '.example.com');
+});
+
+test('parseSetCookie rejects invalid cookies', () => {
+  const rejected = [
+    ['foreign Domain', 'id=1; Domain=evil.com', 'https://example.com/'],
+    ['public suffix Domain', 'id=1; Domain=co.uk', 'https://a.co.uk/'],
+    ['Secure from http', 'id=1; Secure', 'http://example.com/'],
+    ['SameSite=None without Secure', 'id=1; SameSite=None', 'https://example.com/'],
+    ['__Secure- without Secure', '__Secure-id=1', 'https://example.com/'],
+    ['__Host- with Domain', '__Host-id=1; Secure; Path=/; Domain=example.com', 'https://example.com/']
+  ];
+  rejected.forEach(([label, setCookie, url]) => {
+    assert.equal(cookieJar.parseSetCookie(setCookie, url, { now }), null, label);
+  });
+  assert.equal(cookieJar.parseSetCookie('id=1; HttpOnly', 'https://example.com/', { now, fromHttp: false }), null, 'HttpOnly from script');
+});
+
+test('parseSetCookie accepts a valid __Host- cookie', () => {
+  assert.notEqual(cookieJar.parseSetCookie('__Host-id=1; Secure; Path=/', 'https://example.com/', { now }), null);
+});
+
+test('getCookiesForRequest applies domain, path, Secure, HttpOnly and SameSite rules', () => {
+  const jar = {};
+  store(jar, 'root=1; Path=/', 'https://www.example.com/');
+  store(jar, 'deep=2; Path=/a/b', 'https://www.example.com/');
+  store(jar, 'shared=3; Domain=example.com; Path=/', 'https://www.example.com/');
+  store(jar, 'sec=4; Secure; Path=/', 'https://www.example.com/');
+  store(jar, 'http=5; HttpOnly; Path=/', 'https://www.example.com/');
+  store(jar, 'strict=6; SameSite=Strict; Path=/', 'https://www.example.com/');
+
+  assert.equal(sentNames(jar, 'https://www.example.com/a/b/c', { type: 'main_frame' })[0], 'deep', 'longest path first');
+  assert.deepEqual(sentNames(jar, 'https://api.example.com/', { type: 'main_frame' }), ['shared'], 'host-only not sent to sibling');
+  assert.ok(!sentNames(jar, 'http://www.example.com/', { type: 'main_frame' }).includes('sec'), 'Secure not sent over http');
+  assert.ok(!sentNames(jar, 'https://www.example.com/', { fromHttp: false }).includes('http'), 'HttpOnly hidden from script');
+  assert.ok(!sentNames(jar, 'https://www.example.com/', { type: 'main_frame', initiator: 'https://other.com' }).includes('strict'),
+    'Strict not sent cross-site');
+});
+
+test('getCookiesForRequest updates lastAccessTime of sent cookies', () => {
+  const jar = {};
+  store(jar, 'id=1; Path=/', 'https://example.com/');
+  const [cookie] = cookieJar.getCookiesForRequest(jar, 'https://example.com/', { type: 'main_frame', now: now + 5000 });
+  assert.equal(cookie.lastAccessTime, now + 5000);
+});
+
+test('insert protects Secure and HttpOnly cookies', () => {
+  const jar = {};
+  store(jar, 'sec=4; Secure; Path=/', 'https://www.example.com/');
+  store(jar, 'http=5; HttpOnly; Path=/', 'https://www.example.com/');
+
+  assert.equal(store(jar, 'sec=x; Path=/', 'http://www.example.com/').stored, false, 'insecure cannot shadow Secure');
+  assert.equal(store(jar, 'http=x; Path=/', 'https://www.example.com/', { fromHttp: false }).stored, false,
+    'script cannot overwrite HttpOnly');
+});
+
+test('Max-Age=0 deletes a cookie', () => {
+  const jar = {};
+  store(jar, 'deep=2; Path=/a/b', 'https://www.example.com/');
+  store(jar, 'deep=gone; Path=/a/b; Max-Age=0', 'https://www.example.com/');
+  assert.deepEqual(cookieJar.getAllCookies(jar), []);
+});
+
+test('remove deletes by key once', () => {
+  const jar = {};
+  store(jar, 'http=5; HttpOnly; Path=/', 'https://www.example.com/');
+  assert.equal(cookieJar.remove(jar, 'www.example.com', '/', 'http'), true);
+  assert.equal(cookieJar.remove(jar, 'www.example.com', '/', 'http'), false);
+});
+
+test('formatCookieHeader writes nameless cookies as their value', () => {
+  assert.equal(cookieJar.formatCookieHeader([{ name: '', value: 'v' }, { name: 'a', value: 'b' }]), 'v; a=b');
+});
+
+test('insert enforces the per-domain limit by evicting the least recently used', () => {
+  const jar = {};
+  const limit = cookieJar.CONFIG.MAX_COOKIES_PER_DOMAIN;
+  for (let i = 0; i < limit + 5; i++) {
+    const parsed = cookieJar.parseSetCookie(`c${i}=${i}`, 'https://example.com/', { now: now + i });
+    cookieJar.insert(jar, parsed, { now: now + i });
+  }
+  const names = cookieJar.getAllCookies(jar).map(cookie => cookie.name);
+  assert.equal(names.length, limit);
+  assert.ok(!names.includes('c0'));
+  assert.ok(names.includes(`c${limit + 4}`));
+});
+
+test('insert returns the evicted cookies', () => {
+  const jar = {};
+  const limit = cookieJar.CONFIG.MAX_COOKIES_PER_DOMAIN;
+  let result = null;
+  for (let i = 0; i <= limit; i++) {
+    result = store(jar, `c${i}=${i}`, 'https://example.com/', { now: now + i });
+  }
+  assert.equal(result.evicted, 1);
+  assert.deepEqual(result.evictedCookies.map(cookie => [cookie.name, cookie.value]), [['c0', '0']]);
+});
+
+test('isSessionCookie and isExpired', () => {
+  assert.equal(cookieJar.isSessionCookie({ name: 'a' }), true);
+  assert.equal(cookieJar.isExpired({ name: 'a' }, now), false);
+  assert.equal(cookieJar.isSessionCookie({ name: 'a', expirationDate: now / 1000 + 60 }), false);
+});
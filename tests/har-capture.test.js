@@ -0,0 +1,138 @@
+/**
+ * Tests: HAR Capture
+ *
+ * Run with: node --test tests/
+ *
+ * @file har-capture.test.js
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harCapture = require('../js-scripts/har-capture.js');
+
+const SENT = [{ name: 'Cookie', value: 'sid=abc; theme=dark' }, { name: 'Accept', value: '*/*' }];
+
+/**
+ * Record a login POST answered by a redirect, then the redirect hop
+ */
+function recordLogin() {
+  harCapture.recordRequest('s1', { requestId: '7', url: 'https://a.test/login?next=%2Fhome', method: 'POST', type: 'main_frame', tabId: 3, timeStamp: 1000 }, SENT, 2);
+  harCapture.recordResponse('s1', {
+    requestId: '7', statusCode: 302, statusLine: 'HTTP/1.1 302 Found', timeStamp: 1250,
+    responseHeaders: [
+      { name: 'Set-Cookie', value: 'sid=new; Path=/; HttpOnly; Secure\nflag=1; Expires=Wed, 21 Oct 2037 07:28:00 GMT' },
+      { name: 'Location', value: '/home' }
+    ]
+  }, 2);
+  // Redirect hop with the same requestId
+  harCapture.recordRequest('s1', { requestId: '7', url: 'https://a.test/home', method: 'GET', timeStamp: 1300 }, [], 0);
+}
+
+beforeEach(() => {
+  harCapture.clear();
+});
+
+test('nothing is recorded before a capture starts', () => {
+  assert.equal(harCapture.recordRequest('s1', { requestId: '1', url: 'https://a.test/', method: 'GET' }, []), null);
+});
+
+test('only the captured session is recorded', () => {
+  harCapture.start('s1', 'Work');
+  assert.equal(harCapture.recordRequest('s2', { requestId: '1', url: 'https://a.test/', method: 'GET' }, []), null);
+});
+
+test('a stopped capture records nothing and keeps its entries', () => {
+  harCapture.start('s1', 'Work');
+  recordLogin();
+  harCapture.stop();
+  assert.equal(harCapture.recordRequest('s1', { requestId: '9', url: 'https://a.test/', method: 'GET' }, []), null);
+  assert.equal(harCapture.getStatus().entries, 2);
+});
+
+test('buildHar writes HAR 1.2 entries', () => {
+  harCapture.start('s1', 'Work');
+  recordLogin();
+  const har = harCapture.buildHar({ creatorVersion: '1.0', redact: false });
+  const first = har.log.entries[0];
+
+  assert.equal(har.log.version, '1.2');
+  assert.equal(har.log.creator.name, 'Sessner');
+  assert.equal(har.log.entries.length, 2, 'a redirect is a new entry');
+  assert.equal(har.log.entries[1].request.url, 'https://a.test/home');
+  assert.deepEqual(first.request.queryString, [{ name: 'next', value: '/home' }]);
+  assert.deepEqual(first.request.cookies, [{ name: 'sid', value: 'abc' }, { name: 'theme', value: 'dark' }]);
+  assert.equal(first.time, 250);
+  assert.equal(first.timings.wait, 250);
+  assert.equal(first.response.status, 302);
+  assert.equal(first.response.statusText, 'Found');
+  assert.equal(first.response.redirectURL, '/home');
+});
+
+test('Set-Cookie lines are parsed with their attributes', () => {
+  harCapture.start('s1', 'Work');
+  recordLogin();
+  const [sid, flag] = harCapture.buildHar({ redact: false }).log.entries[0].response.cookies;
+  assert.equal(sid.httpOnly, true);
+  assert.equal(sid.secure, true);
+  assert.equal(flag.expires, '2037-10-21T07:28:00.000Z');
+});
+
+test('Sessner fields are kept and internal fields dropped', () => {
+  harCapture.start('s1', 'Work');
+  recordLogin();
+  const first = harCapture.buildHar({ redact: false }).log.entries[0];
+  assert.equal(first._sessner.injectedCookies, 2);
+  assert.equal(first._sessner.strippedSetCookies, 2);
+  assert.ok(!('_requestTime' in first));
+});
+
+test('redaction replaces cookie values and keeps names and attributes', () => {
+  harCapture.start('s1', 'Work');
+  recordLogin();
+  const redacted = harCapture.buildHar().log.entries[0];
+  const text = JSON.stringify(redacted);
+  assert.ok(!text.includes('abc') && !text.includes('sid=new') && !text.includes('dark'));
+  assert.ok(redacted.response.headers[0].value.includes('HttpOnly'));
+  assert.equal(redacted.request.cookies[0].name, 'sid');
+});
+
+test('redaction replaces credentials and header rule values', () => {
+  harCapture.start('s1', 'Work');
+  const headers = [
+    { name: 'Authorization', value: 'Bearer secret-token' },
+    { name: 'Proxy-Authorization', value: 'Basic dXNlcjpwYXNz' },
+    { name: 'X-Api-Key', value: 'key-123' },
+    { name: 'Accept', value: '*/*' }
+  ];
+  harCapture.recordRequest('s1', { requestId: '1', url: 'https://a.test/', method: 'GET' }, headers, 0, ['X-Api-Key']);
+
+  const har = harCapture.buildHar();
+  const sent = har.log.entries[0].request.headers;
+  assert.deepEqual(sent.map(h => h.value), ['[redacted]', '[redacted]', '[redacted]', '*/*']);
+  assert.deepEqual(har.log.entries[0]._sessner.ruleHeaders, ['x-api-key']);
+  assert.equal(har.log._sessner.redacted, true);
+
+  const plain = harCapture.buildHar({ redact: false }).log.entries[0].request.headers;
+  assert.equal(plain[2].value, 'key-123');
+});
+
+test('redaction replaces sensitive URL parameter values', () => {
+  harCapture.start('s1', 'Work');
+  const url = 'https://a.test/callback?code=oauth-code&state=xyz&X-Amz-Signature=abc123&page=2';
+  harCapture.recordRequest('s1', { requestId: '1', url: url, method: 'GET' }, [{ name: 'Referer', value: 'https://idp.test/authorize?client_secret=s3cr3t&scope=email' }], 0);
+  harCapture.recordResponse('s1', {
+    requestId: '1', statusCode: 302, statusLine: 'HTTP/1.1 302 Found',
+    responseHeaders: [{ name: 'Location', value: '/home#access_token=tok-1&expires_in=3600' }]
+  }, 0);
+
+  const entry = harCapture.buildHar().log.entries[0];
+  assert.equal(entry.request.url, 'https://a.test/callback?code=[redacted]&state=xyz&X-Amz-Signature=[redacted]&page=2');
+  assert.deepEqual(entry.request.queryString.map(p => p.value), ['[redacted]', 'xyz', '[redacted]', '2']);
+  assert.equal(entry.request.headers[0].value, 'https://idp.test/authorize?client_secret=[redacted]&scope=email');
+  assert.equal(entry.response.redirectURL, '/home#access_token=[redacted]&expires_in=3600');
+  assert.equal(entry.response.headers[0].value, entry.response.redirectURL);
+
+  const plain = harCapture.buildHar({ redact: false }).log.entries[0];
+  assert.equal(plain.request.url, url);
+  assert.equal(plain.request.queryString[0].value, 'oauth-code');
+});
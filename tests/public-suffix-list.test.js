@@ -0,0 +1,62 @@
+/**
+ * Tests: Public Suffix List
+ *
+ * Run with: node --test tests/
+ *
+ * @file public-suffix-list.test.js
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const publicSuffixList = require('../js-scripts/public-suffix-list.js');
+
+// A small fixed rule set, so results do not depend on the bundled list
+const RULES = ['// comment', 'com', 'uk', 'co.uk', 'github.io', 'herokuapp.com', '*.ck', '!www.ck', '公司.cn', 'cn'];
+
+let savedTrie = null;
+
+beforeEach(() => {
+  savedTrie = publicSuffixList.trie;
+  publicSuffixList.trie = publicSuffixList.buildTrie(publicSuffixList.parse(RULES.join('\n')));
+});
+
+afterEach(() => {
+  publicSuffixList.trie = savedTrie;
+});
+
+test('listed rules are public suffixes', () => {
+  ['com', 'co.uk', 'github.io', 'herokuapp.com'].forEach(domain => {
+    assert.equal(publicSuffixList.isPublicSuffix(domain), true, domain);
+  });
+  assert.equal(publicSuffixList.isPublicSuffix('example.com'), false);
+});
+
+test('unlisted TLDs use the default "*" rule', () => {
+  assert.equal(publicSuffixList.isPublicSuffix('example'), true);
+});
+
+test('getRegistrableDomain returns the suffix plus one label', () => {
+  assert.equal(publicSuffixList.getRegistrableDomain('a.b.co.uk'), 'b.co.uk');
+  assert.equal(publicSuffixList.getRegistrableDomain('x.user.github.io'), 'user.github.io');
+  assert.equal(publicSuffixList.getRegistrableDomain('co.uk'), null);
+});
+
+test('wildcard and exception rules', () => {
+  assert.equal(publicSuffixList.isPublicSuffix('foo.ck'), true);
+  assert.equal(publicSuffixList.getRegistrableDomain('www.ck'), 'www.ck');
+});
+
+test('Unicode rules match punycode hostnames', () => {
+  assert.equal(publicSuffixList.isPublicSuffix('xn--55qx5d.cn'), true);
+});
+
+test('parse skips comments and text after whitespace', () => {
+  assert.deepEqual(publicSuffixList.parse('// c\n\ncom extra\n!www.ck\n'), ['com', '!www.ck']);
+});
+
+test('the bundled list parses', () => {
+  const text = fs.readFileSync(path.join(__dirname, '..', publicSuffixList.CONFIG.BUNDLED_PATH), 'utf8');
+  assert.ok(publicSuffixList.parse(text).length >= publicSuffixList.CONFIG.MIN_RULES);
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests: Storage Persistence Layer (incremental saves)
+ *
+ * Run with: node --test tests/
+ *
+ * Change detection works on record signatures only, so nothing here touches
+ * chrome.storage or IndexedDB.
+ *
+ * @file storage-persistence-layer.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { STORAGE_CONFIG, storagePersistenceManager: manager } = require('../js-scripts/storage-persistence-layer.js');
+const cookieJar = require('../js-scripts/cookie-jar.js');
+
+const RESOLUTION = STORAGE_CONFIG.ACCESS_TIME_RESOLUTION;
+const START = RESOLUTION * 1000;
+
+/**
+ * Build synthetic data in the sessionStore shape
+ * @param {Object} options - { sessions, domains, cookies, valueSize }
+ * @returns {Object} { sessions, cookieStore, tabToSession, tabMetadata }
+ */
+function buildData({ sessions = 20, domains = 10, cookies = 15, valueSize = 200 } = {}) {
+  const data = { sessions: {}, cookieStore: {}, tabToSession: {}, tabMetadata: {} };
+  for (let s = 0; s < sessions; s++) {
+    const sessionId = 'session_test_' + s;
+    data.sessions[sessionId] = { id: sessionId, name: 'Session ' + s, color: '#FF6B6B', tabs: [s], createdAt: 0, lastAccessed: 0 };
+    data.tabToSession[s] = sessionId;
+    data.cookieStore[sessionId] = {};
+    for (let d = 0; d < domains; d++) {
+      const domain = `site${d}.example.com`;
+      data.cookieStore[sessionId][domain] = { '/': {} };
+      for (let c = 0; c < cookies; c++) {
+        data.cookieStore[sessionId][domain]['/']['cookie' + c] = {
+          name: 'cookie' + c, value: 'x'.repeat(valueSize), domain: domain, path: '/', hostOnly: true,
+          creationTime: START, lastAccessTime: START
+        };
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Send a request from a session tab (updates lastAccessTime of the sent cookies)
+ * @param {Object} data - Synthetic data
+ * @param {string} sessionId - Session ID
+ * @param {string} domain - Request host
+ * @param {number} now - Request time
+ * @returns {number} Number of cookies sent
+ */
+function sendRequest(data, sessionId, domain, now) {
+  return cookieJar.getCookiesForRequest(data.cookieStore[sessionId], `https://${domain}/`, { type: 'main_frame', now }).length;
+}
+
+/**
+ * Changes between two data states
+ * @param {Object} previous - Signatures of the last save
+ * @param {Object} data - Current data
+ * @returns {Object} diffRecordSignatures result
+ */
+function diff(previous, data) {
+  return manager.diffRecordSignatures(previous, manager.getRecordSignatures(data));
+}
+
+test('unchanged data writes nothing', () => {
+  const data = buildData({ sessions: 2, domains: 2, cookies: 2 });
+  assert.equal(diff(manager.getRecordSignatures(data), data).count, 0);
+});
+
+test('the first save writes everything', () => {
+  const data = buildData({ sessions: 3, domains: 4, cookies: 1 });
+  const changes = diff(null, data);
+  assert.equal(changes.cookieDomains.length, 12);
+  assert.equal(changes.sessions.length, 3);
+  assert.equal(changes.sessionIndex, true);
+});
+
+test('one cookie change marks one domain and rewrites one local domain key', () => {
+  const data = buildData({ sessions: 2, domains: 3, cookies: 2 });
+  const previous = manager.getRecordSignatures(data);
+  data.cookieStore.session_test_1['site2.example.com']['/'].cookie0.value = 'changed';
+
+  const changes = diff(previous, data);
+  assert.equal(changes.count, 1);
+  assert.deepEqual(changes.cookieDomains, [['session_test_1', 'site2.example.com']]);
+  assert.deepEqual(changes.cookieSessions, []);
+  assert.deepEqual(changes.sessions, []);
+
+  const local = manager.getLocalCookieChanges(changes, data.cookieStore);
+  assert.deepEqual(Object.keys(local.items), ['cookieStore.session_test_1.site2.example.com']);
+  assert.equal(local.items['cookieStore.session_test_1.site2.example.com'], data.cookieStore.session_test_1['site2.example.com']);
+  assert.deepEqual(local.removed, []);
+});
+
+test('a new or removed cookie domain also rewrites the local domain list', () => {
+  const data = buildData({ sessions: 1, domains: 2, cookies: 1 });
+  const previous = manager.getRecordSignatures(data);
+  data.cookieStore.session_test_0['new.example.com'] = { '/': {} };
+  delete data.cookieStore.session_test_0['site0.example.com'];
+
+  const local = manager.getLocalCookieChanges(diff(previous, data), data.cookieStore);
+  assert.deepEqual(local.items, {
+    'cookieStore.session_test_0': ['site1.example.com', 'new.example.com'],
+    'cookieStore.session_test_0.new.example.com': { '/': {} }
+  });
+  assert.deepEqual(local.removed, ['cookieStore.session_test_0.site0.example.com']);
+});
+
+test('full local saves write one key per cookie domain and a domain list per session', () => {
+  const data = buildData({ sessions: 2, domains: 2, cookies: 1 });
+  const items = manager.getLocalCookieItems(data.cookieStore);
+
+  assert.deepEqual(Object.keys(items).sort(), [
+    'cookieStore.session_test_0', 'cookieStore.session_test_0.site0.example.com', 'cookieStore.session_test_0.site1.example.com',
+    'cookieStore.session_test_1', 'cookieStore.session_test_1.site0.example.com', 'cookieStore.session_test_1.site1.example.com'
+  ]);
+  assert.deepEqual(items['cookieStore.session_test_1'], ['site0.example.com', 'site1.example.com']);
+});
+
+test('sending cookies does not mark their domain within the access time resolution', () => {
+  const data = buildData({ sessions: 1, domains: 1, cookies: 3 });
+  const previous = manager.getRecordSignatures(data);
+
+  assert.equal(sendRequest(data, 'session_test_0', 'site0.example.com', START + RESOLUTION - 1), 3);
+  assert.equal(diff(previous, data).count, 0);
+});
+
+test('access times are saved once the next resolution step starts', () => {
+  const data = buildData({ sessions: 1, domains: 2, cookies: 3 });
+  const previous = manager.getRecordSignatures(data);
+
+  sendRequest(data, 'session_test_0', 'site1.example.com', START + RESOLUTION);
+  const changes = diff(previous, data);
+  assert.deepEqual(changes.cookieDomains, [['session_test_0', 'site1.example.com']]);
+});
+
+test('a rename rewrites one local session key', () => {
+  const data = buildData({ sessions: 3, domains: 1, cookies: 1 });
+  const previous = manager.getRecordSignatures(data);
+  data.sessions.session_test_0 = Object.assign({}, data.sessions.session_test_0, { name: 'Renamed' });
+
+  const current = manager.getRecordSignatures(data);
+  const changes = manager.diffRecordSignatures(previous, current);
+  assert.deepEqual(changes.sessions, ['session_test_0']);
+  assert.equal(changes.sessionIndex, false);
+  assert.equal(manager.measureChanges(changes, current).local, current.sessions.session_test_0.length);
+});
+
+test('adding a session rewrites the session index', () => {
+  const data = buildData({ sessions: 1, domains: 1, cookies: 1 });
+  const previous = manager.getRecordSignatures(data);
+  data.sessions.session_new = { id: 'session_new', name: 'New', tabs: [] };
+
+  const changes = diff(previous, data);
+  assert.deepEqual(changes.sessions, ['session_new']);
+  assert.equal(changes.sessionIndex, true);
+});
+
+test('a removed session deletes its session, jar and domain records', () => {
+  const data = buildData({ sessions: 2, domains: 3, cookies: 1 });
+  const previous = manager.getRecordSignatures(data);
+  delete data.sessions.session_test_0;
+  delete data.cookieStore.session_test_0;
+
+  const changes = diff(previous, data);
+  assert.deepEqual(changes.removedSessions, ['session_test_0']);
+  assert.deepEqual(changes.removedCookieSessions, ['session_test_0']);
+  assert.equal(changes.removedCookieDomains.length, 3);
+  assert.equal(changes.sessionIndex, true);
+  assert.equal(manager.getLocalCookieChanges(changes, data.cookieStore).removed.length, 4);
+});
+
+test('under request traffic incremental saves write far less than full snapshots', (t) => {
+  const sessionCount = 20;
+  const domainCount = 10;
+  const requests = 500;
+  const requestInterval = 2000;
+  const data = buildData({ sessions: sessionCount, domains: domainCount });
+
+  // Old persistSessions: every session and cookie jar to chrome.storage.local and IndexedDB
+  const sum = values => values.reduce((total, json) => total + json.length, 0);
+  const fullBytes = signatures => 2 * (sum(Object.values(signatures.sessions)) +
+    Object.values(signatures.cookies).reduce((total, domains) => total + sum(Object.values(domains)), 0) +
+    signatures.tabToSession.length + signatures.tabMetadata.length);
+
+  // One save per request; every tenth request also changes a cookie
+  let previous = manager.getRecordSignatures(data);
+  let full = 0;
+  let incremental = 0;
+  let writes = 0;
+  for (let i = 0; i < requests; i++) {
+    const sessionId = 'session_test_' + (i % sessionCount);
+    const domain = `site${i % domainCount}.example.com`;
+    sendRequest(data, sessionId, domain, START + i * requestInterval);
+    if (i % 10 === 9) {
+      data.cookieStore[sessionId][domain]['/']['cookie' + (i % 15)].value = 'y'.repeat(200) + i;
+    }
+
+    const current = manager.getRecordSignatures(data);
+    const changes = manager.diffRecordSignatures(previous, current);
+    const bytes = manager.measureChanges(changes, current);
+    full += fullBytes(current);
+    incremental += bytes.local + bytes.indexedDB;
+    writes += changes.count > 0 ? 1 : 0;
+    previous = current;
+  }
+
+  const reduction = Math.round((1 - incremental / full) * 1000) / 10;
+  t.diagnostic(`${requests} requests: ${Math.round(incremental / 1024)} KB instead of ${Math.round(full / 1024)} KB (${reduction}% less), ${writes} saves wrote anything`);
+
+  // Value changes, plus access times once per domain after the resolution step
+  assert.ok(writes <= requests / 10 + sessionCount * domainCount, `${writes} saves wrote records`);
+  assert.ok(reduction > 95, `only ${reduction}% less`);
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests: URL Rules
+ *
+ * Run with: node --test tests/
+ *
+ * @file url-rules.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const urlRules = require('../js-scripts/url-rules.js');
+
+test('subdomain wildcards match the domain and its subdomains', () => {
+  assert.equal(urlRules.matches('*.shopify.com/admin/*', 'https://store-b.shopify.com/admin/products'), true);
+  assert.equal(urlRules.matches('*.shopify.com/admin/*', 'https://shopify.com/admin/x'), true);
+  assert.equal(urlRules.matches('*.shopify.com/admin/*', 'https://store-b.shopify.com/cart'), false, 'path must match');
+});
+
+test('hosts are anchored and exact', () => {
+  assert.equal(urlRules.matches('*.shopify.com', 'https://shopify.com.evil.test/'), false);
+  assert.equal(urlRules.matches('github.com', 'https://gist.github.com/'), false);
+});
+
+test('a pattern without a path matches any path and query', () => {
+  assert.equal(urlRules.matches('github.com', 'https://github.com/a/b?c=d'), true);
+});
+
+test('schemes', () => {
+  assert.equal(urlRules.matches('https://example.com/*', 'http://example.com/'), false);
+  assert.equal(urlRules.matches('*://example.com/*', 'http://example.com/'), true);
+  assert.equal(urlRules.matches('*', 'chrome://settings/'), false, 'non-http URL');
+  assert.equal(urlRules.compilePattern('ftp://example.com'), null);
+});
+
+test('ports must match when given', () => {
+  assert.equal(urlRules.matches('localhost:3000/*', 'http://localhost:3000/app'), true);
+  assert.equal(urlRules.matches('localhost:3000/*', 'http://localhost:4000/app'), false);
+  assert.equal(urlRules.matches('localhost', 'http://localhost:8080/'), true);
+});
+
+test('the query is part of the path', () => {
+  assert.equal(urlRules.matches('example.com/*?tab=billing', 'https://example.com/account?tab=billing'), true);
+});
+
+test('matching is case-insensitive and treats regex characters literally', () => {
+  assert.equal(urlRules.matches('Example.com/Admin/*', 'https://EXAMPLE.com/admin/x'), true);
+  assert.equal(urlRules.matches('a+b.com', 'https://aab.com/'), false);
+});
+
+test('validateRule', () => {
+  assert.equal(urlRules.validateRule({ pattern: ' ', action: 'ask' }).valid, false, 'empty pattern');
+  assert.equal(urlRules.validateRule({ pattern: 'a.com', action: 'session' }).valid, false, 'session rule needs a session');
+});
+
+const rules = [
+  { id: 'r1', pattern: '*.shopify.com/admin/*', action: 'session', sessionId: 's1', enabled: true },
+  { id: 'r2', pattern: '*.shopify.com', action: 'ask', enabled: true },
+  { id: 'r3', pattern: '*', action: 'none', enabled: false }
+];
+
+test('findMatch uses priority order and skips disabled rules', () => {
+  assert.equal(urlRules.findMatch(rules, 'https://a.shopify.com/admin/'), rules[0]);
+  assert.equal(urlRules.findMatch(rules, 'https://a.shopify.com/'), rules[1]);
+  assert.equal(urlRules.findMatch(rules, 'https://example.com/'), null);
+});
+
+test('testRules reports the matching rule and invalid URLs', () => {
+  const results = urlRules.testRules(rules, ['https://a.shopify.com/admin/x', 'not a url']);
+  assert.equal(results[0].ruleId, 'r1');
+  assert.equal(results[0].index, 0);
+  assert.equal(results[1].valid, false);
+});